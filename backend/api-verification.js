@@ -3,39 +3,275 @@
 
 console.log('=== BACKEND API ENDPOINTS ===\n');
 
+console.log('ERRORS: every error response is { "message": "string", "code": "string", ... } (codes in utils/errors.js)');
+console.log('  Mongoose validation and cast errors: 400 VALIDATION_FAILED; duplicate keys: 409 DUPLICATE; unexpected: 500 INTERNAL\n');
+
+console.log('VALIDATION: auth and task routes check params, query and body against schemas; unknown fields are rejected');
+console.log('  400 Response: { "message": "string", "code": "VALIDATION_FAILED", "errors": { "<field path>": "string" } }\n');
+
 console.log('AUTHENTICATION ENDPOINTS:');
-console.log('POST /api/auth/signup');
+console.log('POST /api/auth/signup (per-IP and per-email quotas)');
 console.log('  Body: { "name": "string", "email": "string", "password": "string" }');
-console.log('  Response: { "message": "string", "token": "string", "user": {...} }\n');
+console.log('  Response: { "message": "string", "token": "string", "refreshToken": "string", "expiresIn": number, "user": {...} }\n');
 
-console.log('POST /api/auth/login');
+console.log('POST /api/auth/login (per-IP quota; an email is locked after repeated failures)');
 console.log('  Body: { "email": "string", "password": "string" }');
-console.log('  Response: { "message": "string", "token": "string", "user": {...} }\n');
+console.log('  Response: { "message": "string", "token": "string", "refreshToken": "string", "expiresIn": number, "user": {...} }');
+console.log('  With two-factor on: { "message": "string", "twoFactorRequired": true, "challengeToken": "string", "expiresIn": number }\n');
+
+console.log('POST /api/auth/login/2fa (authenticator or recovery code; wrong codes count towards the lockout)');
+console.log('  Body: { "challengeToken": "string", "code": "string" }');
+console.log('  Response: { "message": "string", "token": "string", "refreshToken": "string", "expiresIn": number, "user": {...}, "recoveryCodesLeft"?: number }\n');
+
+console.log('POST /api/auth/refresh (each refresh token works once; reuse ends the session)');
+console.log('  Body: { "refreshToken": "string" }');
+console.log('  Response: { "message": "string", "token": "string", "refreshToken": "string", "expiresIn": number }\n');
+
+console.log('POST /api/auth/logout');
+console.log('  Body: { "refreshToken": "string" }');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('GET /api/auth/sessions');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Response: { "sessions": [{ "_id": "string", "userAgent": "string", "ip": "string", "createdAt": "string", "lastUsedAt": "string", "current": boolean }] }\n');
+
+console.log('DELETE /api/auth/sessions/:id');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Response: { "message": "string" }\n');
 
 console.log('GET /api/auth/profile');
 console.log('  Headers: { "Authorization": "Bearer <token>" }');
 console.log('  Response: { "user": {...} }\n');
 
-console.log('PUT /api/auth/profile');
+console.log('PUT /api/auth/profile (a new email becomes pendingEmail until confirmed; 409 when taken)');
 console.log('  Headers: { "Authorization": "Bearer <token>" }');
 console.log('  Body: { "name": "string", "email": "string" }');
+console.log('  Response: { "message": "string", "user": { "id": "string", "name": "string", "email": "string", "emailVerified": boolean, "pendingEmail": "string|null" } }\n');
+
+console.log('POST /api/auth/verify-email (single-use token from the emailed link; no auth needed)');
+console.log('  Body: { "token": "string" }');
 console.log('  Response: { "message": "string", "user": {...} }\n');
 
-console.log('TASK ENDPOINTS (All require Authorization header):');
-console.log('GET /api/tasks?search=<term>&status=<pending|completed>');
-console.log('  Response: { "tasks": [...] }\n');
+console.log('POST /api/auth/verify-email/resend');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('PUT /api/auth/password (signs out every other session)');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Body: { "currentPassword": "string", "newPassword": "string" }');
+console.log('  Response: { "message": "string", "signedOut": number }\n');
+
+console.log('POST /api/auth/forgot-password (same response whether or not the account exists)');
+console.log('  Body: { "email": "string" }');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('POST /api/auth/reset-password (single-use token from the emailed link)');
+console.log('  Body: { "token": "string", "password": "string" }');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('GET /api/auth/2fa');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Response: { "enabled": boolean, "recoveryCodesLeft": number }\n');
+
+console.log('POST /api/auth/2fa/setup (409 when two-factor is already on)');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Response: { "secret": "string", "otpauthUri": "string" }\n');
+
+console.log('POST /api/auth/2fa/enable');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Body: { "code": "string" }');
+console.log('  Response: { "message": "string", "recoveryCodes": ["string"] }\n');
+
+console.log('POST /api/auth/2fa/disable');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Body: { "password": "string" }');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('POST /api/auth/2fa/recovery-codes');
+console.log('  Headers: { "Authorization": "Bearer <token>" }');
+console.log('  Body: { "password": "string" }');
+console.log('  Response: { "message": "string", "recoveryCodes": ["string"] }\n');
+
+console.log('WORKSPACE ENDPOINTS (All require Authorization header):');
+console.log('GET /api/workspaces');
+console.log('  Response: { "workspaces": [{ "_id": "string", "name": "string", "personal": boolean, "role": "string", "permissions": [...] }] }\n');
+
+console.log('POST /api/workspaces');
+console.log('  Body: { "name": "string" }');
+console.log('  Response: { "message": "string", "workspace": {...} }\n');
+
+console.log('GET /api/workspaces/:id');
+console.log('  Response: { "workspace": { ..., "members": [{ "userId": "string", "name": "string", "email": "string", "role": "string" }] } }\n');
+
+console.log('PUT /api/workspaces/:id');
+console.log('  Body: { "name": "string" }\n');
+
+console.log('DELETE /api/workspaces/:id');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('PUT /api/workspaces/:id/members/:userId');
+console.log('  Body: { "role": "admin|member|viewer" }\n');
+
+console.log('DELETE /api/workspaces/:id/members/:userId');
+console.log('POST /api/workspaces/:id/leave\n');
+
+console.log('GET /api/workspaces/:id/invitations');
+console.log('POST /api/workspaces/:id/invitations');
+console.log('  Body: { "email": "string", "role": "admin|member|viewer" }');
+console.log('DELETE /api/workspaces/:id/invitations/:invitationId\n');
+
+console.log('GET /api/invitations');
+console.log('POST /api/invitations/:id/accept');
+console.log('POST /api/invitations/:id/decline\n');
+
+console.log('POST /api/workspaces, invitations, member changes and task assignees need a verified email:');
+console.log('  Otherwise 403 { "message": "string", "code": "EMAIL_NOT_VERIFIED" }\n');
+
+console.log('TASK, PROJECT AND LABEL ENDPOINTS act on the workspace in the X-Workspace-Id header (personal workspace when omitted)\n');
+
+console.log('RATE LIMITS: over-quota requests get 429 with Retry-After and');
+console.log('  { "message": "string", "code": "RATE_LIMITED", "retryAfter": number }; counted responses carry');
+console.log('  RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers\n');
+
+console.log('TASK ENDPOINTS (All require Authorization header; per-user quota):');
+console.log('GET /api/tasks?search=<term>&status=<todo|in_progress|blocked|in_review|done|archived>&priority=<low|medium|high|urgent>&labels=<id,id>&labelMatch=<any|all>&projectId=<id|none>&assignee=<me|unassigned|userId>&dueBefore=<date>&dueAfter=<date>&overdue=true&filter=<JSON filter>&savedFilter=<id>&sort=<createdAt|updatedAt|title|dueDate|priority|relevance>&order=<asc|desc>&limit=<1-100>&cursor=<nextCursor>');
+console.log('  search syntax: words (prefix match), "exact phrase", title:word, description:word, status:a,b, priority:x, label:name, project:name|none, assignee:me|unassigned');
+console.log('  Response: { "tasks": [{ ..., "score": number (relevance), "searchMatch": { "title": [[start, end]], "description": { "text": "string", "ranges": [[start, end]] } | null } }], "nextCursor": "string|null", "hasMore": boolean }\n');
 
 console.log('POST /api/tasks');
-console.log('  Body: { "title": "string", "description": "string" }');
+console.log('  Body: { "title": "string", "description": "string", "priority": "low|medium|high|urgent (optional)", "dueDate": "ISO date (optional)", "dueTime": "HH:mm (optional)", "labels": ["labelId"], "projectId": "projectId (optional)", "assignees": ["userId"], "checklist": [{ "text": "string", "done": false }], "recurrence": { "frequency": "daily|weekly|monthly", "interval": number, "weekdays": [0-6], "monthDay": 1-31, "until": "ISO date", "count": number, "timezone": "IANA zone" } (optional) }');
 console.log('  Response: { "message": "string", "task": {...} }\n');
 
 console.log('PUT /api/tasks/:id');
-console.log('  Body: { "title": "string", "description": "string", "status": "pending|completed" }');
+console.log('  Body: { "title": "string", "description": "string", "status": "workflow state", "priority": "low|medium|high|urgent", "dueDate": "ISO date|null", "dueTime": "HH:mm|null", "labels": ["labelId"], "projectId": "projectId|null", "assignees": ["userId"], "checklist": [...], "recurrence": {...}|null }');
+console.log('  Response: { "message": "string", "task": {...}, "nextTask": {...} (when a repeating task is completed) }\n');
+
+console.log('GET /api/tasks/workflow');
+console.log('  Response: { "workflow": { "states": [...], "initial": "string", "transitions": {...} } }\n');
+
+console.log('GET /api/tasks/board?<same filters as GET /api/tasks>&limit=<cards per column>');
+console.log('  Response: { "columns": [{ "status": "string", "tasks": [...], "total": number }] }\n');
+
+console.log('PUT /api/tasks/board/order');
+console.log('  Body: { "status": "workflow state", "taskIds": ["id", ...] }');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('POST /api/tasks/:id/checklist');
+console.log('  Body: { "text": "string" }');
+console.log('  Response: { "message": "string", "task": {...} }\n');
+
+console.log('PUT /api/tasks/:id/checklist/:itemId');
+console.log('  Body: { "text": "string (optional)", "done": "boolean (optional)" }');
+console.log('  Response: { "message": "string", "task": {...} }\n');
+
+console.log('PUT /api/tasks/:id/checklist/order');
+console.log('  Body: { "itemIds": ["id", ...] }');
 console.log('  Response: { "message": "string", "task": {...} }\n');
 
-console.log('DELETE /api/tasks/:id');
+console.log('DELETE /api/tasks/:id/checklist/:itemId');
+console.log('  Response: { "message": "string", "task": {...} }\n');
+
+console.log('POST /api/tasks/:id/assignees');
+console.log('  Body: { "userId": "string" }');
+console.log('  Response: { "message": "string", "task": {...} }\n');
+
+console.log('DELETE /api/tasks/:id/assignees/:userId');
+console.log('  Response: { "message": "string", "task": {...} }\n');
+
+console.log('GET /api/tasks/:id');
+console.log('  Response: { "task": {...} }\n');
+
+console.log('GET /api/tasks/:id/comments');
+console.log('  Response: { "comments": [{ "_id": "string", "body": "string", "edited": boolean, "authorId": { "_id": "string", "name": "string" } }] }\n');
+
+console.log('POST /api/tasks/:id/comments');
+console.log('  Body: { "body": "string" }');
+console.log('  Response: { "message": "string", "comment": {...} }\n');
+
+console.log('PUT /api/tasks/:id/comments/:commentId');
+console.log('  Body: { "body": "string" }');
+console.log('  Response: { "message": "string", "comment": {...} }\n');
+
+console.log('DELETE /api/tasks/:id/comments/:commentId');
 console.log('  Response: { "message": "string" }\n');
 
+console.log('GET /api/tasks/:id/history?limit=<1-100>&cursor=<nextCursor>');
+console.log('  Response: { "activity": [{ "action": "created|updated|deleted|restored|purged", "changes": [{ "field": "string", "before": any, "after": any }], "actorId": {...}, "createdAt": "string" }], "nextCursor": "string|null", "hasMore": boolean }\n');
+
+console.log('DELETE /api/tasks/:id (moves the task to the trash)');
+console.log('  Response: { "message": "string", "task": {...} }\n');
+
+console.log('GET /api/tasks/trash?limit=<1-100>&cursor=<nextCursor>');
+console.log('  Response: { "tasks": [{ ..., "deletedAt": "string", "purgeAt": "string" }], "nextCursor": "string|null", "hasMore": boolean, "retentionDays": number }\n');
+
+console.log('POST /api/tasks/:id/restore');
+console.log('  Response: { "message": "string", "task": {...} }\n');
+
+console.log('DELETE /api/tasks/:id/permanent');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('POST /api/tasks/bulk (all tasks change or none)');
+console.log('  Body: { "ids": ["string"], "action": "complete|reopen|delete|setPriority|addLabel|moveToProject", "priority"?: "string", "labelId"?: "string", "projectId"?: "string|null" }');
+console.log('  Response: { "message": "string", "action": "string", "results": [{ "id": "string", "status": "updated|unchanged" }], "tasks": [...] }');
+console.log('  409 Response: { "message": "string", "results": [{ "id": "string", "status": "updated|unchanged|failed", "message"?: "string" }] }\n');
+
+console.log('LABEL ENDPOINTS (All require Authorization header):');
+console.log('GET /api/labels');
+console.log('  Response: { "labels": [...] }\n');
+
+console.log('POST /api/labels');
+console.log('  Body: { "name": "string", "color": "#rrggbb" }');
+console.log('  Response: { "message": "string", "label": {...} }\n');
+
+console.log('PUT /api/labels/:id');
+console.log('  Body: { "name": "string (optional)", "color": "#rrggbb (optional)" }');
+console.log('  Response: { "message": "string", "label": {...} }\n');
+
+console.log('DELETE /api/labels/:id');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('SAVED FILTER ENDPOINTS (All require Authorization header; filters are personal):');
+console.log('GET /api/filters');
+console.log('  Response: { "filters": [{ "_id": "string", "name": "string", "filter": {...}, "pinned": boolean }] }\n');
+
+console.log('POST /api/filters');
+console.log('  Body: { "name": "string", "filter": { "match": "all|any", "rules": [{ "field": "string", "op": "string", "value": "any" }] }, "pinned": "boolean (optional)" }');
+console.log('  Response: { "message": "string", "filter": {...} }\n');
+
+console.log('PUT /api/filters/:id');
+console.log('  Body: { "name": "string (optional)", "filter": {...} (optional), "pinned": "boolean (optional)" }');
+console.log('  Response: { "message": "string", "filter": {...} }\n');
+
+console.log('DELETE /api/filters/:id');
+console.log('  Response: { "message": "string" }\n');
+
+console.log('PROJECT ENDPOINTS (All require Authorization header):');
+console.log('GET /api/projects?archived=true');
+console.log('  Response: { "projects": [{ ..., "taskCount": number }] }\n');
+
+console.log('GET /api/projects/:id');
+console.log('  Response: { "project": {...} }\n');
+
+console.log('POST /api/projects');
+console.log('  Body: { "name": "string", "color": "#rrggbb" }');
+console.log('  Response: { "message": "string", "project": {...} }\n');
+
+console.log('PUT /api/projects/:id');
+console.log('  Body: { "name": "string (optional)", "color": "#rrggbb (optional)", "archived": "boolean (optional)" }');
+console.log('  Response: { "message": "string", "project": {...} }\n');
+
+console.log('DELETE /api/projects/:id?tasks=<move|delete>&targetProjectId=<id>');
+console.log('  Response: { "message": "string", "tasks": { "action": "string", "count": number, "targetProjectId": "string|null" } }\n');
+
+console.log('ACTIVITY ENDPOINTS (All require Authorization header):');
+console.log('GET /api/activity?workspaceId=<id>&limit=<1-100>&cursor=<nextCursor>');
+console.log('  Response: { "activity": [...], "nextCursor": "string|null", "hasMore": boolean }\n');
+
+console.log('LOGGING: every response carries X-Request-Id (the client\'s, or a generated one); logs are JSON lines with requestId');
+console.log('POST /api/client-logs (no auth, per-IP quota)');
+console.log('  Body: { "entries": [{ "level": "error|warn", "message": "string", "time": "ISO date", "requestId": "string", "url": "string", "error": {...}, "data": {...} }] } (1-50 entries)');
+console.log('  202 Response: { "message": "Logs received", "received": number }\n');
+
 console.log('HEALTH CHECK:');
 console.log('GET /health');
 console.log('  Response: { "status": "string", "timestamp": "string" }\n');
@@ -44,5 +280,5 @@ console.log('=== VALIDATION RULES ===');
 console.log('- Password minimum 6 characters');
 console.log('- All required fields validated');
 console.log('- JWT token required for protected routes');
-console.log('- Users can only access their own tasks');
-console.log('- Task status must be "pending" or "completed"');
+console.log('- Users can only access tasks of workspaces they belong to, within their role (config/roles.js)');
+console.log('- Task status must be a workflow state and follow allowed transitions (config/workflow.js)');
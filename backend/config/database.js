@@ -8,6 +8,7 @@
  */
 
 const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
 
 /**
  * Connect to MongoDB database
@@ -47,19 +48,19 @@ const connectDB = async () => {
     // Establish connection to MongoDB
     const connection = await mongoose.connect(process.env.MONGODB_URI, options);
     
-    console.log(`✅ MongoDB connected: ${connection.connection.host}`);
+    logger.info('MongoDB connected', { host: connection.connection.host });
     
     // Connection event listeners for monitoring
     mongoose.connection.on('error', (error) => {
-      console.error('❌ MongoDB connection error:', error.message);
+      logger.error('MongoDB connection error', { error });
     });
 
     mongoose.connection.on('disconnected', () => {
-      console.warn('⚠️ MongoDB disconnected');
+      logger.warn('MongoDB disconnected');
     });
 
   } catch (error) {
-    console.error('❌ Database connection error:', error.message);
+    logger.error('Database connection error', { error });
     
     // Exit process in production, throw error in development
     if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,17 @@
+/**
+ * Environment Helpers
+ * Reading typed settings from environment variables, shared by the config modules
+ */
+
+/**
+ * Read a positive number from the environment, falling back to a default
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number}
+ */
+const positiveNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+module.exports = { positiveNumber };
@@ -0,0 +1,22 @@
+/**
+ * Logging Configuration
+ * How much the server logs
+ *
+ * @description Values can be set through environment variables:
+ * - LOG_LEVEL: lowest level written, one of debug, info (default), warn, error
+ *   or silent. At debug, request logs also carry the (redacted) headers and body.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const DEFAULT_LEVEL = 'info';
+
+/**
+ * Lowest level written to the log
+ * @returns {string} One of LOG_LEVELS
+ */
+const logLevel = () => {
+  const level = String(process.env.LOG_LEVEL || '').toLowerCase();
+  return LOG_LEVELS.includes(level) ? level : DEFAULT_LEVEL;
+};
+
+module.exports = { LOG_LEVELS, logLevel };
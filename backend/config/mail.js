@@ -0,0 +1,42 @@
+/**
+ * Mail Configuration
+ * How account emails (e.g. password reset links) are delivered
+ *
+ * @description All values can be set through environment variables:
+ * - MAIL_TRANSPORT: 'console' (default) prints emails, 'file' appends them to MAIL_FILE
+ * - MAIL_FILE: file used by the file transport (default mail.log)
+ * - MAIL_FROM: sender address (default "Primetrade <no-reply@localhost>")
+ * - FRONTEND_URL: base URL of the app, used to build links in emails (default http://localhost:3000)
+ */
+
+const DEFAULT_TRANSPORT = 'console';
+const DEFAULT_FILE = 'mail.log';
+const DEFAULT_FROM = 'Primetrade <no-reply@localhost>';
+const DEFAULT_FRONTEND_URL = 'http://localhost:3000';
+
+/**
+ * Name of the transport emails are sent through
+ * @returns {string}
+ */
+const mailTransport = () => process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+
+/**
+ * File the file transport writes to
+ * @returns {string}
+ */
+const mailFile = () => process.env.MAIL_FILE || DEFAULT_FILE;
+
+/**
+ * Sender of account emails
+ * @returns {string}
+ */
+const mailFrom = () => process.env.MAIL_FROM || DEFAULT_FROM;
+
+/**
+ * Absolute link to a page of the frontend
+ * @param {string} path - Path starting with "/"
+ * @returns {string}
+ */
+const appLink = (path) => `${(process.env.FRONTEND_URL || DEFAULT_FRONTEND_URL).replace(/\/+$/, '')}${path}`;
+
+module.exports = { mailTransport, mailFile, mailFrom, appLink };
@@ -0,0 +1,28 @@
+/**
+ * Task Priority Configuration
+ * Priority levels in ascending order of importance
+ *
+ * @description The rank is stored on each task (priorityRank) so that MongoDB can
+ * sort by importance instead of alphabetically by priority name.
+ */
+
+/**
+ * Priority name to sort rank
+ * @type {Object<string, number>}
+ */
+const PRIORITY_RANKS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  urgent: 4
+};
+
+/**
+ * Allowed priority values
+ * @type {string[]}
+ */
+const PRIORITIES = Object.keys(PRIORITY_RANKS);
+
+const DEFAULT_PRIORITY = 'medium';
+
+module.exports = { PRIORITIES, PRIORITY_RANKS, DEFAULT_PRIORITY };
@@ -0,0 +1,73 @@
+/**
+ * Rate Limit Configuration
+ * Request quotas of the rate-limited routes and the login lockout policy
+ *
+ * @description Every value can be set through environment variables:
+ * - RATE_LIMIT_STORE: store keeping the counters (default memory, see utils/rateLimiter.js)
+ * - RATE_LIMIT_LOGIN_PER_IP: login attempts per IP per 15 minutes (default 30)
+ * - RATE_LIMIT_SIGNUP_PER_IP: signups per IP per hour (default 10)
+ * - RATE_LIMIT_SIGNUP_PER_EMAIL: signup attempts per email per hour (default 3)
+ * - RATE_LIMIT_PASSWORD_RESET_PER_IP: reset link requests per IP per hour (default 10)
+ * - RATE_LIMIT_PASSWORD_RESET_PER_EMAIL: reset link requests per email per hour (default 3)
+ * - RATE_LIMIT_TASKS_PER_USER: task API requests per user per 15 minutes (default 900)
+ * - RATE_LIMIT_CLIENT_LOGS_PER_IP: client log reports per IP per 15 minutes (default 60)
+ * - LOGIN_MAX_FAILURES: failed logins for one account before it is locked (default 5)
+ * - LOGIN_LOCKOUT_MINUTES: length of the first lockout, doubled by each further one (default 5)
+ * - LOGIN_LOCKOUT_MAX_MINUTES: longest lockout (default 1440, one day)
+ */
+const { positiveNumber } = require('./env');
+
+const MINUTE_MS = 60 * 1000;
+
+// Lockouts within this period count towards the next, longer one
+const LOCKOUT_MEMORY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Rate-limited routes: quota per window, and the variable overriding the quota
+ */
+const POLICIES = {
+  loginIp: { env: 'RATE_LIMIT_LOGIN_PER_IP', limit: 30, windowMinutes: 15 },
+  signupIp: { env: 'RATE_LIMIT_SIGNUP_PER_IP', limit: 10, windowMinutes: 60 },
+  signupEmail: { env: 'RATE_LIMIT_SIGNUP_PER_EMAIL', limit: 3, windowMinutes: 60 },
+  passwordResetIp: { env: 'RATE_LIMIT_PASSWORD_RESET_PER_IP', limit: 10, windowMinutes: 60 },
+  passwordResetEmail: { env: 'RATE_LIMIT_PASSWORD_RESET_PER_EMAIL', limit: 3, windowMinutes: 60 },
+  tasksUser: { env: 'RATE_LIMIT_TASKS_PER_USER', limit: 900, windowMinutes: 15 },
+  clientLogsIp: { env: 'RATE_LIMIT_CLIENT_LOGS_PER_IP', limit: 60, windowMinutes: 15 }
+};
+
+/**
+ * Name of the store keeping the counters
+ * @returns {string}
+ */
+const rateLimitStore = () => process.env.RATE_LIMIT_STORE || 'memory';
+
+/**
+ * Quota of a rate-limited route
+ * @param {string} name - Key of POLICIES
+ * @returns {Object} { name, limit, windowMs }
+ */
+const rateLimitPolicy = (name) => {
+  const policy = POLICIES[name];
+  return {
+    name,
+    limit: Math.floor(positiveNumber(policy.env, policy.limit)),
+    windowMs: policy.windowMinutes * MINUTE_MS
+  };
+};
+
+/**
+ * Login lockout policy
+ * An account is locked after maxFailures failed logins within failureWindowMs.
+ * Lockouts are remembered for memoryMs after the first one; each lockout in
+ * that period lasts twice as long as the previous one, up to maxLockoutMs.
+ * @returns {Object} { maxFailures, failureWindowMs, lockoutMs, maxLockoutMs, memoryMs }
+ */
+const loginLockoutPolicy = () => ({
+  maxFailures: Math.floor(positiveNumber('LOGIN_MAX_FAILURES', 5)),
+  failureWindowMs: 15 * MINUTE_MS,
+  lockoutMs: positiveNumber('LOGIN_LOCKOUT_MINUTES', 5) * MINUTE_MS,
+  maxLockoutMs: positiveNumber('LOGIN_LOCKOUT_MAX_MINUTES', 24 * 60) * MINUTE_MS,
+  memoryMs: LOCKOUT_MEMORY_MS
+});
+
+module.exports = { rateLimitStore, rateLimitPolicy, loginLockoutPolicy };
@@ -0,0 +1,86 @@
+/**
+ * Workspace Roles Configuration
+ * Roles a workspace member can hold and the permissions each one grants
+ *
+ * @description Route-level checks (middleware/authorize.js) ask for a permission,
+ * never for a role, so changing what a role may do only means editing PERMISSIONS.
+ */
+
+/**
+ * Roles from most to least privileged
+ * @type {string[]}
+ */
+const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+/**
+ * Numeric rank of each role, used to decide who may manage whom
+ * @type {Object<string, number>}
+ */
+const ROLE_RANKS = {
+  owner: 4,
+  admin: 3,
+  member: 2,
+  viewer: 1
+};
+
+/**
+ * Roles that can be given through an invitation or a role change
+ * Every workspace has exactly one owner: its creator.
+ * @type {string[]}
+ */
+const ASSIGNABLE_ROLES = ['admin', 'member', 'viewer'];
+
+/**
+ * Permission -> roles that hold it
+ * - workspace:view: see the workspace, its members, tasks, projects and labels
+ * - workspace:update: rename the workspace
+ * - workspace:delete: delete the workspace and everything in it
+ * - members:manage: invite people, change roles and remove members
+ * - tasks:edit: create, update and delete tasks (including checklists and comments)
+ * - comments:moderate: delete other members' comments
+ * - projects:manage / labels:manage: create, edit and delete projects or labels
+ * @type {Object<string, string[]>}
+ */
+const PERMISSIONS = {
+  'workspace:view': ['owner', 'admin', 'member', 'viewer'],
+  'workspace:update': ['owner', 'admin'],
+  'workspace:delete': ['owner'],
+  'members:manage': ['owner', 'admin'],
+  'tasks:edit': ['owner', 'admin', 'member'],
+  'comments:moderate': ['owner', 'admin'],
+  'projects:manage': ['owner', 'admin', 'member'],
+  'labels:manage': ['owner', 'admin', 'member']
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Member role
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {boolean}
+ */
+const can = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+/**
+ * List the permissions a role grants (sent to clients to shape the UI)
+ * @param {string} role - Member role
+ * @returns {string[]}
+ */
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter((permission) => can(role, permission));
+
+/**
+ * Check whether one role ranks strictly above another
+ * @param {string} role - Role of the acting member
+ * @param {string} other - Role being compared against
+ * @returns {boolean}
+ */
+const outranks = (role, other) => (ROLE_RANKS[role] || 0) > (ROLE_RANKS[other] || 0);
+
+module.exports = {
+  ROLES,
+  ROLE_RANKS,
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  can,
+  permissionsFor,
+  outranks
+};
@@ -0,0 +1,47 @@
+/**
+ * Session Configuration
+ * Lifetimes of access tokens, of the refresh tokens that renew them and of
+ * emailed password reset and email verification links
+ *
+ * @description All values can be set through environment variables:
+ * - ACCESS_TOKEN_TTL_MINUTES: minutes an access token (JWT) is valid (default 15)
+ * - REFRESH_TOKEN_TTL_DAYS: days a session lasts without being used (default 30)
+ * - PASSWORD_RESET_TTL_MINUTES: minutes a password reset link works (default 60)
+ * - EMAIL_VERIFICATION_TTL_HOURS: hours an email verification link works (default 24)
+ */
+const { positiveNumber } = require('./env');
+
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 60;
+const DEFAULT_EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+/**
+ * Seconds an access token stays valid
+ * @returns {number}
+ */
+const accessTokenTtlSeconds = () => Math.round(positiveNumber('ACCESS_TOKEN_TTL_MINUTES', DEFAULT_ACCESS_TOKEN_TTL_MINUTES) * 60);
+
+/**
+ * Date at which a session refreshed at `from` expires
+ * Every refresh pushes the expiry back, so only idle sessions end.
+ * @param {Date} from - Time of the login or refresh
+ * @returns {Date}
+ */
+const sessionExpiry = (from = new Date()) => new Date(
+  from.getTime() + positiveNumber('REFRESH_TOKEN_TTL_DAYS', DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000
+);
+
+/**
+ * Minutes a password reset link works
+ * @returns {number}
+ */
+const passwordResetTtlMinutes = () => positiveNumber('PASSWORD_RESET_TTL_MINUTES', DEFAULT_PASSWORD_RESET_TTL_MINUTES);
+
+/**
+ * Hours an email verification link works
+ * @returns {number}
+ */
+const emailVerificationTtlHours = () => positiveNumber('EMAIL_VERIFICATION_TTL_HOURS', DEFAULT_EMAIL_VERIFICATION_TTL_HOURS);
+
+module.exports = { accessTokenTtlSeconds, sessionExpiry, passwordResetTtlMinutes, emailVerificationTtlHours };
@@ -0,0 +1,33 @@
+/**
+ * Trash Configuration
+ * How long deleted tasks stay restorable and how often expired ones are purged
+ *
+ * @description Both values can be set through environment variables:
+ * - TRASH_RETENTION_DAYS: days a task stays in the trash (default 30)
+ * - TRASH_PURGE_INTERVAL_MINUTES: minutes between purge runs (default 60)
+ */
+const { positiveNumber } = require('./env');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 60;
+
+/**
+ * Days a deleted task can be restored before it is purged
+ * @returns {number}
+ */
+const retentionDays = () => positiveNumber('TRASH_RETENTION_DAYS', DEFAULT_RETENTION_DAYS);
+
+/**
+ * Milliseconds between purge runs
+ * @returns {number}
+ */
+const purgeIntervalMs = () => positiveNumber('TRASH_PURGE_INTERVAL_MINUTES', DEFAULT_PURGE_INTERVAL_MINUTES) * 60 * 1000;
+
+/**
+ * Date at which a task deleted at `deletedAt` will be purged
+ * @param {Date} deletedAt - When the task was moved to the trash
+ * @returns {Date}
+ */
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * 24 * 60 * 60 * 1000);
+
+module.exports = { retentionDays, purgeIntervalMs, purgeDate };
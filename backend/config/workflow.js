@@ -0,0 +1,111 @@
+/**
+ * Task Workflow Configuration
+ * Single definition of task states and the transitions allowed between them
+ *
+ * @description This is the only place task states are declared. The Task model,
+ * the task controller and the frontend (through GET /api/tasks/workflow) all read
+ * from it, so adding a state only means editing this file.
+ */
+
+/**
+ * Workflow states in board order
+ * - done: entering the state marks the task as completed (sets completedAt)
+ * - closed: the task no longer needs attention (excluded from overdue checks)
+ * - color/icon: presentation hints for clients (Bootstrap color names)
+ * @type {Array<Object>}
+ */
+const STATES = [
+  { key: 'todo', label: 'To Do', color: 'secondary', icon: '📝', done: false, closed: false },
+  { key: 'in_progress', label: 'In Progress', color: 'primary', icon: '🚧', done: false, closed: false },
+  { key: 'blocked', label: 'Blocked', color: 'danger', icon: '⛔', done: false, closed: false },
+  { key: 'in_review', label: 'In Review', color: 'info', icon: '👀', done: false, closed: false },
+  { key: 'done', label: 'Done', color: 'success', icon: '✅', done: true, closed: true },
+  { key: 'archived', label: 'Archived', color: 'dark', icon: '🗄️', done: false, closed: true }
+];
+
+/**
+ * State a new task starts in
+ * @type {string}
+ */
+const INITIAL_STATE = 'todo';
+
+/**
+ * Allowed transitions: state key -> states it may move to
+ * @type {Object<string, string[]>}
+ */
+const TRANSITIONS = {
+  todo: ['in_progress', 'blocked', 'done', 'archived'],
+  in_progress: ['todo', 'blocked', 'in_review', 'done', 'archived'],
+  blocked: ['todo', 'in_progress', 'archived'],
+  in_review: ['in_progress', 'blocked', 'done', 'archived'],
+  done: ['todo', 'in_progress', 'archived'],
+  archived: ['todo']
+};
+
+/**
+ * Statuses used before the workflow existed, mapped to their replacement
+ * @type {Object<string, string>}
+ */
+const LEGACY_STATES = {
+  pending: 'todo',
+  completed: 'done'
+};
+
+const STATE_KEYS = STATES.map((state) => state.key);
+const DONE_STATES = STATES.filter((state) => state.done).map((state) => state.key);
+const CLOSED_STATES = STATES.filter((state) => state.closed).map((state) => state.key);
+
+/**
+ * Check whether a value is a known workflow state
+ * @param {string} key - State key
+ * @returns {boolean}
+ */
+const isValidState = (key) => STATE_KEYS.includes(key);
+
+/**
+ * Check whether a state counts as completed
+ * @param {string} key - State key
+ * @returns {boolean}
+ */
+const isDoneState = (key) => DONE_STATES.includes(key);
+
+/**
+ * Check whether a task may move from one state to another
+ * Staying in the same state is always allowed.
+ * @param {string} from - Current state key
+ * @param {string} to - Requested state key
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => from === to || (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Map a legacy status name to its workflow state, leaving other values untouched
+ * @param {string} key - Status from a client or a stored document
+ * @returns {string}
+ */
+const normalizeState = (key) => LEGACY_STATES[key] || key;
+
+/**
+ * Workflow definition as served to clients
+ * @returns {Object} { states, initial, transitions }
+ */
+const getWorkflow = () => ({
+  states: STATES,
+  initial: INITIAL_STATE,
+  transitions: TRANSITIONS
+});
+
+module.exports = {
+  STATES,
+  STATE_KEYS,
+  INITIAL_STATE,
+  TRANSITIONS,
+  LEGACY_STATES,
+  DONE_STATES,
+  CLOSED_STATES,
+  isValidState,
+  isDoneState,
+  canTransition,
+  normalizeState,
+  getWorkflow
+};
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Workspace = require('../models/Workspace');
+const { parseLimit, decodeCursor, paginate } = require('../utils/pagination');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Newest entries first; the cursor is tied to createdAt
+const SORT_FIELD = 'createdAt';
+
+// Send one page of activity matching a filter, with actor names
+const sendPage = async (req, res, filter) => {
+  const limit = parseLimit(req.query.limit);
+  if (!limit) {
+    throw new ValidationError('Limit must be a positive integer');
+  }
+
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor, SORT_FIELD) : null;
+  if (req.query.cursor && !cursor) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  const page = await paginate(Activity, filter, { field: SORT_FIELD, direction: -1, limit, cursor });
+  await Activity.populate(page.items, { path: 'actorId', select: 'name' });
+
+  res.json({ activity: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
+};
+
+// GET /api/tasks/:id/history
+const getTaskHistory = asyncHandler(async (req, res) => {
+  await sendPage(req, res, { taskId: req.task._id });
+});
+
+// GET /api/activity?workspaceId=
+// Activity across every workspace the user belongs to, or one of them
+const getActivity = asyncHandler(async (req, res) => {
+  const { workspaceId } = req.query;
+  const workspaces = await Workspace.find({ 'members.userId': req.user.userId }).select('_id');
+  let workspaceIds = workspaces.map((workspace) => workspace._id);
+
+  if (workspaceId) {
+    if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+      throw new ValidationError('Invalid workspace id');
+    }
+    workspaceIds = workspaceIds.filter((id) => id.equals(workspaceId));
+    if (workspaceIds.length === 0) {
+      throw new NotFoundError('Workspace not found');
+    }
+  }
+
+  await sendPage(req, res, { workspaceId: { $in: workspaceIds } });
+});
+
+module.exports = { getTaskHistory, getActivity };
@@ -0,0 +1,44 @@
+const { snapshotTask, recordActivity } = require('../utils/activity');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// POST /api/tasks/:id/assignees { userId }
+const assignTask = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+  const { task } = req;
+  const before = snapshotTask(task);
+
+  if (!req.workspace.memberFor(userId)) {
+    throw new ValidationError('Only members of the workspace can be assigned');
+  }
+
+  if (task.assigneeFor(userId)) {
+    throw new ConflictError('User is already assigned to this task');
+  }
+
+  task.assignees.push({ userId, assignedBy: req.user.userId, assignedAt: new Date() });
+  await task.save();
+  await recordActivity(task, req.user.userId, 'updated', before);
+
+  res.status(201).json({ message: 'User assigned', task });
+});
+
+// DELETE /api/tasks/:id/assignees/:userId
+const unassignTask = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { task } = req;
+  const before = snapshotTask(task);
+
+  const assignee = task.assigneeFor(userId);
+  if (!assignee) {
+    throw new NotFoundError('User is not assigned to this task');
+  }
+
+  task.assignees = task.assignees.filter((entry) => entry !== assignee);
+  await task.save();
+  await recordActivity(task, req.user.userId, 'updated', before);
+
+  res.json({ message: 'User unassigned', task });
+});
+
+module.exports = { assignTask, unassignTask };
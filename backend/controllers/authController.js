@@ -1,117 +1,454 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const { startSession, rotateSession, endSession, endUserSessions } = require('../utils/sessions');
+const { consumeResetToken, sendResetLink } = require('../utils/passwordReset');
+const { loginLockedFor, recordLoginFailure, clearLoginFailures } = require('../utils/loginAttempts');
+const { tooManyRequests } = require('../utils/rateLimiter');
+const { generateSecret, verifyCode } = require('../utils/totp');
+const {
+  enrollmentUri,
+  createChallenge,
+  readChallenge,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  normalizeEmail,
+  sendVerification,
+  consumeVerification,
+  cancelVerifications
+} = require('../utils/emailVerification');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, UnauthorizedError, NotFoundError, ConflictError, conflictOnDuplicate } = require('../utils/errors');
 
-const signup = async (req, res) => {
-  try {
-    const { email, password, name } = req.body;
+// User fields returned to the client
+const userResponse = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  emailVerified: user.emailVerified,
+  pendingEmail: user.pendingEmail,
+  twoFactorEnabled: user.twoFactorEnabled
+});
 
-    if (!email || !password || !name) {
-      return res.status(400).json({ message: 'All fields required' });
-    }
+// Confirm a sensitive change with the user's password
+const passwordMatches = (user, password) => bcrypt.compare(password, user.password);
 
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password too short' });
-    }
+const signup = asyncHandler(async (req, res) => {
+  const { password, name } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ConflictError('User already exists');
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  
+  const user = new User({
+    email,
+    password: hashedPassword,
+    name
+  });
+
+  await user.save().catch(conflictOnDuplicate('User already exists'));
+  await Workspace.personalFor(user._id, `${user.name}'s workspace`);
+  await sendVerification(user, user.email);
+
+  const tokens = await startSession(user, req);
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+  res.status(201).json({
+    message: 'User created successfully',
+    ...tokens,
+    user: userResponse(user)
+  });
+});
+
+// Sign in. Repeated failures lock the email for a growing time (utils/loginAttempts.js).
+// With two-factor authentication on, the password only earns a challenge token
+// to send to verifyLoginCode with a code.
+const login = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const email = normalizeEmail(req.body.email);
+  const lockedFor = await loginLockedFor(email);
+  if (lockedFor) {
+    return tooManyRequests(res, lockedFor, 'Too many failed login attempts');
+  }
+
+  const user = await User.findOne({ email });
+  const isMatch = user && await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    const lockout = await recordLoginFailure(email);
+    if (lockout) {
+      return tooManyRequests(res, lockout, 'Too many failed login attempts');
     }
+    throw new ValidationError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+  }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    
-    const user = new User({
-      email,
-      password: hashedPassword,
-      name
+  // Failures are only cleared once the second factor is checked too, so
+  // logging in again cannot reset the count of wrong codes
+  if (user.twoFactorEnabled) {
+    return res.json({
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      ...createChallenge(user)
     });
+  }
 
-    await user.save();
+  await clearLoginFailures(email);
+  const tokens = await startSession(user, req);
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+  res.json({
+    message: 'Login successful',
+    ...tokens,
+    user: userResponse(user)
+  });
+});
 
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: { id: user._id, email: user.email, name: user.name }
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+// Second login step: exchange a challenge token and a code for a session
+const verifyLoginCode = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const userId = readChallenge(challengeToken);
+  const user = userId && await User.findById(userId).select('+twoFactorSecret +recoveryCodes');
+  if (!user || !user.twoFactorEnabled) {
+    throw new UnauthorizedError('Login expired. Please sign in again');
   }
-};
 
-const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
+  const lockedFor = await loginLockedFor(user.email);
+  if (lockedFor) {
+    return tooManyRequests(res, lockedFor, 'Too many failed login attempts');
+  }
 
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password required' });
+  const method = await verifySecondFactor(user, code);
+  if (!method) {
+    const lockout = await recordLoginFailure(user.email);
+    if (lockout) {
+      return tooManyRequests(res, lockout, 'Too many failed login attempts');
     }
+    throw new ValidationError('Invalid code', { code: 'INVALID_CODE' });
+  }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+  await clearLoginFailures(user.email);
+  const tokens = await startSession(user, req);
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+  res.json({
+    message: 'Login successful',
+    ...tokens,
+    user: userResponse(user),
+    ...(method === 'recovery' && { recoveryCodesLeft: user.recoveryCodes.length - 1 })
+  });
+});
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+const getProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: { id: user._id, email: user.email, name: user.name }
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  res.json({ user: userResponse(user) });
+});
+
+// Update name and email. A new email only replaces the current one once it is
+// confirmed (see verifyEmail); sending the current email cancels a pending change.
+const updateProfile = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-};
 
-const getProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId).select('-password');
-    res.json({ user });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const changing = email !== user.email && email !== user.pendingEmail;
+  if (changing && await User.exists({ email, _id: { $ne: user._id } })) {
+    throw new ConflictError('An account with this email already exists');
   }
-};
 
-const updateProfile = async (req, res) => {
-  try {
-    const { name, email } = req.body;
-    
-    if (!name || !email) {
-      return res.status(400).json({ message: 'Name and email required' });
-    }
+  if (email === user.email && user.pendingEmail) {
+    user.pendingEmail = null;
+    await cancelVerifications(user._id);
+  } else if (email !== user.email) {
+    user.pendingEmail = email;
+  }
+
+  user.name = name;
+  await user.save();
+  if (changing) await sendVerification(user, email);
+
+  res.json({ 
+    message: user.pendingEmail
+      ? `Profile updated. Confirm ${user.pendingEmail} with the link we sent to it`
+      : 'Profile updated',
+    user: userResponse(user)
+  });
+});
+
+// Confirm an address with the token from a verification link: verifies the
+// signup email, or completes an email change. Works without being signed in.
+const verifyEmail = asyncHandler(async (req, res) => {
+  const verification = await consumeVerification(req.body.token);
+  const user = verification && await User.findById(verification.userId);
+  if (!user || ![user.email, user.pendingEmail].includes(verification.email)) {
+    throw new ValidationError('This verification link is invalid or has expired');
+  }
 
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+  if (verification.email !== user.email) {
+    if (await User.exists({ email: verification.email, _id: { $ne: user._id } })) {
+      throw new ConflictError('An account with this email already exists');
     }
 
-    user.name = name;
-    user.email = email;
-    await user.save();
+    user.email = verification.email;
+    user.pendingEmail = null;
+    // Reset links already sent went to the old address
+    await PasswordReset.deleteMany({ userId: user._id });
+  }
 
-    res.json({ 
-      message: 'Profile updated',
-      user: { id: user._id, email: user.email, name: user.name }
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  user.emailVerified = true;
+  await user.save().catch(conflictOnDuplicate('An account with this email already exists'));
+
+  res.json({ message: 'Email verified', user: userResponse(user) });
+});
+
+// Send a new verification link for the pending email, or for an unverified email
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const email = user.pendingEmail || (!user.emailVerified && user.email);
+  if (!email) {
+    throw new ValidationError('Your email is already verified');
   }
+
+  await sendVerification(user, email);
+
+  res.json({ message: `Verification link sent to ${email}` });
+});
+
+// Change the password of the signed-in user; other devices are signed out
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const isMatch = await bcrypt.compare(currentPassword, user.password);
+  if (!isMatch) {
+    throw new ValidationError('Current password is incorrect');
+  }
+
+  user.password = await bcrypt.hash(newPassword, 10);
+  await user.save();
+
+  const signedOut = await endUserSessions(user._id, { except: req.user.sessionId, reason: 'password' });
+
+  res.json({ message: 'Password changed', signedOut });
+});
+
+// Email a password reset link. The response is the same, and sent as fast,
+// whether or not the account exists: the lookup and the email only start once
+// it is out, so the endpoint cannot be used to find registered emails.
+const forgotPassword = (req, res) => {
+  res.json({ message: 'If an account exists for this email, a reset link is on its way' });
+
+  sendResetLink(normalizeEmail(req.body.email)).catch((error) => {
+    req.log.error('Password reset email failed', { error });
+  });
 };
 
-module.exports = { signup, login, getProfile, updateProfile };
+// Choose a new password with the token from a reset link; every device is signed out
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const userId = await consumeResetToken(token);
+  const user = userId && await User.findById(userId);
+  if (!user) {
+    throw new ValidationError('This reset link is invalid or has expired');
+  }
+
+  user.password = await bcrypt.hash(password, 10);
+  await user.save();
+  await endUserSessions(user._id, { reason: 'password' });
+
+  res.json({ message: 'Password reset. Please sign in with your new password' });
+});
+
+// Two-factor status of the current user
+const getTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId).select('+recoveryCodes');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  res.json({ enabled: user.twoFactorEnabled, recoveryCodesLeft: user.recoveryCodes.length });
+});
+
+// Start enrolling an authenticator app: a new secret, confirmed by enableTwoFactor
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already on');
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  res.json({ secret, otpauthUri: enrollmentUri(user, secret) });
+});
+
+// Finish enrolling with a first code from the app; returns the recovery codes, shown once
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId).select('+twoFactorPendingSecret');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already on');
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ValidationError('Start the two-factor setup first');
+  }
+
+  const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+  if (step === null) {
+    throw new ValidationError('Invalid code. Check that the time on your device is correct');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorLastStep = step;
+  user.recoveryCodes = hashes;
+  await user.save();
+
+  res.json({ message: 'Two-factor authentication is on', recoveryCodes: codes });
+});
+
+// Turn two-factor authentication off (password required)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!await passwordMatches(user, req.body.password)) {
+    throw new ValidationError('Password is incorrect');
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = null;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorLastStep = 0;
+  user.recoveryCodes = [];
+  await user.save();
+
+  res.json({ message: 'Two-factor authentication is off' });
+});
+
+// Replace the recovery codes (password required); the old ones stop working
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is off');
+  }
+
+  if (!await passwordMatches(user, req.body.password)) {
+    throw new ValidationError('Password is incorrect');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.recoveryCodes = hashes;
+  await user.save();
+
+  res.json({ message: 'New recovery codes generated', recoveryCodes: codes });
+});
+
+// Exchange a refresh token for a new access token and refresh token
+const refresh = asyncHandler(async (req, res) => {
+  const { tokens, error } = await rotateSession(req.body.refreshToken);
+  if (error) {
+    throw new UnauthorizedError(error);
+  }
+
+  res.json({ message: 'Token refreshed', ...tokens });
+});
+
+// Sign out: ends the session of the given refresh token
+const logout = asyncHandler(async (req, res) => {
+  await endSession(req.body.refreshToken);
+  res.json({ message: 'Logged out' });
+});
+
+// Active sessions (signed-in devices) of the current user, most recently used first
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    userId: req.user.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    sessions: sessions.map((session) => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.equals(req.user.sessionId)
+    }))
+  });
+});
+
+// Sign a device out; its tokens stop working immediately
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user.userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'revoked' }
+  );
+  if (!session) {
+    throw new NotFoundError('Session not found');
+  }
+
+  res.json({ message: 'Session revoked' });
+});
+
+module.exports = {
+  signup,
+  login,
+  verifyLoginCode,
+  getProfile,
+  updateProfile,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskPosition = require('../models/TaskPosition');
+const { buildTaskFilter } = require('../utils/taskFilters');
+const { STATE_KEYS, isValidState, normalizeState } = require('../config/workflow');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const DEFAULT_COLUMN_LIMIT = 50;
+const MAX_COLUMN_LIMIT = 200;
+const MAX_REORDER_IDS = 500;
+
+// Aggregation for one board column. Cards the user has not arranged yet come
+// first (newest first), followed by the cards in their saved order.
+const columnPipeline = (filter, status, userId, limit) => [
+  { $match: { ...filter, status } },
+  {
+    $lookup: {
+      from: TaskPosition.collection.name,
+      let: { taskId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $and: [{ $eq: ['$taskId', '$$taskId'] }, { $eq: ['$userId', userId] }] } } },
+        { $project: { position: 1 } }
+      ],
+      as: 'boardPosition'
+    }
+  },
+  { $addFields: { boardPosition: { $ifNull: [{ $arrayElemAt: ['$boardPosition.position', 0] }, null] } } },
+  { $addFields: { hasPosition: { $cond: [{ $eq: ['$boardPosition', null] }, 0, 1] } } },
+  { $sort: { hasPosition: 1, boardPosition: 1, createdAt: -1, _id: -1 } },
+  { $limit: limit },
+  { $project: { hasPosition: 0, search: 0 } }
+];
+
+const getBoard = asyncHandler(async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_COLUMN_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError('Limit must be a positive integer');
+  }
+
+  const { filter, error } = await buildTaskFilter(req.query, req.workspace._id, req.user.userId);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  // A status filter narrows the board to those columns
+  const statuses = filter.status ? STATE_KEYS.filter((key) => filter.status.$in.includes(key)) : STATE_KEYS;
+  const userId = new mongoose.Types.ObjectId(req.user.userId);
+
+  const columns = await Promise.all(statuses.map(async (status) => {
+    const [tasks, total] = await Promise.all([
+      Task.aggregate(columnPipeline(filter, status, userId, Math.min(limit, MAX_COLUMN_LIMIT))),
+      Task.countDocuments({ ...filter, status })
+    ]);
+    return { status, tasks, total };
+  }));
+
+  res.json({ columns });
+});
+
+const reorderBoard = asyncHandler(async (req, res) => {
+  const { taskIds } = req.body;
+  const status = normalizeState(req.body.status);
+
+  if (!isValidState(status)) {
+    throw new ValidationError(`Invalid status. Use one of: ${STATE_KEYS.join(', ')}`);
+  }
+
+  if (!Array.isArray(taskIds) || taskIds.length === 0 || taskIds.length > MAX_REORDER_IDS) {
+    throw new ValidationError(`taskIds must be a list of 1 to ${MAX_REORDER_IDS} task ids`);
+  }
+
+  if (!taskIds.every((id) => mongoose.Types.ObjectId.isValid(id)) || new Set(taskIds).size !== taskIds.length) {
+    throw new ValidationError('taskIds must be unique task ids');
+  }
+
+  const tasks = await Task.find({ _id: { $in: taskIds }, workspaceId: req.workspace._id }).select('status');
+  if (tasks.length !== taskIds.length) {
+    throw new NotFoundError('Task not found');
+  }
+
+  if (tasks.some((task) => task.status !== status)) {
+    throw new ConflictError(`All tasks must be in the ${status} column`);
+  }
+
+  await TaskPosition.bulkWrite(taskIds.map((taskId, position) => ({
+    updateOne: {
+      filter: { userId: req.user.userId, taskId },
+      update: { $set: { position } },
+      upsert: true
+    }
+  })));
+
+  res.json({ message: 'Board order saved' });
+});
+
+module.exports = { getBoard, reorderBoard };
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { resolveLabels, resolveProject } = require('./taskController');
+const { PRIORITIES } = require('../config/priorities');
+const { DONE_STATES, CLOSED_STATES, INITIAL_STATE, canTransition } = require('../config/workflow');
+const { snapshotTask, buildActivity, recordActivities } = require('../utils/activity');
+const { withTransaction } = require('../utils/transaction');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+const MAX_BULK_IDS = 100;
+const COMPLETE_STATE = DONE_STATES[0];
+
+/**
+ * Bulk actions: each checks its parameters once and then applies to one task
+ * - validate(body, workspaceId): resolves to { params } or { error }
+ * - apply(task, params, userId): changes the task in memory and returns
+ *   'updated' or 'unchanged', or { error } when the task cannot take the action
+ */
+const BULK_ACTIONS = {
+  complete: {
+    validate: async () => ({ params: {} }),
+    apply: (task) => {
+      if (task.status === COMPLETE_STATE) return 'unchanged';
+      if (!canTransition(task.status, COMPLETE_STATE)) {
+        return { error: `Cannot move task from ${task.status} to ${COMPLETE_STATE}` };
+      }
+      task.status = COMPLETE_STATE;
+      return 'updated';
+    }
+  },
+  reopen: {
+    validate: async () => ({ params: {} }),
+    apply: (task) => {
+      if (!CLOSED_STATES.includes(task.status)) return 'unchanged';
+      if (!canTransition(task.status, INITIAL_STATE)) {
+        return { error: `Cannot move task from ${task.status} to ${INITIAL_STATE}` };
+      }
+      task.status = INITIAL_STATE;
+      return 'updated';
+    }
+  },
+  delete: {
+    validate: async () => ({ params: {} }),
+    apply: (task, params, userId) => {
+      task.deletedAt = new Date();
+      task.deletedBy = userId;
+      return 'updated';
+    }
+  },
+  setPriority: {
+    validate: async ({ priority }) => (PRIORITIES.includes(priority)
+      ? { params: { priority } }
+      : { error: `Invalid priority. Use one of: ${PRIORITIES.join(', ')}` }),
+    apply: (task, { priority }) => {
+      if (task.priority === priority) return 'unchanged';
+      task.priority = priority;
+      return 'updated';
+    }
+  },
+  addLabel: {
+    validate: async ({ labelId }, workspaceId) => {
+      if (!mongoose.Types.ObjectId.isValid(labelId)) return { error: 'Invalid label id' };
+      const { labels, error } = await resolveLabels([labelId], workspaceId);
+      return error ? { error } : { params: { labelId: labels[0] } };
+    },
+    apply: (task, { labelId }) => {
+      if (task.labels.some((id) => id.equals(labelId))) return 'unchanged';
+      task.labels.push(labelId);
+      return 'updated';
+    }
+  },
+  moveToProject: {
+    validate: async ({ projectId }, workspaceId) => {
+      const { error, ...params } = await resolveProject(projectId, workspaceId);
+      return error ? { error } : { params };
+    },
+    apply: (task, { projectId }) => {
+      if (String(task.projectId) === String(projectId)) return 'unchanged';
+      task.projectId = projectId;
+      return 'updated';
+    }
+  }
+};
+
+// POST /api/tasks/bulk { ids, action, priority | labelId | projectId }
+// All or nothing: every task is checked first, and nothing is written unless all of them can take the action
+const bulkUpdateTasks = asyncHandler(async (req, res) => {
+  const { ids, action } = req.body;
+
+  if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+    throw new ValidationError(`Invalid action. Use one of: ${Object.keys(BULK_ACTIONS).join(', ')}`);
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS
+    || !ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw new ValidationError(`ids must be a list of 1 to ${MAX_BULK_IDS} task ids`);
+  }
+
+  if (new Set(ids.map(String)).size !== ids.length) {
+    throw new ValidationError('ids must be unique task ids');
+  }
+
+  const handler = BULK_ACTIONS[action];
+  const { params, error } = await handler.validate(req.body, req.workspace._id);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const tasks = await Task.find({ _id: { $in: ids }, workspaceId: req.workspace._id });
+  const taskById = new Map(tasks.map((task) => [task._id.toString(), task]));
+
+  const changed = [];
+  const results = ids.map((id) => {
+    const task = taskById.get(String(id));
+    if (!task) {
+      return { id, status: 'failed', message: 'Task not found' };
+    }
+
+    const before = snapshotTask(task);
+    const outcome = handler.apply(task, params, req.user.userId);
+    if (outcome.error) {
+      return { id, status: 'failed', message: outcome.error };
+    }
+
+    if (outcome === 'updated') changed.push({ task, before });
+    return { id, status: outcome };
+  });
+
+  const failed = results.filter((result) => result.status === 'failed').length;
+  if (failed > 0) {
+    throw new ConflictError(`No tasks were changed: ${failed} of ${ids.length} cannot take this action`, {
+      details: { results }
+    });
+  }
+
+  // Completed occurrences of repeating tasks schedule their next one, as in updateTask
+  const nextTasks = [];
+  if (action === 'complete') {
+    changed.forEach(({ task }) => {
+      const nextTask = task.buildNextOccurrence();
+      if (nextTask) {
+        task.nextOccurrenceId = nextTask._id;
+        nextTasks.push(nextTask);
+      }
+    });
+  }
+
+  // bulkSave validates every task and runs the save hooks (priorityRank,
+  // completedAt) before sending a single bulkWrite. It is not atomic by
+  // itself, so the tasks and their history are written in one transaction.
+  if (changed.length > 0) {
+    await withTransaction(async (session) => {
+      await Task.bulkSave([...changed.map(({ task }) => task), ...nextTasks], { session });
+      await recordActivities([
+        ...changed.map(({ task, before }) => (action === 'delete'
+          ? buildActivity(task, req.user.userId, 'deleted')
+          : buildActivity(task, req.user.userId, 'updated', before))),
+        ...nextTasks.map((task) => buildActivity(task, req.user.userId, 'created'))
+      ], { session });
+    });
+  }
+
+  res.json({
+    message: `${changed.length} task(s) updated`,
+    action,
+    results,
+    tasks: changed.map(({ task }) => task),
+    ...(nextTasks.length > 0 && { nextTasks })
+  });
+});
+
+module.exports = { bulkUpdateTasks };
@@ -0,0 +1,79 @@
+const { MAX_CHECKLIST_ITEMS } = require('../utils/checklist');
+const { snapshotTask, recordActivity } = require('../utils/activity');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const addChecklistItem = asyncHandler(async (req, res) => {
+  const { text } = req.body;
+  const { task } = req;
+  const before = snapshotTask(task);
+
+  if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+    throw new ValidationError(`A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items`);
+  }
+
+  task.checklist.push({ text: text.trim(), done: false, order: task.checklist.length });
+  await task.save();
+  await recordActivity(task, req.user.userId, 'updated', before);
+
+  res.status(201).json({ message: 'Checklist item added', task });
+});
+
+const updateChecklistItem = asyncHandler(async (req, res) => {
+  const { text, done } = req.body;
+  const { task } = req;
+  const before = snapshotTask(task);
+
+  const item = task.checklist.id(req.params.itemId);
+  if (!item) {
+    throw new NotFoundError('Checklist item not found');
+  }
+
+  if (text !== undefined) item.text = text.trim();
+  if (done !== undefined) item.done = done;
+
+  await task.save();
+  await recordActivity(task, req.user.userId, 'updated', before);
+  res.json({ message: 'Checklist item updated', task });
+});
+
+const reorderChecklist = asyncHandler(async (req, res) => {
+  const { itemIds } = req.body;
+  const { task } = req;
+  const before = snapshotTask(task);
+
+  // The new order must name every existing item exactly once
+  const currentIds = task.checklist.map((item) => item._id.toString());
+  const sameItems = itemIds.length === currentIds.length
+    && new Set(itemIds).size === itemIds.length
+    && itemIds.every((id) => currentIds.includes(id));
+  if (!sameItems) {
+    throw new ValidationError('itemIds must list every checklist item exactly once');
+  }
+
+  task.checklist = itemIds.map((id) => task.checklist.id(id).toObject());
+  task.reindexChecklist();
+  await task.save();
+  await recordActivity(task, req.user.userId, 'updated', before);
+
+  res.json({ message: 'Checklist reordered', task });
+});
+
+const removeChecklistItem = asyncHandler(async (req, res) => {
+  const { task } = req;
+  const before = snapshotTask(task);
+
+  const item = task.checklist.id(req.params.itemId);
+  if (!item) {
+    throw new NotFoundError('Checklist item not found');
+  }
+
+  item.deleteOne();
+  task.reindexChecklist();
+  await task.save();
+  await recordActivity(task, req.user.userId, 'updated', before);
+
+  res.json({ message: 'Checklist item removed', task });
+});
+
+module.exports = { addChecklistItem, updateChecklistItem, reorderChecklist, removeChecklistItem };
@@ -0,0 +1,39 @@
+const { redact } = require('../utils/logger');
+
+// Levels the frontend reports; info and debug stay in the browser console
+const CLIENT_LOG_LEVELS = ['warn', 'error'];
+const MAX_CLIENT_LOG_ENTRIES = 50;
+const MAX_CLIENT_DATA_LENGTH = 2000; // Characters of JSON per entry
+
+// An entry's extra data, bounded before it reaches the log: redact() drops
+// secrets and cuts deep nesting, and data still too long is logged as the
+// start of its JSON
+const boundData = (data) => {
+  const copy = redact(data);
+  const json = JSON.stringify(copy);
+  return json.length > MAX_CLIENT_DATA_LENGTH ? { truncated: json.slice(0, MAX_CLIENT_DATA_LENGTH) } : copy;
+};
+
+// POST /api/client-logs { entries: [{ level, message, time, requestId, url, error, data }] }
+// Writes each entry to the server log with source "client". An entry's
+// requestId is the id of the API request it is about, so it replaces the id
+// of this report: searching the logs for it shows both sides of the failure.
+const receiveClientLogs = (req, res) => {
+  const { entries } = req.body;
+  const userAgent = req.get('User-Agent');
+
+  entries.forEach(({ level, message, time, data, ...fields }) => {
+    req.log[level](message, {
+      source: 'client',
+      reportId: req.id,
+      clientTime: time,
+      userAgent,
+      ...fields,
+      ...(data !== undefined && { data: boundData(data) })
+    });
+  });
+
+  res.status(202).json({ message: 'Logs received', received: entries.length });
+};
+
+module.exports = { receiveClientLogs, CLIENT_LOG_LEVELS, MAX_CLIENT_LOG_ENTRIES, MAX_CLIENT_DATA_LENGTH };
@@ -0,0 +1,77 @@
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const { can } = require('../config/roles');
+const asyncHandler = require('../utils/asyncHandler');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Find a comment of the task loaded by authorizeTask
+const findTaskComment = (req) => Comment.findOne({ _id: req.params.commentId, taskId: req.task._id });
+
+// GET /api/tasks/:id/comments
+const getComments = asyncHandler(async (req, res) => {
+  const comments = await Comment.find({ taskId: req.task._id })
+    .sort({ createdAt: 1 })
+    .populate('authorId', 'name');
+
+  res.json({ comments });
+});
+
+// POST /api/tasks/:id/comments { body }
+const createComment = asyncHandler(async (req, res) => {
+  const { body } = req.body;
+
+  const comment = new Comment({
+    taskId: req.task._id,
+    authorId: req.user.userId,
+    body: body.trim()
+  });
+
+  await comment.save();
+  await Task.updateOne({ _id: req.task._id }, { $inc: { commentCount: 1 } });
+  await comment.populate('authorId', 'name');
+
+  res.status(201).json({ message: 'Comment added', comment });
+});
+
+// PUT /api/tasks/:id/comments/:commentId { body }
+const updateComment = asyncHandler(async (req, res) => {
+  const { body } = req.body;
+
+  const comment = await findTaskComment(req);
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  if (!comment.authorId.equals(req.user.userId)) {
+    throw new ForbiddenError('You can only edit your own comments');
+  }
+
+  if (comment.body !== body.trim()) {
+    comment.body = body.trim();
+    comment.edited = true;
+    await comment.save();
+  }
+  await comment.populate('authorId', 'name');
+
+  res.json({ message: 'Comment updated', comment });
+});
+
+// DELETE /api/tasks/:id/comments/:commentId
+const deleteComment = asyncHandler(async (req, res) => {
+  const comment = await findTaskComment(req);
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  // Authors remove their own comments; moderators may remove anyone's
+  if (!comment.authorId.equals(req.user.userId) && !can(req.membership.role, 'comments:moderate')) {
+    throw new ForbiddenError('You can only delete your own comments');
+  }
+
+  await comment.deleteOne();
+  await Task.updateOne({ _id: req.task._id }, { $inc: { commentCount: -1 } });
+
+  res.json({ message: 'Comment deleted' });
+});
+
+module.exports = { getComments, createComment, updateComment, deleteComment };
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const SavedFilter = require('../models/SavedFilter');
+const { parseFilter } = require('../utils/filterQuery');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError, ConflictError, conflictOnDuplicate } = require('../utils/errors');
+
+const MAX_NAME_LENGTH = 50;
+const MAX_FILTERS = 50; // Per member and workspace
+
+// Case-insensitive comparison matching the unique index on SavedFilter
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Validate saved filter fields; `partial` allows omitted fields (updates).
+// Returns { values } with the clean filter, or { error }
+const validateSavedFilter = ({ name, filter, pinned }, partial = false) => {
+  const values = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Filter name is required' };
+    if (name.trim().length > MAX_NAME_LENGTH) return { error: `Filter name must be at most ${MAX_NAME_LENGTH} characters` };
+    values.name = name.trim();
+  }
+  if (filter !== undefined || !partial) {
+    const parsed = parseFilter(filter);
+    if (parsed.error) return { error: parsed.error };
+    values.filter = parsed.filter;
+  }
+  if (pinned !== undefined) {
+    if (typeof pinned !== 'boolean') return { error: 'Pinned must be true or false' };
+    values.pinned = pinned;
+  }
+
+  return { values };
+};
+
+// Check whether the member already has another filter with the name
+const nameTaken = async ({ workspaceId, userId }, name, excludeId = null) => {
+  const existing = await SavedFilter.findOne({
+    workspaceId,
+    userId,
+    name,
+    ...(excludeId && { _id: { $ne: excludeId } })
+  }).collation(NAME_COLLATION);
+  return !!existing;
+};
+
+// Owner scope of the current member's filters
+const ownerScope = (req) => ({ workspaceId: req.workspace._id, userId: req.user.userId });
+
+const getFilters = asyncHandler(async (req, res) => {
+  const filters = await SavedFilter.find(ownerScope(req))
+    .collation(NAME_COLLATION)
+    .sort({ name: 1 });
+
+  res.json({ filters });
+});
+
+const createFilter = asyncHandler(async (req, res) => {
+  const { values, error } = validateSavedFilter(req.body);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const scope = ownerScope(req);
+  if (await SavedFilter.countDocuments(scope) >= MAX_FILTERS) {
+    throw new ValidationError(`You can save at most ${MAX_FILTERS} filters per workspace`);
+  }
+  if (await nameTaken(scope, values.name)) {
+    throw new ConflictError('A filter with this name already exists');
+  }
+
+  const savedFilter = new SavedFilter({ ...values, ...scope });
+  await savedFilter.save().catch(conflictOnDuplicate('A filter with this name already exists'));
+
+  res.status(201).json({ message: 'Filter saved', filter: savedFilter });
+});
+
+const updateFilter = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { values, error } = validateSavedFilter(req.body, true);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const scope = ownerScope(req);
+  const savedFilter = mongoose.Types.ObjectId.isValid(id) ? await SavedFilter.findOne({ _id: id, ...scope }) : null;
+  if (!savedFilter) {
+    throw new NotFoundError('Filter not found');
+  }
+
+  if (values.name !== undefined && await nameTaken(scope, values.name, savedFilter._id)) {
+    throw new ConflictError('A filter with this name already exists');
+  }
+
+  savedFilter.set(values);
+  await savedFilter.save().catch(conflictOnDuplicate('A filter with this name already exists'));
+
+  res.json({ message: 'Filter updated', filter: savedFilter });
+});
+
+const deleteFilter = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const savedFilter = mongoose.Types.ObjectId.isValid(id)
+    ? await SavedFilter.findOneAndDelete({ _id: id, ...ownerScope(req) })
+    : null;
+  if (!savedFilter) {
+    throw new NotFoundError('Filter not found');
+  }
+
+  res.json({ message: 'Filter deleted' });
+});
+
+module.exports = { getFilters, createFilter, updateFilter, deleteFilter };
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const { ASSIGNABLE_ROLES, outranks } = require('../config/roles');
+const asyncHandler = require('../utils/asyncHandler');
+const { normalizeEmail } = require('../utils/emailVerification');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, conflictOnDuplicate } = require('../utils/errors');
+
+// Workspace side: GET /api/workspaces/:id/invitations
+const getWorkspaceInvitations = asyncHandler(async (req, res) => {
+  const invitations = await Invitation.find({ workspaceId: req.workspace._id, status: 'pending' })
+    .sort({ createdAt: -1 });
+  res.json({ invitations });
+});
+
+// Workspace side: POST /api/workspaces/:id/invitations
+// Invitations are stored as pending records; the invitee sees them after signing in
+const createInvitation = asyncHandler(async (req, res) => {
+  const { role = 'member' } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  if (!email) {
+    throw new ValidationError('A valid email is required');
+  }
+
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid role. Use one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+  }
+
+  if (outranks(role, req.membership.role)) {
+    throw new ForbiddenError('You cannot give a role higher than your own');
+  }
+
+  const user = await User.findOne({ email }).select('_id');
+  if (user && req.workspace.memberFor(user._id)) {
+    throw new ConflictError('This person is already a member');
+  }
+
+  if (await Invitation.exists({ workspaceId: req.workspace._id, email, status: 'pending' })) {
+    throw new ConflictError('An invitation is already pending for this email');
+  }
+
+  const invitation = new Invitation({
+    workspaceId: req.workspace._id,
+    email,
+    role,
+    invitedBy: req.user.userId
+  });
+
+  await invitation.save().catch(conflictOnDuplicate('An invitation is already pending for this email'));
+  res.status(201).json({ message: 'Invitation created', invitation });
+});
+
+// Workspace side: DELETE /api/workspaces/:id/invitations/:invitationId
+const revokeInvitation = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  const invitation = await Invitation.findOneAndUpdate(
+    { _id: req.params.invitationId, workspaceId: req.workspace._id, status: 'pending' },
+    { $set: { status: 'revoked', respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  res.json({ message: 'Invitation revoked' });
+});
+
+// Load a pending invitation addressed to the current user, or throw a NotFoundError
+const findOwnInvitation = async (req) => {
+  const user = await User.findById(req.user.userId).select('email');
+  const invitation = user && mongoose.Types.ObjectId.isValid(req.params.id) && await Invitation.findOne({
+    _id: req.params.id,
+    email: user.email,
+    status: 'pending'
+  });
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found');
+  }
+  return invitation;
+};
+
+// Invitee side: GET /api/invitations
+const getMyInvitations = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId).select('email');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const invitations = await Invitation.find({ email: user.email, status: 'pending' })
+    .populate('workspaceId', 'name')
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json({ invitations });
+});
+
+// Invitee side: POST /api/invitations/:id/accept
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findOwnInvitation(req);
+
+  const workspace = await Workspace.findById(invitation.workspaceId);
+  if (!workspace) {
+    throw new NotFoundError('Workspace not found');
+  }
+
+  if (!workspace.memberFor(req.user.userId)) {
+    workspace.members.push({ userId: req.user.userId, role: invitation.role });
+    await workspace.save();
+  }
+
+  invitation.status = 'accepted';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  res.json({ message: 'Invitation accepted', workspaceId: workspace._id });
+});
+
+// Invitee side: POST /api/invitations/:id/decline
+const declineInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findOwnInvitation(req);
+
+  invitation.status = 'declined';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  res.json({ message: 'Invitation declined' });
+});
+
+module.exports = {
+  getWorkspaceInvitations,
+  createInvitation,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+};
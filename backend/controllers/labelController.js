@@ -0,0 +1,106 @@
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError, ConflictError, conflictOnDuplicate } = require('../utils/errors');
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_NAME_LENGTH = 30;
+
+// Case-insensitive comparison matching the unique index on Label
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Validate label fields; `partial` allows omitted fields (updates)
+const validateLabel = ({ name, color }, partial = false) => {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return 'Label name is required';
+    if (name.trim().length > MAX_NAME_LENGTH) return `Label name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (color !== undefined || !partial) {
+    if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) return 'Label color must be a hex color like #0d6efd';
+  }
+  return null;
+};
+
+// Check whether another label in the workspace already uses the name
+const nameTaken = async (workspaceId, name, excludeId = null) => {
+  const existing = await Label.findOne({
+    workspaceId,
+    name: name.trim(),
+    ...(excludeId && { _id: { $ne: excludeId } })
+  }).collation(NAME_COLLATION);
+  return !!existing;
+};
+
+const getLabels = asyncHandler(async (req, res) => {
+  const labels = await Label.find({ workspaceId: req.workspace._id })
+    .collation(NAME_COLLATION)
+    .sort({ name: 1 });
+  res.json({ labels });
+});
+
+const createLabel = asyncHandler(async (req, res) => {
+  const { name, color } = req.body;
+
+  const error = validateLabel({ name, color });
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  if (await nameTaken(req.workspace._id, name)) {
+    throw new ConflictError('Label already exists');
+  }
+
+  const label = new Label({
+    name,
+    color,
+    workspaceId: req.workspace._id,
+    userId: req.user.userId
+  });
+
+  await label.save().catch(conflictOnDuplicate('Label already exists'));
+  res.status(201).json({ message: 'Label created', label });
+});
+
+const updateLabel = asyncHandler(async (req, res) => {
+  const { name, color } = req.body;
+  const { id } = req.params;
+
+  const error = validateLabel({ name, color }, true);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const label = await Label.findOne({ _id: id, workspaceId: req.workspace._id });
+  if (!label) {
+    throw new NotFoundError('Label not found');
+  }
+
+  if (name !== undefined && await nameTaken(req.workspace._id, name, label._id)) {
+    throw new ConflictError('Label already exists');
+  }
+
+  if (name !== undefined) label.name = name;
+  if (color !== undefined) label.color = color;
+
+  await label.save().catch(conflictOnDuplicate('Label already exists'));
+  res.json({ message: 'Label updated', label });
+});
+
+const deleteLabel = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const label = await Label.findOneAndDelete({ _id: id, workspaceId: req.workspace._id });
+  if (!label) {
+    throw new NotFoundError('Label not found');
+  }
+
+  // Detach the label from every task that used it
+  await Task.updateMany(
+    { workspaceId: req.workspace._id, labels: label._id },
+    { $pull: { labels: label._id } }
+  );
+
+  res.json({ message: 'Label deleted' });
+});
+
+module.exports = { getLabels, createLabel, updateLabel, deleteLabel };
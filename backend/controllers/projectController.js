@@ -0,0 +1,155 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { CLOSED_STATES } = require('../config/workflow');
+const { snapshotTask, buildActivity, recordActivities } = require('../utils/activity');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_NAME_LENGTH = 50;
+
+// Validate project fields; `partial` allows omitted fields (updates)
+const validateProject = ({ name, color, archived }, partial = false) => {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return 'Project name is required';
+    if (name.trim().length > MAX_NAME_LENGTH) return `Project name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (color !== undefined || !partial) {
+    if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) return 'Project color must be a hex color like #198754';
+  }
+  if (archived !== undefined && typeof archived !== 'boolean') {
+    return 'Archived must be true or false';
+  }
+  return null;
+};
+
+const getProjects = asyncHandler(async (req, res) => {
+  const filter = { workspaceId: req.workspace._id };
+  if (req.query.archived !== 'true') {
+    filter.archived = false;
+  }
+
+  const projects = await Project.find(filter).sort({ name: 1 });
+
+  // Open task counts for the sidebar
+  const counts = await Task.aggregate([
+    { $match: { workspaceId: req.workspace._id, projectId: { $in: projects.map((project) => project._id) }, status: { $nin: CLOSED_STATES } } },
+    { $group: { _id: '$projectId', count: { $sum: 1 } } }
+  ]);
+  const countById = new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+  res.json({
+    projects: projects.map((project) => ({
+      ...project.toObject(),
+      taskCount: countById.get(project._id.toString()) || 0
+    }))
+  });
+});
+
+const getProject = asyncHandler(async (req, res) => {
+  const project = await Project.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  res.json({ project });
+});
+
+const createProject = asyncHandler(async (req, res) => {
+  const { name, color } = req.body;
+
+  const error = validateProject({ name, color });
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const project = new Project({
+    name,
+    color,
+    workspaceId: req.workspace._id,
+    userId: req.user.userId
+  });
+
+  await project.save();
+  res.status(201).json({ message: 'Project created', project });
+});
+
+const updateProject = asyncHandler(async (req, res) => {
+  const { name, color, archived } = req.body;
+
+  const error = validateProject({ name, color, archived }, true);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const project = await Project.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  if (name !== undefined) project.name = name;
+  if (color !== undefined) project.color = color;
+  if (archived !== undefined) project.archived = archived;
+
+  await project.save();
+  res.json({ message: 'Project updated', project });
+});
+
+// DELETE /api/projects/:id?tasks=move|delete&targetProjectId=<id>
+// Tasks are either moved to another project (or to no project) or deleted with it
+const deleteProject = asyncHandler(async (req, res) => {
+  const { tasks: taskAction, targetProjectId } = req.query;
+  const { id } = req.params;
+
+  if (!['move', 'delete'].includes(taskAction)) {
+    throw new ValidationError('Choose what happens to the tasks: tasks=move or tasks=delete');
+  }
+
+  const project = await Project.findOne({ _id: id, workspaceId: req.workspace._id });
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  let target = null;
+  if (taskAction === 'move' && targetProjectId) {
+    if (targetProjectId === id) {
+      throw new ValidationError('Cannot move tasks into the project being deleted');
+    }
+    target = await Project.findOne({ _id: targetProjectId, workspaceId: req.workspace._id });
+    if (!target) {
+      throw new NotFoundError('Target project not found');
+    }
+  }
+
+  // Only live tasks follow the project; trashed ones lose it when restored
+  const taskFilter = { workspaceId: req.workspace._id, projectId: project._id, deletedAt: null };
+  const tasks = await Task.find(taskFilter);
+  let affected;
+
+  if (taskAction === 'move') {
+    const projectId = target ? target._id : null;
+    const result = await Task.updateMany(taskFilter, { $set: { projectId } });
+    affected = result.modifiedCount;
+
+    await recordActivities(tasks.map((task) => {
+      const before = snapshotTask(task);
+      task.projectId = projectId;
+      return buildActivity(task, req.user.userId, 'updated', before);
+    }));
+  } else {
+    // Deleted tasks go to the trash like single deletes
+    const result = await Task.updateMany(taskFilter, { $set: { deletedAt: new Date(), deletedBy: req.user.userId } });
+    affected = result.modifiedCount;
+
+    await recordActivities(tasks.map((task) => buildActivity(task, req.user.userId, 'deleted')));
+  }
+
+  await project.deleteOne();
+
+  res.json({
+    message: 'Project deleted',
+    tasks: { action: taskAction, count: affected, targetProjectId: target ? target._id : null }
+  });
+});
+
+module.exports = { getProjects, getProject, createProject, updateProject, deleteProject };
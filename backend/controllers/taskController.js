@@ -1,85 +1,347 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const Label = require('../models/Label');
+const Project = require('../models/Project');
+const { parseLimit, decodeCursor, paginate, paginateAggregate } = require('../utils/pagination');
+const { parseDate, buildTaskFilter } = require('../utils/taskFilters');
+const { parseChecklist } = require('../utils/checklist');
+const { parseRecurrence } = require('../utils/recurrence');
+const { buildScoreExpression, highlightTask } = require('../utils/search');
+const { snapshotTask, buildActivity, recordActivity, recordActivities } = require('../utils/activity');
+const { withTransaction } = require('../utils/transaction');
+const {
+  STATE_KEYS,
+  isValidState,
+  isDoneState,
+  canTransition,
+  normalizeState,
+  getWorkflow: getWorkflowDefinition
+} = require('../config/workflow');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, ConflictError } = require('../utils/errors');
 
-const getTasks = async (req, res) => {
-  try {
-    const { search, status } = req.query;
-    let filter = { userId: req.user.userId };
+// Sortable fields: the stored field to sort on and the direction used when no order is given
+const SORT_FIELDS = {
+  createdAt: { field: 'createdAt', direction: -1 },
+  updatedAt: { field: 'updatedAt', direction: -1 },
+  title: { field: 'title', direction: 1 },
+  dueDate: { field: 'dueDate', direction: 1 },
+  priority: { field: 'priorityRank', direction: -1 },
+  // Search score, best match first; only with search text (see getTasks)
+  relevance: { field: 'score', direction: -1 }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate dueDate/dueTime from a request body.
+// Returns { error } or the normalized { dueDate, dueTime } (undefined = not provided)
+const parseDueFields = (body, existingDueDate = null) => {
+  const result = {};
 
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+  if (body.dueDate !== undefined) {
+    if (body.dueDate === null || body.dueDate === '') {
+      result.dueDate = null;
+    } else {
+      result.dueDate = parseDate(body.dueDate);
+      if (!result.dueDate) {
+        return { error: 'Invalid due date' };
+      }
     }
+  }
 
-    if (status) {
-      filter.status = status;
+  if (body.dueTime !== undefined) {
+    if (body.dueTime === null || body.dueTime === '') {
+      result.dueTime = null;
+    } else if (typeof body.dueTime !== 'string' || !TIME_PATTERN.test(body.dueTime)) {
+      return { error: 'Invalid due time. Use HH:mm' };
+    } else {
+      result.dueTime = body.dueTime;
     }
+  }
 
-    const tasks = await Task.find(filter).sort({ createdAt: -1 });
-    res.json({ tasks });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const dueDate = result.dueDate !== undefined ? result.dueDate : existingDueDate;
+  if (result.dueTime && !dueDate) {
+    return { error: 'Due time requires a due date' };
   }
+  if (result.dueDate === null) {
+    result.dueTime = null;
+  }
+
+  return result;
 };
 
-const createTask = async (req, res) => {
-  try {
-    const { title, description } = req.body;
+// Check that every label id belongs to the workspace.
+// Returns { labels } with the ids or { error }
+const resolveLabels = async (labelIds, workspaceId) => {
+  if (!Array.isArray(labelIds) || !labelIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Labels must be a list of label ids' };
+  }
 
-    if (!title || !description) {
-      return res.status(400).json({ message: 'Title and description required' });
-    }
+  const uniqueIds = [...new Set(labelIds.map(String))];
+  const count = await Label.countDocuments({ _id: { $in: uniqueIds }, workspaceId });
+  if (count !== uniqueIds.length) {
+    return { error: 'Unknown label' };
+  }
+
+  return { labels: uniqueIds };
+};
 
-    const task = new Task({
-      title,
-      description,
-      userId: req.user.userId
-    });
+// Check that a project id (or null for no project) belongs to the workspace.
+// Returns { projectId } or { error }
+const resolveProject = async (projectId, workspaceId) => {
+  if (projectId === null || projectId === '') {
+    return { projectId: null };
+  }
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return { error: 'Invalid project id' };
+  }
 
-    await task.save();
-    res.status(201).json({ message: 'Task created', task });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const project = await Project.exists({ _id: projectId, workspaceId });
+  if (!project) {
+    return { error: 'Unknown project' };
   }
+
+  return { projectId };
 };
 
-const updateTask = async (req, res) => {
-  try {
-    const { title, description, status } = req.body;
-    const { id } = req.params;
+// Check that every user id belongs to a member of the workspace.
+// Returns { userIds } or { error }
+const resolveAssignees = (userIds, workspace) => {
+  if (!Array.isArray(userIds) || !userIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Assignees must be a list of user ids' };
+  }
 
-    const task = await Task.findOne({ _id: id, userId: req.user.userId });
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
+  const uniqueIds = [...new Set(userIds.map(String))];
+  if (!uniqueIds.every((id) => workspace.memberFor(id))) {
+    return { error: 'Assignees must be members of the workspace' };
+  }
 
-    if (title) task.title = title;
-    if (description) task.description = description;
-    if (status && ['pending', 'completed'].includes(status)) {
-      task.status = status;
-    }
+  return { userIds: uniqueIds };
+};
+
+// Build assignee entries, keeping who assigned existing assignees and when
+const buildAssignees = (userIds, assignedBy, task = null) => userIds.map((userId) => {
+  const existing = task?.assigneeFor(userId);
+  return existing ? existing.toObject() : { userId, assignedBy, assignedAt: new Date() };
+});
+
+const getTasks = asyncHandler(async (req, res) => {
+  const { sort = 'createdAt', order, cursor } = req.query;
+
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, sort)) {
+    throw new ValidationError(`Invalid sort field. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const limit = parseLimit(req.query.limit);
+  if (!limit) {
+    throw new ValidationError('Limit must be a positive integer');
+  }
+
+  const { filter, searchTerms, error } = await buildTaskFilter(req.query, req.workspace._id, req.user.userId);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  // Without search text there is nothing to rank, so relevance falls back to the default order
+  const byRelevance = sort === 'relevance' && searchTerms.length > 0;
+  const sortOption = SORT_FIELDS[sort === 'relevance' && !byRelevance ? 'createdAt' : sort];
 
-    await task.save();
-    res.json({ message: 'Task updated', task });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const decodedCursor = cursor ? decodeCursor(cursor, sortOption.field) : null;
+  if (cursor && !decodedCursor) {
+    throw new ValidationError('Invalid cursor');
   }
+
+  const options = {
+    field: sortOption.field,
+    direction: order && !byRelevance ? (order === 'asc' ? 1 : -1) : sortOption.direction,
+    limit,
+    cursor: decodedCursor
+  };
+  const page = byRelevance
+    ? await paginateAggregate(Task, [
+      { $match: filter },
+      { $addFields: { score: buildScoreExpression(searchTerms) } },
+      { $project: { search: 0 } }
+    ], options)
+    : await paginate(Task, filter, options);
+
+  // Searches say where each task matched so clients can highlight it
+  const tasks = searchTerms.length > 0
+    ? page.items.map((task) => {
+      const fields = byRelevance ? task : task.toObject();
+      return { ...fields, searchMatch: highlightTask(fields, searchTerms) };
+    })
+    : page.items;
+
+  res.json({ tasks, nextCursor: page.nextCursor, hasMore: page.hasMore });
+});
+
+// The task is loaded and authorized by authorizeTask
+const getTask = (req, res) => {
+  res.json({ task: req.task });
 };
 
-const deleteTask = async (req, res) => {
-  try {
-    const { id } = req.params;
+const createTask = asyncHandler(async (req, res) => {
+  const { title, description, priority } = req.body;
+  const status = req.body.status !== undefined ? normalizeState(req.body.status) : undefined;
+
+  if (status !== undefined && !isValidState(status)) {
+    throw new ValidationError(`Invalid status. Use one of: ${STATE_KEYS.join(', ')}`);
+  }
 
-    const task = await Task.findOneAndDelete({ _id: id, userId: req.user.userId });
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+  const due = parseDueFields(req.body);
+  if (due.error) {
+    throw new ValidationError(due.error);
+  }
+
+  const checklist = req.body.checklist !== undefined ? parseChecklist(req.body.checklist) : { items: [] };
+  if (checklist.error) {
+    throw new ValidationError(checklist.error);
+  }
+
+  const labels = req.body.labels !== undefined ? await resolveLabels(req.body.labels, req.workspace._id) : { labels: [] };
+  if (labels.error) {
+    throw new ValidationError(labels.error);
+  }
+
+  const project = req.body.projectId !== undefined ? await resolveProject(req.body.projectId, req.workspace._id) : { projectId: null };
+  if (project.error) {
+    throw new ValidationError(project.error);
+  }
+
+  const assignees = req.body.assignees !== undefined ? resolveAssignees(req.body.assignees, req.workspace) : { userIds: [] };
+  if (assignees.error) {
+    throw new ValidationError(assignees.error);
+  }
+
+  const recurrence = req.body.recurrence !== undefined ? parseRecurrence(req.body.recurrence, due.dueDate ?? null) : { recurrence: null };
+  if (recurrence.error) {
+    throw new ValidationError(recurrence.error);
+  }
+
+  const task = new Task({
+    title,
+    description,
+    ...(status && { status }),
+    ...(priority && { priority }),
+    dueDate: due.dueDate ?? null,
+    dueTime: due.dueTime ?? null,
+    checklist: checklist.items,
+    labels: labels.labels,
+    projectId: project.projectId,
+    assignees: buildAssignees(assignees.userIds, req.user.userId),
+    recurrence: recurrence.recurrence,
+    workspaceId: req.workspace._id,
+    userId: req.user.userId
+  });
+
+  await task.save();
+  await recordActivity(task, req.user.userId, 'created');
+  res.status(201).json({ message: 'Task created', task });
+});
+
+const updateTask = asyncHandler(async (req, res) => {
+  const { title, description, priority } = req.body;
+  const status = req.body.status !== undefined ? normalizeState(req.body.status) : undefined;
+  const { task } = req;
+  const before = snapshotTask(task);
+
+  if (status !== undefined) {
+    if (!isValidState(status)) {
+      throw new ValidationError(`Invalid status. Use one of: ${STATE_KEYS.join(', ')}`);
     }
+    if (!canTransition(task.status, status)) {
+      throw new ConflictError(`Cannot move task from ${task.status} to ${status}`);
+    }
+  }
+
+  const due = parseDueFields(req.body, task.dueDate);
+  if (due.error) {
+    throw new ValidationError(due.error);
+  }
 
-    res.json({ message: 'Task deleted' });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const checklist = req.body.checklist !== undefined ? parseChecklist(req.body.checklist) : null;
+  if (checklist?.error) {
+    throw new ValidationError(checklist.error);
   }
+
+  const labels = req.body.labels !== undefined ? await resolveLabels(req.body.labels, task.workspaceId) : null;
+  if (labels?.error) {
+    throw new ValidationError(labels.error);
+  }
+
+  const project = req.body.projectId !== undefined ? await resolveProject(req.body.projectId, task.workspaceId) : null;
+  if (project?.error) {
+    throw new ValidationError(project.error);
+  }
+
+  const assignees = req.body.assignees !== undefined ? resolveAssignees(req.body.assignees, req.workspace) : null;
+  if (assignees?.error) {
+    throw new ValidationError(assignees.error);
+  }
+
+  const dueDate = due.dueDate !== undefined ? due.dueDate : task.dueDate;
+  const recurrence = req.body.recurrence !== undefined ? parseRecurrence(req.body.recurrence, dueDate, task.recurrence) : null;
+  if (recurrence?.error) {
+    throw new ValidationError(recurrence.error);
+  }
+  if (!recurrence && task.recurrence && !dueDate) {
+    throw new ValidationError('Recurring tasks need a due date');
+  }
+
+  if (title) task.title = title;
+  if (description) task.description = description;
+  if (priority) task.priority = priority;
+  if (due.dueDate !== undefined) task.dueDate = due.dueDate;
+  if (due.dueTime !== undefined) task.dueTime = due.dueTime;
+  if (checklist) task.checklist = checklist.items;
+  if (labels) task.labels = labels.labels;
+  if (project) task.projectId = project.projectId;
+  if (assignees) task.assignees = buildAssignees(assignees.userIds, req.user.userId, task);
+  if (recurrence) task.recurrence = recurrence.recurrence;
+  if (status !== undefined) task.status = status;
+
+  // Completing an occurrence of a repeating task schedules the next one
+  const nextTask = status !== undefined && isDoneState(status) && !isDoneState(before.status)
+    ? task.buildNextOccurrence()
+    : null;
+  // Like bulk completion: the task, its next occurrence and their history
+  // are written in one transaction
+  await withTransaction(async (session) => {
+    await task.saveWithNextOccurrence(nextTask, { session });
+    await recordActivities([
+      buildActivity(task, req.user.userId, 'updated', before),
+      nextTask && buildActivity(nextTask, req.user.userId, 'created')
+    ], { session });
+  });
+
+  res.json({ message: 'Task updated', task, ...(nextTask && { nextTask }) });
+});
+
+const deleteTask = asyncHandler(async (req, res) => {
+  const { task } = req;
+
+  // Deleting only moves the task to the trash; see trashController for restore and permanent delete
+  task.deletedAt = new Date();
+  task.deletedBy = req.user.userId;
+  await task.save();
+  await recordActivity(task, req.user.userId, 'deleted');
+
+  res.json({ message: 'Task moved to trash', task });
+});
+
+const getWorkflow = (req, res) => {
+  res.json({ workflow: getWorkflowDefinition() });
 };
 
-module.exports = { getTasks, createTask, updateTask, deleteTask };
+module.exports = {
+  getTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  getWorkflow,
+  parseDueFields,
+  resolveLabels,
+  resolveProject
+};
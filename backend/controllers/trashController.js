@@ -0,0 +1,61 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { parseLimit, decodeCursor, paginate } = require('../utils/pagination');
+const { recordActivity } = require('../utils/activity');
+const { destroyTasks } = require('../utils/trash');
+const { retentionDays, purgeDate } = require('../config/trash');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError } = require('../utils/errors');
+
+// GET /api/tasks/trash
+// Trashed tasks of the workspace, most recently deleted first
+const getTrash = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  if (!limit) {
+    throw new ValidationError('Limit must be a positive integer');
+  }
+
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor, 'deletedAt') : null;
+  if (req.query.cursor && !cursor) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  const page = await paginate(
+    Task,
+    { workspaceId: req.workspace._id, deletedAt: { $ne: null } },
+    { field: 'deletedAt', direction: -1, limit, cursor }
+  );
+
+  res.json({
+    tasks: page.items.map((task) => ({ ...task.toObject(), purgeAt: purgeDate(task.deletedAt) })),
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+    retentionDays: retentionDays()
+  });
+});
+
+// POST /api/tasks/:id/restore
+const restoreTask = asyncHandler(async (req, res) => {
+  const { task } = req;
+
+  // The task's project may have been deleted while it was in the trash
+  if (task.projectId && !(await Project.exists({ _id: task.projectId, workspaceId: task.workspaceId }))) {
+    task.projectId = null;
+  }
+
+  task.deletedAt = null;
+  task.deletedBy = null;
+  await task.save();
+  await recordActivity(task, req.user.userId, 'restored');
+
+  res.json({ message: 'Task restored', task });
+});
+
+// DELETE /api/tasks/:id/permanent
+const destroyTask = asyncHandler(async (req, res) => {
+  await destroyTasks([req.task], req.user.userId);
+
+  res.json({ message: 'Task deleted permanently' });
+});
+
+module.exports = { getTrash, restoreTask, destroyTask };
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const Invitation = require('../models/Invitation');
+const Task = require('../models/Task');
+const TaskPosition = require('../models/TaskPosition');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const Project = require('../models/Project');
+const Label = require('../models/Label');
+const SavedFilter = require('../models/SavedFilter');
+const User = require('../models/User');
+const { ASSIGNABLE_ROLES, permissionsFor, outranks } = require('../config/roles');
+const { snapshotTask, buildActivity, recordActivities } = require('../utils/activity');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const MAX_NAME_LENGTH = 50;
+
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Workspace name is required';
+  if (name.trim().length > MAX_NAME_LENGTH) return `Workspace name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+};
+
+// Workspace as listed for one of its members
+const summarize = (workspace, userId) => {
+  const { role } = workspace.memberFor(userId);
+  return {
+    _id: workspace._id,
+    name: workspace.name,
+    personal: workspace.personal,
+    memberCount: workspace.members.length,
+    role,
+    permissions: permissionsFor(role)
+  };
+};
+
+const getWorkspaces = asyncHandler(async (req, res) => {
+  // Make sure the personal workspace exists for accounts created before workspaces
+  await Workspace.personalFor(req.user.userId);
+
+  const workspaces = await Workspace.find({ 'members.userId': req.user.userId })
+    .sort({ personal: -1, name: 1 });
+
+  res.json({ workspaces: workspaces.map((workspace) => summarize(workspace, req.user.userId)) });
+});
+
+const getWorkspace = asyncHandler(async (req, res) => {
+  const summary = summarize(req.workspace, req.user.userId);
+  const users = await User.find({ _id: { $in: req.workspace.members.map((member) => member.userId) } })
+    .select('name email');
+  const userById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const members = req.workspace.members.map((member) => {
+    const user = userById.get(member.userId.toString());
+    return {
+      userId: member.userId,
+      name: user?.name || 'Deleted user',
+      email: user?.email || null,
+      role: member.role,
+      joinedAt: member.joinedAt,
+      isCurrentUser: member.userId.equals(req.user.userId)
+    };
+  });
+
+  res.json({ workspace: { ...summary, members } });
+});
+
+const createWorkspace = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  const error = validateName(name);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const workspace = new Workspace({
+    name,
+    ownerId: req.user.userId,
+    members: [{ userId: req.user.userId, role: 'owner' }]
+  });
+
+  await workspace.save();
+  res.status(201).json({ message: 'Workspace created', workspace: summarize(workspace, req.user.userId) });
+});
+
+const updateWorkspace = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  const error = validateName(name);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  req.workspace.name = name;
+  await req.workspace.save();
+
+  res.json({ message: 'Workspace updated', workspace: summarize(req.workspace, req.user.userId) });
+});
+
+// Deletes the workspace with everything in it: tasks (trashed ones too) with their
+// comments and history, projects, labels, saved filters and invitations
+const deleteWorkspace = asyncHandler(async (req, res) => {
+  const { workspace } = req;
+
+  if (workspace.personal) {
+    throw new ValidationError('Your personal workspace cannot be deleted');
+  }
+
+  const taskIds = await Task.find({ workspaceId: workspace._id }).setOptions({ withDeleted: true }).distinct('_id');
+  await TaskPosition.deleteMany({ taskId: { $in: taskIds } });
+  await Comment.deleteMany({ taskId: { $in: taskIds } });
+  await Activity.deleteMany({ workspaceId: workspace._id });
+  await Task.deleteMany({ workspaceId: workspace._id });
+  await Project.deleteMany({ workspaceId: workspace._id });
+  await Label.deleteMany({ workspaceId: workspace._id });
+  await SavedFilter.deleteMany({ workspaceId: workspace._id });
+  await Invitation.deleteMany({ workspaceId: workspace._id });
+  await workspace.deleteOne();
+
+  res.json({ message: 'Workspace deleted' });
+});
+
+// Former members should not stay assigned to the workspace's tasks
+const unassignFromWorkspace = async (workspaceId, userId, actorId) => {
+  const filter = { workspaceId, 'assignees.userId': userId };
+  const tasks = await Task.find(filter).setOptions({ withDeleted: true });
+
+  await Task.updateMany(filter, { $pull: { assignees: { userId } } });
+  await recordActivities(tasks.map((task) => {
+    const before = snapshotTask(task);
+    task.assignees = task.assignees.filter((assignee) => !assignee.userId.equals(userId));
+    return buildActivity(task, actorId, 'updated', before);
+  }));
+};
+
+// Find a member the current user is allowed to manage, or throw
+const findManagedMember = (req) => {
+  const { userId } = req.params;
+
+  const member = mongoose.Types.ObjectId.isValid(userId) ? req.workspace.memberFor(userId) : null;
+  if (!member) {
+    throw new NotFoundError('Member not found');
+  }
+
+  if (member.userId.equals(req.user.userId)) {
+    throw new ValidationError('You cannot change your own membership here');
+  }
+
+  if (!outranks(req.membership.role, member.role)) {
+    throw new ForbiddenError('You can only manage members with a lower role than yours');
+  }
+
+  return member;
+};
+
+const updateMember = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid role. Use one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+  }
+
+  if (outranks(role, req.membership.role)) {
+    throw new ForbiddenError('You cannot give a role higher than your own');
+  }
+
+  const member = findManagedMember(req);
+
+  member.role = role;
+  await req.workspace.save();
+
+  res.json({ message: 'Member updated', member });
+});
+
+const removeMember = asyncHandler(async (req, res) => {
+  const member = findManagedMember(req);
+
+  req.workspace.members = req.workspace.members.filter((entry) => entry !== member);
+  await req.workspace.save();
+  await unassignFromWorkspace(req.workspace._id, member.userId, req.user.userId);
+  await SavedFilter.deleteMany({ workspaceId: req.workspace._id, userId: member.userId });
+
+  res.json({ message: 'Member removed' });
+});
+
+const leaveWorkspace = asyncHandler(async (req, res) => {
+  if (req.membership.role === 'owner') {
+    throw new ValidationError('The owner cannot leave the workspace. Delete it instead');
+  }
+
+  req.workspace.members = req.workspace.members.filter((entry) => entry !== req.membership);
+  await req.workspace.save();
+  await unassignFromWorkspace(req.workspace._id, req.membership.userId, req.user.userId);
+  await SavedFilter.deleteMany({ workspaceId: req.workspace._id, userId: req.membership.userId });
+
+  res.json({ message: 'You left the workspace' });
+});
+
+module.exports = {
+  getWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  updateMember,
+  removeMember,
+  leaveWorkspace
+};
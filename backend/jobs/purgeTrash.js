@@ -0,0 +1,57 @@
+/**
+ * Trash Purge Job
+ * Permanently deletes tasks that stayed in the trash longer than the retention period
+ *
+ * @description Started by server.js once the app boots. Runs on an interval
+ * (config/trash.js); a failed run is logged and retried on the next tick.
+ */
+const Task = require('../models/Task');
+const { retentionDays, purgeIntervalMs } = require('../config/trash');
+const { destroyTasks } = require('../utils/trash');
+const { logger } = require('../utils/logger');
+
+// Tasks removed per batch, so a large backlog does not load at once
+const BATCH_SIZE = 500;
+
+/**
+ * Delete every task trashed before the retention cutoff
+ * @async
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<number>} Number of tasks purged
+ */
+const purgeExpiredTasks = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  for (;;) {
+    const tasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }).limit(BATCH_SIZE);
+    if (tasks.length === 0) break;
+    purged += await destroyTasks(tasks, null);
+  }
+
+  return purged;
+};
+
+/**
+ * Run the purge now and then on every interval
+ * @returns {NodeJS.Timeout} Interval handle (unref'd so it never keeps the process alive)
+ */
+const startTrashPurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTasks();
+      if (purged > 0) {
+        logger.info('Purged tasks from the trash', { purged });
+      }
+    } catch (error) {
+      logger.error('Trash purge failed', { error });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, purgeIntervalMs());
+  timer.unref();
+  return timer;
+};
+
+module.exports = { purgeExpiredTasks, startTrashPurge };
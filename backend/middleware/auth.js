@@ -1,31 +1,49 @@
 /**
  * JWT Authentication Middleware
- * Validates JWT tokens and protects routes from unauthorized access
+ * Validates access tokens and protects routes from unauthorized access
  */
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const asyncHandler = require('../utils/asyncHandler');
+const { UnauthorizedError } = require('../utils/errors');
 
 /**
- * Middleware to authenticate JWT tokens
+ * Middleware to authenticate access tokens
+ * The token's session must still be active, so signing out or revoking a
+ * device takes effect before the token expires.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const auth = (req, res, next) => {
+const auth = asyncHandler(async (req, res, next) => {
   // Extract token from Authorization header
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
   if (!token) {
-    return res.status(401).json({ message: 'No token provided' });
+    throw new UnauthorizedError('No token provided');
   }
 
+  let decoded;
   try {
-    // Verify token and add user info to request
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    // Verify token signature and expiry
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    throw new UnauthorizedError('Invalid token', { code: 'INVALID_TOKEN' });
   }
-};
+
+  const active = decoded.sessionId && await Session.exists({
+    _id: decoded.sessionId,
+    userId: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!active) {
+    throw new UnauthorizedError('Session ended. Please sign in again', { code: 'SESSION_ENDED' });
+  }
+
+  // Add user info to request
+  req.user = decoded;
+  next();
+});
 
 module.exports = auth;
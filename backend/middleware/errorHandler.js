@@ -0,0 +1,102 @@
+/**
+ * Error Handling Middleware
+ * Answers every error passed to next() with the envelope of utils/errors.js
+ *
+ * @description Besides AppErrors it maps the errors the stack raises on bad
+ * input to 4xx responses instead of opaque 500s:
+ * - Mongoose validation errors (e.g. a title over 100 characters): 400 with field errors
+ * - Cast errors (a value that is not a valid id, number...): 400
+ * - Duplicate keys on a unique index: 409
+ * - Bodies that are not valid JSON or are too large: 400 and 413
+ * Anything else is logged and answered with a 500 that reveals nothing but
+ * the request id to look the error up in the logs.
+ */
+const mongoose = require('mongoose');
+const { AppError, ValidationError, ConflictError } = require('../utils/errors');
+const { humanize } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+// Friendlier messages for Mongoose validator kinds, from the validator's properties
+const MONGOOSE_MESSAGES = {
+  required: () => 'is required',
+  maxlength: ({ maxlength }) => `must be at most ${maxlength} characters`,
+  minlength: ({ minlength }) => `must be at least ${minlength} characters`,
+  max: ({ max }) => `must be at most ${max}`,
+  min: ({ min }) => `must be at least ${min}`,
+  enum: ({ enumValues }) => `must be one of: ${enumValues.join(', ')}`
+};
+
+// "checklist.2.text" -> "Text"
+const fieldLabel = (path) => humanize(String(path).split('.').pop());
+
+const fromMongooseValidation = (error) => {
+  const errors = {};
+  Object.entries(error.errors).forEach(([path, fieldError]) => {
+    const describe = MONGOOSE_MESSAGES[fieldError.kind];
+    errors[path] = fieldError instanceof mongoose.Error.CastError
+      ? `${fieldLabel(path)} is not valid`
+      : describe ? `${fieldLabel(path)} ${describe(fieldError.properties || {})}` : fieldError.message;
+  });
+  const [first] = Object.values(errors);
+  return new ValidationError(first, { errors });
+};
+
+const fromDuplicateKey = (error) => {
+  // Compound unique indexes include the owner id (workspaceId...), which says nothing to the client
+  const fields = Object.keys(error.keyPattern || error.keyValue || {}).filter((field) => !/Id$/.test(field));
+  const errors = Object.fromEntries(fields.map((field) => [field, `${fieldLabel(field)} is already taken`]));
+  const [first] = Object.values(errors);
+  return new ConflictError(first || 'This already exists', { code: 'DUPLICATE', details: fields.length > 0 ? { errors } : {} });
+};
+
+/**
+ * Turn any error into an AppError, or null for unexpected errors (500)
+ * @param {Error} error - Error passed to next()
+ * @returns {AppError|null}
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error instanceof mongoose.Error.ValidationError) return fromMongooseValidation(error);
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`${fieldLabel(error.path)} is not valid`, { errors: { [error.path]: `${fieldLabel(error.path)} is not valid` } });
+  }
+  if (error?.code === 11000) return fromDuplicateKey(error);
+  if (error?.type === 'entity.parse.failed') return new ValidationError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  if (error?.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+  return null;
+};
+
+/**
+ * Error middleware; mount it after every route
+ * Errors raised after the response has started (while streaming, say) are
+ * logged and passed on to Express's default handler, which closes the
+ * connection: no other status or body can be sent by then.
+ * @param {Error} err - Error passed to next()
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    (req.log || logger).error('Error after the response started', { method: req.method, path: req.originalUrl, error: err });
+    return next(err);
+  }
+
+  const appError = toAppError(err);
+  if (appError) {
+    return res.status(appError.status).json(appError.toJSON());
+  }
+
+  (req.log || logger).error('Unhandled error', { method: req.method, path: req.originalUrl, error: err });
+
+  res.status(500).json({
+    message: 'Server error',
+    code: 'INTERNAL',
+    requestId: req.id,
+    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
+  });
+};
+
+module.exports = { errorHandler, toAppError };
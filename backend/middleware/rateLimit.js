@@ -0,0 +1,48 @@
+/**
+ * Rate Limit Middleware
+ * Caps how often a client may call a route (utils/rateLimiter.js)
+ *
+ * @description Every counted response carries the RateLimit-Policy,
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers (reset in
+ * seconds). Requests over the quota get a 429 with Retry-After. When the
+ * store fails the request is let through: an outage of the limiter should not
+ * take the API down with it.
+ */
+const { rateLimitPolicy } = require('../config/rateLimits');
+const { consume, setRateLimitHeaders, tooManyRequests } = require('../utils/rateLimiter');
+const { normalizeEmail } = require('../utils/emailVerification');
+const { logger } = require('../utils/logger');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Create a middleware enforcing a quota of config/rateLimits.js
+ * @param {string} policyName - Policy name (e.g. 'loginIp')
+ * @param {Function} keyOf - (req) => client key; requests without one are not counted
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (policyName, keyOf) => asyncHandler(async (req, res, next) => {
+  const client = keyOf(req);
+  if (!client) return next();
+
+  const policy = rateLimitPolicy(policyName);
+  let result;
+  try {
+    result = await consume(`${policy.name}:${client}`, policy);
+  } catch (error) {
+    (req.log || logger).error('Rate limiter unavailable', { policy: policy.name, error });
+    return next();
+  }
+
+  setRateLimitHeaders(res, result, policy);
+  if (!result.allowed) {
+    return tooManyRequests(res, result.resetSeconds);
+  }
+  next();
+});
+
+// Client keys
+const byIp = (req) => req.ip;
+const byEmail = (req) => normalizeEmail(req.body?.email);
+const byUser = (req) => req.user?.userId;
+
+module.exports = { rateLimit, byIp, byEmail, byUser };
@@ -0,0 +1,56 @@
+/**
+ * Request Logging Middleware
+ * Gives every request an id and logs it once the response is sent
+ *
+ * @description The id comes from the X-Request-Id header when the client (or
+ * a proxy in front of the API) sends a usable one, and is generated otherwise.
+ * It is sent back in the X-Request-Id response header and added to every
+ * entry logged through req.log, so the frontend's logs, the request log and
+ * any error logged while handling the request can be matched up.
+ *
+ * The entry logged for the response carries the method, path, status,
+ * latency and the user, at info level (warn for 4xx, error for 5xx). At
+ * LOG_LEVEL=debug it also carries the request headers and body, redacted by
+ * utils/logger.js.
+ */
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids from clients end up in logs: accept short, plain ones only
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const levelFor = (status) => {
+  if (status >= 500) return 'error';
+  return status >= 400 ? 'warn' : 'info';
+};
+
+/**
+ * Create the request logging middleware; mount it before the routes
+ * @param {Object} baseLogger - Logger the request loggers derive from (utils/logger.js)
+ * @returns {Function} Express middleware setting req.id and req.log
+ */
+const requestLogger = (baseLogger = logger) => (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = baseLogger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    req.log[levelFor(res.statusCode)]('Request completed', {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.user?.userId,
+      ip: req.ip,
+      ...(req.log.isEnabled('debug') && { headers: req.headers, body: req.body })
+    });
+  });
+
+  next();
+};
+
+module.exports = { requestLogger, REQUEST_ID_HEADER };
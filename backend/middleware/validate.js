@@ -0,0 +1,41 @@
+/**
+ * Validation Middleware
+ * Checks a request's route parameters, query string and body against schemas
+ * (utils/validation.js) before the controller runs
+ *
+ * @description Invalid requests get a 400 with the message of the first
+ * problem and every problem keyed by field path, so forms can show each one
+ * next to its input:
+ *
+ *   { "message": "Title is required", "code": "VALIDATION_FAILED",
+ *     "errors": { "title": "Title is required", "checklist.2.text": "Text is required" } }
+ *
+ * The route parameters are checked first, then the query string, then the
+ * body, and checking stops at the first part with problems: the errors all
+ * come from one part, so a query field cannot hide a body field of the same
+ * name. Only the parts given a schema are checked; GET routes without a query
+ * schema accept any query string, and routes that take no body use an empty
+ * body schema so that any field is rejected.
+ */
+const { checkSchema } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Create a middleware validating the request
+ * @param {Object} schemas - { params, query, body }, each a schema for utils/validation.js
+ * @returns {Function} Express middleware
+ */
+const validate = (schemas) => (req, res, next) => {
+  for (const location of LOCATIONS.filter((name) => schemas[name])) {
+    const errors = checkSchema(schemas[location], req[location] ?? {}, { text: location !== 'body' });
+    const [first] = Object.values(errors);
+    if (first) {
+      return next(new ValidationError(first, { errors }));
+    }
+  }
+  next();
+};
+
+module.exports = validate;
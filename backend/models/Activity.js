@@ -0,0 +1,84 @@
+/**
+ * Activity Model Schema
+ * Append-only audit trail of task changes
+ *
+ * @description One entry is written for every task creation, update, move to the
+ * trash, restore and purge (see utils/activity.js). Entries are never changed
+ * afterwards: update queries and re-saves are rejected, and entries are only
+ * removed with their workspace.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Change of a single task field
+ * before/after hold plain JSON values (ids as strings, dates as ISO strings);
+ * null means the field was empty or, for creations and deletions, absent.
+ */
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Activity schema definition
+ */
+const activitySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task', // Task that changed (may since have been deleted)
+    required: true
+  },
+  taskTitle: {
+    type: String,
+    required: true // Title at the time of the change, shown once the task is gone
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace', // Workspace the task belonged to
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Member who made the change; null for the automatic trash purge
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'restored', 'purged'],
+    required: true
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // Entries are never updated
+});
+
+// Reject anything that would rewrite history
+const rejectChange = function (next) {
+  next(new Error('Activity entries are append-only'));
+};
+
+activitySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+activitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+
+// Task history, and the activity feed across a user's workspaces (newest first)
+activitySchema.index({ taskId: 1, createdAt: -1, _id: -1 });
+activitySchema.index({ workspaceId: 1, createdAt: -1, _id: -1 });
+
+// Create and export Activity model
+module.exports = mongoose.model('Activity', activitySchema);
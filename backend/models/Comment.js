@@ -0,0 +1,40 @@
+/**
+ * Comment Model Schema
+ * Discussion thread entries attached to a task
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Comment schema definition
+ * Comments live in their own collection so long threads do not grow the task document.
+ */
+const commentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task', // Task being discussed
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Member who wrote the comment
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000 // Keep comments to a few paragraphs
+  },
+  edited: {
+    type: Boolean,
+    default: false // Set once the author changes the body
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Threads are listed oldest first
+commentSchema.index({ taskId: 1, createdAt: 1 });
+
+// Create and export Comment model
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,41 @@
+/**
+ * Email Verification Model Schema
+ * A pending confirmation that a user owns an address: the address they signed
+ * up with, or the new one they asked to change to
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Email verification schema definition
+ */
+const emailVerificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true // Address the link was sent to
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the token sent in the link; the token itself is never stored
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Expired links are removed by MongoDB
+emailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export EmailVerification model
+module.exports = mongoose.model('EmailVerification', emailVerificationSchema);
@@ -0,0 +1,57 @@
+/**
+ * Invitation Model Schema
+ * Pending invitations for people to join a workspace, addressed by email
+ */
+const mongoose = require('mongoose');
+const { ASSIGNABLE_ROLES } = require('../config/roles');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+
+/**
+ * Invitation schema definition with validation rules
+ * Invitations are kept after they are answered so the workspace has a record of them.
+ */
+const invitationSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true, // Matched against the invitee's account email
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ASSIGNABLE_ROLES, // Role given when the invitation is accepted
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: INVITATION_STATUSES,
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null // Set when the invitation is accepted, declined or revoked
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// One pending invitation per email and workspace
+invitationSchema.index(
+  { workspaceId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+invitationSchema.index({ email: 1, status: 1 });
+
+// Create and export Invitation model
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,44 @@
+/**
+ * Label Model Schema
+ * Workspace labels that can be attached to tasks
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Label schema definition with validation rules
+ */
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30 // Keep chips short
+  },
+  color: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^#[0-9a-f]{6}$/ // Hex color, e.g. #0d6efd
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace', // Workspace whose tasks can use the label
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Member who created the label
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Label names are unique per workspace, ignoring case
+labelSchema.index(
+  { workspaceId: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+// Create and export Label model
+module.exports = mongoose.model('Label', labelSchema);
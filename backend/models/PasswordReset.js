@@ -0,0 +1,34 @@
+/**
+ * Password Reset Model Schema
+ * A pending "forgot password" request: holds the hash of the emailed token
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Password reset schema definition
+ */
+const passwordResetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the token sent in the reset link; the token itself is never stored
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Expired requests are removed by MongoDB
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export PasswordReset model
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
@@ -0,0 +1,45 @@
+/**
+ * Project Model Schema
+ * Groups a workspace's tasks into separate lists
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Project schema definition with validation rules
+ */
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50 // Limit name length
+  },
+  color: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^#[0-9a-f]{6}$/ // Hex color, e.g. #198754
+  },
+  archived: {
+    type: Boolean,
+    default: false // Archived projects are hidden from the sidebar
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace', // Workspace the project belongs to
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Member who created the project
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Create indexes for better query performance
+projectSchema.index({ workspaceId: 1, archived: 1, name: 1 });
+
+// Create and export Project model
+module.exports = mongoose.model('Project', projectSchema);
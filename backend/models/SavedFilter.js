@@ -0,0 +1,46 @@
+/**
+ * Saved Filter Model Schema
+ * Named task filters ("smart lists") a member keeps in a workspace
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Saved filter schema definition with validation rules
+ */
+const savedFilterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  filter: {
+    type: mongoose.Schema.Types.Mixed, // Clean filter from parseFilter (utils/filterQuery)
+    required: true
+  },
+  pinned: {
+    type: Boolean,
+    default: false // Pinned filters are listed in the Dashboard sidebar
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace', // Workspace whose tasks the filter selects
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Member the filter belongs to; saved filters are personal
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Filter names are unique per member and workspace, ignoring case
+savedFilterSchema.index(
+  { userId: 1, workspaceId: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+// Create and export SavedFilter model
+module.exports = mongoose.model('SavedFilter', savedFilterSchema);
@@ -0,0 +1,70 @@
+/**
+ * Session Model Schema
+ * A signed-in device: holds the hash of its current refresh token
+ */
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'revoked', 'reuse', 'password'];
+
+/**
+ * Session schema definition
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true // SHA-256 of the current refresh token's secret; replaced on every refresh
+  },
+  previousTokenHash: {
+    type: String,
+    default: null // Hash of the token the last refresh replaced, to recognize its reuse
+  },
+  expiresAt: {
+    type: Date,
+    required: true // Pushed back on every refresh
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 300 // Shown in the sessions list to recognize the device
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [...REVOKE_REASONS, null],
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Create and export Session model
+module.exports = mongoose.model('Session', sessionSchema);
@@ -3,6 +3,108 @@
  * Defines the structure for task documents in MongoDB
  */
 const mongoose = require('mongoose');
+const { PRIORITIES, PRIORITY_RANKS, DEFAULT_PRIORITY } = require('../config/priorities');
+const { STATE_KEYS, INITIAL_STATE, isDoneState } = require('../config/workflow');
+const { MAX_CHECKLIST_ITEMS, MAX_ITEM_LENGTH } = require('../utils/checklist');
+const { FREQUENCIES, MAX_INTERVAL, MAX_COUNT, nextOccurrence } = require('../utils/recurrence');
+const { buildSearchIndex } = require('../utils/search');
+
+/**
+ * Checklist item embedded in a task
+ */
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_ITEM_LENGTH
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  order: {
+    type: Number,
+    default: 0 // Zero-based position in the checklist
+  }
+});
+
+/**
+ * Assignment of a workspace member to a task
+ */
+const assigneeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Member responsible for the task
+    required: true
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Member who made the assignment
+    required: true
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Recurrence rule of a repeating task (see utils/recurrence.js)
+ * Each occurrence is its own task; completing one creates the next.
+ */
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    max: MAX_INTERVAL,
+    default: 1 // Every N days, weeks or months
+  },
+  weekdays: {
+    type: [Number], // Weekly rules: 0 (Sunday) to 6 (Saturday)
+    default: []
+  },
+  monthDay: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: null // Monthly rules: day of the month, clamped to shorter months
+  },
+  until: {
+    type: Date,
+    default: null // No occurrence is due after this date
+  },
+  count: {
+    type: Number,
+    min: 1,
+    max: MAX_COUNT,
+    default: null // Total number of occurrences in the series
+  },
+  timezone: {
+    type: String,
+    default: 'UTC' // IANA time zone whose wall clock the due dates follow
+  },
+  occurrence: {
+    type: Number,
+    default: 1 // Position of this task in the series
+  }
+}, { _id: false });
+
+/**
+ * Search index of a task: normalized words of its text (see utils/search.js)
+ */
+const searchIndexSchema = new mongoose.Schema({
+  terms: [String], // Words of the title and description, indexed
+  title: [String],
+  description: [String],
+  titleText: String, // All the words in order, for phrases
+  descriptionText: String
+}, { _id: false });
 
 /**
  * Task schema definition with validation and relationships
@@ -22,21 +124,231 @@ const taskSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed'], // Only allow these values
-    default: 'pending'
+    enum: STATE_KEYS, // Workflow states from config/workflow.js
+    default: INITIAL_STATE
+  },
+  completedAt: {
+    type: Date,
+    default: null // Set when the task enters a done state
+  },
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: DEFAULT_PRIORITY
+  },
+  priorityRank: {
+    type: Number,
+    default: PRIORITY_RANKS[DEFAULT_PRIORITY] // Numeric copy of priority used for sorting
+  },
+  dueDate: {
+    type: Date,
+    default: null // Optional deadline
+  },
+  dueTime: {
+    type: String,
+    default: null, // Optional time of day (HH:mm) shown alongside dueDate
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  checklist: {
+    type: [checklistItemSchema],
+    default: [],
+    validate: {
+      validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+      message: `A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items`
+    }
+  },
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label' // User-defined labels
+  }],
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project', // Optional project the task belongs to
+    default: null
+  },
+  assignees: {
+    type: [assigneeSchema],
+    default: []
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null // Repeating tasks only
+  },
+  nextOccurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task', // Occurrence created when this one was completed
+    default: null
+  },
+  commentCount: {
+    type: Number,
+    default: 0 // Copy of the number of comments, kept by the comment controller for task cards
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace', // Workspace the task is shared in
+    required: true
   },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User', // Reference to User model
+    ref: 'User', // Member who created the task
     required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null // Set while the task is in the trash
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Member who moved the task to the trash
+    default: null
+  },
+  search: {
+    type: searchIndexSchema,
+    select: false // Kept in sync by the validate hook below; never sent to clients
   }
 }, {
-  timestamps: true // Adds createdAt and updatedAt fields
+  timestamps: true, // Adds createdAt and updatedAt fields
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.search;
+      return ret;
+    }
+  }
+});
+
+// Keep priorityRank in sync with priority, and the search index with the text
+taskSchema.pre('validate', function (next) {
+  this.priorityRank = PRIORITY_RANKS[this.priority];
+  if (this.isNew || this.isModified('title') || this.isModified('description')) {
+    this.search = buildSearchIndex(this);
+  }
+  next();
+});
+
+/**
+ * Find the assignment of a user to this task
+ * @param {string|ObjectId} userId - User to look up
+ * @returns {Object|undefined} Assignee entry ({ userId, assignedBy, assignedAt })
+ */
+taskSchema.methods.assigneeFor = function (userId) {
+  return this.assignees.find((assignee) => assignee.userId.equals(userId));
+};
+
+/**
+ * Renumber checklist items to match their array order
+ */
+taskSchema.methods.reindexChecklist = function () {
+  this.checklist.forEach((item, index) => {
+    item.order = index;
+  });
+};
+
+/**
+ * Build the next occurrence of a repeating task
+ * The copy starts in the initial state with its checklist unticked and is due
+ * on the rule's next date. Call it when the task is completed; it returns null
+ * for tasks that do not repeat, whose series has ended or that already have a
+ * next occurrence.
+ *
+ * @returns {Object|null} Unsaved task document
+ */
+taskSchema.methods.buildNextOccurrence = function () {
+  if (!this.recurrence || this.nextOccurrenceId) return null;
+
+  const dueDate = nextOccurrence(this.recurrence, this.dueDate, this.recurrence.occurrence);
+  if (!dueDate) return null;
+
+  return new this.constructor({
+    title: this.title,
+    description: this.description,
+    priority: this.priority,
+    dueDate,
+    dueTime: this.dueTime,
+    checklist: this.checklist.map((item) => ({ text: item.text, done: false, order: item.order })),
+    labels: this.labels,
+    projectId: this.projectId,
+    assignees: this.assignees.map(({ userId, assignedBy }) => ({ userId, assignedBy })),
+    recurrence: { ...this.recurrence.toObject(), occurrence: this.recurrence.occurrence + 1 },
+    workspaceId: this.workspaceId,
+    userId: this.userId
+  });
+};
+
+/**
+ * Save a completed task together with its next occurrence (from buildNextOccurrence)
+ * The next occurrence is saved first so the task can point to it. Pass the
+ * session of a transaction (utils/transaction.js) to make the pair
+ * all-or-nothing. Without one, a task that fails to save (validation,
+ * concurrent change...) gets its next occurrence deleted again, so no orphan
+ * is left behind.
+ *
+ * @param {Object|null} nextTask - Unsaved next occurrence, or null to just save the task
+ * @param {Object} options
+ * @param {ClientSession|null} options.session - Transaction to write in
+ * @returns {Promise<Object>} The saved task
+ */
+taskSchema.methods.saveWithNextOccurrence = async function (nextTask, { session = null } = {}) {
+  if (!nextTask) return this.save({ session });
+
+  await nextTask.save({ session });
+  this.nextOccurrenceId = nextTask._id;
+  try {
+    return await this.save({ session });
+  } catch (error) {
+    this.nextOccurrenceId = null;
+    // Aborting the transaction already discards the next occurrence
+    if (!session) await nextTask.deleteOne();
+    throw error;
+  }
+};
+
+// Stamp completedAt on entry to a done state and clear it when the task is reopened
+taskSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('status')) {
+    if (!isDoneState(this.status)) {
+      this.completedAt = null;
+    } else if (!this.completedAt) {
+      this.completedAt = new Date();
+    }
+  }
+  next();
+});
+
+// Whether a filter (or one of its $and clauses) already selects on deletedAt
+const filtersOnDeletedAt = (filter = {}) => filter.deletedAt !== undefined
+  || (filter.$and || []).some(filtersOnDeletedAt);
+
+// Leave trashed tasks out of reads unless the query filters on deletedAt itself
+// or opts in with .setOptions({ withDeleted: true }). Updates and deletes are not
+// filtered, so cleanups (label removal, unassignment...) reach trashed tasks too.
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function (next) {
+  if (!this.getOptions().withDeleted && !filtersOnDeletedAt(this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+taskSchema.pre('aggregate', function (next) {
+  const [first] = this.pipeline();
+  if (!this.options.withDeleted && !filtersOnDeletedAt(first?.$match)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+  next();
 });
 
 // Create indexes for better query performance
-taskSchema.index({ userId: 1, status: 1 });
-taskSchema.index({ userId: 1, createdAt: -1 });
+taskSchema.index({ workspaceId: 1, status: 1 });
+taskSchema.index({ workspaceId: 1, 'search.terms': 1 });
+taskSchema.index({ workspaceId: 1, labels: 1 });
+taskSchema.index({ workspaceId: 1, projectId: 1 });
+taskSchema.index({ workspaceId: 1, 'assignees.userId': 1 });
+taskSchema.index({ workspaceId: 1, deletedAt: -1 });
+// Sort indexes for cursor pagination; _id is the tie-breaker on every sort
+taskSchema.index({ workspaceId: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ workspaceId: 1, updatedAt: -1, _id: -1 });
+taskSchema.index({ workspaceId: 1, title: 1, _id: 1 });
+taskSchema.index({ workspaceId: 1, dueDate: 1, _id: 1 });
+taskSchema.index({ workspaceId: 1, priorityRank: -1, _id: -1 });
 
 // Create and export Task model
 module.exports = mongoose.model('Task', taskSchema);
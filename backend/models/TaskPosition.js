@@ -0,0 +1,35 @@
+/**
+ * Task Position Model Schema
+ * Stores each user's manual ordering of task cards on the board
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Task position schema: one document per (user, task) pair
+ * Positions are only meaningful among tasks in the same status column.
+ */
+const taskPositionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // User who arranged the board
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task', // Task being positioned
+    required: true
+  },
+  position: {
+    type: Number,
+    required: true,
+    min: 0 // Zero-based index within the column
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// One position per task for each user
+taskPositionSchema.index({ userId: 1, taskId: 1 }, { unique: true });
+
+// Create and export TaskPosition model
+module.exports = mongoose.model('TaskPosition', taskPositionSchema);
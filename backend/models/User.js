@@ -24,6 +24,42 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     trim: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false // Set once the user opens the link emailed at signup
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null // New address waiting to be confirmed; replaces email once it is
+  },
+  // Two-factor authentication (TOTP). Secrets and recovery codes are never
+  // loaded unless selected explicitly ('+twoFactorSecret').
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false // Base32 secret shared with the authenticator app
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false // Secret being enrolled, until confirmed with a first code
+  },
+  twoFactorLastStep: {
+    type: Number,
+    default: 0,
+    select: false // Time step of the last accepted code, so a code works once
+  },
+  recoveryCodes: {
+    type: [String],
+    default: [],
+    select: false // SHA-256 hashes of the unused recovery codes
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
@@ -0,0 +1,84 @@
+/**
+ * Workspace Model Schema
+ * A shared space whose members see the same tasks, projects and labels
+ */
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/roles');
+
+/**
+ * Workspace member embedded in a workspace
+ */
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES, // Roles from config/roles.js
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Workspace schema definition with validation rules
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50 // Limit name length
+  },
+  personal: {
+    type: Boolean,
+    default: false // Every user gets one personal workspace, which cannot be deleted
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Creator; also listed in members with the owner role
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+/**
+ * Find the membership of a user in this workspace
+ * @param {string|ObjectId} userId - User to look up
+ * @returns {Object|undefined} Member entry ({ userId, role, joinedAt })
+ */
+workspaceSchema.methods.memberFor = function (userId) {
+  return this.members.find((member) => member.userId.equals(userId));
+};
+
+/**
+ * Find a user's personal workspace, creating it on first use
+ * @param {string|ObjectId} userId - Owner of the workspace
+ * @param {string} name - Name used when the workspace has to be created
+ * @returns {Promise<Document>} Personal workspace
+ */
+workspaceSchema.statics.personalFor = function (userId, name = 'Personal') {
+  return this.findOneAndUpdate(
+    { ownerId: userId, personal: true },
+    { $setOnInsert: { name, members: [{ userId, role: 'owner', joinedAt: new Date() }] } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Create indexes for better query performance
+workspaceSchema.index({ 'members.userId': 1 });
+// At most one personal workspace per user
+workspaceSchema.index({ ownerId: 1 }, { unique: true, partialFilterExpression: { personal: true } });
+
+// Create and export Workspace model
+module.exports = mongoose.model('Workspace', workspaceSchema);
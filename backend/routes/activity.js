@@ -0,0 +1,9 @@
+const express = require('express');
+const { getActivity } = require('../controllers/activityController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', auth, getActivity);
+
+module.exports = router;
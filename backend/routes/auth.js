@@ -1,12 +1,84 @@
 const express = require('express');
-const { signup, login, getProfile, updateProfile } = require('../controllers/authController');
+const {
+  signup,
+  login,
+  verifyLoginCode,
+  getProfile,
+  updateProfile,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession
+} = require('../controllers/authController');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { rateLimit, byIp, byEmail } = require('../middleware/rateLimit');
+const { EMAIL_PATTERN } = require('../utils/emailVerification');
 
 const router = express.Router();
 
-router.post('/signup', signup);
-router.post('/login', login);
+// Field rules shared by the schemas below (see utils/validation.js)
+const name = { type: 'string', required: true, trim: true, maxlength: 100 };
+const email = { type: 'string', required: true, trim: true, match: EMAIL_PATTERN, message: 'Please enter a valid email' };
+const newPassword = { type: 'string', required: true, minlength: 6, maxlength: 128, label: 'Password' };
+const password = { type: 'string', required: true };
+const token = { type: 'string', required: true };
+const code = { type: 'string', required: true, maxlength: 20 };
+
+const schemas = {
+  signup: { body: { name, email, password: newPassword } },
+  login: { body: { email, password } },
+  loginCode: { body: { challengeToken: token, code } },
+  profile: { body: { name, email } },
+  changePassword: { body: { currentPassword: password, newPassword } },
+  token: { body: { token } },
+  code: { body: { code } },
+  password: { body: { password } },
+  forgotPassword: { body: { email } },
+  resetPassword: { body: { token, password: newPassword } },
+  refresh: { body: { refreshToken: token } },
+  logout: { body: { refreshToken: { type: 'string', nullable: true } } },
+  session: { params: { id: { type: 'id', required: true, label: 'Session id' } } },
+  noBody: { body: {} }
+};
+
+// Per-IP and per-email quotas; login also locks an email after repeated failures
+router.post('/signup', rateLimit('signupIp', byIp), rateLimit('signupEmail', byEmail), validate(schemas.signup), signup);
+router.post('/login', rateLimit('loginIp', byIp), validate(schemas.login), login);
+router.post('/login/2fa', rateLimit('loginIp', byIp), validate(schemas.loginCode), verifyLoginCode);
 router.get('/profile', auth, getProfile);
-router.put('/profile', auth, updateProfile);
+router.put('/profile', auth, validate(schemas.profile), updateProfile);
+router.put('/password', auth, validate(schemas.changePassword), changePassword);
+
+// Email verification links can be opened on any device, signed in or not
+router.post('/verify-email', validate(schemas.token), verifyEmail);
+router.post('/verify-email/resend', auth, validate(schemas.noBody), resendVerification);
+
+// Two-factor authentication: enroll with setup + enable, then codes are asked at login
+router.get('/2fa', auth, getTwoFactor);
+router.post('/2fa/setup', auth, validate(schemas.noBody), setupTwoFactor);
+router.post('/2fa/enable', auth, validate(schemas.code), enableTwoFactor);
+router.post('/2fa/disable', auth, validate(schemas.password), disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, validate(schemas.password), regenerateRecoveryCodes);
+
+// Forgot password: email a single-use reset link, then set the new password with its token
+router.post('/forgot-password', rateLimit('passwordResetIp', byIp), rateLimit('passwordResetEmail', byEmail), validate(schemas.forgotPassword), forgotPassword);
+router.post('/reset-password', validate(schemas.resetPassword), resetPassword);
+
+// Refresh and logout take the refresh token in the body, so they work with an expired access token
+router.post('/refresh', validate(schemas.refresh), refresh);
+router.post('/logout', validate(schemas.logout), logout);
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions/:id', auth, validate(schemas.session), revokeSession);
 
 module.exports = router;
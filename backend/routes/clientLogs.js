@@ -0,0 +1,37 @@
+const express = require('express');
+const { receiveClientLogs, CLIENT_LOG_LEVELS, MAX_CLIENT_LOG_ENTRIES } = require('../controllers/clientLogController');
+const validate = require('../middleware/validate');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+const text = (maxlength) => ({ type: 'string', maxlength });
+
+const entry = {
+  type: 'object',
+  fields: {
+    level: { type: 'string', required: true, enum: CLIENT_LOG_LEVELS },
+    message: { type: 'string', required: true, maxlength: 1000 },
+    time: { type: 'date' },
+    requestId: text(128),
+    url: text(2000),
+    error: {
+      type: 'object',
+      fields: { name: text(200), message: text(2000), code: text(100), status: { type: 'integer' }, stack: text(10000) }
+    },
+    data: { type: 'object' }
+  }
+};
+
+const schemas = {
+  report: {
+    body: {
+      entries: { type: 'array', required: true, minlength: 1, maxlength: MAX_CLIENT_LOG_ENTRIES, items: entry }
+    }
+  }
+};
+
+// Open to signed-out visitors too (errors on the login page count), so capped per IP
+router.post('/', rateLimit('clientLogsIp', byIp), validate(schemas.report), receiveClientLogs);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { getFilters, createFilter, updateFilter, deleteFilter } = require('../controllers/filterController');
+const auth = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Saved filters are personal, so viewing the workspace is enough to keep them
+router.get('/', auth, authorize('workspace:view'), getFilters);
+router.post('/', auth, authorize('workspace:view'), createFilter);
+router.put('/:id', auth, authorize('workspace:view'), updateFilter);
+router.delete('/:id', auth, authorize('workspace:view'), deleteFilter);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { getMyInvitations, acceptInvitation, declineInvitation } = require('../controllers/invitationController');
+const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/verified');
+
+const router = express.Router();
+
+// Invitations are matched by email, so the address must be verified first
+router.get('/', auth, requireVerifiedEmail, getMyInvitations);
+router.post('/:id/accept', auth, requireVerifiedEmail, acceptInvitation);
+router.post('/:id/decline', auth, requireVerifiedEmail, declineInvitation);
+
+module.exports = router;
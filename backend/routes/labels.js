@@ -0,0 +1,13 @@
+const express = require('express');
+const { getLabels, createLabel, updateLabel, deleteLabel } = require('../controllers/labelController');
+const auth = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.get('/', auth, authorize('workspace:view'), getLabels);
+router.post('/', auth, authorize('labels:manage'), createLabel);
+router.put('/:id', auth, authorize('labels:manage'), updateLabel);
+router.delete('/:id', auth, authorize('labels:manage'), deleteLabel);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+} = require('../controllers/projectController');
+const auth = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.get('/', auth, authorize('workspace:view'), getProjects);
+router.post('/', auth, authorize('projects:manage'), createProject);
+router.get('/:id', auth, authorize('workspace:view'), getProject);
+router.put('/:id', auth, authorize('projects:manage'), updateProject);
+router.delete('/:id', auth, authorize('projects:manage'), deleteProject);
+
+module.exports = router;
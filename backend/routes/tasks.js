@@ -1,12 +1,166 @@
 const express = require('express');
-const { getTasks, createTask, updateTask, deleteTask } = require('../controllers/taskController');
+const { getTasks, getTask, createTask, updateTask, deleteTask, getWorkflow } = require('../controllers/taskController');
+const { getBoard, reorderBoard } = require('../controllers/boardController');
+const {
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  removeChecklistItem
+} = require('../controllers/checklistController');
+const { assignTask, unassignTask } = require('../controllers/assigneeController');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const { getTaskHistory } = require('../controllers/activityController');
+const { getTrash, restoreTask, destroyTask } = require('../controllers/trashController');
+const { bulkUpdateTasks } = require('../controllers/bulkController');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { authorize, authorizeTask } = require('../middleware/authorize');
+const requireVerifiedEmail = require('../middleware/verified');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { PRIORITIES } = require('../config/priorities');
+const { MAX_CHECKLIST_ITEMS, MAX_ITEM_LENGTH } = require('../utils/checklist');
+const { FREQUENCIES, MAX_INTERVAL, MAX_COUNT } = require('../utils/recurrence');
 
 const router = express.Router();
 
-router.get('/', auth, getTasks);
-router.post('/', auth, createTask);
-router.put('/:id', auth, updateTask);
-router.delete('/:id', auth, deleteTask);
+// Every task route counts against the user's request quota
+const taskQuota = rateLimit('tasksUser', byUser);
+
+// Request schemas (see utils/validation.js). They check the shape of the
+// input; rules that need the task or workspace (workflow transitions, labels
+// and members of the workspace, recurrence dates) stay in the controllers.
+const id = (label) => ({ type: 'id', required: true, label });
+const taskParams = { id: id('Task id') };
+const page = {
+  limit: { type: 'integer', min: 1 },
+  cursor: { type: 'string' }
+};
+const taskFilters = {
+  search: { type: 'string' },
+  status: { type: 'string' },
+  priority: { type: 'string' },
+  labels: { type: 'string' },
+  labelMatch: { type: 'string', enum: ['any', 'all'] },
+  projectId: { type: 'string' },
+  assignee: { type: 'string' },
+  dueBefore: { type: 'date' },
+  dueAfter: { type: 'date' },
+  overdue: { type: 'boolean' },
+  filter: { type: 'string' },
+  savedFilter: { type: 'id' }
+};
+
+const checklistText = { type: 'string', required: true, trim: true, maxlength: MAX_ITEM_LENGTH, label: 'Checklist item text' };
+const checklistDone = { type: 'boolean', label: 'Checklist item done flag' };
+const commentBody = { type: 'string', required: true, trim: true, maxlength: 2000, label: 'Comment' };
+const taskFields = {
+  title: { type: 'string', trim: true, maxlength: 100 },
+  description: { type: 'string', trim: true, maxlength: 500 },
+  status: { type: 'string' },
+  priority: { type: 'string', enum: PRIORITIES },
+  dueDate: { type: 'date', nullable: true },
+  dueTime: { type: 'string', nullable: true, match: /^([01]\d|2[0-3]):[0-5]\d$/, message: 'Due time must be HH:mm' },
+  checklist: {
+    type: 'array',
+    maxlength: MAX_CHECKLIST_ITEMS,
+    items: {
+      type: 'object',
+      label: 'Checklist item',
+      fields: { _id: { type: 'id' }, text: checklistText, done: checklistDone, order: { type: 'integer' } }
+    }
+  },
+  labels: { type: 'array', items: { type: 'id', label: 'Label id' } },
+  projectId: { type: 'id', nullable: true, label: 'Project' },
+  assignees: { type: 'array', items: { type: 'id', label: 'Assignee id' } },
+  recurrence: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      frequency: { type: 'string', required: true, enum: FREQUENCIES, label: 'Repeat frequency' },
+      interval: { type: 'integer', min: 1, max: MAX_INTERVAL, label: 'Repeat interval' },
+      weekdays: { type: 'array', items: { type: 'integer', min: 0, max: 6, label: 'Weekday' } },
+      monthDay: { type: 'integer', nullable: true, min: 1, max: 31, label: 'Day of the month' },
+      until: { type: 'date', nullable: true, label: 'End date' },
+      count: { type: 'integer', nullable: true, min: 1, max: MAX_COUNT, label: 'Number of occurrences' },
+      timezone: { type: 'string', label: 'Time zone' }
+    }
+  }
+};
+
+const schemas = {
+  list: { query: { ...taskFilters, ...page, sort: { type: 'string' }, order: { type: 'string', enum: ['asc', 'desc'] } } },
+  board: { query: { ...taskFilters, limit: page.limit } },
+  boardOrder: { body: { status: { type: 'string', required: true }, taskIds: { type: 'array', required: true, items: id('Task id') } } },
+  page: { query: page },
+  create: {
+    body: {
+      ...taskFields,
+      title: { ...taskFields.title, required: true },
+      description: { ...taskFields.description, required: true }
+    }
+  },
+  bulk: {
+    body: {
+      ids: { type: 'array', required: true, items: id('Task id') },
+      action: { type: 'string', required: true },
+      priority: { type: 'string' },
+      labelId: { type: 'id', label: 'Label id' },
+      projectId: { type: 'id', nullable: true, label: 'Project' }
+    }
+  },
+  task: { params: taskParams },
+  update: { params: taskParams, body: taskFields },
+  checklistAdd: { params: taskParams, body: { text: checklistText } },
+  checklistOrder: { params: taskParams, body: { itemIds: { type: 'array', required: true, items: id('Checklist item id') } } },
+  checklistItem: { params: { ...taskParams, itemId: id('Checklist item id') } },
+  checklistUpdate: {
+    params: { ...taskParams, itemId: id('Checklist item id') },
+    body: { text: { ...checklistText, required: false }, done: checklistDone }
+  },
+  assign: { params: taskParams, body: { userId: id('User id') } },
+  assignee: { params: { ...taskParams, userId: id('User id') } },
+  comment: { params: taskParams, body: { body: commentBody } },
+  commentId: { params: { ...taskParams, commentId: id('Comment id') } },
+  commentUpdate: { params: { ...taskParams, commentId: id('Comment id') }, body: { body: commentBody } },
+  history: { params: taskParams, query: page }
+};
+
+router.get('/', auth, taskQuota, validate(schemas.list), authorize('workspace:view'), getTasks);
+router.get('/workflow', auth, taskQuota, getWorkflow);
+router.get('/board', auth, taskQuota, validate(schemas.board), authorize('workspace:view'), getBoard);
+// Board order is personal, so viewers may arrange their own board
+router.put('/board/order', auth, taskQuota, validate(schemas.boardOrder), authorize('workspace:view'), reorderBoard);
+router.get('/trash', auth, taskQuota, validate(schemas.page), authorize('workspace:view'), getTrash);
+router.post('/', auth, taskQuota, validate(schemas.create), authorize('tasks:edit'), createTask);
+router.post('/bulk', auth, taskQuota, validate(schemas.bulk), authorize('tasks:edit'), bulkUpdateTasks);
+router.get('/:id', auth, taskQuota, validate(schemas.task), authorizeTask('workspace:view'), getTask);
+router.put('/:id', auth, taskQuota, validate(schemas.update), authorizeTask('tasks:edit'), updateTask);
+router.delete('/:id', auth, taskQuota, validate(schemas.task), authorizeTask('tasks:edit'), deleteTask);
+
+// Trashed tasks: DELETE /:id above only moves a task to the trash
+router.post('/:id/restore', auth, taskQuota, validate(schemas.task), authorizeTask('tasks:edit', { trashed: true }), restoreTask);
+router.delete('/:id/permanent', auth, taskQuota, validate(schemas.task), authorizeTask('tasks:edit', { trashed: true }), destroyTask);
+
+router.post('/:id/checklist', auth, taskQuota, validate(schemas.checklistAdd), authorizeTask('tasks:edit'), addChecklistItem);
+router.put('/:id/checklist/order', auth, taskQuota, validate(schemas.checklistOrder), authorizeTask('tasks:edit'), reorderChecklist);
+router.put('/:id/checklist/:itemId', auth, taskQuota, validate(schemas.checklistUpdate), authorizeTask('tasks:edit'), updateChecklistItem);
+router.delete('/:id/checklist/:itemId', auth, taskQuota, validate(schemas.checklistItem), authorizeTask('tasks:edit'), removeChecklistItem);
+
+// Assigning involves other members, so it needs a verified email (see middleware/verified.js)
+router.post('/:id/assignees', auth, taskQuota, requireVerifiedEmail, validate(schemas.assign), authorizeTask('tasks:edit'), assignTask);
+router.delete('/:id/assignees/:userId', auth, taskQuota, requireVerifiedEmail, validate(schemas.assignee), authorizeTask('tasks:edit'), unassignTask);
+
+// Comments follow the task's permissions; authorship is checked in the controller
+router.get('/:id/comments', auth, taskQuota, validate(schemas.task), authorizeTask('workspace:view'), getComments);
+router.post('/:id/comments', auth, taskQuota, validate(schemas.comment), authorizeTask('tasks:edit'), createComment);
+router.put('/:id/comments/:commentId', auth, taskQuota, validate(schemas.commentUpdate), authorizeTask('tasks:edit'), updateComment);
+router.delete('/:id/comments/:commentId', auth, taskQuota, validate(schemas.commentId), authorizeTask('tasks:edit'), deleteComment);
+
+router.get('/:id/history', auth, taskQuota, validate(schemas.history), authorizeTask('workspace:view'), getTaskHistory);
 
 module.exports = router;
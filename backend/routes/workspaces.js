@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  updateMember,
+  removeMember,
+  leaveWorkspace
+} = require('../controllers/workspaceController');
+const {
+  getWorkspaceInvitations,
+  createInvitation,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const auth = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/authorize');
+const requireVerifiedEmail = require('../middleware/verified');
+
+const router = express.Router();
+
+router.get('/', auth, getWorkspaces);
+router.post('/', auth, requireVerifiedEmail, createWorkspace);
+router.get('/:id', auth, authorizeWorkspace('workspace:view'), getWorkspace);
+router.put('/:id', auth, authorizeWorkspace('workspace:update'), updateWorkspace);
+router.delete('/:id', auth, authorizeWorkspace('workspace:delete'), deleteWorkspace);
+
+// Membership and sharing need a verified email (see middleware/verified.js)
+router.put('/:id/members/:userId', auth, requireVerifiedEmail, authorizeWorkspace('members:manage'), updateMember);
+router.delete('/:id/members/:userId', auth, requireVerifiedEmail, authorizeWorkspace('members:manage'), removeMember);
+router.post('/:id/leave', auth, authorizeWorkspace('workspace:view'), leaveWorkspace);
+
+router.get('/:id/invitations', auth, requireVerifiedEmail, authorizeWorkspace('members:manage'), getWorkspaceInvitations);
+router.post('/:id/invitations', auth, requireVerifiedEmail, authorizeWorkspace('members:manage'), createInvitation);
+router.delete('/:id/invitations/:invitationId', auth, requireVerifiedEmail, authorizeWorkspace('members:manage'), revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Email Verification Migration
+ * Marks users created before email verification existed as verified
+ *
+ * @description Accounts from before verification never received a link, and
+ * would otherwise lose access to invitations and new workspaces. Only users
+ * without the emailVerified field are touched, so it is safe to run more than once.
+ *
+ * @example
+ * // From the backend directory
+ * npm run migrate:email
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const users = mongoose.connection.collection('users');
+
+  const result = await users.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, pendingEmail: null } }
+  );
+  console.log(`${result.modifiedCount} existing user(s) marked as verified`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,59 @@
+/**
+ * Search Index Migration
+ * Builds the search index of tasks created before full-text search, or
+ * before the index had all its current fields
+ *
+ * @description Fills `search` (the normalized words of the title and
+ * description, see utils/search.js) on every task, trashed ones included, and
+ * syncs the task indexes. New and edited tasks keep their index up to date on
+ * save. Safe to run more than once.
+ *
+ * @example
+ * // From the backend directory
+ * npm run migrate:search
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Task = require('../models/Task');
+const { buildSearchIndex } = require('../utils/search');
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const tasks = mongoose.connection.collection('tasks');
+
+  let batch = [];
+  let count = 0;
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await tasks.bulkWrite(batch, { ordered: false });
+    count += batch.length;
+    batch = [];
+  };
+
+  const cursor = tasks.find({}, { projection: { title: 1, description: 1 } });
+  for await (const task of cursor) {
+    batch.push({ updateOne: { filter: { _id: task._id }, update: { $set: { search: buildSearchIndex(task) } } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  console.log(`${count} task(s) indexed`);
+
+  await Task.syncIndexes();
+  console.log('Indexes synced');
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+/**
+ * Workflow Status Migration
+ * Rewrites tasks still using the legacy pending/completed statuses
+ *
+ * @description Maps each legacy status to its workflow state (see LEGACY_STATES in
+ * config/workflow.js) and backfills completedAt for tasks that were completed.
+ * Safe to run more than once.
+ *
+ * @example
+ * // From the backend directory
+ * npm run migrate:workflow
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { LEGACY_STATES, isDoneState } = require('../config/workflow');
+
+dotenv.config();
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const tasks = mongoose.connection.collection('tasks');
+
+  for (const [legacy, state] of Object.entries(LEGACY_STATES)) {
+    const update = { $set: { status: state } };
+    if (isDoneState(state)) {
+      // Best available approximation of when the task was completed
+      update.$set.completedAt = '$updatedAt';
+    }
+
+    const result = await tasks.updateMany(
+      { status: legacy },
+      isDoneState(state) ? [update] : update
+    );
+    console.log(`${legacy} -> ${state}: ${result.modifiedCount} task(s) updated`);
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,57 @@
+/**
+ * Workspace Migration
+ * Moves data created before workspaces into each user's personal workspace
+ *
+ * @description Creates the personal workspace of every user, sets workspaceId on
+ * their tasks, projects and labels, and rebuilds indexes so the old per-user
+ * indexes (such as the unique label name per user) are replaced by the
+ * per-workspace ones. Safe to run more than once.
+ *
+ * @example
+ * // From the backend directory
+ * npm run migrate:workspaces
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Label = require('../models/Label');
+
+dotenv.config();
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not defined');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const users = await User.find().select('name');
+  for (const user of users) {
+    const workspace = await Workspace.personalFor(user._id, `${user.name}'s workspace`);
+    const filter = { userId: user._id, workspaceId: { $exists: false } };
+    const update = { $set: { workspaceId: workspace._id } };
+
+    const [tasks, projects, labels] = await Promise.all([
+      Task.updateMany(filter, update),
+      Project.updateMany(filter, update),
+      Label.updateMany(filter, update)
+    ]);
+    console.log(`${user._id}: ${tasks.modifiedCount} task(s), ${projects.modifiedCount} project(s), ${labels.modifiedCount} label(s) moved`);
+  }
+
+  for (const Model of [Workspace, Task, Project, Label]) {
+    await Model.syncIndexes();
+  }
+  console.log('Indexes synced');
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -11,6 +11,11 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
+const { errorHandler } = require('./middleware/errorHandler');
+const { requestLogger } = require('./middleware/requestLogger');
+const { logger } = require('./utils/logger');
+const { NotFoundError } = require('./utils/errors');
+const { startTrashPurge } = require('./jobs/purgeTrash');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -30,41 +35,50 @@ if (!process.env.JWT_SECRET) {
  */
 const app = express();
 
+/**
+ * Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one proxy hop) so req.ip
+ * is the client's address: per-IP rate limits would otherwise count every
+ * client as the proxy.
+ */
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 /**
  * Connect to MongoDB database
  * Establishes connection using configuration from database.js
  */
 connectDB();
 
+/**
+ * Start background jobs
+ * Permanently deletes tasks whose time in the trash has run out (config/trash.js)
+ */
+startTrashPurge();
+
 /**
  * Middleware Configuration
- * Sets up CORS, JSON parsing, and request logging
+ * Sets up request logging, CORS and JSON parsing
  */
 
+// Request logging first, so every request (even one failing in the body parser)
+// gets an id and is logged with its status and latency (middleware/requestLogger.js)
+app.use(requestLogger());
+
 // Enable Cross-Origin Resource Sharing for frontend communication
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Workspace-Id', 'X-Request-Id'],
+  // Let the frontend read rate limit details and the request id
+  exposedHeaders: ['Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Request-Id']
 }));
 
 // Parse incoming JSON requests with size limit for security
 app.use(express.json({ limit: '10mb' }));
 
-/**
- * Request logging middleware for development and debugging
- * Logs HTTP method, path, and timestamp for each incoming request
- * 
- * @param {Request} req - Express request object
- * @param {Response} res - Express response object  
- * @param {Function} next - Express next middleware function
- */
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
 /**
  * API Routes Configuration
  * Mounts authentication and task management route handlers
@@ -73,9 +87,30 @@ app.use((req, res, next) => {
 // Authentication routes: signup, login, profile management
 app.use('/api/auth', require('./routes/auth'));
 
+// Workspace routes: shared workspaces, members and invitations they send
+app.use('/api/workspaces', require('./routes/workspaces'));
+
+// Invitation routes: invitations addressed to the signed-in user
+app.use('/api/invitations', require('./routes/invitations'));
+
 // Task management routes: CRUD operations for tasks
 app.use('/api/tasks', require('./routes/tasks'));
 
+// Label routes: workspace task labels
+app.use('/api/labels', require('./routes/labels'));
+
+// Project routes: groups of tasks
+app.use('/api/projects', require('./routes/projects'));
+
+// Activity routes: task change feed across the user's workspaces
+app.use('/api/activity', require('./routes/activity'));
+
+// Saved filter routes: the user's named task filters
+app.use('/api/filters', require('./routes/filters'));
+
+// Client log routes: errors reported by the frontend
+app.use('/api/client-logs', require('./routes/clientLogs'));
+
 /**
  * Health check endpoint
  * Provides server status and uptime information for monitoring
@@ -101,38 +136,24 @@ app.get('/health', (req, res) => {
  * 
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
- * @returns {Object} 404 error message with requested route
+ * @param {Function} next - Express next middleware function
  */
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    message: 'Route not found',
-    requestedPath: req.originalUrl,
-    method: req.method,
-    availableRoutes: ['/api/auth', '/api/tasks', '/health']
-  });
+app.use('*', (req, res, next) => {
+  next(new NotFoundError('Route not found', {
+    details: {
+      requestedPath: req.originalUrl,
+      method: req.method,
+      availableRoutes: ['/api/auth', '/api/workspaces', '/api/invitations', '/api/tasks', '/api/labels', '/api/projects', '/api/activity', '/api/filters', '/api/client-logs', '/health']
+    }
+  }));
 });
 
 /**
  * Global Error Handler Middleware
- * Catches and handles all unhandled application errors
- * 
- * @param {Error} err - The error object containing error details
- * @param {Request} req - Express request object
- * @param {Response} res - Express response object
- * @param {Function} next - Express next middleware function
- * @returns {Object} Formatted error response
+ * Answers every error with the { message, code } envelope (utils/errors.js),
+ * mapping Mongoose and body parsing errors to 4xx responses
  */
-app.use((err, req, res, next) => {
-  // Log error details for debugging
-  console.error(`${new Date().toISOString()} - Error:`, err.message);
-  console.error('Stack trace:', err.stack);
-  
-  // Send appropriate error response based on environment
-  res.status(err.status || 500).json({ 
-    message: process.env.NODE_ENV === 'production' ? 'Server error' : err.message,
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
-  });
-});
+app.use(errorHandler);
 
 /**
  * Server port configuration
@@ -149,11 +170,9 @@ const PORT = process.env.PORT || 5000;
  * @callback - Server startup callback function
  */
 app.listen(PORT, () => {
-  console.log(`
-🚀 Primetrade Task Manager API Server
-📍 Port: ${PORT}
-🌍 Environment: ${process.env.NODE_ENV || 'development'}
-📊 Health Check: http://localhost:${PORT}/health
-⏰ Started: ${new Date().toISOString()}
-  `);
+  logger.info('Primetrade Task Manager API Server started', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    healthCheck: `http://localhost:${PORT}/health`
+  });
 });
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const { snapshotTask, buildActivity, recordActivities } = require('../utils/activity');
+
+const userId = new mongoose.Types.ObjectId();
+const workspaceId = new mongoose.Types.ObjectId();
+
+const buildTask = (overrides = {}) => new Task({
+  title: 'Write the report',
+  description: 'Quarterly numbers',
+  status: 'todo',
+  priority: 'low',
+  workspaceId,
+  userId,
+  ...overrides
+});
+
+describe('buildActivity', () => {
+  it('lists the fields a task was created with', () => {
+    const task = buildTask({ dueDate: new Date('2026-05-01T00:00:00Z') });
+    const entry = buildActivity(task, userId, 'created');
+
+    assert.deepEqual(entry.changes, [
+      { field: 'title', before: null, after: 'Write the report' },
+      { field: 'description', before: null, after: 'Quarterly numbers' },
+      { field: 'status', before: null, after: 'todo' },
+      { field: 'priority', before: null, after: 'low' },
+      { field: 'dueDate', before: null, after: '2026-05-01T00:00:00.000Z' }
+    ]);
+    assert.equal(entry.taskTitle, 'Write the report');
+    assert.ok(entry.taskId.equals(task._id));
+    assert.ok(entry.workspaceId.equals(workspaceId));
+  });
+
+  it('lists only the fields an update changed, as plain values', () => {
+    const labelId = new mongoose.Types.ObjectId();
+    const task = buildTask({ checklist: [{ text: 'Draft', done: false }] });
+    const before = snapshotTask(task);
+
+    task.priority = 'high';
+    task.labels = [labelId];
+    task.checklist[0].done = true;
+    task.assignees.push({ userId, assignedBy: userId });
+
+    assert.deepEqual(buildActivity(task, userId, 'updated', before).changes, [
+      { field: 'priority', before: 'low', after: 'high' },
+      { field: 'labels', before: [], after: [labelId.toString()] },
+      { field: 'assignees', before: [], after: [userId.toString()] },
+      { field: 'checklist', before: [{ text: 'Draft', done: false }], after: [{ text: 'Draft', done: true }] }
+    ]);
+  });
+
+  it('skips updates that change nothing', () => {
+    const task = buildTask({ dueDate: new Date('2026-05-01T00:00:00Z') });
+    const before = snapshotTask(task);
+    task.dueDate = new Date('2026-05-01T00:00:00Z');
+    task.title = 'Write the report';
+
+    assert.equal(buildActivity(task, userId, 'updated', before), null);
+  });
+
+  it('ignores the position of a repeating task in its series', () => {
+    const task = buildTask({
+      dueDate: new Date('2026-05-01T00:00:00Z'),
+      recurrence: { frequency: 'weekly', interval: 1 }
+    });
+    const before = snapshotTask(task);
+    task.recurrence.occurrence += 1;
+    assert.equal(buildActivity(task, userId, 'updated', before), null);
+
+    task.recurrence.interval = 2;
+    const [change] = buildActivity(task, userId, 'updated', before).changes;
+    assert.equal(change.field, 'recurrence');
+    assert.equal(change.before.interval, 1);
+    assert.equal(change.after.interval, 2);
+    assert.equal('occurrence' in change.after, false);
+  });
+
+  it('lists the fields a deleted task had and nothing for restores', () => {
+    const task = buildTask();
+
+    const deleted = buildActivity(task, userId, 'deleted');
+    assert.deepEqual(deleted.changes[0], { field: 'title', before: 'Write the report', after: null });
+    assert.ok(deleted.changes.every(({ after }) => after === null));
+    assert.deepEqual(buildActivity(task, null, 'restored').changes, []);
+  });
+});
+
+describe('recordActivities', () => {
+  it('writes the entries that changed something, in the given session', async (t) => {
+    t.mock.method(Activity, 'insertMany', async () => []);
+    const session = { id: 'transaction' };
+    const entry = buildActivity(buildTask(), userId, 'created');
+
+    await recordActivities([entry, null], { session });
+    assert.deepEqual(Activity.insertMany.mock.calls[0].arguments, [[entry], { session }]);
+
+    await recordActivities([null]);
+    assert.equal(Activity.insertMany.mock.callCount(), 1);
+  });
+});
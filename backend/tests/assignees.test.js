@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Workspace = require('../models/Workspace');
+const Activity = require('../models/Activity');
+const { assignTask, unassignTask } = require('../controllers/assigneeController');
+const { buildTaskFilter } = require('../utils/taskFilters');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const ownerId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+const outsiderId = new mongoose.Types.ObjectId();
+
+const workspace = new Workspace({
+  name: 'Team',
+  ownerId,
+  members: [{ userId: ownerId, role: 'owner' }, { userId: memberId, role: 'member' }]
+});
+
+const buildTask = (assignees = []) => new Task({
+  title: 'Write the report',
+  description: 'Quarterly numbers',
+  workspaceId: workspace._id,
+  userId: ownerId,
+  assignees
+});
+
+// Run a handler on `task` with writes stubbed; resolves with { status, body, error, activities }
+const run = (t, handler, task, { body = {}, params = {} } = {}) => {
+  const writes = { activities: [] };
+  t.mock.method(task, 'save', async () => task);
+  t.mock.method(Activity, 'create', async (entry) => { writes.activities.push(entry); return entry; });
+
+  const req = { body, params, task, workspace, user: { userId: ownerId.toString() } };
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(json) {
+        resolve({ status: this.statusCode, body: json, ...writes });
+      }
+    };
+    handler(req, res, (error) => resolve({ error, ...writes }));
+  });
+};
+
+describe('assignTask', () => {
+  it('assigns a member, remembering who assigned them, and records the change', async (t) => {
+    const task = buildTask();
+    const { status, activities } = await run(t, assignTask, task, { body: { userId: memberId.toString() } });
+
+    assert.equal(status, 201);
+    assert.equal(task.assignees.length, 1);
+    assert.ok(task.assignees[0].userId.equals(memberId));
+    assert.ok(task.assignees[0].assignedBy.equals(ownerId));
+    assert.deepEqual(activities[0].changes.map(({ field }) => field), ['assignees']);
+  });
+
+  it('only assigns members of the workspace', async (t) => {
+    const task = buildTask();
+    const { error } = await run(t, assignTask, task, { body: { userId: outsiderId.toString() } });
+    assert.ok(error instanceof ValidationError);
+    assert.equal(task.save.mock.callCount(), 0);
+  });
+
+  it('refuses to assign someone twice', async (t) => {
+    const task = buildTask([{ userId: memberId, assignedBy: ownerId }]);
+    const { error } = await run(t, assignTask, task, { body: { userId: memberId.toString() } });
+    assert.ok(error instanceof ConflictError);
+  });
+});
+
+describe('unassignTask', () => {
+  it('removes the assignee and records the change', async (t) => {
+    const task = buildTask([{ userId: memberId, assignedBy: ownerId }, { userId: ownerId, assignedBy: ownerId }]);
+    const { body, activities } = await run(t, unassignTask, task, { params: { userId: memberId.toString() } });
+
+    assert.equal(body.message, 'User unassigned');
+    assert.deepEqual(task.assignees.map(({ userId }) => userId.toString()), [ownerId.toString()]);
+    assert.equal(activities.length, 1);
+  });
+
+  it('answers 404 for users who are not assigned', async (t) => {
+    const task = buildTask();
+    const { error } = await run(t, unassignTask, task, { params: { userId: memberId.toString() } });
+    assert.ok(error instanceof NotFoundError);
+  });
+});
+
+describe('buildTaskFilter assignee parameter', () => {
+  const userId = memberId.toString();
+
+  it('matches me, a given user or unassigned tasks', async () => {
+    assert.deepEqual((await buildTaskFilter({ assignee: 'me' }, workspace._id, userId)).filter['assignees.userId'], memberId);
+    assert.deepEqual((await buildTaskFilter({ assignee: ownerId.toString() }, workspace._id, userId)).filter['assignees.userId'], ownerId);
+    assert.deepEqual((await buildTaskFilter({ assignee: 'unassigned' }, workspace._id, userId)).filter.assignees, { $size: 0 });
+  });
+
+  it('rejects anything else', async () => {
+    assert.deepEqual(await buildTaskFilter({ assignee: 'someone' }, workspace._id, userId), {
+      error: 'Invalid assignee. Use me, unassigned or a user id'
+    });
+  });
+});
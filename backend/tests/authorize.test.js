@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const Task = require('../models/Task');
+const { authorize, authorizeWorkspace, authorizeTask } = require('../middleware/authorize');
+const { ROLES, PERMISSIONS, can, permissionsFor, outranks } = require('../config/roles');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const ownerId = new mongoose.Types.ObjectId();
+const userIds = Object.fromEntries(ROLES.map((role) => [role, role === 'owner' ? ownerId : new mongoose.Types.ObjectId()]));
+const outsiderId = new mongoose.Types.ObjectId();
+
+const workspace = new Workspace({
+  name: 'Team',
+  ownerId,
+  members: ROLES.map((role) => ({ userId: userIds[role], role }))
+});
+
+// Run a middleware as `userId`; resolves with { req, error } (error undefined when it let the request through)
+const run = (middleware, userId, { headers = {}, params = {} } = {}) => {
+  const req = {
+    params,
+    user: { userId: userId.toString() },
+    header: (name) => headers[name]
+  };
+  return new Promise((resolve) => {
+    middleware(req, {}, (error) => resolve({ req, error }));
+  });
+};
+
+describe('role permissions', () => {
+  it('grant each role what PERMISSIONS lists, and nothing to unknown roles', () => {
+    assert.deepEqual(permissionsFor('owner'), Object.keys(PERMISSIONS));
+    assert.deepEqual(permissionsFor('admin'), Object.keys(PERMISSIONS).filter((permission) => permission !== 'workspace:delete'));
+    assert.deepEqual(permissionsFor('member'), ['workspace:view', 'tasks:edit', 'projects:manage', 'labels:manage']);
+    assert.deepEqual(permissionsFor('viewer'), ['workspace:view']);
+    assert.equal(can('guest', 'workspace:view'), false);
+    assert.equal(can('owner', 'tasks:delete'), false);
+  });
+
+  it('rank the roles from owner down to viewer', () => {
+    assert.ok(outranks('owner', 'admin') && outranks('admin', 'member') && outranks('member', 'viewer'));
+    assert.equal(outranks('admin', 'admin'), false);
+  });
+});
+
+describe('authorize', () => {
+  for (const role of ROLES) {
+    it(`lets a ${role} do only what the role grants`, async (t) => {
+      t.mock.method(Workspace, 'findById', async () => workspace);
+      const headers = { 'X-Workspace-Id': workspace.id };
+
+      for (const permission of Object.keys(PERMISSIONS)) {
+        const { req, error } = await run(authorize(permission), userIds[role], { headers });
+        if (can(role, permission)) {
+          assert.equal(error, undefined, permission);
+          assert.equal(req.workspace, workspace);
+          assert.equal(req.membership.role, role);
+        } else {
+          assert.ok(error instanceof ForbiddenError, permission);
+          assert.equal(req.workspace, undefined);
+        }
+      }
+    });
+  }
+
+  it('hides workspaces from users who are not members', async (t) => {
+    t.mock.method(Workspace, 'findById', async () => workspace);
+    const { error } = await run(authorize('workspace:view'), outsiderId, { headers: { 'X-Workspace-Id': workspace.id } });
+    assert.ok(error instanceof NotFoundError);
+  });
+
+  it('falls back to the personal workspace without X-Workspace-Id', async (t) => {
+    t.mock.method(Workspace, 'personalFor', async () => workspace);
+    const { req, error } = await run(authorize('tasks:edit'), ownerId);
+    assert.equal(error, undefined);
+    assert.equal(req.workspace, workspace);
+    assert.equal(Workspace.personalFor.mock.calls[0].arguments[0], ownerId.toString());
+  });
+
+  it('rejects malformed workspace ids', async () => {
+    const { error } = await run(authorize('workspace:view'), ownerId, { headers: { 'X-Workspace-Id': 'abc' } });
+    assert.ok(error instanceof ValidationError);
+  });
+});
+
+describe('authorizeWorkspace', () => {
+  it('checks the workspace named in the route', async (t) => {
+    t.mock.method(Workspace, 'findById', async () => workspace);
+    const params = { id: workspace.id };
+
+    assert.equal((await run(authorizeWorkspace('members:manage'), userIds.admin, { params })).error, undefined);
+    assert.ok((await run(authorizeWorkspace('members:manage'), userIds.member, { params })).error instanceof ForbiddenError);
+    assert.ok((await run(authorizeWorkspace('workspace:view'), ownerId, { params: { id: 'abc' } })).error instanceof NotFoundError);
+  });
+});
+
+describe('authorizeTask', () => {
+  it('checks the workspace of the task and attaches the task', async (t) => {
+    const task = { _id: new mongoose.Types.ObjectId(), workspaceId: workspace._id };
+    t.mock.method(Task, 'findOne', async () => task);
+    t.mock.method(Workspace, 'findById', async () => workspace);
+    const params = { id: task._id.toString() };
+
+    const member = await run(authorizeTask('tasks:edit'), userIds.member, { params });
+    assert.equal(member.error, undefined);
+    assert.equal(member.req.task, task);
+
+    const viewer = await run(authorizeTask('tasks:edit'), userIds.viewer, { params });
+    assert.ok(viewer.error instanceof ForbiddenError);
+    assert.equal(viewer.req.task, undefined);
+
+    const outsider = await run(authorizeTask('workspace:view'), outsiderId, { params });
+    assert.ok(outsider.error instanceof NotFoundError);
+    assert.equal(outsider.error.message, 'Task not found');
+  });
+
+  it('looks in the trash only when asked to', async (t) => {
+    t.mock.method(Task, 'findOne', async () => null);
+
+    await run(authorizeTask('tasks:edit'), ownerId, { params: { id: workspace.id } });
+    await run(authorizeTask('tasks:edit', { trashed: true }), ownerId, { params: { id: workspace.id } });
+    assert.deepEqual(Task.findOne.mock.calls.map((call) => call.arguments[0].deletedAt), [null, { $ne: null }]);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskPosition = require('../models/TaskPosition');
+const { reorderBoard } = require('../controllers/boardController');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const workspaceId = new mongoose.Types.ObjectId();
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+// Run the handler with `tasks` as the tasks found; resolves with { body, error, writes }
+const run = (t, body, tasks = []) => {
+  const result = { writes: null };
+  t.mock.method(Task, 'find', () => ({ select: async () => tasks }));
+  t.mock.method(TaskPosition, 'bulkWrite', async (operations) => { result.writes = operations; });
+
+  const req = { body, user: { userId }, workspace: { _id: workspaceId } };
+  return new Promise((resolve) => {
+    const res = { json: (json) => resolve({ ...result, body: json }) };
+    reorderBoard(req, res, (error) => resolve({ ...result, error }));
+  });
+};
+
+describe('reorderBoard', () => {
+  it('saves the position of each card in the order given', async (t) => {
+    const ids = [newId(), newId()];
+    const { body, writes } = await run(t, { status: 'todo', taskIds: ids }, ids.map(() => ({ status: 'todo' })));
+
+    assert.equal(body.message, 'Board order saved');
+    assert.deepEqual(writes.map(({ updateOne }) => [updateOne.filter.taskId, updateOne.update.$set.position]), [
+      [ids[0], 0],
+      [ids[1], 1]
+    ]);
+    assert.ok(writes.every(({ updateOne }) => updateOne.filter.userId === userId && updateOne.upsert));
+  });
+
+  it('accepts legacy status names', async (t) => {
+    const id = newId();
+    const { body } = await run(t, { status: 'pending', taskIds: [id] }, [{ status: 'todo' }]);
+    assert.equal(body.message, 'Board order saved');
+  });
+
+  it('rejects unknown columns', async (t) => {
+    const { error } = await run(t, { status: 'later', taskIds: [newId()] });
+    assert.ok(error instanceof ValidationError);
+    assert.match(error.message, /^Invalid status/);
+  });
+
+  it('rejects empty, oversized and malformed id lists before loading tasks', async (t) => {
+    const id = newId();
+    const invalid = [undefined, [], 'abc', Array.from({ length: 501 }, newId), ['abc'], [id, id]];
+    for (const taskIds of invalid) {
+      const { error } = await run(t, { status: 'todo', taskIds });
+      assert.ok(error instanceof ValidationError, JSON.stringify(taskIds)?.slice(0, 40));
+      assert.equal(Task.find.mock.callCount(), 0);
+    }
+  });
+
+  it('answers 404 when a task is missing from the workspace', async (t) => {
+    const { error, writes } = await run(t, { status: 'todo', taskIds: [newId(), newId()] }, [{ status: 'todo' }]);
+    assert.ok(error instanceof NotFoundError);
+    assert.equal(writes, null);
+  });
+
+  it('refuses cards from another column', async (t) => {
+    const { error, writes } = await run(t, { status: 'todo', taskIds: [newId(), newId()] }, [{ status: 'todo' }, { status: 'done' }]);
+    assert.ok(error instanceof ConflictError);
+    assert.equal(error.message, 'All tasks must be in the todo column');
+    assert.equal(writes, null);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const { bulkUpdateTasks } = require('../controllers/bulkController');
+const { ConflictError, ValidationError } = require('../utils/errors');
+
+const userId = new mongoose.Types.ObjectId();
+const workspaceId = new mongoose.Types.ObjectId();
+
+const buildTask = (overrides = {}) => new Task({
+  title: 'Write the report',
+  description: 'Quarterly numbers',
+  status: 'todo',
+  priority: 'low',
+  workspaceId,
+  userId,
+  ...overrides
+});
+
+// Run the handler against stubbed models; resolves with { body, error, saved, activities }
+const run = (t, tasks, body) => {
+  const writes = { saved: null, activities: null };
+  t.mock.method(Task, 'find', async () => tasks);
+  t.mock.method(Task, 'bulkSave', async (docs) => { writes.saved = docs; });
+  t.mock.method(Activity, 'insertMany', async (entries) => { writes.activities = entries; });
+
+  const req = { body, user: { userId }, workspace: { _id: workspaceId } };
+  return new Promise((resolve) => {
+    const res = { json: (json) => resolve({ body: json, ...writes }) };
+    bulkUpdateTasks(req, res, (error) => resolve({ error, ...writes }));
+  });
+};
+
+describe('bulkUpdateTasks', () => {
+  it('applies the action, reporting unchanged tasks, and records history for the changed ones', async (t) => {
+    const [low, high] = [buildTask(), buildTask({ priority: 'high' })];
+    const { body, saved, activities } = await run(t, [low, high], {
+      ids: [low.id, high.id],
+      action: 'setPriority',
+      priority: 'high'
+    });
+
+    assert.deepEqual(body.results, [
+      { id: low.id, status: 'updated' },
+      { id: high.id, status: 'unchanged' }
+    ]);
+    assert.deepEqual(saved, [low]);
+    assert.equal(activities.length, 1);
+    assert.deepEqual(activities[0].changes, [{ field: 'priority', before: 'low', after: 'high' }]);
+  });
+
+  it('changes nothing when one task cannot take the action', async (t) => {
+    const [todo, blocked] = [buildTask(), buildTask({ status: 'blocked' })];
+    const missing = new mongoose.Types.ObjectId().toString();
+    const { error, saved, activities } = await run(t, [todo, blocked], {
+      ids: [todo.id, blocked.id, missing],
+      action: 'complete'
+    });
+
+    assert.ok(error instanceof ConflictError);
+    assert.equal(error.message, 'No tasks were changed: 2 of 3 cannot take this action');
+    assert.deepEqual(error.details.results, [
+      { id: todo.id, status: 'updated' },
+      { id: blocked.id, status: 'failed', message: 'Cannot move task from blocked to done' },
+      { id: missing, status: 'failed', message: 'Task not found' }
+    ]);
+    assert.equal(saved, null);
+    assert.equal(activities, null);
+  });
+
+  it('writes nothing when no task changes', async (t) => {
+    const done = buildTask({ status: 'done' });
+    const { body, saved } = await run(t, [done], { ids: [done.id], action: 'complete' });
+
+    assert.equal(body.message, '0 task(s) updated');
+    assert.deepEqual(body.results, [{ id: done.id, status: 'unchanged' }]);
+    assert.equal(saved, null);
+  });
+
+  it('rejects unknown actions and duplicate ids before loading tasks', async (t) => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const unknown = await run(t, [], { ids: [id], action: 'archive' });
+    assert.ok(unknown.error instanceof ValidationError);
+    assert.match(unknown.error.message, /^Invalid action/);
+
+    const duplicate = await run(t, [], { ids: [id, id], action: 'complete' });
+    assert.equal(duplicate.error.message, 'ids must be unique task ids');
+    assert.equal(Task.find.mock.callCount(), 0);
+  });
+});
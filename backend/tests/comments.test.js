@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const { createComment, updateComment, deleteComment } = require('../controllers/commentController');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const authorId = new mongoose.Types.ObjectId();
+const otherId = new mongoose.Types.ObjectId();
+const task = { _id: new mongoose.Types.ObjectId() };
+
+// Stub the writes of `comment` (a Comment document)
+const stubComment = (t, comment) => {
+  t.mock.method(comment, 'save', async () => comment);
+  t.mock.method(comment, 'populate', async () => comment);
+  t.mock.method(comment, 'deleteOne', async () => ({}));
+  return comment;
+};
+
+// Run a handler as `userId` with `role` in the workspace; resolves with { status, body } or { error }
+const run = (t, handler, { userId = authorId, role = 'member', body = {}, comment = null } = {}) => {
+  t.mock.method(Comment, 'findOne', async () => comment);
+  t.mock.method(Task, 'updateOne', async () => ({}));
+
+  const req = {
+    body,
+    params: { commentId: comment?.id },
+    task,
+    membership: { role },
+    user: { userId: userId.toString() }
+  };
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(json) {
+        resolve({ status: this.statusCode, body: json });
+      }
+    };
+    handler(req, res, (error) => resolve({ error }));
+  });
+};
+
+const buildComment = (t) => stubComment(t, new Comment({ taskId: task._id, authorId, body: 'Looks good' }));
+
+describe('createComment', () => {
+  it('saves the trimmed comment and counts it on the task', async (t) => {
+    t.mock.method(Comment.prototype, 'save', async function () { return this; });
+    t.mock.method(Comment.prototype, 'populate', async function () { return this; });
+
+    const { status, body } = await run(t, createComment, { body: { body: '  Looks good  ' } });
+    assert.equal(status, 201);
+    assert.equal(body.comment.body, 'Looks good');
+    assert.ok(body.comment.authorId.equals(authorId));
+    assert.deepEqual(Task.updateOne.mock.calls[0].arguments, [{ _id: task._id }, { $inc: { commentCount: 1 } }]);
+  });
+});
+
+describe('updateComment', () => {
+  it('lets the author edit and marks the comment as edited', async (t) => {
+    const comment = buildComment(t);
+    const { body } = await run(t, updateComment, { comment, body: { body: 'Looks great ' } });
+
+    assert.equal(body.comment.body, 'Looks great');
+    assert.equal(comment.edited, true);
+    assert.equal(comment.save.mock.callCount(), 1);
+  });
+
+  it('leaves unchanged comments alone', async (t) => {
+    const comment = buildComment(t);
+    await run(t, updateComment, { comment, body: { body: 'Looks good' } });
+    assert.equal(comment.edited, false);
+    assert.equal(comment.save.mock.callCount(), 0);
+  });
+
+  it('refuses edits from anyone else, moderators included', async (t) => {
+    const comment = buildComment(t);
+    const { error } = await run(t, updateComment, { comment, userId: otherId, role: 'owner', body: { body: 'Changed' } });
+    assert.ok(error instanceof ForbiddenError);
+    assert.equal(comment.body, 'Looks good');
+  });
+
+  it('answers 404 for comments of other tasks', async (t) => {
+    const { error } = await run(t, updateComment, { body: { body: 'Changed' } });
+    assert.ok(error instanceof NotFoundError);
+  });
+});
+
+describe('deleteComment', () => {
+  it('lets authors and moderators delete, and uncounts the comment', async (t) => {
+    for (const [userId, role] of [[authorId, 'viewer'], [otherId, 'admin'], [otherId, 'owner']]) {
+      const comment = buildComment(t);
+      const { body } = await run(t, deleteComment, { comment, userId, role });
+
+      assert.equal(body.message, 'Comment deleted', role);
+      assert.equal(comment.deleteOne.mock.callCount(), 1);
+      assert.deepEqual(Task.updateOne.mock.calls[0].arguments, [{ _id: task._id }, { $inc: { commentCount: -1 } }]);
+    }
+  });
+
+  it('refuses other members', async (t) => {
+    const comment = buildComment(t);
+    const { error } = await run(t, deleteComment, { comment, userId: otherId, role: 'member' });
+
+    assert.ok(error instanceof ForbiddenError);
+    assert.equal(comment.deleteOne.mock.callCount(), 0);
+    assert.equal(Task.updateOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { parseDueFields } = require('../controllers/taskController');
+const { buildTaskFilter } = require('../utils/taskFilters');
+const { CLOSED_STATES } = require('../config/workflow');
+
+const workspaceId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId().toString();
+
+describe('parseDueFields', () => {
+  it('leaves out the fields that are not provided', () => {
+    assert.deepEqual(parseDueFields({}), {});
+    assert.deepEqual(parseDueFields({ title: 'Write' }, new Date('2026-05-01')), {});
+  });
+
+  it('parses the date and keeps a valid time', () => {
+    assert.deepEqual(parseDueFields({ dueDate: '2026-05-01', dueTime: '09:30' }), {
+      dueDate: new Date('2026-05-01'),
+      dueTime: '09:30'
+    });
+  });
+
+  it('rejects invalid dates and times', () => {
+    assert.deepEqual(parseDueFields({ dueDate: 'soon' }), { error: 'Invalid due date' });
+    assert.deepEqual(parseDueFields({ dueDate: 1746057600000 }), { error: 'Invalid due date' });
+    for (const dueTime of ['24:00', '9:30', '09:60', 930]) {
+      assert.deepEqual(parseDueFields({ dueDate: '2026-05-01', dueTime }), { error: 'Invalid due time. Use HH:mm' }, String(dueTime));
+    }
+  });
+
+  it('requires a due date, given or existing, for a due time', () => {
+    assert.deepEqual(parseDueFields({ dueTime: '09:30' }), { error: 'Due time requires a due date' });
+    assert.deepEqual(parseDueFields({ dueTime: '09:30' }, new Date('2026-05-01')), { dueTime: '09:30' });
+    assert.deepEqual(parseDueFields({ dueDate: null, dueTime: '09:30' }, new Date('2026-05-01')), {
+      error: 'Due time requires a due date'
+    });
+  });
+
+  it('clears the time together with the date', () => {
+    assert.deepEqual(parseDueFields({ dueDate: '' }, new Date('2026-05-01')), { dueDate: null, dueTime: null });
+    assert.deepEqual(parseDueFields({ dueTime: null }), { dueTime: null });
+  });
+});
+
+describe('buildTaskFilter due date parameters', () => {
+  it('matches a due date range', async () => {
+    const { filter } = await buildTaskFilter({ dueAfter: '2026-05-01', dueBefore: '2026-05-31' }, workspaceId, userId);
+    assert.deepEqual(filter.$and, [{ dueDate: { $lte: new Date('2026-05-31'), $gte: new Date('2026-05-01') } }]);
+  });
+
+  it('rejects invalid range dates', async () => {
+    assert.deepEqual(await buildTaskFilter({ dueBefore: 'later' }, workspaceId, userId), { error: 'Invalid dueBefore date' });
+    assert.deepEqual(await buildTaskFilter({ dueAfter: 'earlier' }, workspaceId, userId), { error: 'Invalid dueAfter date' });
+  });
+
+  it('selects open tasks due before now as overdue', async () => {
+    const before = Date.now();
+    const { filter } = await buildTaskFilter({ overdue: 'true' }, workspaceId, userId);
+    const [due, status] = filter.$and;
+
+    assert.equal(due.dueDate.$ne, null);
+    assert.ok(due.dueDate.$lt.getTime() >= before && due.dueDate.$lt.getTime() <= Date.now());
+    assert.deepEqual(status, { status: { $nin: CLOSED_STATES } });
+  });
+});
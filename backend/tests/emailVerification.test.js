@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEmail } = require('../utils/emailVerification');
+const { emailVerificationTtlHours } = require('../config/sessions');
+
+describe('normalizeEmail', () => {
+  it('trims and lowercases valid addresses', () => {
+    assert.equal(normalizeEmail('  Ada@Example.COM '), 'ada@example.com');
+  });
+
+  it('rejects values that are not email addresses', () => {
+    assert.equal(normalizeEmail('ada@example'), null);
+    assert.equal(normalizeEmail('ada example@test.com'), null);
+    assert.equal(normalizeEmail(''), null);
+    assert.equal(normalizeEmail({ $ne: null }), null);
+    assert.equal(normalizeEmail(undefined), null);
+  });
+});
+
+describe('emailVerificationTtlHours', () => {
+  it('reads the lifetime from the environment, with a default', (t) => {
+    t.after(() => delete process.env.EMAIL_VERIFICATION_TTL_HOURS);
+
+    assert.equal(emailVerificationTtlHours(), 24);
+    process.env.EMAIL_VERIFICATION_TTL_HOURS = '48';
+    assert.equal(emailVerificationTtlHours(), 48);
+    process.env.EMAIL_VERIFICATION_TTL_HOURS = '-1';
+    assert.equal(emailVerificationTtlHours(), 24);
+  });
+});
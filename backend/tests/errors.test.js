@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const asyncHandler = require('../utils/asyncHandler');
+const { errorHandler } = require('../middleware/errorHandler');
+const { NotFoundError, ConflictError, conflictOnDuplicate } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+// Minimal Express response double
+const mockResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const handle = (error, req = {}) => {
+  const res = mockResponse();
+  errorHandler(error, { method: 'GET', originalUrl: '/api/tasks', ...req }, res, () => {});
+  return res;
+};
+
+const taskFields = {
+  workspaceId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId()
+};
+
+describe('errorHandler', () => {
+  it('answers application errors with their status, code and details', () => {
+    const res = handle(new ConflictError('No tasks were changed', { details: { results: [] } }));
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(res.body, { message: 'No tasks were changed', code: 'CONFLICT', results: [] });
+  });
+
+  it('maps Mongoose validation errors to 400 with field errors', () => {
+    const error = new Task({ ...taskFields, title: 'x'.repeat(101) }).validateSync();
+    const res = handle(error);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(res.body.errors, {
+      title: 'Title must be at most 100 characters',
+      description: 'Description is required'
+    });
+    assert.ok(Object.values(res.body.errors).includes(res.body.message));
+  });
+
+  it('maps cast errors to 400', () => {
+    const error = new mongoose.Error.CastError('ObjectId', 'abc', 'projectId');
+    const res = handle(error);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      message: 'Project id is not valid',
+      code: 'VALIDATION_FAILED',
+      errors: { projectId: 'Project id is not valid' }
+    });
+  });
+
+  it('maps duplicate keys to 409, leaving owner ids out of the field errors', () => {
+    const error = Object.assign(new Error('E11000 duplicate key'), {
+      code: 11000,
+      keyPattern: { workspaceId: 1, name: 1 }
+    });
+    const res = handle(error);
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(res.body, {
+      message: 'Name is already taken',
+      code: 'DUPLICATE',
+      errors: { name: 'Name is already taken' }
+    });
+  });
+
+  it('logs unexpected errors and hides them behind a 500 with the request id', (t) => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    t.after(() => { process.env.NODE_ENV = previous; });
+    const lines = [];
+    const log = createLogger({ write: (level, line) => lines.push(JSON.parse(line)) });
+
+    const res = handle(new Error('connection lost'), { id: 'req-1', log });
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, { message: 'Server error', code: 'INTERNAL', requestId: 'req-1' });
+    assert.equal(lines[0].level, 'error');
+    assert.equal(lines[0].error.message, 'connection lost');
+  });
+
+  it('leaves responses that already started to Express', () => {
+    const lines = [];
+    const log = createLogger({ write: (level, line) => lines.push(JSON.parse(line)) });
+    const res = Object.assign(mockResponse(), { headersSent: true });
+    const error = new NotFoundError('Task not found');
+    let passed = null;
+
+    errorHandler(error, { method: 'GET', originalUrl: '/api/tasks', log }, res, (forwarded) => { passed = forwarded; });
+
+    assert.equal(passed, error);
+    assert.equal(res.body, null);
+    assert.equal(lines[0].error.message, 'Task not found');
+  });
+});
+
+describe('conflictOnDuplicate', () => {
+  it('turns duplicate key errors into a ConflictError and rethrows others', async () => {
+    const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+    await assert.rejects(
+      Promise.reject(duplicate).catch(conflictOnDuplicate('Label already exists')),
+      (error) => error instanceof ConflictError && error.message === 'Label already exists'
+    );
+
+    const other = new Error('timeout');
+    await assert.rejects(Promise.reject(other).catch(conflictOnDuplicate('Label already exists')), other);
+  });
+});
+
+describe('asyncHandler', () => {
+  it('passes thrown errors to next', async () => {
+    const error = new NotFoundError('Task not found');
+    const received = await new Promise((resolve) => {
+      asyncHandler(async () => { throw error; })({}, mockResponse(), resolve);
+    });
+    assert.equal(received, error);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { parseFilter, compileFilter } = require('../utils/filterQuery');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const labelId = new mongoose.Types.ObjectId().toString();
+const now = new Date('2026-03-10T12:00:00Z');
+
+const compile = (rules, match = 'all') => {
+  const { filter, error } = parseFilter({ match, rules });
+  assert.equal(error, undefined);
+  return JSON.parse(JSON.stringify(compileFilter(filter, { userId, now })));
+};
+
+describe('parseFilter', () => {
+  it('keeps known keys only and normalizes values', () => {
+    const { filter } = parseFilter({
+      rules: [
+        { field: 'status', op: 'in', value: ['pending', 'todo'], $where: 'sleep(1000)' },
+        { field: 'createdAt', op: 'after', value: '2026-03-01' },
+        { field: 'dueDate', op: 'set' }
+      ],
+      extra: true
+    });
+
+    assert.deepEqual(filter, {
+      match: 'all',
+      rules: [
+        { field: 'status', op: 'in', value: ['todo'] },
+        { field: 'createdAt', op: 'after', value: '2026-03-01T00:00:00.000Z' },
+        { field: 'dueDate', op: 'set' }
+      ]
+    });
+  });
+
+  it('rejects unknown fields and operators, including inherited keys', () => {
+    assert.match(parseFilter({ rules: [{ field: '$where', op: 'in', value: ['x'] }] }).error, /Rule 1: unknown field/);
+    assert.match(parseFilter({ rules: [{ field: 'constructor', op: 'in' }] }).error, /unknown field/);
+    assert.match(parseFilter({ rules: [{ field: 'status', op: '$ne', value: ['done'] }] }).error, /status supports in, notIn/);
+    assert.match(parseFilter({ rules: [{ field: 'status', op: 'toString' }] }).error, /status supports/);
+  });
+
+  it('rejects values of the wrong kind', () => {
+    assert.ok(parseFilter({ rules: [{ field: 'priority', op: 'in', value: 'high' }] }).error);
+    assert.ok(parseFilter({ rules: [{ field: 'labels', op: 'any', value: [{ $gt: '' }] }] }).error);
+    assert.ok(parseFilter({ rules: [{ field: 'dueDate', op: 'next', value: '7' }] }).error);
+    assert.ok(parseFilter({ rules: [{ field: 'dueDate', op: 'overdue', value: true }] }).error);
+    assert.match(
+      parseFilter({ rules: [{ field: 'updatedAt', op: 'between', value: ['2026-03-02', '2026-03-01'] }] }).error,
+      /ends before it starts/
+    );
+  });
+
+  it('numbers errors in nested groups', () => {
+    const { error } = parseFilter({
+      rules: [
+        { field: 'dueDate', op: 'set' },
+        { match: 'any', rules: [{ field: 'priority', op: 'in', value: ['high'] }, { field: 'priority', op: 'in', value: ['urgent!'] }] }
+      ]
+    });
+    assert.match(error, /^Rule 2\.2 \(priority in\)/);
+  });
+
+  it('limits rules, depth and empty groups', () => {
+    const rule = { field: 'dueDate', op: 'set' };
+    assert.match(parseFilter({ rules: Array(21).fill(rule) }).error, /at most 20 rules/);
+    assert.match(parseFilter({ rules: [{ rules: [{ rules: [{ rules: [rule] }] }] }] }).error, /nested at most 3 deep/);
+    assert.match(parseFilter({ rules: [{ match: 'any', rules: [] }] }).error, /needs at least one rule/);
+    assert.deepEqual(parseFilter({ rules: [] }).filter, { match: 'all', rules: [] });
+  });
+
+  it('rejects filters and groups that are not objects or use an unknown match', () => {
+    assert.match(parseFilter(null).error, /^Filter must be an object/);
+    assert.match(parseFilter([]).error, /^Filter must be an object/);
+    assert.match(parseFilter({ rules: 'status:todo' }).error, /rules must be a list/);
+    assert.match(parseFilter({ match: 'none', rules: [] }).error, /^Filter: match must be all or any/);
+    assert.match(parseFilter({ rules: [{ match: 'some', rules: [{ field: 'dueDate', op: 'set' }] }] }).error, /^Rule 1: match must be all or any/);
+  });
+
+  it('parses its own output to the same filter, so stored filters stay valid', () => {
+    const { filter } = parseFilter({
+      match: 'any',
+      rules: [
+        { field: 'status', op: 'notIn', value: ['completed', 'archived', 'completed'] },
+        { field: 'updatedAt', op: 'between', value: ['2026-03-01', '2026-03-05T10:00:00+02:00'] },
+        { rules: [{ field: 'project', op: 'in', value: ['none', labelId] }, { field: 'labels', op: 'empty' }] }
+      ]
+    });
+
+    assert.deepEqual(filter.rules[0].value, ['done', 'archived']);
+    assert.deepEqual(filter.rules[1].value, ['2026-03-01T00:00:00.000Z', '2026-03-05T08:00:00.000Z']);
+    assert.deepEqual(parseFilter(filter), { filter });
+  });
+});
+
+describe('compileFilter', () => {
+  it('matches every task without rules', () => {
+    assert.deepEqual(compile([]), {});
+  });
+
+  it('combines rules with all or any', () => {
+    const rules = [
+      { field: 'priority', op: 'notIn', value: ['low'] },
+      { field: 'labels', op: 'all', value: [labelId] }
+    ];
+    assert.deepEqual(compile(rules), { $and: [{ priority: { $nin: ['low'] } }, { labels: { $all: [labelId] } }] });
+    assert.deepEqual(compile(rules, 'any'), { $or: [{ priority: { $nin: ['low'] } }, { labels: { $all: [labelId] } }] });
+  });
+
+  it('resolves me and unassigned', () => {
+    assert.deepEqual(compile([{ field: 'assignee', op: 'any', value: ['me', 'unassigned'] }]), {
+      $or: [{ 'assignees.userId': { $in: [userId] } }, { assignees: { $size: 0 } }]
+    });
+    assert.deepEqual(compile([{ field: 'assignee', op: 'none', value: ['me'] }]), {
+      $nor: [{ 'assignees.userId': { $in: [userId] } }]
+    });
+  });
+
+  it('maps project none to tasks outside any project', () => {
+    assert.deepEqual(compile([{ field: 'project', op: 'in', value: ['none'] }]), { projectId: { $in: [null] } });
+  });
+
+  it('computes relative dates from the reference time', () => {
+    assert.deepEqual(compile([{ field: 'dueDate', op: 'next', value: 7 }]), {
+      dueDate: { $gte: '2026-03-10T12:00:00.000Z', $lte: '2026-03-17T12:00:00.000Z' }
+    });
+    assert.deepEqual(compile([{ field: 'updatedAt', op: 'last', value: 1 }]), {
+      updatedAt: { $gte: '2026-03-09T12:00:00.000Z', $lte: '2026-03-10T12:00:00.000Z' }
+    });
+  });
+
+  it('compiles nested groups with their own match', () => {
+    assert.deepEqual(compile([
+      { field: 'dueDate', op: 'set' },
+      { match: 'any', rules: [{ field: 'labels', op: 'empty' }, { field: 'labels', op: 'none', value: [labelId] }] }
+    ]), {
+      $and: [
+        { dueDate: { $ne: null } },
+        { $or: [{ labels: { $size: 0 } }, { labels: { $nin: [labelId] } }] }
+      ]
+    });
+  });
+
+  it('passes ids and dates to Mongo as ObjectIds and Dates', () => {
+    const { filter } = parseFilter({
+      rules: [
+        { field: 'project', op: 'notIn', value: [labelId, 'none'] },
+        { field: 'createdAt', op: 'before', value: '2026-03-01' }
+      ]
+    });
+    const [project, createdAt] = compileFilter(filter, { userId, now }).$and;
+
+    assert.ok(project.projectId.$nin[0] instanceof mongoose.Types.ObjectId);
+    assert.equal(project.projectId.$nin[1], null);
+    assert.deepEqual(createdAt, { createdAt: { $lt: new Date('2026-03-01') } });
+  });
+
+  it('excludes closed tasks from overdue', () => {
+    const { dueDate, status } = compile([{ field: 'dueDate', op: 'overdue' }]);
+    assert.deepEqual(dueDate, { $ne: null, $lt: '2026-03-10T12:00:00.000Z' });
+    assert.ok(status.$nin.includes('done'));
+  });
+});
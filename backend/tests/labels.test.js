@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const { createLabel, deleteLabel } = require('../controllers/labelController');
+const { resolveLabels } = require('../controllers/taskController');
+const { buildTaskFilter } = require('../utils/taskFilters');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const workspaceId = new mongoose.Types.ObjectId();
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+// Run a handler; resolves with { status, body } or { error }
+const run = (handler, { body = {}, params = {} } = {}) => {
+  const req = { body, params, user: { userId }, workspace: { _id: workspaceId } };
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(json) {
+        resolve({ status: this.statusCode, body: json });
+      }
+    };
+    handler(req, res, (error) => resolve({ error }));
+  });
+};
+
+describe('createLabel', () => {
+  it('creates a label in the workspace', async (t) => {
+    t.mock.method(Label, 'findOne', () => ({ collation: async () => null }));
+    t.mock.method(Label.prototype, 'save', async function () { return this; });
+
+    const { status, body } = await run(createLabel, { body: { name: 'Urgent', color: '#dc3545' } });
+    assert.equal(status, 201);
+    assert.equal(body.label.name, 'Urgent');
+    assert.ok(body.label.workspaceId.equals(workspaceId));
+  });
+
+  it('validates the name and color', async () => {
+    const invalid = [
+      [{ color: '#dc3545' }, 'Label name is required'],
+      [{ name: '   ', color: '#dc3545' }, 'Label name is required'],
+      [{ name: 'x'.repeat(31), color: '#dc3545' }, 'Label name must be at most 30 characters'],
+      [{ name: 'Urgent', color: 'red' }, 'Label color must be a hex color like #0d6efd']
+    ];
+    for (const [body, message] of invalid) {
+      const { error } = await run(createLabel, { body });
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.message, message);
+    }
+  });
+
+  it('refuses a name already used in the workspace, whatever its case', async (t) => {
+    let collation = null;
+    t.mock.method(Label, 'findOne', () => ({
+      collation: async (options) => {
+        collation = options;
+        return { name: 'urgent' };
+      }
+    }));
+
+    const { error } = await run(createLabel, { body: { name: 'Urgent', color: '#dc3545' } });
+    assert.ok(error instanceof ConflictError);
+    assert.deepEqual(collation, { locale: 'en', strength: 2 });
+  });
+});
+
+describe('deleteLabel', () => {
+  it('detaches the label from the tasks that used it', async (t) => {
+    const label = { _id: new mongoose.Types.ObjectId() };
+    t.mock.method(Label, 'findOneAndDelete', async () => label);
+    t.mock.method(Task, 'updateMany', async () => ({}));
+
+    const { body } = await run(deleteLabel, { params: { id: label._id.toString() } });
+    assert.equal(body.message, 'Label deleted');
+    assert.deepEqual(Task.updateMany.mock.calls[0].arguments, [
+      { workspaceId, labels: label._id },
+      { $pull: { labels: label._id } }
+    ]);
+  });
+
+  it('answers 404 for labels of other workspaces', async (t) => {
+    t.mock.method(Label, 'findOneAndDelete', async () => null);
+    t.mock.method(Task, 'updateMany', async () => ({}));
+
+    const { error } = await run(deleteLabel, { params: { id: newId() } });
+    assert.ok(error instanceof NotFoundError);
+    assert.equal(Task.updateMany.mock.callCount(), 0);
+  });
+});
+
+describe('resolveLabels', () => {
+  it('keeps each label of the workspace once', async (t) => {
+    const id = newId();
+    t.mock.method(Label, 'countDocuments', async () => 1);
+
+    assert.deepEqual(await resolveLabels([id, id], workspaceId), { labels: [id] });
+    assert.deepEqual(Label.countDocuments.mock.calls[0].arguments, [{ _id: { $in: [id] }, workspaceId }]);
+  });
+
+  it('rejects malformed lists and labels of other workspaces', async (t) => {
+    t.mock.method(Label, 'countDocuments', async () => 1);
+
+    assert.deepEqual(await resolveLabels('abc', workspaceId), { error: 'Labels must be a list of label ids' });
+    assert.deepEqual(await resolveLabels(['abc'], workspaceId), { error: 'Labels must be a list of label ids' });
+    assert.deepEqual(await resolveLabels([newId(), newId()], workspaceId), { error: 'Unknown label' });
+  });
+});
+
+describe('buildTaskFilter labels parameter', () => {
+  it('matches any or all of the labels', async () => {
+    const ids = [newId(), newId()];
+    const objectIds = ids.map((id) => new mongoose.Types.ObjectId(id));
+
+    const any = await buildTaskFilter({ labels: ids.join(',') }, workspaceId, userId);
+    assert.deepEqual(any.filter.labels, { $in: objectIds });
+    const all = await buildTaskFilter({ labels: ids.join(','), labelMatch: 'all' }, workspaceId, userId);
+    assert.deepEqual(all.filter.labels, { $all: objectIds });
+  });
+
+  it('rejects malformed ids and match modes', async () => {
+    assert.deepEqual(await buildTaskFilter({ labels: 'abc' }, workspaceId, userId), { error: 'Invalid label id' });
+    assert.deepEqual(await buildTaskFilter({ labels: newId(), labelMatch: 'none' }, workspaceId, userId), {
+      error: 'Invalid labelMatch. Use any or all'
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { createLogger, redact } = require('../utils/logger');
+const { requestLogger } = require('../middleware/requestLogger');
+const { receiveClientLogs, MAX_CLIENT_DATA_LENGTH } = require('../controllers/clientLogController');
+
+// Logger keeping its entries in memory
+const memoryLogger = (level = 'debug') => {
+  const entries = [];
+  const logger = createLogger({ level, write: (entryLevel, line) => entries.push(JSON.parse(line)) });
+  return { logger, entries };
+};
+
+describe('redact', () => {
+  it('hides credentials at any depth', () => {
+    assert.deepEqual(redact({
+      headers: { authorization: 'Bearer abc', 'content-type': 'application/json' },
+      body: { email: 'ada@example.com', password: 'secret1', newPassword: 'secret2', refreshToken: 'r' },
+      list: [{ currentPassword: 'x' }]
+    }), {
+      headers: { authorization: '[REDACTED]', 'content-type': 'application/json' },
+      body: { email: 'ada@example.com', password: '[REDACTED]', newPassword: '[REDACTED]', refreshToken: '[REDACTED]' },
+      list: [{ currentPassword: '[REDACTED]' }]
+    });
+  });
+
+  it('writes errors with their name, message and stack', () => {
+    const error = Object.assign(new Error('down'), { code: 'ECONNREFUSED' });
+    const copy = redact({ error });
+    assert.equal(copy.error.name, 'Error');
+    assert.equal(copy.error.message, 'down');
+    assert.equal(copy.error.code, 'ECONNREFUSED');
+    assert.match(copy.error.stack, /^Error: down/);
+  });
+});
+
+describe('createLogger', () => {
+  it('writes JSON entries at or above its level', () => {
+    const { logger, entries } = memoryLogger('warn');
+    logger.info('Skipped');
+    logger.warn('Slow query', { durationMs: 900 });
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, 'warn');
+    assert.equal(entries[0].message, 'Slow query');
+    assert.equal(entries[0].durationMs, 900);
+    assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+  });
+
+  it('adds the fields of child loggers to every entry', () => {
+    const { logger, entries } = memoryLogger();
+    logger.child({ requestId: 'abc' }).info('Done', { status: 200 });
+    assert.equal(entries[0].requestId, 'abc');
+    assert.equal(entries[0].status, 200);
+  });
+});
+
+describe('requestLogger middleware', () => {
+  const run = (headers = {}) => {
+    const { logger, entries } = memoryLogger('info');
+    const req = {
+      method: 'POST',
+      originalUrl: '/api/tasks',
+      ip: '10.0.0.1',
+      headers,
+      get: (name) => headers[name.toLowerCase()]
+    };
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; }
+    });
+    let passed = false;
+    requestLogger(logger)(req, res, () => { passed = true; });
+    return { req, res, entries, passed };
+  };
+
+  it('propagates the client request id and logs the response', () => {
+    const { req, res, entries, passed } = run({ 'x-request-id': 'client-42' });
+    assert.equal(passed, true);
+    assert.equal(req.id, 'client-42');
+    assert.equal(res.headers['X-Request-Id'], 'client-42');
+
+    req.user = { userId: 'u1' };
+    res.statusCode = 404;
+    res.emit('finish');
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, 'warn');
+    assert.equal(entries[0].requestId, 'client-42');
+    assert.equal(entries[0].status, 404);
+    assert.equal(entries[0].userId, 'u1');
+    assert.equal(typeof entries[0].durationMs, 'number');
+  });
+
+  it('generates an id when the client sends none or an unusable one', () => {
+    assert.match(run().req.id, /^[0-9a-f-]{36}$/);
+    assert.match(run({ 'x-request-id': 'bad id\n{"level":"info"}' }).req.id, /^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('receiveClientLogs', () => {
+  const receive = (entries) => {
+    const { logger, entries: lines } = memoryLogger();
+    const req = { body: { entries }, id: 'report-1', log: logger, get: () => 'Browser/1.0' };
+    const res = { status() { return this; }, json() { return this; } };
+    receiveClientLogs(req, res);
+    return lines;
+  };
+
+  it('logs each entry with its source and the id of the request it is about', () => {
+    const [line] = receive([{ level: 'error', message: 'Save failed', requestId: 'req-9', data: { taskId: 't1' } }]);
+    assert.equal(line.level, 'error');
+    assert.equal(line.source, 'client');
+    assert.equal(line.reportId, 'report-1');
+    assert.equal(line.requestId, 'req-9');
+    assert.deepEqual(line.data, { taskId: 't1' });
+  });
+
+  it('bounds the depth and size of the client data', () => {
+    let nested = { value: 'deep' };
+    for (let level = 0; level < 20; level += 1) nested = { nested };
+    const [deep, large] = receive([
+      { level: 'warn', message: 'Deep', data: nested },
+      { level: 'warn', message: 'Large', data: { token: 'abc', items: Array(1000).fill('x'.repeat(50)) } }
+    ]);
+
+    assert.ok(JSON.stringify(deep.data).includes('[Truncated]'));
+    assert.ok(!JSON.stringify(deep.data).includes('deep'));
+    assert.equal(large.data.truncated.length, MAX_CLIENT_DATA_LENGTH);
+    assert.match(large.data.truncated, /^\{"token":"\[REDACTED\]"/);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerTransport, sendMail } = require('../utils/mailer');
+const { appLink } = require('../config/mail');
+
+const message = { to: 'ada@example.com', subject: 'Hello', text: 'Line one\nLine two' };
+
+const withEnv = (t, values) => {
+  const previous = Object.fromEntries(Object.keys(values).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+};
+
+describe('sendMail', () => {
+  it('sends through a registered transport, with the default sender', async (t) => {
+    const sent = [];
+    registerTransport('memory', { send: async (mail) => { sent.push(mail); } });
+    withEnv(t, { MAIL_TRANSPORT: 'memory' });
+
+    await sendMail(message);
+    assert.deepEqual(sent, [{ ...message, from: 'Primetrade <no-reply@localhost>' }]);
+  });
+
+  it('appends emails to a file with the file transport', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'mail.log');
+    withEnv(t, { MAIL_TRANSPORT: 'file', MAIL_FILE: file, MAIL_FROM: 'App <app@example.com>' });
+
+    await sendMail(message);
+    await sendMail({ ...message, subject: 'Again' });
+
+    const content = fs.readFileSync(file, 'utf8');
+    assert.match(content, /From: App <app@example.com>\nTo: ada@example.com\nSubject: Hello\n\nLine one\nLine two/);
+    assert.match(content, /Subject: Again/);
+  });
+
+  it('rejects unknown transports', async (t) => {
+    withEnv(t, { MAIL_TRANSPORT: 'carrier-pigeon' });
+    await assert.rejects(sendMail(message), /Unknown mail transport "carrier-pigeon"/);
+  });
+
+  it('only registers transports that can send', () => {
+    assert.throws(() => registerTransport('broken', {}), TypeError);
+  });
+});
+
+describe('appLink', () => {
+  it('builds links to the frontend', (t) => {
+    assert.equal(appLink('/reset-password'), 'http://localhost:3000/reset-password');
+    withEnv(t, { FRONTEND_URL: 'https://app.example.com/' });
+    assert.equal(appLink('/reset-password'), 'https://app.example.com/reset-password');
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  paginateAggregate
+} = require('../utils/pagination');
+
+const objectId = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+
+// Order MongoDB sorts by: null/missing first, then the values, ties on _id
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+};
+const sortKey = (doc, field) => (doc[field] ?? null);
+const sortDocs = (docs, field, direction) => [...docs].sort((a, b) => direction * (
+  compare(sortKey(a, field), sortKey(b, field)) || compare(a._id.toString(), b._id.toString())
+));
+
+// Enough of MongoDB's matching for the filters cursorFilter builds.
+// $gt/$lt never match null, like MongoDB's comparisons across types.
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some((clause) => matches(doc, clause));
+  const value = key === '_id' ? doc._id.toString() : sortKey(doc, key);
+  if (condition instanceof mongoose.Types.ObjectId) return value === condition.toString();
+  if (condition === null || typeof condition !== 'object') return value === condition;
+
+  const [[op, operand]] = Object.entries(condition);
+  const target = operand instanceof mongoose.Types.ObjectId ? operand.toString() : operand;
+  if (op === '$ne') return value !== target;
+  if (value === null) return false;
+  return op === '$gt' ? value > target : value < target;
+});
+
+// Page through docs like paginate does, returning the _ids in page order
+const pageThrough = (docs, field, direction, limit) => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const candidates = cursor ? docs.filter((doc) => matches(doc, cursorFilter(field, direction, cursor))) : docs;
+    const page = sortDocs(candidates, field, direction).slice(0, limit + 1);
+    const items = page.slice(0, limit);
+    seen.push(...items.map((doc) => doc._id.toString()));
+    cursor = page.length > limit ? decodeCursor(encodeCursor(items[items.length - 1], field), field) : null;
+  } while (cursor);
+  return seen;
+};
+
+describe('parseLimit', () => {
+  it('defaults, clamps and rejects page sizes', () => {
+    assert.equal(parseLimit(undefined), 20);
+    assert.equal(parseLimit('5'), 5);
+    assert.equal(parseLimit('1000'), MAX_LIMIT);
+    assert.equal(parseLimit('0'), null);
+    assert.equal(parseLimit('2.5'), null);
+  });
+});
+
+describe('encodeCursor and decodeCursor', () => {
+  it('round-trip dates, strings and missing values', () => {
+    const _id = objectId(7);
+    const createdAt = new Date('2026-03-10T12:00:00Z');
+
+    assert.deepEqual(decodeCursor(encodeCursor({ _id, createdAt }, 'createdAt'), 'createdAt'), { value: createdAt, id: _id });
+    assert.deepEqual(decodeCursor(encodeCursor({ _id, title: 'Write' }, 'title'), 'title'), { value: 'Write', id: _id });
+    assert.deepEqual(decodeCursor(encodeCursor({ _id }, 'dueDate'), 'dueDate'), { value: null, id: _id });
+  });
+
+  it('rejects cursors from another sort field and malformed ones', () => {
+    const cursor = encodeCursor({ _id: objectId(1), title: 'Write' }, 'title');
+    assert.equal(decodeCursor(cursor, 'createdAt'), null);
+    assert.equal(decodeCursor('not a cursor', 'title'), null);
+
+    const badId = Buffer.from(JSON.stringify({ f: 'title', v: 'a', d: false, id: 'x' })).toString('base64url');
+    assert.equal(decodeCursor(badId, 'title'), null);
+    const badDate = Buffer.from(JSON.stringify({ f: 'dueDate', v: 'soon', d: true, id: objectId(1).toString() })).toString('base64url');
+    assert.equal(decodeCursor(badDate, 'dueDate'), null);
+  });
+
+  it('rejects values that are not strings, finite numbers, null or ISO dates', () => {
+    const cursor = (payload) => Buffer.from(JSON.stringify({ f: 'title', d: false, id: objectId(1).toString(), ...payload })).toString('base64url');
+
+    assert.equal(decodeCursor(cursor({ v: { $ne: null } }), 'title'), null);
+    assert.equal(decodeCursor(cursor({ v: ['a'] }), 'title'), null);
+    assert.equal(decodeCursor(cursor({ v: true }), 'title'), null);
+    assert.equal(decodeCursor(cursor({}), 'title'), null);
+    assert.equal(decodeCursor(cursor({ v: 3 }), 'title').value, 3);
+    assert.equal(decodeCursor(cursor({ v: 1700000000000, d: true }), 'title'), null);
+    assert.equal(decodeCursor(cursor({ v: 'March 1', d: true }), 'title'), null);
+    assert.equal(decodeCursor(cursor({ v: { $gt: '' }, d: true }), 'title'), null);
+  });
+});
+
+describe('cursorFilter', () => {
+  it('tie-breaks on _id in the sort direction', () => {
+    const id = objectId(3);
+    assert.deepEqual(cursorFilter('priorityRank', 1, { value: 2, id }), {
+      $or: [{ priorityRank: { $gt: 2 } }, { priorityRank: 2, _id: { $gt: id } }]
+    });
+    assert.deepEqual(cursorFilter('priorityRank', -1, { value: 2, id }), {
+      $or: [{ priorityRank: { $lt: 2 } }, { priorityRank: 2, _id: { $lt: id } }, { priorityRank: null }]
+    });
+  });
+
+  it('continues past null values, which sort first', () => {
+    const id = objectId(3);
+    assert.deepEqual(cursorFilter('dueDate', 1, { value: null, id }), {
+      $or: [{ dueDate: null, _id: { $gt: id } }, { dueDate: { $ne: null } }]
+    });
+    assert.deepEqual(cursorFilter('dueDate', -1, { value: null, id }), { dueDate: null, _id: { $lt: id } });
+  });
+
+  // Many ties and missing values, with pages that end inside each group
+  const docs = [3, null, 1, 3, null, 2, 3, undefined, 1, 3].map((rank, n) => (
+    rank === undefined ? { _id: objectId(n + 1) } : { _id: objectId(n + 1), rank }
+  ));
+
+  for (const direction of [1, -1]) {
+    it(`visits every document once, in order, when sorting ${direction === 1 ? 'up' : 'down'}`, () => {
+      const expected = sortDocs(docs, 'rank', direction).map((doc) => doc._id.toString());
+      for (const limit of [1, 2, 3, 4, 10]) {
+        assert.deepEqual(pageThrough(docs, 'rank', direction, limit), expected, `limit ${limit}`);
+      }
+    });
+  }
+});
+
+describe('paginateAggregate', () => {
+  const Model = (docs) => ({
+    pipeline: null,
+    async aggregate(pipeline) {
+      this.pipeline = pipeline;
+      return docs;
+    }
+  });
+
+  it('sorts and limits after the given stages, fetching one extra document', async () => {
+    const docs = [{ _id: objectId(1), score: 9 }, { _id: objectId(2), score: 5 }, { _id: objectId(3), score: 5 }];
+    const model = Model(docs);
+    const stages = [{ $match: { workspaceId: 'w' } }, { $addFields: { score: 1 } }];
+
+    const page = await paginateAggregate(model, stages, { field: 'score', direction: -1, limit: 2, cursor: null });
+
+    assert.deepEqual(model.pipeline, [...stages, { $sort: { score: -1, _id: -1 } }, { $limit: 3 }]);
+    assert.deepEqual(page.items, docs.slice(0, 2));
+    assert.equal(page.hasMore, true);
+    assert.deepEqual(decodeCursor(page.nextCursor, 'score'), { value: 5, id: objectId(2) });
+  });
+
+  it('matches the cursor once the sort field is computed', async () => {
+    const model = Model([{ _id: objectId(4), score: 1 }]);
+    const cursor = { value: 5, id: objectId(2) };
+    const stages = [{ $addFields: { score: 1 } }];
+
+    const page = await paginateAggregate(model, stages, { field: 'score', direction: -1, limit: 2, cursor });
+
+    assert.deepEqual(model.pipeline.slice(0, 2), [...stages, { $match: cursorFilter('score', -1, cursor) }]);
+    assert.equal(page.hasMore, false);
+    assert.equal(page.nextCursor, null);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const PasswordReset = require('../models/PasswordReset');
+const { registerTransport } = require('../utils/mailer');
+const { sendResetLink } = require('../utils/passwordReset');
+const { hashToken } = require('../utils/sessions');
+
+// Stub the models and the mail transport; returns what was stored and sent
+const stub = (t, user) => {
+  const calls = { find: 0, stored: [], sent: [] };
+  t.mock.method(User, 'findOne', async () => { calls.find += 1; return user; });
+  t.mock.method(PasswordReset, 'deleteMany', async () => {});
+  t.mock.method(PasswordReset, 'create', async (doc) => { calls.stored.push(doc); });
+  registerTransport('memory', { send: async (mail) => { calls.sent.push(mail); } });
+  process.env.MAIL_TRANSPORT = 'memory';
+  t.after(() => delete process.env.MAIL_TRANSPORT);
+  return calls;
+};
+
+describe('sendResetLink', () => {
+  it('stores a hashed token and emails the link to a registered account', async (t) => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com', name: 'Ada' };
+    const calls = stub(t, user);
+
+    assert.equal(await sendResetLink('ada@example.com'), true);
+    assert.equal(calls.sent.length, 1);
+    assert.equal(calls.sent[0].to, 'ada@example.com');
+
+    const [, token] = calls.sent[0].text.match(/reset-password\?token=([0-9a-f]+)/);
+    assert.equal(calls.stored[0].tokenHash, hashToken(token));
+    assert.ok(calls.stored[0].expiresAt > new Date());
+  });
+
+  it('does nothing for unknown or invalid emails', async (t) => {
+    const calls = stub(t, null);
+
+    assert.equal(await sendResetLink('nobody@example.com'), false);
+    assert.equal(await sendResetLink(null), false);
+    assert.equal(calls.find, 1);
+    assert.deepEqual(calls.stored, []);
+    assert.deepEqual(calls.sent, []);
+  });
+});
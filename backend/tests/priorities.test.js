@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { getTasks } = require('../controllers/taskController');
+const { buildTaskFilter } = require('../utils/taskFilters');
+const { PRIORITIES, PRIORITY_RANKS } = require('../config/priorities');
+const { ValidationError } = require('../utils/errors');
+
+const userId = new mongoose.Types.ObjectId();
+const workspaceId = new mongoose.Types.ObjectId();
+
+const buildTask = (overrides = {}) => new Task({
+  title: 'Write the report',
+  description: 'Quarterly numbers',
+  workspaceId,
+  userId,
+  ...overrides
+});
+
+// Run getTasks with Task.find stubbed; resolves with { sort, body, error }
+const list = (t, query) => {
+  const result = { sort: null };
+  t.mock.method(Task, 'find', () => ({
+    sort(sort) {
+      result.sort = sort;
+      return { limit: async () => [] };
+    }
+  }));
+
+  const req = { query, user: { userId: userId.toString() }, workspace: { _id: workspaceId } };
+  return new Promise((resolve) => {
+    const res = { json: (body) => resolve({ ...result, body }) };
+    getTasks(req, res, (error) => resolve({ ...result, error }));
+  });
+};
+
+describe('priority levels', () => {
+  it('rank in ascending order of importance', () => {
+    assert.deepEqual(PRIORITIES, ['low', 'medium', 'high', 'urgent']);
+    const ranks = PRIORITIES.map((priority) => PRIORITY_RANKS[priority]);
+    assert.deepEqual(ranks, [...ranks].sort((a, b) => a - b));
+  });
+});
+
+describe('Task priority', () => {
+  it('defaults to medium and keeps priorityRank in sync', async () => {
+    const task = buildTask();
+    await task.validate();
+    assert.equal(task.priority, 'medium');
+    assert.equal(task.priorityRank, PRIORITY_RANKS.medium);
+
+    task.priority = 'urgent';
+    await task.validate();
+    assert.equal(task.priorityRank, PRIORITY_RANKS.urgent);
+  });
+
+  it('rejects unknown priorities', async () => {
+    await assert.rejects(buildTask({ priority: 'critical' }).validate(), (error) => (
+      error instanceof mongoose.Error.ValidationError && Object.keys(error.errors).join() === 'priority'
+    ));
+  });
+});
+
+describe('buildTaskFilter priority parameter', () => {
+  it('matches any of the listed priorities', async () => {
+    const { filter } = await buildTaskFilter({ priority: 'high,urgent' }, workspaceId, userId);
+    assert.deepEqual(filter.priority, { $in: ['high', 'urgent'] });
+  });
+
+  it('rejects unknown priorities', async () => {
+    const { error } = await buildTaskFilter({ priority: 'high,critical' }, workspaceId, userId);
+    assert.equal(error, 'Invalid priority. Use one of: low, medium, high, urgent');
+  });
+});
+
+describe('getTasks sort=priority', () => {
+  it('sorts by rank, most important first unless asked otherwise', async (t) => {
+    assert.deepEqual((await list(t, { sort: 'priority' })).sort, { priorityRank: -1, _id: -1 });
+    assert.deepEqual((await list(t, { sort: 'priority', order: 'asc' })).sort, { priorityRank: 1, _id: 1 });
+  });
+
+  it('rejects unknown sort fields', async (t) => {
+    const { error } = await list(t, { sort: 'importance' });
+    assert.ok(error instanceof ValidationError);
+    assert.match(error.message, /^Invalid sort field/);
+  });
+});
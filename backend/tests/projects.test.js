@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const { deleteProject } = require('../controllers/projectController');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const userId = new mongoose.Types.ObjectId();
+const workspaceId = new mongoose.Types.ObjectId();
+
+const buildProject = () => {
+  const project = { _id: new mongoose.Types.ObjectId(), deleted: false };
+  project.deleteOne = async () => { project.deleted = true; };
+  return project;
+};
+
+// Run deleteProject with `projects` as the projects of the workspace and
+// `tasks` as the tasks of the deleted one; resolves with { body, error, update, activities }
+const run = (t, { id, query, projects, tasks = [] }) => {
+  const writes = { update: null, activities: null };
+  t.mock.method(Project, 'findOne', async ({ _id }) => projects.find((project) => project._id.toString() === _id) || null);
+  t.mock.method(Task, 'find', async () => tasks);
+  t.mock.method(Task, 'updateMany', async (filter, update) => {
+    writes.update = { filter, update };
+    return { modifiedCount: tasks.length };
+  });
+  t.mock.method(Activity, 'insertMany', async (entries) => { writes.activities = entries; });
+
+  const req = { query, params: { id }, user: { userId }, workspace: { _id: workspaceId } };
+  return new Promise((resolve) => {
+    const res = { json: (json) => resolve({ body: json, ...writes }) };
+    deleteProject(req, res, (error) => resolve({ error, ...writes }));
+  });
+};
+
+describe('deleteProject', () => {
+  const setup = () => {
+    const [project, target] = [buildProject(), buildProject()];
+    const tasks = [1, 2].map((n) => new Task({
+      title: `Task ${n}`,
+      description: 'Details',
+      workspaceId,
+      userId,
+      projectId: project._id
+    }));
+    return { project, target, tasks, id: project._id.toString() };
+  };
+
+  it('moves the live tasks to another project and records the change', async (t) => {
+    const { project, target, tasks, id } = setup();
+    const { body, update, activities } = await run(t, {
+      id,
+      query: { tasks: 'move', targetProjectId: target._id.toString() },
+      projects: [project, target],
+      tasks
+    });
+
+    assert.deepEqual(update, {
+      filter: { workspaceId, projectId: project._id, deletedAt: null },
+      update: { $set: { projectId: target._id } }
+    });
+    assert.deepEqual(body.tasks, { action: 'move', count: 2, targetProjectId: target._id });
+    assert.deepEqual(activities.map((entry) => entry.changes), tasks.map(() => [
+      { field: 'projectId', before: project._id.toString(), after: target._id.toString() }
+    ]));
+    assert.equal(project.deleted, true);
+  });
+
+  it('moves the tasks out of any project without a target', async (t) => {
+    const { project, tasks, id } = setup();
+    const { body, update } = await run(t, { id, query: { tasks: 'move' }, projects: [project], tasks });
+
+    assert.deepEqual(update.update, { $set: { projectId: null } });
+    assert.equal(body.tasks.targetProjectId, null);
+  });
+
+  it('sends the tasks to the trash with the project', async (t) => {
+    const { project, tasks, id } = setup();
+    const { body, update, activities } = await run(t, { id, query: { tasks: 'delete' }, projects: [project], tasks });
+
+    assert.ok(update.update.$set.deletedAt instanceof Date);
+    assert.equal(update.update.$set.deletedBy, userId);
+    assert.deepEqual(body.tasks, { action: 'delete', count: 2, targetProjectId: null });
+    assert.deepEqual(activities.map((entry) => entry.action), ['deleted', 'deleted']);
+    assert.equal(project.deleted, true);
+  });
+
+  it('requires a choice for the tasks', async (t) => {
+    const { project, id } = setup();
+    const { error } = await run(t, { id, query: {}, projects: [project] });
+    assert.ok(error instanceof ValidationError);
+    assert.equal(Project.findOne.mock.callCount(), 0);
+  });
+
+  it('refuses to move the tasks into the deleted project or a missing one', async (t) => {
+    const { project, id } = setup();
+
+    const itself = await run(t, { id, query: { tasks: 'move', targetProjectId: id }, projects: [project] });
+    assert.ok(itself.error instanceof ValidationError);
+
+    const missing = await run(t, {
+      id,
+      query: { tasks: 'move', targetProjectId: new mongoose.Types.ObjectId().toString() },
+      projects: [project]
+    });
+    assert.ok(missing.error instanceof NotFoundError);
+    assert.equal(missing.error.message, 'Target project not found');
+    assert.equal(missing.update, null);
+    assert.equal(project.deleted, false);
+  });
+
+  it('answers 404 for projects of other workspaces', async (t) => {
+    const { error } = await run(t, { id: new mongoose.Types.ObjectId().toString(), query: { tasks: 'delete' }, projects: [] });
+    assert.ok(error instanceof NotFoundError);
+    assert.equal(error.message, 'Project not found');
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, registerStore, consume, formatWait } = require('../utils/rateLimiter');
+const { rateLimit } = require('../middleware/rateLimit');
+const { loginLockedFor, recordLoginFailure, clearLoginFailures } = require('../utils/loginAttempts');
+const { createLogger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+
+// Store on a fake clock, selected with RATE_LIMIT_STORE for the test
+let clock;
+const useTestStore = (t) => {
+  clock = 0;
+  registerStore('test', () => createMemoryStore({ now: () => clock }));
+  process.env.RATE_LIMIT_STORE = 'test';
+  t.after(() => delete process.env.RATE_LIMIT_STORE);
+};
+
+// Minimal Express response double
+const mockResponse = () => ({
+  headers: {},
+  statusCode: 200,
+  set(name, value) {
+    if (typeof name === 'object') Object.assign(this.headers, name);
+    else this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Settles once the middleware calls next (rejecting with its error) or answers
+const run = (middleware, req) => new Promise((resolve, reject) => {
+  const res = mockResponse();
+  const { json } = res;
+  res.json = (body) => {
+    json.call(res, body);
+    resolve({ res, passed: false });
+    return res;
+  };
+  middleware(req, res, (error) => (error ? reject(error) : resolve({ res, passed: true })));
+});
+
+describe('createMemoryStore', () => {
+  it('counts within a window and starts over once it expires', async () => {
+    let now = 0;
+    const store = createMemoryStore({ now: () => now });
+
+    assert.deepEqual(await store.increment('a', MINUTE), { count: 1, ttlMs: MINUTE });
+    now = 20 * 1000;
+    assert.deepEqual(await store.increment('a', MINUTE), { count: 2, ttlMs: 40 * 1000 });
+    assert.deepEqual(await store.get('a'), { count: 2, ttlMs: 40 * 1000 });
+
+    now = MINUTE;
+    assert.equal(await store.get('a'), null);
+    assert.deepEqual(await store.increment('a', MINUTE), { count: 1, ttlMs: MINUTE });
+
+    await store.reset('a');
+    assert.equal(await store.get('a'), null);
+  });
+});
+
+describe('consume', () => {
+  beforeEach((t) => useTestStore(t));
+
+  it('allows requests up to the limit', async () => {
+    const policy = { limit: 2, windowMs: MINUTE };
+    assert.deepEqual(await consume('k', policy), { allowed: true, limit: 2, remaining: 1, resetSeconds: 60 });
+    assert.equal((await consume('k', policy)).allowed, true);
+    assert.deepEqual(await consume('k', policy), { allowed: false, limit: 2, remaining: 0, resetSeconds: 60 });
+  });
+
+  it('rejects unknown stores', async () => {
+    process.env.RATE_LIMIT_STORE = 'nowhere';
+    await assert.rejects(consume('k', { limit: 1, windowMs: MINUTE }), /Unknown rate limit store "nowhere"/);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  beforeEach((t) => useTestStore(t));
+
+  it('sets RateLimit headers and answers 429 with Retry-After over the quota', async (t) => {
+    process.env.RATE_LIMIT_SIGNUP_PER_IP = '2';
+    t.after(() => delete process.env.RATE_LIMIT_SIGNUP_PER_IP);
+    const middleware = rateLimit('signupIp', (req) => req.ip);
+
+    const first = await run(middleware, { ip: '10.0.0.1' });
+    assert.equal(first.passed, true);
+    assert.equal(first.res.headers['RateLimit-Limit'], '2');
+    assert.equal(first.res.headers['RateLimit-Remaining'], '1');
+    assert.equal(first.res.headers['RateLimit-Reset'], '3600');
+    assert.equal(first.res.headers['RateLimit-Policy'], '2;w=3600');
+
+    await run(middleware, { ip: '10.0.0.1' });
+    clock = 30 * MINUTE;
+    const blocked = await run(middleware, { ip: '10.0.0.1' });
+    assert.equal(blocked.passed, false);
+    assert.equal(blocked.res.statusCode, 429);
+    assert.equal(blocked.res.headers['Retry-After'], '1800');
+    assert.equal(blocked.res.body.retryAfter, 1800);
+
+    // Other clients have their own quota
+    assert.equal((await run(middleware, { ip: '10.0.0.2' })).passed, true);
+  });
+
+  it('does not count requests without a client key', async () => {
+    const { res, passed } = await run(rateLimit('signupEmail', () => null), {});
+    assert.equal(passed, true);
+    assert.deepEqual(res.headers, {});
+  });
+
+  it('lets requests through when the store fails', async (t) => {
+    registerStore('broken', () => ({ increment: async () => { throw new Error('down'); } }));
+    process.env.RATE_LIMIT_STORE = 'broken';
+    const lines = [];
+    const log = createLogger({ level: 'debug', write: (level, line) => lines.push(JSON.parse(line)) });
+
+    const { passed } = await run(rateLimit('loginIp', (req) => req.ip), { ip: '10.0.0.1', log });
+    assert.equal(passed, true);
+    assert.equal(lines[0].message, 'Rate limiter unavailable');
+    assert.equal(lines[0].error.message, 'down');
+  });
+
+  it('passes other errors to the error middleware', async () => {
+    const error = new TypeError('No client');
+    await assert.rejects(run(rateLimit('loginIp', () => { throw error; }), {}), error);
+  });
+});
+
+describe('login lockout', () => {
+  beforeEach((t) => useTestStore(t));
+
+  it('locks an email after repeated failures, for longer each time', async () => {
+    for (let attempt = 1; attempt < 5; attempt += 1) {
+      assert.equal(await recordLoginFailure('ada@example.com'), 0);
+    }
+    assert.equal(await recordLoginFailure('ada@example.com'), 5 * 60);
+    assert.equal(await loginLockedFor('ada@example.com'), 5 * 60);
+    assert.equal(await loginLockedFor('bob@example.com'), 0);
+
+    clock += 5 * MINUTE;
+    assert.equal(await loginLockedFor('ada@example.com'), 0);
+    for (let attempt = 1; attempt < 5; attempt += 1) await recordLoginFailure('ada@example.com');
+    assert.equal(await recordLoginFailure('ada@example.com'), 10 * 60);
+  });
+
+  it('forgets failures after a successful login', async () => {
+    for (let attempt = 1; attempt < 5; attempt += 1) await recordLoginFailure('ada@example.com');
+    await clearLoginFailures('ada@example.com');
+    assert.equal(await recordLoginFailure('ada@example.com'), 0);
+  });
+});
+
+describe('formatWait', () => {
+  it('rounds long waits up to minutes', () => {
+    assert.equal(formatWait(1), '1 second');
+    assert.equal(formatWait(45), '45 seconds');
+    assert.equal(formatWait(61), '2 minutes');
+  });
+});
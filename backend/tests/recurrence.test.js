@@ -0,0 +1,293 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { nextOccurrence, parseRecurrence } = require('../utils/recurrence');
+
+const rule = (overrides) => ({
+  frequency: 'daily',
+  interval: 1,
+  weekdays: [],
+  monthDay: null,
+  until: null,
+  count: null,
+  timezone: 'UTC',
+  ...overrides
+});
+
+// Follow a rule from a start date and collect the due dates as ISO strings
+const series = (recurrence, start, length) => {
+  const dates = [];
+  let dueDate = new Date(start);
+  for (let occurrence = 1; dueDate && dates.length < length; occurrence += 1) {
+    dates.push(dueDate.toISOString());
+    dueDate = nextOccurrence(recurrence, dueDate, occurrence);
+  }
+  return dates;
+};
+
+describe('nextOccurrence', () => {
+  describe('daily', () => {
+    it('repeats every N days', () => {
+      assert.deepEqual(series(rule({ interval: 3 }), '2026-01-30T09:00:00.000Z', 3), [
+        '2026-01-30T09:00:00.000Z',
+        '2026-02-02T09:00:00.000Z',
+        '2026-02-05T09:00:00.000Z'
+      ]);
+    });
+
+    it('keeps the local time when daylight saving time starts', () => {
+      // 09:00 EST on March 7, then 09:00 EDT on March 8
+      const next = nextOccurrence(rule({ timezone: 'America/New_York' }), new Date('2026-03-07T14:00:00Z'));
+      assert.equal(next.toISOString(), '2026-03-08T13:00:00.000Z');
+    });
+
+    it('keeps the local time when daylight saving time ends', () => {
+      // 09:00 EDT on October 31, then 09:00 EST on November 1
+      const next = nextOccurrence(rule({ timezone: 'America/New_York' }), new Date('2026-10-31T13:00:00Z'));
+      assert.equal(next.toISOString(), '2026-11-01T14:00:00.000Z');
+    });
+
+    it('follows European daylight saving dates', () => {
+      // 09:00 CET on March 28, then 09:00 CEST on March 29
+      const next = nextOccurrence(rule({ timezone: 'Europe/Paris' }), new Date('2026-03-28T08:00:00Z'));
+      assert.equal(next.toISOString(), '2026-03-29T07:00:00.000Z');
+    });
+
+    it('keeps end-of-day due dates on the right calendar day across a DST change', () => {
+      // 23:59:59 EST on March 7, then 23:59:59 EDT on March 8
+      const next = nextOccurrence(rule({ timezone: 'America/New_York' }), new Date('2026-03-08T04:59:59Z'));
+      assert.equal(next.toISOString(), '2026-03-09T03:59:59.000Z');
+    });
+
+    it('moves a time skipped by the clocks going forward to after the jump', () => {
+      // 02:30 does not exist on March 8 in New York; the occurrence is at 03:30 EDT
+      const next = nextOccurrence(rule({ timezone: 'America/New_York' }), new Date('2026-03-07T07:30:00Z'));
+      assert.equal(next.toISOString(), '2026-03-08T07:30:00.000Z');
+    });
+
+    it('uses the first of two repeated times when the clocks go back', () => {
+      // 01:30 happens twice on November 1 in New York; the occurrence is at 01:30 EDT
+      const next = nextOccurrence(rule({ timezone: 'America/New_York' }), new Date('2026-10-31T05:30:00Z'));
+      assert.equal(next.toISOString(), '2026-11-01T05:30:00.000Z');
+    });
+  });
+
+  describe('weekly', () => {
+    it('moves through the listed weekdays and wraps to the next week', () => {
+      // Monday January 5, 2026
+      assert.deepEqual(series(rule({ frequency: 'weekly', weekdays: [1, 3, 5] }), '2026-01-05T09:00:00Z', 5), [
+        '2026-01-05T09:00:00.000Z',
+        '2026-01-07T09:00:00.000Z',
+        '2026-01-09T09:00:00.000Z',
+        '2026-01-12T09:00:00.000Z',
+        '2026-01-14T09:00:00.000Z'
+      ]);
+    });
+
+    it('skips the weeks between repetitions', () => {
+      assert.deepEqual(series(rule({ frequency: 'weekly', interval: 2, weekdays: [1, 5] }), '2026-01-05T09:00:00Z', 4), [
+        '2026-01-05T09:00:00.000Z',
+        '2026-01-09T09:00:00.000Z',
+        '2026-01-19T09:00:00.000Z',
+        '2026-01-23T09:00:00.000Z'
+      ]);
+    });
+
+    it('treats Sunday as the end of the week', () => {
+      // Every other week on Monday and Sunday: Sunday January 11 closes the first week
+      assert.deepEqual(series(rule({ frequency: 'weekly', interval: 2, weekdays: [0, 1] }), '2026-01-05T09:00:00Z', 3), [
+        '2026-01-05T09:00:00.000Z',
+        '2026-01-11T09:00:00.000Z',
+        '2026-01-19T09:00:00.000Z'
+      ]);
+    });
+
+    it('uses the weekday of the time zone, not of UTC', () => {
+      // 20:00 on Monday January 5 in Los Angeles is already Tuesday in UTC
+      const recurrence = rule({ frequency: 'weekly', weekdays: [1], timezone: 'America/Los_Angeles' });
+      const next = nextOccurrence(recurrence, new Date('2026-01-06T04:00:00Z'));
+      assert.equal(next.toISOString(), '2026-01-13T04:00:00.000Z');
+    });
+  });
+
+  describe('monthly', () => {
+    it('falls back to the last day of shorter months', () => {
+      assert.deepEqual(series(rule({ frequency: 'monthly', monthDay: 31 }), '2026-01-31T09:00:00Z', 5), [
+        '2026-01-31T09:00:00.000Z',
+        '2026-02-28T09:00:00.000Z',
+        '2026-03-31T09:00:00.000Z',
+        '2026-04-30T09:00:00.000Z',
+        '2026-05-31T09:00:00.000Z'
+      ]);
+    });
+
+    it('uses February 29 in leap years', () => {
+      const next = nextOccurrence(rule({ frequency: 'monthly', monthDay: 30 }), new Date('2028-01-30T09:00:00Z'));
+      assert.equal(next.toISOString(), '2028-02-29T09:00:00.000Z');
+    });
+
+    it('rolls over into the next year', () => {
+      const next = nextOccurrence(rule({ frequency: 'monthly', interval: 2, monthDay: 30 }), new Date('2026-11-30T09:00:00Z'));
+      assert.equal(next.toISOString(), '2027-01-30T09:00:00.000Z');
+    });
+
+    it('counts month ends on the wall clock of the time zone', () => {
+      // 23:59:59 EST on January 31 is February 1 in UTC
+      const recurrence = rule({ frequency: 'monthly', monthDay: 31, timezone: 'America/New_York' });
+      const next = nextOccurrence(recurrence, new Date('2026-02-01T04:59:59Z'));
+      assert.equal(next.toISOString(), '2026-03-01T04:59:59.000Z');
+    });
+  });
+
+  describe('end of the series', () => {
+    it('stops after count occurrences', () => {
+      assert.deepEqual(series(rule({ count: 3 }), '2026-01-01T09:00:00Z', 10), [
+        '2026-01-01T09:00:00.000Z',
+        '2026-01-02T09:00:00.000Z',
+        '2026-01-03T09:00:00.000Z'
+      ]);
+    });
+
+    it('stops after the until date', () => {
+      const recurrence = rule({ frequency: 'weekly', weekdays: [1], until: new Date('2026-01-19T23:59:59Z') });
+      assert.deepEqual(series(recurrence, '2026-01-05T09:00:00Z', 10), [
+        '2026-01-05T09:00:00.000Z',
+        '2026-01-12T09:00:00.000Z',
+        '2026-01-19T09:00:00.000Z'
+      ]);
+    });
+  });
+});
+
+describe('parseRecurrence', () => {
+  const dueDate = new Date('2026-01-06T04:00:00Z'); // Monday evening in Los Angeles
+
+  it('defaults weekly rules to the weekday of the due date in the time zone', () => {
+    const { recurrence } = parseRecurrence({ frequency: 'weekly', timezone: 'America/Los_Angeles' }, dueDate);
+    assert.deepEqual(recurrence.weekdays, [1]);
+  });
+
+  it('defaults monthly rules to the day of the due date', () => {
+    const { recurrence } = parseRecurrence({ frequency: 'monthly', timezone: 'America/Los_Angeles' }, dueDate);
+    assert.equal(recurrence.monthDay, 5);
+  });
+
+  it('sorts weekdays and drops duplicates', () => {
+    const { recurrence } = parseRecurrence({ frequency: 'weekly', weekdays: [5, 1, 5, 3] }, dueDate);
+    assert.deepEqual(recurrence.weekdays, [1, 3, 5]);
+  });
+
+  it('keeps the position in the series of an existing rule', () => {
+    const { recurrence } = parseRecurrence({ frequency: 'daily', interval: 2 }, dueDate, { occurrence: 4 });
+    assert.equal(recurrence.occurrence, 4);
+  });
+
+  it('returns null to stop repeating', () => {
+    assert.deepEqual(parseRecurrence(null, dueDate), { recurrence: null });
+  });
+
+  it('rejects invalid rules', () => {
+    const errors = [
+      [{ frequency: 'daily' }, null],
+      [{ frequency: 'hourly' }, dueDate],
+      [{ frequency: 'daily', interval: 0 }, dueDate],
+      [{ frequency: 'daily', interval: 1.5 }, dueDate],
+      [{ frequency: 'weekly', weekdays: [] }, dueDate],
+      [{ frequency: 'weekly', weekdays: [7] }, dueDate],
+      [{ frequency: 'monthly', monthDay: 32 }, dueDate],
+      [{ frequency: 'daily', timezone: 'Mars/Olympus_Mons' }, dueDate],
+      [{ frequency: 'daily', until: '2025-12-31T00:00:00Z' }, dueDate],
+      [{ frequency: 'daily', count: 0 }, dueDate],
+      [{ frequency: 'daily', until: '2026-02-01T00:00:00Z', count: 3 }, dueDate]
+    ];
+
+    errors.forEach(([input, due]) => {
+      assert.ok(parseRecurrence(input, due).error, JSON.stringify(input));
+    });
+  });
+});
+
+const userId = new mongoose.Types.ObjectId();
+const buildTask = (overrides = {}) => new Task({
+  title: 'Water the plants',
+  description: 'Both balconies',
+  status: 'done',
+  priority: 'high',
+  dueDate: new Date('2026-01-31T09:00:00Z'),
+  dueTime: '09:00',
+  checklist: [{ text: 'Front', done: true, order: 0 }, { text: 'Back', done: true, order: 1 }],
+  assignees: [{ userId, assignedBy: userId }],
+  recurrence: rule({ frequency: 'monthly', monthDay: 31 }),
+  workspaceId: new mongoose.Types.ObjectId(),
+  userId,
+  ...overrides
+});
+
+describe('Task#buildNextOccurrence', () => {
+  it('copies the task to the next due date with a fresh checklist', () => {
+    const next = buildTask().buildNextOccurrence();
+
+    assert.equal(next.title, 'Water the plants');
+    assert.equal(next.status, 'todo');
+    assert.equal(next.priority, 'high');
+    assert.equal(next.dueDate.toISOString(), '2026-02-28T09:00:00.000Z');
+    assert.equal(next.dueTime, '09:00');
+    assert.deepEqual(next.checklist.map((item) => [item.text, item.done]), [['Front', false], ['Back', false]]);
+    assert.ok(next.assignees[0].userId.equals(userId));
+    assert.equal(next.recurrence.monthDay, 31);
+    assert.equal(next.recurrence.occurrence, 2);
+  });
+
+  it('returns null when the task does not repeat, already has a next occurrence or ends the series', () => {
+    assert.equal(buildTask({ recurrence: null }).buildNextOccurrence(), null);
+    assert.equal(buildTask({ nextOccurrenceId: new mongoose.Types.ObjectId() }).buildNextOccurrence(), null);
+    assert.equal(buildTask({ recurrence: rule({ count: 1 }) }).buildNextOccurrence(), null);
+  });
+});
+
+describe('Task#saveWithNextOccurrence', () => {
+  // Record calls instead of writing to the database
+  const stubWrites = (t, task, next, { failTask = false } = {}) => {
+    const calls = [];
+    t.mock.method(next, 'save', async (options) => { calls.push(['next.save', options.session]); return next; });
+    t.mock.method(next, 'deleteOne', async () => { calls.push(['next.deleteOne']); });
+    t.mock.method(task, 'save', async (options) => {
+      calls.push(['task.save', options.session]);
+      if (failTask) throw new mongoose.Error.VersionError(task, 0, []);
+      return task;
+    });
+    return calls;
+  };
+
+  it('saves the next occurrence, then the task pointing to it', async (t) => {
+    const task = buildTask();
+    const next = task.buildNextOccurrence();
+    const calls = stubWrites(t, task, next);
+
+    await task.saveWithNextOccurrence(next);
+    assert.deepEqual(calls, [['next.save', null], ['task.save', null]]);
+    assert.ok(task.nextOccurrenceId.equals(next._id));
+  });
+
+  it('deletes the next occurrence again when the task fails to save', async (t) => {
+    const task = buildTask();
+    const next = task.buildNextOccurrence();
+    const calls = stubWrites(t, task, next, { failTask: true });
+
+    await assert.rejects(task.saveWithNextOccurrence(next), mongoose.Error.VersionError);
+    assert.deepEqual(calls, [['next.save', null], ['task.save', null], ['next.deleteOne']]);
+    assert.equal(task.nextOccurrenceId, null);
+  });
+
+  it('saves both in the given transaction and leaves the rollback to it', async (t) => {
+    const session = { id: 'transaction' };
+    const task = buildTask();
+    const next = task.buildNextOccurrence();
+    const calls = stubWrites(t, task, next, { failTask: true });
+
+    await assert.rejects(task.saveWithNextOccurrence(next, { session }), mongoose.Error.VersionError);
+    assert.deepEqual(calls, [['next.save', session], ['task.save', session]]);
+    assert.equal(task.nextOccurrenceId, null);
+  });
+});
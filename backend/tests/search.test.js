@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  tokenize,
+  buildSearchIndex,
+  parseSearchQuery,
+  buildSearchConditions,
+  highlightTask
+} = require('../utils/search');
+
+describe('tokenize', () => {
+  it('lower-cases, strips accents and splits on anything but letters and digits', () => {
+    assert.deepEqual(tokenize('Café-Rechnung #42, ÜBER'), ['cafe', 'rechnung', '42', 'uber']);
+  });
+
+  it('truncates very long words', () => {
+    assert.equal(tokenize('a'.repeat(100))[0].length, 32);
+  });
+});
+
+describe('buildSearchIndex', () => {
+  it('keeps the unique words of each field and of both', () => {
+    assert.deepEqual(buildSearchIndex({ title: 'Pay invoice', description: 'Invoice from the bank' }), {
+      terms: ['pay', 'invoice', 'from', 'the', 'bank'],
+      title: ['pay', 'invoice'],
+      description: ['invoice', 'from', 'the', 'bank'],
+      titleText: 'pay invoice',
+      descriptionText: 'invoice from the bank'
+    });
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('parses words, phrases and field scopes', () => {
+    const { terms, filters } = parseSearchQuery('invo "due next" title:march status:todo,in_progress label:"Needs review"');
+
+    assert.deepEqual(terms.map(({ field, tokens, phrase }) => ({ field, tokens, phrase })), [
+      { field: null, tokens: ['invo'], phrase: false },
+      { field: null, tokens: ['due', 'next'], phrase: true },
+      { field: 'title', tokens: ['march'], phrase: false }
+    ]);
+    assert.deepEqual(filters, [
+      { field: 'status', values: ['todo', 'in_progress'] },
+      { field: 'label', values: ['Needs review'] }
+    ]);
+  });
+
+  it('searches unknown prefixes as text', () => {
+    const { terms, filters } = parseSearchQuery('https://example.com');
+    assert.deepEqual(terms[0].tokens, ['https', 'example', 'com']);
+    assert.deepEqual(filters, []);
+  });
+
+  it('accepts field aliases and unterminated quotes', () => {
+    const { terms } = parseSearchQuery('desc:"bank transfer');
+    assert.equal(terms[0].field, 'description');
+    assert.deepEqual(terms[0].tokens, ['bank', 'transfer']);
+  });
+
+  it('ignores terms without letters or digits', () => {
+    assert.deepEqual(parseSearchQuery('(.*)+ ***').terms, []);
+  });
+
+  it('limits the query', () => {
+    assert.ok(parseSearchQuery('x'.repeat(201)).error);
+    assert.ok(parseSearchQuery('a b c d e f g h i j k').error);
+  });
+});
+
+describe('buildSearchConditions', () => {
+  it('never puts raw input in a pattern', () => {
+    const { terms } = parseSearchQuery('(a+)+$ title:[x] "b|c"');
+    const patterns = JSON.stringify(buildSearchConditions(terms));
+
+    assert.ok(!patterns.includes('(a+)+'));
+    assert.ok(!patterns.includes('[x]'));
+    assert.ok(!patterns.includes('b|c'));
+  });
+
+  it('matches single words as prefixes of indexed words', () => {
+    const { terms } = parseSearchQuery('title:invo');
+    assert.deepEqual(buildSearchConditions(terms), [
+      { 'search.terms': { $regex: '^invo' } },
+      { 'search.title': { $regex: '^invo' } }
+    ]);
+  });
+
+  // Whether a phrase condition matches a title, as MongoDB would on the stored index
+  const matchesTitle = (query, title) => {
+    const [, phrase] = buildSearchConditions(parseSearchQuery(query).terms);
+    return new RegExp(phrase.$or[0]['search.titleText'].$regex).test(buildSearchIndex({ title }).titleText);
+  };
+
+  it('matches phrases as consecutive words in the text', () => {
+    const { terms } = parseSearchQuery('"due next"');
+    const [words] = buildSearchConditions(terms);
+
+    assert.deepEqual(words, { 'search.terms': { $all: ['due', 'next'] } });
+    assert.ok(matchesTitle('"due next"', 'Rent due, next Monday'));
+    assert.ok(!matchesTitle('"due next"', 'Due soon, then next'));
+    assert.ok(!matchesTitle('"due next"', 'overdue next'));
+  });
+
+  it('matches phrases regardless of case and accents, like single words', () => {
+    assert.ok(matchesTitle('"cafe menu"', 'New Café menu'));
+    assert.ok(matchesTitle('"CAFÉ menu"', 'new cafe-menu'));
+    assert.ok(!matchesTitle('"cafe menu"', 'Cafeteria menu'));
+  });
+
+  it('scopes phrases to the stored text of one field', () => {
+    const [, phrase] = buildSearchConditions(parseSearchQuery('description:"bank transfer"').terms);
+    assert.deepEqual(phrase, { 'search.descriptionText': { $regex: '(?:^| )bank transfer(?: |$)' } });
+  });
+});
+
+describe('highlightTask', () => {
+  const task = {
+    title: 'Send the March invoice',
+    description: `${'Lorem ipsum dolor sit amet. '.repeat(4)}Remember the invoices for Café Central before Friday.`
+  };
+
+  it('returns match ranges in the title', () => {
+    const { title } = highlightTask(task, parseSearchQuery('invoice mar').terms);
+    assert.deepEqual(title.map(([start, end]) => task.title.slice(start, end)), ['March', 'invoice']);
+  });
+
+  it('cuts a description snippet around the first match', () => {
+    const { description } = highlightTask(task, parseSearchQuery('cafe invoice').terms);
+
+    assert.ok(description.text.startsWith('…'));
+    assert.deepEqual(description.ranges.map(([start, end]) => description.text.slice(start, end)), ['invoices', 'Café']);
+  });
+
+  it('only highlights the field a term is scoped to', () => {
+    const highlight = highlightTask(task, parseSearchQuery('title:invoice').terms);
+    assert.equal(highlight.title.length, 1);
+    assert.equal(highlight.description, null);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { hashToken, parseRefreshToken, rotateSession } = require('../utils/sessions');
+const { accessTokenTtlSeconds, sessionExpiry } = require('../config/sessions');
+
+const sessionId = new mongoose.Types.ObjectId().toString();
+const secret = 'ab'.repeat(32);
+
+describe('parseRefreshToken', () => {
+  it('splits a token into session id and secret', () => {
+    assert.deepEqual(parseRefreshToken(`${sessionId}.${secret}`), { sessionId, secret });
+  });
+
+  it('rejects malformed tokens', () => {
+    assert.equal(parseRefreshToken(undefined), null);
+    assert.equal(parseRefreshToken({ $ne: null }), null);
+    assert.equal(parseRefreshToken(secret), null);
+    assert.equal(parseRefreshToken(`not-an-id.${secret}`), null);
+    assert.equal(parseRefreshToken(`${sessionId}.${secret.slice(2)}`), null);
+    assert.equal(parseRefreshToken(`${sessionId}.${secret.toUpperCase()}`), null);
+    assert.equal(parseRefreshToken(`${sessionId}.${secret}.extra`), null);
+  });
+});
+
+describe('rotateSession', () => {
+  const current = 'cd'.repeat(32);
+  const previous = 'ef'.repeat(32);
+
+  // Stub the models around a session holding `current`, replaced from `previous`;
+  // returns the updates made to the session
+  const stubSession = (t, { rotates = true } = {}) => {
+    const session = new Session({
+      _id: sessionId,
+      userId: new mongoose.Types.ObjectId(),
+      tokenHash: hashToken(current),
+      previousTokenHash: hashToken(previous),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    const updates = { rotated: null, revoked: null };
+    t.mock.method(Session, 'findById', async () => session);
+    t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+      updates.rotated = update;
+      return rotates ? Object.assign(session, update) : null;
+    });
+    t.mock.method(Session, 'updateOne', async (filter, update) => { updates.revoked = update; });
+    t.mock.method(User, 'findById', async () => ({ _id: session.userId, email: 'ada@example.com' }));
+    if (!process.env.JWT_SECRET) {
+      process.env.JWT_SECRET = 'test-secret';
+      t.after(() => delete process.env.JWT_SECRET);
+    }
+    return updates;
+  };
+
+  it('replaces the current token and remembers the one it replaced', async (t) => {
+    const updates = stubSession(t);
+    const { tokens, error } = await rotateSession(`${sessionId}.${current}`);
+
+    assert.equal(error, undefined);
+    assert.equal(updates.rotated.previousTokenHash, hashToken(current));
+    assert.equal(updates.rotated.tokenHash, hashToken(parseRefreshToken(tokens.refreshToken).secret));
+    assert.equal(updates.revoked, null);
+  });
+
+  it('ends the session when the replaced token comes back', async (t) => {
+    const updates = stubSession(t);
+    const { error } = await rotateSession(`${sessionId}.${previous}`);
+
+    assert.match(error, /already used/);
+    assert.equal(updates.revoked.revokedReason, 'reuse');
+  });
+
+  it('counts a token rotated by a concurrent request as reuse', async (t) => {
+    const updates = stubSession(t, { rotates: false });
+    const { error } = await rotateSession(`${sessionId}.${current}`);
+
+    assert.match(error, /already used/);
+    assert.equal(updates.revoked.revokedReason, 'reuse');
+  });
+
+  it('refuses a secret never issued for the session without ending it', async (t) => {
+    const updates = stubSession(t);
+    const { error } = await rotateSession(`${sessionId}.${secret}`);
+
+    assert.equal(error, 'Invalid refresh token');
+    assert.equal(updates.rotated, null);
+    assert.equal(updates.revoked, null);
+  });
+});
+
+describe('hashToken', () => {
+  it('stores a one-way hash instead of the secret', () => {
+    const hash = hashToken(secret);
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.notEqual(hash, secret);
+    assert.equal(hashToken(secret), hash);
+  });
+});
+
+describe('session lifetimes', () => {
+  it('reads the lifetimes from the environment, with defaults', (t) => {
+    t.after(() => {
+      delete process.env.ACCESS_TOKEN_TTL_MINUTES;
+      delete process.env.REFRESH_TOKEN_TTL_DAYS;
+    });
+    const from = new Date('2026-01-01T00:00:00Z');
+
+    assert.equal(accessTokenTtlSeconds(), 15 * 60);
+    assert.equal(sessionExpiry(from).toISOString(), '2026-01-31T00:00:00.000Z');
+
+    process.env.ACCESS_TOKEN_TTL_MINUTES = '5';
+    process.env.REFRESH_TOKEN_TTL_DAYS = 'soon';
+    assert.equal(accessTokenTtlSeconds(), 5 * 60);
+    assert.equal(sessionExpiry(from).toISOString(), '2026-01-31T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { base32Encode, base32Decode, generateSecret, codeAt, timeStep, verifyCode, otpauthUri } = require('../utils/totp');
+
+// RFC 6238 appendix B test secret (ASCII "12345678901234567890")
+const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('round-trips bytes and follows RFC 4648', () => {
+    assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+    assert.deepEqual(base32Decode('mzxw 6ytb oi=='), Buffer.from('foobar'));
+    assert.equal(base32Decode('not base32!'), null);
+  });
+
+  it('generates 160-bit secrets', () => {
+    const generated = generateSecret();
+    assert.match(generated, /^[A-Z2-7]{32}$/);
+    assert.equal(base32Decode(generated).length, 20);
+  });
+});
+
+describe('codeAt', () => {
+  it('matches the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+    const vectors = [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ];
+    for (const [seconds, code] of vectors) {
+      assert.equal(codeAt(secret, timeStep(seconds * 1000)), code);
+    }
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111 * 1000;
+
+  it('accepts the current code and its neighbours, returning its step', () => {
+    const step = timeStep(now);
+    assert.equal(verifyCode(secret, '050471', { now }), step);
+    assert.equal(verifyCode(secret, codeAt(secret, step - 1), { now }), step - 1);
+    assert.equal(verifyCode(secret, codeAt(secret, step + 1), { now }), step + 1);
+    assert.equal(verifyCode(secret, '050 471', { now }), step);
+  });
+
+  it('rejects wrong, old or malformed codes', () => {
+    assert.equal(verifyCode(secret, codeAt(secret, timeStep(now) - 2), { now }), null);
+    assert.equal(verifyCode(secret, '000000', { now }), null);
+    assert.equal(verifyCode(secret, '12345', { now }), null);
+    assert.equal(verifyCode(secret, { $gt: '' }, { now }), null);
+  });
+});
+
+describe('otpauthUri', () => {
+  it('describes the account for authenticator apps', () => {
+    assert.equal(
+      otpauthUri({ secret: 'ABC', account: 'ada@example.com', issuer: 'Primetrade' }),
+      'otpauth://totp/Primetrade%3Aada%40example.com?secret=ABC&issuer=Primetrade&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
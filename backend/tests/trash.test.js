@@ -0,0 +1,120 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const TaskPosition = require('../models/TaskPosition');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const { restoreTask } = require('../controllers/trashController');
+const { destroyTasks } = require('../utils/trash');
+const { purgeExpiredTasks } = require('../jobs/purgeTrash');
+const { retentionDays, purgeDate } = require('../config/trash');
+
+const userId = new mongoose.Types.ObjectId();
+const workspaceId = new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildTrashedTask = (overrides = {}) => new Task({
+  title: 'Write the report',
+  description: 'Quarterly numbers',
+  workspaceId,
+  userId,
+  deletedAt: new Date('2026-05-01T00:00:00Z'),
+  deletedBy: userId,
+  ...overrides
+});
+
+// Stub every permanent delete; returns the filters each model was called with
+const stubDeletes = (t) => {
+  const deletes = {};
+  for (const Model of [Task, TaskPosition, Comment]) {
+    t.mock.method(Model, 'deleteMany', async (filter) => { deletes[Model.modelName] = filter; });
+  }
+  t.mock.method(Activity, 'insertMany', async (entries) => { deletes.activities = entries; });
+  return deletes;
+};
+
+afterEach(() => {
+  delete process.env.TRASH_RETENTION_DAYS;
+});
+
+describe('retention', () => {
+  it('keeps tasks 30 days unless configured otherwise', () => {
+    const deletedAt = new Date('2026-05-01T00:00:00Z');
+    assert.equal(retentionDays(), 30);
+    assert.deepEqual(purgeDate(deletedAt), new Date('2026-05-31T00:00:00Z'));
+
+    process.env.TRASH_RETENTION_DAYS = '7';
+    assert.deepEqual(purgeDate(deletedAt), new Date('2026-05-08T00:00:00Z'));
+    process.env.TRASH_RETENTION_DAYS = '-1';
+    assert.equal(retentionDays(), 30);
+  });
+});
+
+describe('restoreTask', () => {
+  const run = (t, task, projectExists) => {
+    t.mock.method(Project, 'exists', async () => projectExists);
+    t.mock.method(task, 'save', async () => task);
+    t.mock.method(Activity, 'create', async (entry) => entry);
+
+    return new Promise((resolve, reject) => {
+      restoreTask({ task, user: { userId } }, { json: resolve }, reject);
+    });
+  };
+
+  it('takes the task out of the trash and records it', async (t) => {
+    const projectId = new mongoose.Types.ObjectId();
+    const task = buildTrashedTask({ projectId });
+    const body = await run(t, task, true);
+
+    assert.equal(body.message, 'Task restored');
+    assert.equal(task.deletedAt, null);
+    assert.equal(task.deletedBy, null);
+    assert.ok(task.projectId.equals(projectId));
+    assert.equal(Activity.create.mock.calls[0].arguments[0].action, 'restored');
+  });
+
+  it('drops the project when it was deleted in the meantime', async (t) => {
+    const task = buildTrashedTask({ projectId: new mongoose.Types.ObjectId() });
+    await run(t, task, null);
+    assert.equal(task.projectId, null);
+  });
+});
+
+describe('destroyTasks', () => {
+  it('deletes the tasks with their board positions and comments', async (t) => {
+    const deletes = stubDeletes(t);
+    const tasks = [buildTrashedTask(), buildTrashedTask()];
+    const taskIds = tasks.map((task) => task._id);
+
+    assert.equal(await destroyTasks(tasks, userId), 2);
+    assert.deepEqual(deletes.Task, { _id: { $in: taskIds } });
+    assert.deepEqual(deletes.TaskPosition, { taskId: { $in: taskIds } });
+    assert.deepEqual(deletes.Comment, { taskId: { $in: taskIds } });
+    assert.deepEqual(deletes.activities.map((entry) => [entry.action, entry.actorId]), [['purged', userId], ['purged', userId]]);
+  });
+
+  it('does nothing without tasks', async (t) => {
+    const deletes = stubDeletes(t);
+    assert.equal(await destroyTasks([], userId), 0);
+    assert.deepEqual(deletes, {});
+  });
+});
+
+describe('purgeExpiredTasks', () => {
+  it('purges, batch after batch, the tasks trashed before the retention cutoff', async (t) => {
+    stubDeletes(t);
+    const batches = [[buildTrashedTask(), buildTrashedTask()], [buildTrashedTask()], []];
+    const filters = [];
+    t.mock.method(Task, 'find', (filter) => {
+      filters.push(filter);
+      return { limit: async () => batches.shift() };
+    });
+
+    const now = new Date('2026-06-15T00:00:00Z');
+    assert.equal(await purgeExpiredTasks(now), 3);
+    assert.equal(filters.length, 3);
+    assert.deepEqual(filters[0], { deletedAt: { $ne: null, $lte: new Date(now.getTime() - 30 * DAY) } });
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { createChallenge, readChallenge, generateRecoveryCodes } = require('../utils/twoFactor');
+const { hashToken } = require('../utils/sessions');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+describe('login challenges', () => {
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('identify the user who passed the password step', () => {
+    const { challengeToken, expiresIn } = createChallenge(user);
+    assert.equal(expiresIn, 300);
+    assert.equal(readChallenge(challengeToken), user._id.toString());
+  });
+
+  it('refuse access tokens, tampered and malformed tokens', () => {
+    const accessToken = jwt.sign({ userId: user._id, sessionId: 'abc' }, process.env.JWT_SECRET);
+    assert.equal(readChallenge(accessToken), null);
+    assert.equal(readChallenge(`${createChallenge(user).challengeToken}x`), null);
+    assert.equal(readChallenge({ $ne: null }), null);
+  });
+});
+
+describe('generateRecoveryCodes', () => {
+  it('returns ten distinct codes and the hashes to store', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    for (const code of codes) assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    assert.deepEqual(hashes, codes.map((code) => hashToken(code.replace('-', ''))));
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSchema } = require('../utils/validation');
+const validate = require('../middleware/validate');
+const { ValidationError } = require('../utils/errors');
+
+const taskSchema = {
+  title: { type: 'string', required: true, trim: true, maxlength: 10 },
+  priority: { type: 'string', enum: ['low', 'high'] },
+  dueDate: { type: 'date', nullable: true },
+  labels: { type: 'array', maxlength: 2, items: { type: 'id', label: 'Label id' } },
+  checklist: {
+    type: 'array',
+    items: { type: 'object', fields: { text: { type: 'string', required: true }, done: { type: 'boolean' } } }
+  }
+};
+
+describe('checkSchema', () => {
+  it('accepts valid input, including cleared nullable fields', () => {
+    assert.deepEqual(checkSchema(taskSchema, {
+      title: ' Write ',
+      priority: 'high',
+      dueDate: null,
+      labels: ['665f1c2b9d3e4a0012345678'],
+      checklist: [{ text: 'One', done: true }]
+    }), {});
+    assert.deepEqual(checkSchema(taskSchema, { title: 'Write', dueDate: '' }), {});
+  });
+
+  it('reports missing, blank and mistyped fields by path', () => {
+    assert.deepEqual(checkSchema(taskSchema, {}), { title: 'Title is required' });
+    assert.deepEqual(checkSchema(taskSchema, { title: '   ' }), { title: 'Title is required' });
+    assert.deepEqual(checkSchema(taskSchema, {
+      title: 42,
+      priority: 'urgent',
+      dueDate: 'soon',
+      labels: ['nope'],
+      checklist: [{ text: 'One' }, { done: 'yes' }]
+    }), {
+      title: 'Title must be text',
+      priority: 'Priority must be one of: low, high',
+      dueDate: 'Due date must be a valid date',
+      'labels.0': 'Label id must be a valid id',
+      'checklist.1.text': 'Text is required',
+      'checklist.1.done': 'Done must be true or false'
+    });
+  });
+
+  it('checks string and list lengths', () => {
+    assert.deepEqual(checkSchema(taskSchema, { title: 'A very long title', labels: [] }), {
+      title: 'Title must be at most 10 characters'
+    });
+    const ids = ['665f1c2b9d3e4a0012345678', '665f1c2b9d3e4a0012345679', '665f1c2b9d3e4a001234567a'];
+    assert.deepEqual(checkSchema(taskSchema, { title: 'Write', labels: ids }), {
+      labels: 'Labels must be at most 2 items'
+    });
+  });
+
+  it('rejects fields the schema does not declare, at any depth', () => {
+    assert.deepEqual(checkSchema(taskSchema, { title: 'Write', userId: 'x', checklist: [{ text: 'One', owner: 'me' }] }), {
+      userId: 'Unknown field: userId',
+      'checklist.0.owner': 'Unknown field: checklist.0.owner'
+    });
+  });
+
+  it('reads numbers and booleans from text only when asked to', () => {
+    const schema = { limit: { type: 'integer', min: 1, max: 100 }, overdue: { type: 'boolean' } };
+    assert.deepEqual(checkSchema(schema, { limit: '20', overdue: 'true' }, { text: true }), {});
+    assert.deepEqual(checkSchema(schema, { limit: '0', overdue: 'yes' }, { text: true }), {
+      limit: 'Limit must be from 1 to 100',
+      overdue: 'Overdue must be true or false'
+    });
+    assert.deepEqual(checkSchema(schema, { limit: '20' }), { limit: 'Limit must be a whole number' });
+  });
+
+  it('uses custom messages for bad values but not for missing ones', () => {
+    const schema = { dueTime: { type: 'string', required: true, match: /^\d\d:\d\d$/, message: 'Due time must be HH:mm' } };
+    assert.deepEqual(checkSchema(schema, { dueTime: '9am' }), { dueTime: 'Due time must be HH:mm' });
+    assert.deepEqual(checkSchema(schema, {}), { dueTime: 'Due time is required' });
+  });
+
+  it('rejects input that is not an object', () => {
+    assert.deepEqual(checkSchema(taskSchema, ['Write']), { '': 'Request must be a JSON object' });
+  });
+});
+
+describe('validate middleware', () => {
+  const run = (schemas, req) => {
+    let passed = false;
+    let error = null;
+    validate(schemas)(req, {}, (err) => {
+      if (err) error = err;
+      else passed = true;
+    });
+    return { passed, error };
+  };
+
+  it('passes valid requests on', () => {
+    const { passed, error } = run(
+      { params: { id: { type: 'id', required: true } }, body: taskSchema },
+      { params: { id: '665f1c2b9d3e4a0012345678' }, query: { anything: 'goes' }, body: { title: 'Write' } }
+    );
+    assert.equal(passed, true);
+    assert.equal(error, null);
+  });
+
+  it('fails with a ValidationError carrying the first message and every field error', () => {
+    const { passed, error } = run(
+      { params: { id: { type: 'id', required: true, label: 'Task id' } }, body: taskSchema },
+      { params: { id: '665f1c2b9d3e4a0012345678' }, body: { priority: 'urgent' } }
+    );
+    assert.equal(passed, false);
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.toJSON(), {
+      message: 'Title is required',
+      code: 'VALIDATION_FAILED',
+      errors: {
+        title: 'Title is required',
+        priority: 'Priority must be one of: low, high'
+      }
+    });
+  });
+
+  it('reports the errors of the first invalid part only, so field names cannot collide', () => {
+    const { error } = run(
+      { params: { id: { type: 'id', required: true, label: 'Task id' } }, query: { limit: { type: 'integer' } }, body: taskSchema },
+      { params: { id: 'abc' }, query: { limit: 'ten', title: 'x' }, body: { priority: 'urgent' } }
+    );
+    assert.deepEqual(error.details.errors, { id: 'Task id must be a valid id' });
+
+    const query = run(
+      { query: { limit: { type: 'integer', label: 'Limit' } }, body: taskSchema },
+      { query: { title: 'x' }, body: { title: 'Write' } }
+    );
+    assert.deepEqual(query.error.details.errors, { title: 'Unknown field: title' });
+  });
+
+  it('rejects any field with an empty body schema', () => {
+    assert.equal(run({ body: {} }, { body: {} }).passed, true);
+    assert.deepEqual(run({ body: {} }, { body: { secret: 'x' } }).error.details.errors, { secret: 'Unknown field: secret' });
+  });
+});
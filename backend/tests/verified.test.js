@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const requireVerifiedEmail = require('../middleware/verified');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Run the middleware for a user stored as `user` and resolve with what it passed to next
+const run = (t, user) => {
+  t.mock.method(User, 'findById', () => ({ select: async () => user }));
+  return new Promise((resolve) => {
+    requireVerifiedEmail({ user: { userId: new mongoose.Types.ObjectId() } }, {}, resolve);
+  });
+};
+
+// "METHOD /path" of every route of a router that runs requireVerifiedEmail
+const gatedRoutes = (router) => router.stack
+  .filter((layer) => layer.route?.stack.some((handler) => handler.handle === requireVerifiedEmail))
+  .map(({ route }) => `${Object.keys(route.methods)[0].toUpperCase()} ${route.path}`);
+
+describe('requireVerifiedEmail', () => {
+  it('lets verified users through', async (t) => {
+    assert.equal(await run(t, { emailVerified: true }), undefined);
+  });
+
+  it('rejects unverified users with EMAIL_NOT_VERIFIED', async (t) => {
+    const error = await run(t, { emailVerified: false });
+    assert.ok(error instanceof ForbiddenError);
+    assert.equal(error.code, 'EMAIL_NOT_VERIFIED');
+  });
+
+  it('answers 404 when the account is gone', async (t) => {
+    assert.ok(await run(t, null) instanceof NotFoundError);
+  });
+});
+
+describe('limited access of unverified accounts', () => {
+  it('closes workspace creation, membership and sharing', () => {
+    assert.deepEqual(gatedRoutes(require('../routes/workspaces')), [
+      'POST /',
+      'PUT /:id/members/:userId',
+      'DELETE /:id/members/:userId',
+      'GET /:id/invitations',
+      'POST /:id/invitations',
+      'DELETE /:id/invitations/:invitationId'
+    ]);
+  });
+
+  it('closes every invitation route', () => {
+    const router = require('../routes/invitations');
+    assert.equal(gatedRoutes(router).length, router.stack.length);
+  });
+
+  it('closes task assignment and leaves the user\'s own tasks open', () => {
+    assert.deepEqual(gatedRoutes(require('../routes/tasks')), [
+      'POST /:id/assignees',
+      'DELETE /:id/assignees/:userId'
+    ]);
+  });
+});
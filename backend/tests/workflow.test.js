@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STATE_KEYS,
+  INITIAL_STATE,
+  TRANSITIONS,
+  isValidState,
+  isDoneState,
+  canTransition,
+  normalizeState
+} = require('../config/workflow');
+
+describe('canTransition', () => {
+  it('allows the transitions of the workflow', () => {
+    assert.equal(canTransition('todo', 'in_progress'), true);
+    assert.equal(canTransition('in_progress', 'in_review'), true);
+    assert.equal(canTransition('in_review', 'done'), true);
+    assert.equal(canTransition('done', 'todo'), true);
+    assert.equal(canTransition('archived', 'todo'), true);
+  });
+
+  it('rejects the others', () => {
+    assert.equal(canTransition('todo', 'in_review'), false);
+    assert.equal(canTransition('blocked', 'done'), false);
+    assert.equal(canTransition('archived', 'done'), false);
+  });
+
+  it('always allows staying in the same state', () => {
+    for (const state of STATE_KEYS) {
+      assert.equal(canTransition(state, state), true, state);
+    }
+  });
+
+  it('rejects unknown states', () => {
+    assert.equal(canTransition('pending', 'done'), false);
+    assert.equal(canTransition('todo', 'cancelled'), false);
+  });
+});
+
+describe('workflow definition', () => {
+  it('only names known states and lets every state be reached and left', () => {
+    assert.ok(isValidState(INITIAL_STATE));
+    assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...STATE_KEYS].sort());
+
+    const reachable = new Set(Object.values(TRANSITIONS).flat());
+    for (const state of STATE_KEYS) {
+      assert.ok(TRANSITIONS[state].length > 0, `${state} has no way out`);
+      assert.ok(TRANSITIONS[state].every(isValidState), `${state} leads to an unknown state`);
+      assert.ok(state === INITIAL_STATE || reachable.has(state), `${state} cannot be reached`);
+    }
+  });
+});
+
+describe('normalizeState', () => {
+  it('maps legacy statuses and leaves the rest alone', () => {
+    assert.equal(normalizeState('pending'), 'todo');
+    assert.equal(normalizeState('completed'), 'done');
+    assert.equal(normalizeState('blocked'), 'blocked');
+    assert.ok(isDoneState(normalizeState('completed')));
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Task Activity Utilities
+ * Snapshots of the tracked task fields and the activity entries built from them
+ *
+ * @description Controllers take a snapshot before changing a task and record the
+ * activity after saving it; only fields whose value actually changed end up in
+ * the entry, and updates that change nothing are not recorded.
+ */
+const Activity = require('../models/Activity');
+
+/**
+ * Task fields tracked in the activity log
+ * @type {string[]}
+ */
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'dueTime',
+  'projectId',
+  'labels',
+  'assignees',
+  'checklist',
+  'recurrence'
+];
+
+/**
+ * Plain JSON value of a tracked field, comparable between snapshots
+ * @param {Object} task - Task document
+ * @param {string} field - Field from TRACKED_FIELDS
+ * @returns {*} Value with ids as strings and dates as ISO strings
+ */
+const fieldValue = (task, field) => {
+  switch (field) {
+    case 'dueDate':
+      return task.dueDate ? task.dueDate.toISOString() : null;
+    case 'projectId':
+      return task.projectId ? task.projectId.toString() : null;
+    case 'labels':
+      return task.labels.map(String);
+    case 'assignees':
+      return task.assignees.map((assignee) => assignee.userId.toString());
+    case 'checklist':
+      return task.checklist.map((item) => ({ text: item.text, done: item.done }));
+    case 'recurrence': {
+      // The position in the series is not a change of the rule
+      if (!task.recurrence) return null;
+      const { occurrence, ...rule } = task.recurrence.toObject();
+      return { ...rule, until: rule.until ? rule.until.toISOString() : null };
+    }
+    default:
+      return task[field] ?? null;
+  }
+};
+
+const isEmpty = (value) => value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Capture the tracked fields of a task
+ * @param {Object} task - Task document
+ * @returns {Object} Field -> value
+ */
+const snapshotTask = (task) => Object.fromEntries(TRACKED_FIELDS.map((field) => [field, fieldValue(task, field)]));
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object} before - Snapshot taken before the change
+ * @param {Object} after - Snapshot taken after the change
+ * @returns {Array<Object>} [{ field, before, after }]
+ */
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map((field) => ({ field, before: before[field], after: after[field] }));
+
+/**
+ * Build an activity entry for a task
+ * Creations list the fields the task started with and deletions (moves to the
+ * trash) the fields it had; updates list the fields that changed since the
+ * `before` snapshot. Restores and purges carry no changes.
+ *
+ * @param {Object} task - Task document in its current state
+ * @param {string|ObjectId|null} actorId - User who made the change (null for automatic changes)
+ * @param {string} action - 'created', 'updated', 'deleted', 'restored' or 'purged'
+ * @param {Object} before - Snapshot taken before an update
+ * @returns {Object|null} Entry, or null when an update changed nothing
+ */
+const buildActivity = (task, actorId, action, before = null) => {
+  const current = snapshotTask(task);
+  let changes = [];
+
+  if (action === 'updated') {
+    changes = diffSnapshots(before, current);
+    if (changes.length === 0) return null;
+  } else if (action === 'created' || action === 'deleted') {
+    changes = TRACKED_FIELDS
+      .filter((field) => !isEmpty(current[field]))
+      .map((field) => (action === 'created'
+        ? { field, before: null, after: current[field] }
+        : { field, before: current[field], after: null }));
+  }
+
+  return {
+    taskId: task._id,
+    taskTitle: task.title,
+    workspaceId: task.workspaceId,
+    actorId,
+    action,
+    changes
+  };
+};
+
+/**
+ * Record the activity of one task (see buildActivity)
+ * @async
+ * @returns {Promise<Object|null>} Saved entry, or null when nothing changed
+ */
+const recordActivity = async (task, actorId, action, before = null) => {
+  const entry = buildActivity(task, actorId, action, before);
+  return entry ? Activity.create(entry) : null;
+};
+
+/**
+ * Record entries built with buildActivity for several tasks at once
+ * @async
+ * @param {Array<Object|null>} entries - Entries; nulls are skipped
+ * @param {Object} options
+ * @param {ClientSession|null} options.session - Transaction to write in (utils/transaction.js)
+ */
+const recordActivities = async (entries, { session = null } = {}) => {
+  const changed = entries.filter(Boolean);
+  if (changed.length > 0) {
+    await Activity.insertMany(changed, { session });
+  }
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotTask,
+  diffSnapshots,
+  buildActivity,
+  recordActivity,
+  recordActivities
+};
@@ -0,0 +1,19 @@
+/**
+ * Async Handler
+ * Lets async route handlers and middleware throw instead of answering errors themselves
+ *
+ * @description Express 4 does not catch rejected promises. Wrapped handlers
+ * pass anything they throw (an AppError from utils/errors.js, a Mongoose
+ * error...) to next(), where middleware/errorHandler.js answers it.
+ */
+
+/**
+ * Wrap an async handler so its errors reach the error middleware
+ * @param {Function} handler - async (req, res, next) => {}
+ * @returns {Function} Express handler
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
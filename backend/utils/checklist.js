@@ -0,0 +1,60 @@
+/**
+ * Checklist Utilities
+ * Validation for the checklist items embedded in a task
+ */
+
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_ITEM_LENGTH = 200;
+
+/**
+ * Validate the text of a checklist item
+ * @param {*} text - Raw text from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+const checkItemText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return 'Checklist item text is required';
+  }
+  if (text.trim().length > MAX_ITEM_LENGTH) {
+    return `Checklist item text must be at most ${MAX_ITEM_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Validate a full checklist sent with a create or update request
+ * Items keep their _id when one is given so edits do not churn ids.
+ * Array order becomes the item order.
+ *
+ * @param {*} checklist - Raw checklist from the request body
+ * @returns {Object} { items } or { error }
+ */
+const parseChecklist = (checklist) => {
+  if (!Array.isArray(checklist)) {
+    return { error: 'Checklist must be a list of items' };
+  }
+  if (checklist.length > MAX_CHECKLIST_ITEMS) {
+    return { error: `A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items` };
+  }
+
+  const items = [];
+  for (const [order, item] of checklist.entries()) {
+    const error = checkItemText(item?.text);
+    if (error) return { error };
+
+    if (item.done !== undefined && typeof item.done !== 'boolean') {
+      return { error: 'Checklist item done flag must be true or false' };
+    }
+
+    items.push({
+      ...(item._id && { _id: item._id }),
+      text: item.text.trim(),
+      done: item.done === true,
+      order
+    });
+  }
+
+  return { items };
+};
+
+module.exports = { MAX_CHECKLIST_ITEMS, MAX_ITEM_LENGTH, checkItemText, parseChecklist };
@@ -0,0 +1,99 @@
+/**
+ * Email Verification Utilities
+ * Confirming that a user owns an address, at signup and when changing email
+ *
+ * @description A single-use, expiring token is emailed to the address being
+ * confirmed; only its hash is stored. Sending a new link cancels the user's
+ * previous ones, so only the latest address asked for can be confirmed.
+ */
+const EmailVerification = require('../models/EmailVerification');
+const { hashToken, newSecret, isSecret } = require('./sessions');
+const { sendMail } = require('./mailer');
+const { appLink } = require('../config/mail');
+const { emailVerificationTtlHours } = require('../config/sessions');
+const { logger } = require('./logger');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalize an email address from a request
+ * @param {*} email - Value from the request body
+ * @returns {string|null} Lowercased address, or null when it is not a valid email
+ */
+const normalizeEmail = (email) => {
+  if (typeof email !== 'string') return null;
+  const normalized = email.trim().toLowerCase();
+  return EMAIL_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Email a link confirming that the user owns an address
+ * Failures are logged rather than thrown: the user can ask for a new link.
+ * @async
+ * @param {Object} user - User document
+ * @param {string} email - Address to confirm (the user's email, or the pending new one)
+ * @returns {Promise<void>}
+ */
+const sendVerification = async (user, email) => {
+  const token = newSecret();
+  const hours = emailVerificationTtlHours();
+
+  await EmailVerification.deleteMany({ userId: user._id });
+  await EmailVerification.create({
+    userId: user._id,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+  });
+
+  const changing = email !== user.email;
+  sendMail({
+    to: email,
+    subject: changing ? 'Confirm your new Primetrade email' : 'Verify your Primetrade email',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      changing
+        ? `Confirm that ${email} should replace ${user.email} as the email of your Primetrade account:`
+        : 'Welcome to Primetrade! Confirm this is your email address:',
+      '',
+      appLink(`/verify-email?token=${token}`),
+      '',
+      `The link works once and expires in ${hours} hour${hours !== 1 ? 's' : ''}.`,
+      'If you did not ask for it, ignore this email.'
+    ].join('\n')
+  }).catch((error) => {
+    logger.error('Verification email failed', { userId: user._id, error });
+  });
+};
+
+/**
+ * Use up a verification token
+ * The token is deleted in the same operation that finds it, so it works once.
+ * @async
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} { userId, email } it confirms, or null when invalid or expired
+ */
+const consumeVerification = async (token) => {
+  if (!isSecret(token)) return null;
+
+  const verification = await EmailVerification.findOneAndDelete({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!verification) return null;
+
+  return { userId: verification.userId, email: verification.email };
+};
+
+/**
+ * Cancel the links sent to a user (e.g. when a pending email change is abandoned)
+ * @async
+ * @param {string} userId - User whose links stop working
+ * @returns {Promise<void>}
+ */
+const cancelVerifications = async (userId) => {
+  await EmailVerification.deleteMany({ userId });
+};
+
+module.exports = { EMAIL_PATTERN, normalizeEmail, sendVerification, consumeVerification, cancelVerifications };
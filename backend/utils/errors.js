@@ -0,0 +1,102 @@
+/**
+ * Application Errors
+ * Typed errors thrown by controllers and middleware, turned into responses by
+ * middleware/errorHandler.js
+ *
+ * @description Every error response has the same envelope:
+ *
+ *   { "message": "Task not found", "code": "NOT_FOUND" }
+ *
+ * `message` is meant for people and may change; `code` is stable and meant
+ * for clients. Some errors add fields, e.g. `errors` (field errors keyed by
+ * path) on validation failures.
+ */
+
+/**
+ * Base class: an error with an HTTP status, a stable code and extra response fields
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Message for the client
+   * @param {Object} options
+   * @param {number} options.status - HTTP status
+   * @param {string} options.code - Stable error code
+   * @param {Object} options.details - Extra fields added to the response body
+   */
+  constructor(message, { status = 500, code = 'INTERNAL', details = {} } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Response body of the error
+   * @returns {Object} { message, code, ...details }
+   */
+  toJSON() {
+    return { message: this.message, code: this.code, ...this.details };
+  }
+}
+
+// The request is malformed or breaks a rule (400)
+class ValidationError extends AppError {
+  /**
+   * @param {string} message - Message for the client
+   * @param {Object} options - { errors: field errors keyed by path, code, details }
+   */
+  constructor(message, { errors, code = 'VALIDATION_FAILED', details = {} } = {}) {
+    super(message, { status: 400, code, details: { ...(errors && { errors }), ...details } });
+  }
+}
+
+// Missing, invalid or expired credentials (401)
+class UnauthorizedError extends AppError {
+  constructor(message = 'Please sign in', { code = 'UNAUTHORIZED', details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+// Signed in but not allowed (403)
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to do this', { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+// The resource does not exist, or the user may not know it does (404)
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+// The request conflicts with the current state: duplicates, disallowed transitions (409)
+class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+/**
+ * Promise rejection handler turning a duplicate key error (unique index) into
+ * a ConflictError with a friendlier message; other errors are rethrown
+ * @param {string} message - Message of the conflict
+ * @returns {Function} Handler for .catch()
+ * @example await label.save().catch(conflictOnDuplicate('Label already exists'));
+ */
+const conflictOnDuplicate = (message) => (error) => {
+  if (error?.code === 11000) throw new ConflictError(message);
+  throw error;
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  conflictOnDuplicate
+};
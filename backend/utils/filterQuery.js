@@ -0,0 +1,246 @@
+/**
+ * Task Filter Query Language
+ * Validation and compilation of structured task filters (used by saved filters)
+ *
+ * @description A filter is JSON made of rules, combined with `match`:
+ *
+ *   {
+ *     "match": "all",
+ *     "rules": [
+ *       { "field": "status", "op": "in", "value": ["todo", "in_progress"] },
+ *       { "field": "dueDate", "op": "next", "value": 7 },
+ *       { "match": "any", "rules": [
+ *         { "field": "priority", "op": "in", "value": ["high"] },
+ *         { "field": "labels", "op": "any", "value": ["<labelId>"] }
+ *       ] }
+ *     ]
+ *   }
+ *
+ * Fields, operators and values are checked against a whitelist, and the
+ * compiled Mongo query is assembled here from the parsed values only, so no
+ * key or operator of the input ever reaches the database.
+ */
+
+const mongoose = require('mongoose');
+const { PRIORITIES } = require('../config/priorities');
+const { STATE_KEYS, CLOSED_STATES, isValidState, normalizeState } = require('../config/workflow');
+
+const MATCHES = ['all', 'any'];
+const MAX_RULES = 20; // Across all groups
+const MAX_DEPTH = 3; // Groups nested in groups
+const MAX_VALUES = 50;
+const MAX_DAYS = 366; // Relative ranges ("next 7 days")
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+// Parse a non-empty list of distinct values, each checked by `check` (returns the clean value or null)
+const parseList = (value, check, message) => {
+  if (!Array.isArray(value) || value.length === 0) return { error: 'give at least one value' };
+  if (value.length > MAX_VALUES) return { error: `give at most ${MAX_VALUES} values` };
+
+  const values = [];
+  for (const item of value) {
+    const clean = check(item);
+    if (clean === null) return { error: `${JSON.stringify(item)} is not valid, ${message}` };
+    if (!values.includes(clean)) values.push(clean);
+  }
+  return { value: values };
+};
+
+const objectIdValue = (item) => (typeof item === 'string' && mongoose.Types.ObjectId.isValid(item) ? item : null);
+
+const dateValue = (item) => {
+  if (typeof item !== 'string') return null;
+  const date = new Date(item);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const daysValue = (item) => (Number.isInteger(item) && item >= 1 && item <= MAX_DAYS ? item : null);
+
+/**
+ * Value parsers, one per kind of value an operator takes
+ * Each returns { value } or { error }.
+ */
+const VALUES = {
+  none: (value) => (value === undefined || value === null ? { value: null } : { error: 'takes no value' }),
+  states: (value) => parseList(value, (item) => {
+    const key = typeof item === 'string' ? normalizeState(item) : null;
+    return isValidState(key) ? key : null;
+  }, `use states from ${STATE_KEYS.join(', ')}`),
+  priorities: (value) => parseList(value, (item) => (PRIORITIES.includes(item) ? item : null),
+    `use priorities from ${PRIORITIES.join(', ')}`),
+  ids: (value) => parseList(value, objectIdValue, 'use ids'),
+  projects: (value) => parseList(value, (item) => (item === 'none' ? item : objectIdValue(item)),
+    'use project ids or none'),
+  assignees: (value) => parseList(value, (item) => (['me', 'unassigned'].includes(item) ? item : objectIdValue(item)),
+    'use me, unassigned or user ids'),
+  date: (value) => {
+    const date = dateValue(value);
+    return date ? { value: date } : { error: 'use an ISO date' };
+  },
+  dateRange: (value) => {
+    const [from, to] = Array.isArray(value) && value.length === 2 ? value.map(dateValue) : [];
+    if (!from || !to) return { error: 'use [from, to] ISO dates' };
+    if (from > to) return { error: 'the range ends before it starts' };
+    return { value: [from, to] };
+  },
+  days: (value) => {
+    const days = daysValue(value);
+    return days ? { value: days } : { error: `use a whole number of days from 1 to ${MAX_DAYS}` };
+  }
+};
+
+// Operators of the date fields, with the value they take and their condition on the field
+const DATE_OPS = {
+  before: { value: 'date', compile: (date) => ({ $lt: new Date(date) }) },
+  after: { value: 'date', compile: (date) => ({ $gt: new Date(date) }) },
+  between: { value: 'dateRange', compile: ([from, to]) => ({ $gte: new Date(from), $lte: new Date(to) }) },
+  last: { value: 'days', compile: (days, { now }) => ({ $gte: new Date(now.getTime() - days * DAY_MS), $lte: now }) }
+};
+
+// Date operators bound to one field
+const dateField = (field) => Object.fromEntries(Object.entries(DATE_OPS).map(([op, { value, compile }]) => [
+  op,
+  { value, compile: (parsed, context) => ({ [field]: compile(parsed, context) }) }
+]));
+
+// Tasks with any of the assignees: me, unassigned or a user id
+const anyAssignee = (values, { userId }) => {
+  const clauses = [];
+  const ids = values.filter((value) => value !== 'unassigned').map((value) => toObjectId(value === 'me' ? userId : value));
+
+  if (ids.length > 0) clauses.push({ 'assignees.userId': { $in: ids } });
+  if (values.includes('unassigned')) clauses.push({ assignees: { $size: 0 } });
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+// Project ids, with "none" standing for tasks outside any project
+const projectIds = (ids) => ids.map((id) => (id === 'none' ? null : toObjectId(id)));
+
+/**
+ * Fields a rule can test, with their operators
+ * An operator names the kind of value it takes and compiles the parsed value
+ * into a Mongo condition; `context` holds the current user and time.
+ */
+const FIELDS = {
+  status: {
+    in: { value: 'states', compile: (states) => ({ status: { $in: states } }) },
+    notIn: { value: 'states', compile: (states) => ({ status: { $nin: states } }) }
+  },
+  priority: {
+    in: { value: 'priorities', compile: (priorities) => ({ priority: { $in: priorities } }) },
+    notIn: { value: 'priorities', compile: (priorities) => ({ priority: { $nin: priorities } }) }
+  },
+  labels: {
+    any: { value: 'ids', compile: (ids) => ({ labels: { $in: ids.map(toObjectId) } }) },
+    all: { value: 'ids', compile: (ids) => ({ labels: { $all: ids.map(toObjectId) } }) },
+    none: { value: 'ids', compile: (ids) => ({ labels: { $nin: ids.map(toObjectId) } }) },
+    empty: { value: 'none', compile: () => ({ labels: { $size: 0 } }) }
+  },
+  project: {
+    in: { value: 'projects', compile: (ids) => ({ projectId: { $in: projectIds(ids) } }) },
+    notIn: { value: 'projects', compile: (ids) => ({ projectId: { $nin: projectIds(ids) } }) }
+  },
+  assignee: {
+    any: { value: 'assignees', compile: (values, context) => anyAssignee(values, context) },
+    none: { value: 'assignees', compile: (values, context) => ({ $nor: [anyAssignee(values, context)] }) }
+  },
+  dueDate: {
+    ...dateField('dueDate'),
+    next: { value: 'days', compile: (days, { now }) => ({ dueDate: { $gte: now, $lte: new Date(now.getTime() + days * DAY_MS) } }) },
+    overdue: { value: 'none', compile: (value, { now }) => ({ dueDate: { $ne: null, $lt: now }, status: { $nin: CLOSED_STATES } }) },
+    set: { value: 'none', compile: () => ({ dueDate: { $ne: null } }) },
+    empty: { value: 'none', compile: () => ({ dueDate: null }) }
+  },
+  createdAt: dateField('createdAt'),
+  updatedAt: dateField('updatedAt')
+};
+
+/**
+ * Validate a filter and return its clean form
+ * The result holds only known keys and normalized values (state keys, ISO
+ * dates), so it can be stored as is and compiled later.
+ *
+ * @param {*} input - Filter from the request body or query
+ * @returns {Object} { filter } or { error }
+ */
+const parseFilter = (input) => {
+  let ruleCount = 0;
+
+  // `prefix` numbers nested rules: the rules of rule 2 are 2.1, 2.2...
+  const parseGroup = (group, prefix, depth) => {
+    const name = prefix ? `Rule ${prefix.slice(0, -1)}` : 'Filter';
+    if (!isObject(group)) return { error: `${name} must be an object` };
+    if (depth > MAX_DEPTH) return { error: `Filter groups can be nested at most ${MAX_DEPTH} deep` };
+
+    const match = group.match === undefined ? 'all' : group.match;
+    if (!MATCHES.includes(match)) return { error: `${name}: match must be all or any` };
+    if (!Array.isArray(group.rules)) return { error: `${name}: rules must be a list` };
+    if (prefix && group.rules.length === 0) return { error: `${name}: a group needs at least one rule` };
+
+    const rules = [];
+    for (const [index, rule] of group.rules.entries()) {
+      const number = `${prefix}${index + 1}`;
+
+      if (isObject(rule) && rule.rules !== undefined) {
+        const parsed = parseGroup(rule, `${number}.`, depth + 1);
+        if (parsed.error) return parsed;
+        rules.push(parsed.group);
+        continue;
+      }
+
+      ruleCount += 1;
+      if (ruleCount > MAX_RULES) return { error: `A filter can have at most ${MAX_RULES} rules` };
+      if (!isObject(rule)) return { error: `Rule ${number} must be an object` };
+
+      const operators = Object.prototype.hasOwnProperty.call(FIELDS, rule.field) ? FIELDS[rule.field] : null;
+      if (!operators) {
+        return { error: `Rule ${number}: unknown field. Use one of: ${Object.keys(FIELDS).join(', ')}` };
+      }
+      const operator = Object.prototype.hasOwnProperty.call(operators, rule.op) ? operators[rule.op] : null;
+      if (!operator) {
+        return { error: `Rule ${number}: ${rule.field} supports ${Object.keys(operators).join(', ')}` };
+      }
+
+      const parsed = VALUES[operator.value](rule.value);
+      if (parsed.error) return { error: `Rule ${number} (${rule.field} ${rule.op}): ${parsed.error}` };
+
+      rules.push(parsed.value === null
+        ? { field: rule.field, op: rule.op }
+        : { field: rule.field, op: rule.op, value: parsed.value });
+    }
+
+    return { group: { match, rules } };
+  };
+
+  const parsed = parseGroup(input, '', 1);
+  return parsed.error ? parsed : { filter: parsed.group };
+};
+
+/**
+ * Compile a parsed filter into a Mongo condition
+ * @param {Object} filter - Filter returned by parseFilter
+ * @param {Object} context - Values the rules depend on
+ * @param {string} context.userId - Current user, for assignee "me"
+ * @param {Date} context.now - Reference time for relative dates (defaults to now)
+ * @returns {Object} Condition to AND with the rest of the task filter ({} matches every task)
+ */
+const compileFilter = (filter, { userId, now = new Date() }) => {
+  const compileGroup = ({ match, rules }) => {
+    const conditions = rules.map((rule) => (rule.rules
+      ? compileGroup(rule)
+      : FIELDS[rule.field][rule.op].compile(rule.value, { userId, now })));
+
+    if (conditions.length === 0) return {};
+    if (conditions.length === 1) return conditions[0];
+    return match === 'any' ? { $or: conditions } : { $and: conditions };
+  };
+
+  return compileGroup(filter);
+};
+
+module.exports = { parseFilter, compileFilter };
@@ -0,0 +1,83 @@
+/**
+ * Logger
+ * Structured JSON logs, one line per entry
+ *
+ * @description Each entry is a JSON object with the time, the level, a
+ * message and any fields passed along:
+ *
+ *   {"time":"2024-01-01T00:00:00.000Z","level":"info","message":"Request completed",
+ *    "requestId":"4f1c...","method":"GET","path":"/api/tasks","status":200,"durationMs":12.4}
+ *
+ * Debug and info entries go to stdout, warn and error entries to stderr.
+ * Secrets are redacted before anything is written: the Authorization and
+ * Cookie headers and any field whose name mentions a password, token or
+ * secret. Errors are written as { name, message, code, stack }.
+ *
+ * Request handlers log through req.log (middleware/requestLogger.js), a
+ * child logger that adds the request id to every entry.
+ */
+const { LOG_LEVELS, logLevel } = require('../config/logging');
+
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD = /^(authorization|cookie|set-cookie)$|password|token|secret|recoverycodes/i;
+const MAX_DEPTH = 6;
+
+const severity = (level) => LOG_LEVELS.indexOf(level);
+
+/**
+ * Copy a value for the log, hiding secrets
+ * @param {*} value - Any value
+ * @param {number} depth - Nesting level (deeper values are cut off)
+ * @returns {*} JSON-safe copy
+ */
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth);
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  if (typeof value.toJSON === 'function') return redact(value.toJSON(), depth);
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, field]) => field !== undefined)
+    .map(([name, field]) => [name, SECRET_FIELD.test(name) ? REDACTED : redact(field, depth + 1)]));
+};
+
+const writeLine = (level, line) => {
+  const stream = severity(level) >= severity('warn') ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Create a logger
+ * @param {Object} options
+ * @param {string} options.level - Lowest level written (defaults to LOG_LEVEL, read on each entry)
+ * @param {Object} options.fields - Fields added to every entry
+ * @param {Function} options.write - (level, line) => void; writes to stdout/stderr by default
+ * @returns {Object} { debug, info, warn, error, isEnabled, child }, the level
+ * methods taking (message, fields)
+ */
+const createLogger = ({ level, fields = {}, write = writeLine } = {}) => {
+  const isEnabled = (entryLevel) => severity(entryLevel) >= severity(level || logLevel());
+
+  const log = (entryLevel) => (message, data = {}) => {
+    if (!isEnabled(entryLevel)) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, message, ...redact({ ...fields, ...data }) };
+    write(entryLevel, JSON.stringify(entry));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    isEnabled,
+    child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write })
+  };
+};
+
+// Logger of the server process
+const logger = createLogger();
+
+module.exports = { logger, createLogger, redact };
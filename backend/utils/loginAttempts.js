@@ -0,0 +1,66 @@
+/**
+ * Login Attempt Tracking
+ * Per-account brute-force protection with progressive lockout
+ *
+ * @description Failed logins are counted per email (whether or not the
+ * account exists, so lockouts do not reveal registered emails). Reaching
+ * LOGIN_MAX_FAILURES locks the email for LOGIN_LOCKOUT_MINUTES; each further
+ * lockout within a day lasts twice as long (config/rateLimits.js). Counters
+ * live in the rate limiter's store.
+ */
+const { getStore } = require('./rateLimiter');
+const { loginLockoutPolicy } = require('../config/rateLimits');
+
+const keysFor = (email) => ({
+  failures: `login-failures:${email}`,
+  lockouts: `login-lockouts:${email}`,
+  lock: `login-lock:${email}`
+});
+
+/**
+ * Seconds left on the lockout of an email
+ * @async
+ * @param {string} email - Normalized email
+ * @returns {Promise<number>} 0 when the email is not locked
+ */
+const loginLockedFor = async (email) => {
+  const lock = await getStore().get(keysFor(email).lock);
+  return lock ? Math.max(Math.ceil(lock.ttlMs / 1000), 1) : 0;
+};
+
+/**
+ * Count a failed login, locking the email when it reaches the limit
+ * @async
+ * @param {string} email - Normalized email
+ * @returns {Promise<number>} Seconds of the lockout it started, or 0
+ */
+const recordLoginFailure = async (email) => {
+  const policy = loginLockoutPolicy();
+  const store = getStore();
+  const keys = keysFor(email);
+
+  const { count } = await store.increment(keys.failures, policy.failureWindowMs);
+  if (count < policy.maxFailures) return 0;
+
+  await store.reset(keys.failures);
+  const { count: lockouts } = await store.increment(keys.lockouts, policy.memoryMs);
+  const lockoutMs = Math.min(policy.lockoutMs * 2 ** (lockouts - 1), policy.maxLockoutMs);
+  await store.increment(keys.lock, lockoutMs);
+
+  return Math.ceil(lockoutMs / 1000);
+};
+
+/**
+ * Forget the failures and lockout history of an email after a successful login
+ * @async
+ * @param {string} email - Normalized email
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (email) => {
+  const store = getStore();
+  const keys = keysFor(email);
+  await store.reset(keys.failures);
+  await store.reset(keys.lockouts);
+};
+
+module.exports = { loginLockedFor, recordLoginFailure, clearLoginFailures };
@@ -0,0 +1,67 @@
+/**
+ * Mailer
+ * Sends account emails through a pluggable transport
+ *
+ * @description A transport is an object with an async `send(message)`, where
+ * message is { from, to, subject, text }. The one used is picked by name with
+ * MAIL_TRANSPORT (config/mail.js). Two are built in for local use: 'console'
+ * prints emails to stdout and 'file' appends them to a file. A real provider
+ * (SMTP, an email API, ...) is added with registerTransport.
+ */
+const fs = require('fs/promises');
+const { mailTransport, mailFile, mailFrom } = require('../config/mail');
+
+// Email as plain text, the way both built-in transports show it
+const formatMessage = ({ from, to, subject, text }) => [
+  `Date: ${new Date().toUTCString()}`,
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  '',
+  text,
+  ''
+].join('\n');
+
+const transports = new Map([
+  ['console', {
+    async send(message) {
+      console.log(`\n📧 Email\n${formatMessage(message)}`);
+    }
+  }],
+  ['file', {
+    async send(message) {
+      await fs.appendFile(mailFile(), `${formatMessage(message)}\n`);
+    }
+  }]
+]);
+
+/**
+ * Add (or replace) a transport
+ * @param {string} name - Name selected with MAIL_TRANSPORT
+ * @param {Object} transport - Object with an async send(message) method
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new TypeError(`Mail transport "${name}" must have a send(message) method`);
+  }
+  transports.set(name, transport);
+};
+
+/**
+ * Send an email through the configured transport
+ * @async
+ * @param {Object} message - { to, subject, text } (from defaults to MAIL_FROM)
+ * @returns {Promise<void>}
+ * @throws {Error} When the transport is unknown or fails
+ */
+const sendMail = async ({ to, subject, text, from = mailFrom() }) => {
+  const name = mailTransport();
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  await transport.send({ from, to, subject, text });
+};
+
+module.exports = { registerTransport, sendMail };
@@ -0,0 +1,185 @@
+/**
+ * Cursor Pagination Utilities
+ * Helpers for keyset (cursor-based) pagination over Mongoose queries
+ *
+ * @description Cursors are opaque base64url strings holding the sort value and
+ * _id of the last document on a page. Every sort is tie-broken on _id so that
+ * paging stays stable when many documents share the same sort value.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Default and maximum page sizes
+ * @type {number}
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a requested page size, clamping it to [1, MAX_LIMIT]
+ * @param {string|number} value - Raw limit from the query string
+ * @returns {number|null} Page size, or null if the value is not a positive integer
+ */
+const parseLimit = (value) => {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) return null;
+
+  return Math.min(limit, MAX_LIMIT);
+};
+
+/**
+ * Encode the position of a document into an opaque cursor
+ * @param {Object} doc - Last document of the current page
+ * @param {string} field - Field the page is sorted by
+ * @returns {string} base64url encoded cursor
+ */
+const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  const payload = {
+    f: field,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+    id: doc._id.toString()
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Cursors come from the client: sort values are plain strings, finite numbers
+// or null, never objects that would add operators to cursorFilter's query
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const isCursorValue = (value) => value === null
+  || typeof value === 'string'
+  || (typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from the client
+ * @param {string} field - Field the current request is sorted by
+ * @returns {Object|null} { value, id } or null if the cursor is malformed, holds
+ *   a value that is not a string, finite number, null or ISO date, or was issued
+ *   for a different sort field
+ */
+const decodeCursor = (cursor, field) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!payload || payload.f !== field) return null;
+    if (typeof payload.id !== 'string' || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    if (!isCursorValue(payload.v)) return null;
+    if (payload.d && !(typeof payload.v === 'string' && ISO_DATE.test(payload.v))) return null;
+
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (payload.d && Number.isNaN(value.getTime())) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter selecting documents strictly after a cursor position
+ * MongoDB sorts null/missing values before everything else, so they are
+ * handled explicitly to keep pages contiguous.
+ *
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @param {Object} cursor - Decoded cursor { value, id }
+ * @returns {Object} Mongo filter
+ */
+const cursorFilter = (field, direction, { value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    const sameValue = { [field]: null, _id: { [after]: id } };
+    return direction === 1
+      ? { $or: [sameValue, { [field]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const clauses = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) {
+    clauses.push({ [field]: null });
+  }
+
+  return { $or: clauses };
+};
+
+/**
+ * Fetch one page of documents
+ *
+ * @async
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Object} filter - Base filter (ownership, search, status...)
+ * @param {Object} options - Pagination options
+ * @param {string} options.field - Sort field
+ * @param {number} options.direction - 1 or -1
+ * @param {number} options.limit - Page size
+ * @param {Object|null} options.cursor - Decoded cursor, or null for the first page
+ * @returns {Promise<Object>} { items, nextCursor, hasMore }
+ */
+const paginate = async (Model, filter, { field, direction, limit, cursor }) => {
+  const query = cursor
+    ? { $and: [filter, cursorFilter(field, direction, cursor)] }
+    : filter;
+
+  const docs = await Model.find(query)
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+    hasMore
+  };
+};
+
+/**
+ * Fetch one page of an aggregation
+ * Like paginate, for sort fields computed by the pipeline (such as a search
+ * score); the cursor is applied after `stages`, so the field must exist by then.
+ *
+ * @async
+ * @param {mongoose.Model} Model - Model to aggregate
+ * @param {Array<Object>} stages - Pipeline stages producing the documents and the sort field
+ * @param {Object} options - Pagination options (see paginate)
+ * @returns {Promise<Object>} { items, nextCursor, hasMore } with plain objects as items
+ */
+const paginateAggregate = async (Model, stages, { field, direction, limit, cursor }) => {
+  const docs = await Model.aggregate([
+    ...stages,
+    ...(cursor ? [{ $match: cursorFilter(field, direction, cursor) }] : []),
+    { $sort: { [field]: direction, _id: direction } },
+    { $limit: limit + 1 }
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+    hasMore
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  paginate,
+  paginateAggregate
+};
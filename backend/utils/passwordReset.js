@@ -0,0 +1,99 @@
+/**
+ * Password Reset Utilities
+ * Single-use, expiring tokens for the "forgot password" flow
+ *
+ * @description The token is emailed to the user as part of a link; only its
+ * hash is stored. Requesting a new link cancels the previous ones, and a
+ * token is deleted as soon as it is used.
+ */
+const PasswordReset = require('../models/PasswordReset');
+const User = require('../models/User');
+const { hashToken, newSecret, isSecret } = require('./sessions');
+const { sendMail } = require('./mailer');
+const { appLink } = require('../config/mail');
+const { passwordResetTtlMinutes } = require('../config/sessions');
+
+/**
+ * Create a reset token for a user, replacing any earlier one
+ * @async
+ * @param {Object} user - User document
+ * @returns {Promise<string>} Token to put in the reset link
+ */
+const createResetToken = async (user) => {
+  const token = newSecret();
+
+  await PasswordReset.deleteMany({ userId: user._id });
+  await PasswordReset.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + passwordResetTtlMinutes() * 60 * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Use up a reset token
+ * The token is deleted in the same operation that finds it, so it works once.
+ * @async
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<string|null>} Id of the user it belongs to, or null when invalid or expired
+ */
+const consumeResetToken = async (token) => {
+  if (!isSecret(token)) return null;
+
+  const reset = await PasswordReset.findOneAndDelete({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!reset) return null;
+
+  await PasswordReset.deleteMany({ userId: reset.userId });
+  return reset.userId;
+};
+
+/**
+ * Email a user the link to choose a new password
+ * @async
+ * @param {Object} user - User document
+ * @param {string} token - Token from createResetToken
+ * @returns {Promise<void>}
+ */
+const sendResetEmail = (user, token) => {
+  const minutes = passwordResetTtlMinutes();
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Primetrade password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone (hopefully you) asked to reset the password of your Primetrade account.',
+      'Choose a new password here:',
+      '',
+      appLink(`/reset-password?token=${token}`),
+      '',
+      `The link works once and expires in ${minutes} minute${minutes !== 1 ? 's' : ''}.`,
+      'If you did not ask for it, ignore this email: your password stays the same.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Email a reset link to the account registered with an email, if there is one
+ * Run it after answering the request: the caller must not be able to tell
+ * from the response time whether the account exists.
+ * @async
+ * @param {string} email - Normalized email
+ * @returns {Promise<boolean>} Whether a link was sent
+ */
+const sendResetLink = async (email) => {
+  const user = email && await User.findOne({ email });
+  if (!user) return false;
+
+  const token = await createResetToken(user);
+  await sendResetEmail(user, token);
+  return true;
+};
+
+module.exports = { createResetToken, consumeResetToken, sendResetEmail, sendResetLink };
@@ -0,0 +1,172 @@
+/**
+ * Rate Limiter
+ * Fixed-window request counters kept in a pluggable store
+ *
+ * @description A store holds counters that expire, through three async methods:
+ * - increment(key, windowMs): add one to the counter, starting it with a
+ *   lifetime of windowMs when it is missing or expired; resolves { count, ttlMs }
+ * - get(key): resolves { count, ttlMs }, or null when missing or expired
+ * - reset(key): delete the counter
+ * ttlMs is the time left before the counter expires. The store used is picked
+ * by name with RATE_LIMIT_STORE (config/rateLimits.js). The built-in 'memory'
+ * store counts per process, so each server instance has its own limits; a
+ * shared store (e.g. Redis INCR + PEXPIRE + PTTL) is added with registerStore.
+ */
+const { rateLimitStore } = require('../config/rateLimits');
+
+// How often the memory store drops expired counters
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process store
+ * @param {Object} options - { now: clock returning milliseconds, for tests }
+ * @returns {Object} Store
+ */
+const createMemoryStore = ({ now = Date.now } = {}) => {
+  const counters = new Map();
+  let sweeper = null;
+
+  const live = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.expiresAt <= now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  const startSweeper = () => {
+    if (sweeper) return;
+    sweeper = setInterval(() => {
+      for (const key of counters.keys()) live(key);
+      if (counters.size === 0) {
+        clearInterval(sweeper);
+        sweeper = null;
+      }
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+  };
+
+  return {
+    async increment(key, windowMs) {
+      let counter = live(key);
+      if (!counter) {
+        counter = { count: 0, expiresAt: now() + windowMs };
+        counters.set(key, counter);
+        startSweeper();
+      }
+      counter.count += 1;
+      return { count: counter.count, ttlMs: counter.expiresAt - now() };
+    },
+
+    async get(key) {
+      const counter = live(key);
+      return counter ? { count: counter.count, ttlMs: counter.expiresAt - now() } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+const factories = new Map([['memory', createMemoryStore]]);
+const stores = new Map();
+
+/**
+ * Add (or replace) a store
+ * @param {string} name - Name selected with RATE_LIMIT_STORE
+ * @param {Function} factory - Creates the store (called once, on first use)
+ */
+const registerStore = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Rate limit store "${name}" must be registered with a factory function`);
+  }
+  factories.set(name, factory);
+  stores.delete(name);
+};
+
+/**
+ * The configured store
+ * @returns {Object} Store
+ * @throws {Error} When the store is unknown
+ */
+const getStore = () => {
+  const name = rateLimitStore();
+  if (!stores.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    stores.set(name, factory());
+  }
+  return stores.get(name);
+};
+
+/**
+ * Count a request against a quota
+ * @async
+ * @param {string} key - Counter key (policy name and client)
+ * @param {Object} policy - { limit, windowMs }
+ * @returns {Promise<Object>} { allowed, limit, remaining, resetSeconds }
+ */
+const consume = async (key, { limit, windowMs }) => {
+  const { count, ttlMs } = await getStore().increment(key, windowMs);
+  return {
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(limit - count, 0),
+    resetSeconds: Math.max(Math.ceil(ttlMs / 1000), 1)
+  };
+};
+
+/**
+ * Human-readable wait, for error messages
+ * @param {number} seconds - Time to wait
+ * @returns {string} e.g. "45 seconds" or "5 minutes"
+ */
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+};
+
+/**
+ * Set the RateLimit-* headers describing a quota
+ * @param {Object} res - Express response
+ * @param {Object} result - From consume
+ * @param {Object} policy - { limit, windowMs }
+ */
+const setRateLimitHeaders = (res, result, policy) => {
+  res.set({
+    'RateLimit-Policy': `${policy.limit};w=${Math.round(policy.windowMs / 1000)}`,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds)
+  });
+};
+
+/**
+ * Reject a request with 429 Too Many Requests
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds before the client may try again
+ * @param {string} message - Error message (the wait is appended)
+ */
+const tooManyRequests = (res, retryAfter, message = 'Too many requests') => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: `${message}. Try again in ${formatWait(retryAfter)}`,
+    code: 'RATE_LIMITED',
+    retryAfter
+  });
+};
+
+module.exports = {
+  createMemoryStore,
+  registerStore,
+  getStore,
+  consume,
+  formatWait,
+  setRateLimitHeaders,
+  tooManyRequests
+};
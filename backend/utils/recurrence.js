@@ -0,0 +1,260 @@
+/**
+ * Recurrence Utilities
+ * Validation of task recurrence rules and computation of the next occurrence
+ *
+ * @description Rules follow a small subset of iCalendar RRULE: a frequency
+ * (daily, weekly or monthly) with an interval, the weekdays of weekly rules,
+ * the day of the month of monthly rules, and an optional end (until or count).
+ * Occurrences are computed on the wall clock of the rule's time zone, so a task
+ * due at 09:00 stays due at 09:00 when daylight saving time starts or ends.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// One formatter per time zone; creating them is comparatively slow
+const formatters = new Map();
+
+/**
+ * Check that a time zone is a valid IANA name (e.g. "Europe/Paris")
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (0-11), day, hour, minute, second }
+ */
+const toWallClock = (date, timeZone) => {
+  const parts = Object.fromEntries(formatterFor(timeZone)
+    .formatToParts(date)
+    .filter((part) => part.type !== 'literal')
+    .map((part) => [part.type, Number(part.value)]));
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+const wallClockAsUTC = ({ year, month, day, hour, minute, second }) => Date.UTC(year, month, day, hour, minute, second);
+
+// Offset of the time zone from UTC at an instant, in milliseconds
+const zoneOffset = (timestamp, timeZone) => wallClockAsUTC(toWallClock(new Date(timestamp), timeZone))
+  - Math.floor(timestamp / 1000) * 1000;
+
+/**
+ * Instant at which a time zone's wall clock shows the given time
+ * A time repeated when the clocks go back resolves to its first occurrence;
+ * a time skipped when they go forward resolves to the same time after the
+ * jump (02:30 becomes 03:30), as iCalendar does.
+ *
+ * @param {Object} wallClock - { year, month (0-11), day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+const fromWallClock = (wallClock, timeZone) => {
+  const guess = wallClockAsUTC(wallClock);
+  const first = guess - zoneOffset(guess, timeZone);
+  const second = guess - zoneOffset(first, timeZone);
+
+  return new Date(wallClockAsUTC(toWallClock(new Date(second), timeZone)) === guess ? second : first);
+};
+
+// Calendar helpers working on { year, month, day } only
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const addDays = (wallClock, days) => {
+  const date = new Date(Date.UTC(wallClock.year, wallClock.month, wallClock.day + days));
+  return { ...wallClock, year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+};
+
+const weekday = ({ year, month, day }) => new Date(Date.UTC(year, month, day)).getUTCDay();
+
+/**
+ * Wall-clock date of the occurrence following `current`
+ * @param {Object} rule - Validated recurrence rule
+ * @param {Object} current - Wall clock of the current occurrence
+ * @returns {Object} Wall clock of the next occurrence
+ */
+const nextWallClock = (rule, current) => {
+  if (rule.frequency === 'daily') {
+    return addDays(current, rule.interval);
+  }
+
+  if (rule.frequency === 'monthly') {
+    // Months without the rule's day (e.g. the 31st) fall back to their last day
+    const month = current.month + rule.interval;
+    const year = current.year + Math.floor(month / 12);
+    const monthIndex = ((month % 12) + 12) % 12;
+    return { ...current, year, month: monthIndex, day: Math.min(rule.monthDay, daysInMonth(year, monthIndex)) };
+  }
+
+  // Weekly: the next listed weekday, skipping the weeks between repetitions.
+  // Weeks start on Monday, as RRULE's default WKST.
+  const weekStart = addDays(current, -((weekday(current) + 6) % 7));
+  for (let offset = 1; offset <= 7 * rule.interval; offset += 1) {
+    const candidate = addDays(current, offset);
+    const weeksApart = Math.floor((Date.UTC(candidate.year, candidate.month, candidate.day)
+      - Date.UTC(weekStart.year, weekStart.month, weekStart.day)) / (7 * 24 * 60 * 60 * 1000));
+
+    if (weeksApart % rule.interval === 0 && rule.weekdays.includes(weekday(candidate))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Due date of the occurrence after the given one
+ * @param {Object} rule - Validated recurrence rule (see parseRecurrence)
+ * @param {Date} dueDate - Due date of the current occurrence
+ * @param {number} occurrence - 1-based position of the current occurrence in the series
+ * @returns {Date|null} Next due date, or null when the series has ended
+ */
+const nextOccurrence = (rule, dueDate, occurrence = 1) => {
+  if (!dueDate) return null;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const timeZone = rule.timezone || DEFAULT_TIME_ZONE;
+  const next = nextWallClock(rule, toWallClock(dueDate, timeZone));
+  if (!next) return null;
+
+  const nextDate = fromWallClock(next, timeZone);
+  if (rule.until && nextDate > rule.until) return null;
+
+  return nextDate;
+};
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate a recurrence rule from a request body
+ * Weekly rules default to the due date's weekday and monthly rules to its day
+ * of the month.
+ *
+ * @param {Object|null} input - { frequency, interval, weekdays, monthDay, until, count, timezone }
+ * @param {Date|null} dueDate - Due date of the task; recurring tasks need one
+ * @param {Object|null} existing - Current rule of the task, whose position in the series is kept
+ * @returns {Object} { recurrence } (null to stop repeating) or { error }
+ */
+const parseRecurrence = (input, dueDate, existing = null) => {
+  if (input === null) return { recurrence: null };
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Recurrence must be an object' };
+  }
+  if (!FREQUENCIES.includes(input.frequency)) {
+    return { error: `Invalid recurrence frequency. Use one of: ${FREQUENCIES.join(', ')}` };
+  }
+  if (!dueDate) {
+    return { error: 'Recurring tasks need a due date' };
+  }
+
+  const interval = input.interval ?? 1;
+  if (!isIntegerBetween(interval, 1, MAX_INTERVAL)) {
+    return { error: `Recurrence interval must be a whole number from 1 to ${MAX_INTERVAL}` };
+  }
+
+  const timezone = input.timezone ?? DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timezone)) {
+    return { error: 'Invalid recurrence time zone' };
+  }
+
+  const due = toWallClock(dueDate, timezone);
+  const recurrence = {
+    frequency: input.frequency,
+    interval,
+    weekdays: [],
+    monthDay: null,
+    until: null,
+    count: null,
+    timezone,
+    occurrence: existing?.occurrence || 1
+  };
+
+  if (input.frequency === 'weekly') {
+    const weekdays = input.weekdays ?? [weekday(due)];
+    if (!Array.isArray(weekdays) || weekdays.length === 0 || !weekdays.every((day) => isIntegerBetween(day, 0, 6))) {
+      return { error: 'Weekly recurrence needs weekdays from 0 (Sunday) to 6 (Saturday)' };
+    }
+    recurrence.weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+  }
+
+  if (input.frequency === 'monthly') {
+    const monthDay = input.monthDay ?? due.day;
+    if (!isIntegerBetween(monthDay, 1, 31)) {
+      return { error: 'Monthly recurrence needs a day of the month from 1 to 31' };
+    }
+    recurrence.monthDay = monthDay;
+  }
+
+  if (input.until !== undefined && input.until !== null && input.until !== '') {
+    const until = new Date(input.until);
+    if (typeof input.until !== 'string' || Number.isNaN(until.getTime())) {
+      return { error: 'Invalid recurrence end date' };
+    }
+    if (until < dueDate) {
+      return { error: 'Recurrence end date must be after the due date' };
+    }
+    recurrence.until = until;
+  }
+
+  if (input.count !== undefined && input.count !== null) {
+    if (!isIntegerBetween(input.count, 1, MAX_COUNT)) {
+      return { error: `Recurrence count must be a whole number from 1 to ${MAX_COUNT}` };
+    }
+    recurrence.count = input.count;
+  }
+
+  if (recurrence.until && recurrence.count) {
+    return { error: 'Recurrence can end on a date or after a count, not both' };
+  }
+
+  return { recurrence };
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_INTERVAL,
+  MAX_COUNT,
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  nextOccurrence,
+  parseRecurrence
+};
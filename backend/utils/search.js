@@ -0,0 +1,275 @@
+/**
+ * Task Search Utilities
+ * Inverted index terms, query parsing, relevance scoring and match highlighting
+ *
+ * @description Every task stores the normalized words of its title and
+ * description (`search.terms`, indexed per workspace), so a search term becomes
+ * an anchored prefix lookup on that index instead of a regex over the text.
+ * Phrases are matched against the same words kept in order
+ * (`search.titleText`), so they ignore case, accents and punctuation too.
+ * User input never reaches a pattern unescaped: terms are reduced to letters and
+ * digits before they are used.
+ *
+ * Query syntax (terms are ANDed):
+ * - `invo` matches words starting with "invo" in the title or description
+ * - `"due next week"` matches the words as a phrase
+ * - `title:invoice`, `description:"bank transfer"` limit a term to one field
+ * - `status:todo,in_progress`, `priority:high`, `label:"needs review"`,
+ *   `project:website` (or `project:none`) and `assignee:me|unassigned` filter
+ *   like the matching query parameters
+ */
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+const MAX_TERM_LENGTH = 32; // Longer words are indexed and searched by their first 32 characters
+
+// Text fields that can scope a term, with their aliases
+const TEXT_FIELDS = { title: 'title', description: 'description', desc: 'description' };
+const FILTER_FIELDS = ['status', 'priority', 'label', 'project', 'assignee'];
+
+// Relevance weights: [whole word, word prefix] per field, and phrase matches
+const WEIGHTS = {
+  title: [4, 2],
+  description: [2, 1],
+  titlePhrase: 6,
+  descriptionPhrase: 3
+};
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40; // Characters of context kept before the first match
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lower-case a text and strip accents so "Café" and "cafe" compare equal
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+const normalize = (text) => text.normalize('NFKD').replace(/\p{M}+/gu, '').toLowerCase();
+
+/**
+ * Split a text into normalized words
+ * @param {string} text - Raw text
+ * @returns {string[]} Words, in order, truncated to MAX_TERM_LENGTH
+ */
+const tokenize = (text = '') => (normalize(text).match(WORD) || []).map((word) => word.slice(0, MAX_TERM_LENGTH));
+
+const unique = (values) => [...new Set(values)];
+
+/**
+ * Build the index terms stored on a task
+ * @param {Object} task - Task with title and description
+ * @returns {Object} { terms, title, description } lists of unique words, and
+ *   { titleText, descriptionText } with every word in order, separated by spaces
+ */
+const buildSearchIndex = ({ title = '', description = '' }) => {
+  const titleWords = tokenize(title);
+  const descriptionWords = tokenize(description);
+  const titleTerms = unique(titleWords);
+  const descriptionTerms = unique(descriptionWords);
+  return {
+    terms: unique([...titleTerms, ...descriptionTerms]),
+    title: titleTerms,
+    description: descriptionTerms,
+    titleText: titleWords.join(' '),
+    descriptionText: descriptionWords.join(' ')
+  };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pattern matching the words of a phrase, in order, in search.titleText or search.descriptionText
+const phrasePattern = (tokens) => `(?:^| )${tokens.map(escapeRegex).join(' ')}(?: |$)`;
+
+// Stored text a phrase is matched against
+const PHRASE_TEXT = { title: 'search.titleText', description: 'search.descriptionText' };
+
+// field:value, field:"quoted value", "phrase" or word; an unterminated quote runs to the end
+const QUERY_PART = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Parse a search query
+ * @param {string} query - Raw search input
+ * @returns {Object} { terms, filters } or { error }
+ *   - terms: [{ field: 'title'|'description'|null, tokens, phrase, pattern }]
+ *   - filters: [{ field, values }] for the filter scopes, in query order
+ */
+const parseSearchQuery = (query) => {
+  if (typeof query !== 'string') return { error: 'Search must be a string' };
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { error: `Search must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const terms = [];
+  const filters = [];
+
+  for (const [raw, rawField, quoted, word] of query.matchAll(QUERY_PART)) {
+    const field = rawField?.toLowerCase();
+    const value = quoted ?? word;
+
+    if (field && FILTER_FIELDS.includes(field)) {
+      const values = value.split(',').map((item) => item.trim()).filter(Boolean);
+      if (values.length > 0) filters.push({ field, values });
+      continue;
+    }
+
+    // Unknown prefixes such as "http:" are searched as text
+    const scoped = field && TEXT_FIELDS[field];
+    const text = scoped ? value : raw;
+    const tokens = tokenize(text);
+    if (tokens.length === 0) continue;
+
+    const phrase = quoted !== undefined || tokens.length > 1;
+    terms.push({
+      field: scoped || null,
+      tokens,
+      phrase,
+      pattern: phrase ? phrasePattern(tokens) : null
+    });
+  }
+
+  if (terms.length + filters.length > MAX_TERMS) {
+    return { error: `Search can have at most ${MAX_TERMS} terms` };
+  }
+
+  return { terms, filters };
+};
+
+/**
+ * Mongo conditions selecting the tasks that match every text term
+ * Single words match as prefixes of indexed words; phrases need all their
+ * words in the index and then in that order in the field's text.
+ *
+ * @param {Array<Object>} terms - Terms from parseSearchQuery
+ * @returns {Array<Object>} Conditions to AND together
+ */
+const buildSearchConditions = (terms) => terms.flatMap((term) => {
+  if (term.phrase) {
+    const phrase = { $regex: term.pattern };
+    return [
+      { 'search.terms': { $all: term.tokens } },
+      term.field
+        ? { [PHRASE_TEXT[term.field]]: phrase }
+        : { $or: [{ [PHRASE_TEXT.title]: phrase }, { [PHRASE_TEXT.description]: phrase }] }
+    ];
+  }
+
+  const prefix = { $regex: `^${escapeRegex(term.tokens[0])}` };
+  return term.field
+    ? [{ 'search.terms': prefix }, { [`search.${term.field}`]: prefix }]
+    : [{ 'search.terms': prefix }];
+});
+
+// Aggregation expression: weight when the field has the word, a smaller one when a word starts with it
+const wordScore = (field, token) => {
+  const [exact, partial] = WEIGHTS[field];
+  const words = { $ifNull: [`$search.${field}`, []] };
+
+  return {
+    $cond: [
+      { $in: [token, words] },
+      exact,
+      {
+        $cond: [
+          { $anyElementTrue: [{ $map: { input: words, as: 'word', in: { $regexMatch: { input: '$$word', regex: `^${escapeRegex(token)}` } } } }] },
+          partial,
+          0
+        ]
+      }
+    ]
+  };
+};
+
+const phraseScore = (field, pattern) => ({
+  $cond: [{ $regexMatch: { input: { $ifNull: [`$${PHRASE_TEXT[field]}`, ''] }, regex: pattern } }, WEIGHTS[`${field}Phrase`], 0]
+});
+
+/**
+ * Aggregation expression scoring how well a task matches the text terms
+ * Title matches weigh more than description matches, whole words more than
+ * prefixes, and phrases more than single words.
+ *
+ * @param {Array<Object>} terms - Terms from parseSearchQuery
+ * @returns {Object} Expression for $addFields
+ */
+const buildScoreExpression = (terms) => ({
+  $add: terms.flatMap((term) => {
+    const fields = term.field ? [term.field] : ['title', 'description'];
+    return term.phrase
+      ? fields.map((field) => phraseScore(field, term.pattern))
+      : fields.map((field) => wordScore(field, term.tokens[0]));
+  })
+});
+
+/**
+ * Ranges of the words of a text that match the search tokens
+ * @param {string} text - Raw text
+ * @param {string[]} tokens - Normalized search tokens (prefixes)
+ * @returns {Array<number[]>} [start, end) character offsets
+ */
+const matchRanges = (text, tokens) => {
+  const ranges = [];
+  for (const match of text.matchAll(WORD)) {
+    const word = normalize(match[0]);
+    if (tokens.some((token) => word.startsWith(token))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+};
+
+/**
+ * Cut a window of text around its first match
+ * @param {string} text - Raw text
+ * @param {Array<number[]>} ranges - Match ranges in the text
+ * @returns {Object|null} { text, ranges } with ranges relative to the snippet, or null without matches
+ */
+const snippet = (text, ranges) => {
+  if (ranges.length === 0) return null;
+
+  let start = Math.max(0, ranges[0][0] - SNIPPET_LEAD);
+  if (start > 0) {
+    // Start on a word boundary
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space >= ranges[0][0] ? start : space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const lead = start > 0 ? '…' : '';
+
+  return {
+    text: `${lead}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    ranges: ranges
+      .filter(([from]) => from >= start && from < end)
+      .map(([from, to]) => [from - start + lead.length, Math.min(to, end) - start + lead.length])
+  };
+};
+
+/**
+ * Describe where a task matched the search, for highlighting
+ * Offsets are returned instead of markup so clients never render task text as HTML.
+ *
+ * @param {Object} task - Task with title and description
+ * @param {Array<Object>} terms - Terms from parseSearchQuery
+ * @returns {Object} { title: ranges, description: snippet|null }
+ */
+const highlightTask = (task, terms) => {
+  const tokensFor = (field) => terms
+    .filter((term) => !term.field || term.field === field)
+    .flatMap((term) => term.tokens);
+
+  return {
+    title: matchRanges(task.title, tokensFor('title')),
+    description: snippet(task.description, matchRanges(task.description, tokensFor('description')))
+  };
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  normalize,
+  tokenize,
+  buildSearchIndex,
+  parseSearchQuery,
+  buildSearchConditions,
+  buildScoreExpression,
+  highlightTask
+};
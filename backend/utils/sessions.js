@@ -0,0 +1,184 @@
+/**
+ * Session Utilities
+ * Access and refresh token issuance, rotation and revocation
+ *
+ * @description Signing in starts a session and returns a short-lived access
+ * token (JWT) plus a refresh token. A refresh token is "<sessionId>.<secret>";
+ * only a hash of the secret is stored. Each refresh replaces the secret, so a
+ * refresh token works once: presenting the token the last refresh replaced
+ * means it was copied, and the whole session is revoked (reuse detection).
+ * Any other wrong secret is only refused: session ids are not secret (they are
+ * listed by GET /api/auth/sessions), so guessing one must not end a session.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { accessTokenTtlSeconds, sessionExpiry } = require('../config/sessions');
+
+const SECRET_BYTES = 32;
+const MAX_USER_AGENT_LENGTH = 300;
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Secret part of the refresh token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Compare two hex hashes in constant time
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+/**
+ * Random secret for a token sent to the client (refresh tokens, emailed links)
+ * @returns {string} 64 hex characters
+ */
+const newSecret = () => crypto.randomBytes(SECRET_BYTES).toString('hex');
+
+/**
+ * Whether a value has the shape of a secret from newSecret
+ * @param {*} value - Value from the request
+ * @returns {boolean}
+ */
+const isSecret = (value) => typeof value === 'string' && value.length === SECRET_BYTES * 2 && /^[0-9a-f]+$/.test(value);
+
+/**
+ * Split a refresh token into its session id and secret
+ * @param {*} token - Refresh token from the request
+ * @returns {Object|null} { sessionId, secret }, or null when it is malformed
+ */
+const parseRefreshToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [sessionId, secret, ...rest] = token.split('.');
+  if (rest.length > 0 || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  if (!isSecret(secret)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Tokens returned to the client after signing in or refreshing
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @param {string} secret - New refresh token secret
+ * @returns {Object} { token, refreshToken, expiresIn } (expiresIn in seconds, for the access token)
+ */
+const issueTokens = (user, session, secret) => {
+  const expiresIn = accessTokenTtlSeconds();
+  return {
+    token: jwt.sign(
+      { userId: user._id, email: user.email, sessionId: session._id },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    ),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn
+  };
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @async
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device details for the sessions list)
+ * @returns {Promise<Object>} Tokens from issueTokens
+ */
+const startSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: sessionExpiry(),
+    userAgent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH),
+    ip: req.ip || ''
+  });
+
+  return issueTokens(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for new tokens
+ * The stored hash is swapped atomically, so of two requests presenting the
+ * same token only one succeeds; the other counts as reuse. A secret that was
+ * never issued for the session is refused without touching it.
+ *
+ * @async
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object>} { tokens, user } or { error } (always a 401 for the client)
+ */
+const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const now = new Date();
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive(now)) return { error: 'Session expired. Please sign in again' };
+
+  const presentedHash = hashToken(parsed.secret);
+  const secret = newSecret();
+  const current = sameHash(presentedHash, session.tokenHash);
+  const rotated = current && await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    { tokenHash: hashToken(secret), previousTokenHash: presentedHash, expiresAt: sessionExpiry(now), lastUsedAt: now },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // Current but rotated in the meantime by a concurrent request, or already replaced
+    const reused = current || (session.previousTokenHash && sameHash(presentedHash, session.previousTokenHash));
+    if (!reused) return { error: 'Invalid refresh token' };
+
+    await Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: now, revokedReason: 'reuse' });
+    return { error: 'This refresh token was already used. The session has been ended; please sign in again' };
+  }
+
+  const user = await User.findById(rotated.userId);
+  if (!user) return { error: 'Session expired. Please sign in again' };
+
+  return { tokens: issueTokens(user, rotated, secret), user };
+};
+
+/**
+ * End the session a refresh token belongs to (sign out)
+ * Unknown or already used tokens are ignored.
+ * @async
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<boolean>} Whether a session was ended
+ */
+const endSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await Session.updateOne(
+    { _id: parsed.sessionId, tokenHash: hashToken(parsed.secret), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End every active session of a user, e.g. after a password change
+ * @async
+ * @param {string} userId - User whose sessions end
+ * @param {Object} options - { except: session id kept signed in, reason: revokedReason }
+ * @returns {Promise<number>} Number of sessions ended
+ */
+const endUserSessions = async (userId, { except = null, reason = 'revoked' } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  newSecret,
+  isSecret,
+  parseRefreshToken,
+  startSession,
+  rotateSession,
+  endSession,
+  endUserSessions
+};
@@ -0,0 +1,235 @@
+/**
+ * Task Filter Utilities
+ * Builds MongoDB filters for task listing endpoints from query parameters
+ */
+
+const mongoose = require('mongoose');
+const Label = require('../models/Label');
+const Project = require('../models/Project');
+const SavedFilter = require('../models/SavedFilter');
+const { PRIORITIES } = require('../config/priorities');
+const { STATE_KEYS, CLOSED_STATES, isValidState, normalizeState } = require('../config/workflow');
+const { parseSearchQuery, buildSearchConditions } = require('./search');
+const { parseFilter, compileFilter } = require('./filterQuery');
+
+// Label and project names compare like the unique label index: ignoring case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Parse a date from user input
+ * @param {string|Date} value - Raw date value
+ * @returns {Date|null} Parsed date, or null when it is not a valid date
+ */
+const parseDate = (value) => {
+  if (typeof value !== 'string' && !(value instanceof Date)) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Keep only the values allowed by both the query parameter and the search scope
+const intersect = (current, values) => (current ? current.filter((value) => values.includes(value)) : values);
+
+/**
+ * Turn the filter scopes of a search (status:, priority:, label:...) into conditions
+ * @async
+ * @param {Array<Object>} scopes - Filters from parseSearchQuery
+ * @param {ObjectId} workspaceId - Workspace the tasks belong to
+ * @param {string} userId - Current user, used for assignee:me
+ * @returns {Promise<Object>} { statuses, priorities, conditions } or { error }
+ */
+const resolveSearchScopes = async (scopes, workspaceId, userId) => {
+  let statuses = null;
+  let priorities = null;
+  const conditions = [];
+
+  for (const { field, values } of scopes) {
+    if (field === 'status') {
+      const keys = values.map(normalizeState);
+      if (!keys.every(isValidState)) {
+        return { error: `Invalid status in search. Use one of: ${STATE_KEYS.join(', ')}` };
+      }
+      statuses = intersect(statuses, keys);
+    } else if (field === 'priority') {
+      if (!values.every((value) => PRIORITIES.includes(value))) {
+        return { error: `Invalid priority in search. Use one of: ${PRIORITIES.join(', ')}` };
+      }
+      priorities = intersect(priorities, values);
+    } else if (field === 'label') {
+      // Unknown names match no task
+      const matches = await Label.find({ workspaceId, name: { $in: values } }).collation(NAME_COLLATION).select('_id');
+      conditions.push({ labels: { $in: matches.map((label) => label._id) } });
+    } else if (field === 'project') {
+      const names = values.filter((value) => value.toLowerCase() !== 'none');
+      const matches = names.length > 0
+        ? await Project.find({ workspaceId, name: { $in: names } }).collation(NAME_COLLATION).select('_id')
+        : [];
+      const ids = matches.map((project) => project._id);
+      conditions.push({ projectId: { $in: names.length < values.length ? [...ids, null] : ids } });
+    } else if (field === 'assignee') {
+      const clauses = [];
+      for (const value of values) {
+        if (value === 'me') clauses.push({ 'assignees.userId': new mongoose.Types.ObjectId(userId) });
+        else if (value === 'unassigned') clauses.push({ assignees: { $size: 0 } });
+        else return { error: 'Invalid assignee in search. Use assignee:me or assignee:unassigned' };
+      }
+      conditions.push(clauses.length === 1 ? clauses[0] : { $or: clauses });
+    }
+  }
+
+  return { statuses, priorities, conditions };
+};
+
+/**
+ * Collect the structured filters of a request: the `filter` parameter (JSON)
+ * and the saved filter named by `savedFilter`
+ * @async
+ * @param {Object} query - Request query
+ * @param {ObjectId} workspaceId - Workspace the tasks belong to
+ * @param {string} userId - Current user; only their saved filters can be used
+ * @returns {Promise<Object>} { filters } or { error }
+ */
+const resolveStructuredFilters = async ({ filter, savedFilter }, workspaceId, userId) => {
+  const filters = [];
+
+  if (filter) {
+    let input;
+    try {
+      input = JSON.parse(filter);
+    } catch (error) {
+      return { error: 'Invalid filter. It must be JSON' };
+    }
+    const parsed = parseFilter(input);
+    if (parsed.error) return { error: parsed.error };
+    filters.push(parsed.filter);
+  }
+
+  if (savedFilter) {
+    if (!mongoose.Types.ObjectId.isValid(savedFilter)) {
+      return { error: 'Invalid saved filter id' };
+    }
+    const saved = await SavedFilter.findOne({ _id: savedFilter, workspaceId, userId });
+    if (!saved) return { error: 'Saved filter not found' };
+    filters.push(saved.filter);
+  }
+
+  return { filters };
+};
+
+/**
+ * Build the Mongo filter for task listing from query parameters
+ * @async
+ * @param {Object} query - Request query (search, status, priority, labels, labelMatch,
+ *   projectId, assignee, dueBefore, dueAfter, overdue, filter, savedFilter)
+ * @param {string|ObjectId} workspaceId - Workspace the tasks belong to
+ * @param {string} userId - Current user, used for assignee=me
+ * @returns {Promise<Object>} { filter, searchTerms } or { error } when a parameter is invalid;
+ *   searchTerms are the parsed text terms of the search (empty without any)
+ */
+const buildTaskFilter = async ({
+  search, status, priority, labels, labelMatch, projectId, assignee, dueBefore, dueAfter, overdue, filter: structured, savedFilter
+}, workspaceId, userId) => {
+  let filter = { workspaceId: new mongoose.Types.ObjectId(workspaceId) };
+  const conditions = [];
+  let searchTerms = [];
+  let scopes = { statuses: null, priorities: null, conditions: [] };
+
+  if (search) {
+    const parsed = parseSearchQuery(search);
+    if (parsed.error) return { error: parsed.error };
+
+    scopes = await resolveSearchScopes(parsed.filters, filter.workspaceId, userId);
+    if (scopes.error) return { error: scopes.error };
+
+    searchTerms = parsed.terms;
+    conditions.push(...buildSearchConditions(parsed.terms), ...scopes.conditions);
+  }
+
+  if (status) {
+    const statuses = status.split(',').map(normalizeState);
+    if (!statuses.every(isValidState)) {
+      return { error: `Invalid status. Use one of: ${STATE_KEYS.join(', ')}` };
+    }
+    filter.status = { $in: statuses };
+  }
+  if (scopes.statuses) {
+    filter.status = { $in: intersect(filter.status?.$in, scopes.statuses) };
+  }
+
+  if (priority) {
+    const priorities = priority.split(',');
+    if (!priorities.every((value) => PRIORITIES.includes(value))) {
+      return { error: `Invalid priority. Use one of: ${PRIORITIES.join(', ')}` };
+    }
+    filter.priority = { $in: priorities };
+  }
+  if (scopes.priorities) {
+    filter.priority = { $in: intersect(filter.priority?.$in, scopes.priorities) };
+  }
+
+  if (labels) {
+    const labelIds = labels.split(',');
+    if (!labelIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Invalid label id' };
+    }
+    if (labelMatch && !['any', 'all'].includes(labelMatch)) {
+      return { error: 'Invalid labelMatch. Use any or all' };
+    }
+    const ids = labelIds.map((id) => new mongoose.Types.ObjectId(id));
+    filter.labels = labelMatch === 'all' ? { $all: ids } : { $in: ids };
+  }
+
+  // projectId=none selects tasks outside any project
+  if (projectId === 'none') {
+    filter.projectId = null;
+  } else if (projectId) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return { error: 'Invalid project id' };
+    }
+    filter.projectId = new mongoose.Types.ObjectId(projectId);
+  }
+
+  // assignee=me|unassigned|<userId>
+  if (assignee === 'unassigned') {
+    filter.assignees = { $size: 0 };
+  } else if (assignee) {
+    const assigneeId = assignee === 'me' ? userId : assignee;
+    if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+      return { error: 'Invalid assignee. Use me, unassigned or a user id' };
+    }
+    filter['assignees.userId'] = new mongoose.Types.ObjectId(assigneeId);
+  }
+
+  if (dueBefore || dueAfter) {
+    const range = {};
+    if (dueBefore) {
+      range.$lte = parseDate(dueBefore);
+      if (!range.$lte) return { error: 'Invalid dueBefore date' };
+    }
+    if (dueAfter) {
+      range.$gte = parseDate(dueAfter);
+      if (!range.$gte) return { error: 'Invalid dueAfter date' };
+    }
+    conditions.push({ dueDate: range });
+  }
+
+  if (overdue === 'true') {
+    conditions.push({ dueDate: { $ne: null, $lt: new Date() } });
+    conditions.push({ status: { $nin: CLOSED_STATES } });
+  }
+
+  // Structured filters narrow the other parameters further
+  const resolved = await resolveStructuredFilters({ filter: structured, savedFilter }, filter.workspaceId, userId);
+  if (resolved.error) return { error: resolved.error };
+  for (const item of resolved.filters) {
+    const condition = compileFilter(item, { userId });
+    if (Object.keys(condition).length > 0) conditions.push(condition);
+  }
+
+  if (conditions.length > 0) {
+    filter = { ...filter, $and: conditions };
+  }
+
+  return { filter, searchTerms };
+};
+
+module.exports = { parseDate, buildTaskFilter };
@@ -0,0 +1,121 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps
+ *
+ * @description Codes are 6 digits, HMAC-SHA1, with 30-second steps: the
+ * defaults every authenticator app supports. Secrets are exchanged in base32
+ * (RFC 4648), the encoding of otpauth:// URIs.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode bytes as base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let index = 0; index < bits.length; index += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode base32 (case, spaces and padding are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer|null} Bytes, or null when the text is not base32
+ */
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) {
+    bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret for an authenticator app
+ * @returns {string} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Time step of a moment
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {number}
+ */
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Code of a time step (HOTP, RFC 4226, with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} 6-digit code
+ */
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code from an authenticator app
+ * Codes of the previous and next step are accepted too, for clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {*} code - Code from the request
+ * @param {Object} options - { now: milliseconds, window: steps accepted on each side }
+ * @returns {number|null} Time step the code belongs to (to refuse its reuse), or null when wrong
+ */
+const verifyCode = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  if (typeof code !== 'string' && typeof code !== 'number') return null;
+  const digits = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {Object} options - { secret, account (e.g. email), issuer }
+ * @returns {string}
+ */
+const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { base32Encode, base32Decode, generateSecret, timeStep, codeAt, verifyCode, otpauthUri };
@@ -0,0 +1,48 @@
+/**
+ * Transactions
+ * Runs related writes so that they are applied together or not at all
+ *
+ * @description MongoDB supports transactions on replica sets and sharded
+ * clusters (MongoDB Atlas is always one). A standalone server, such as a
+ * plain local mongod, rejects them: there the writes run one after the other
+ * without a session, and a failure part way leaves the earlier ones applied.
+ * Run mongod as a single-node replica set (`--replSet rs0`, then
+ * `rs.initiate()`) to get transactions locally.
+ */
+const mongoose = require('mongoose');
+
+let support = null;
+
+/**
+ * Whether the connected deployment supports transactions (asked once)
+ * @async
+ * @returns {Promise<boolean>} false while not connected
+ */
+const supportsTransactions = async () => {
+  if (mongoose.connection.readyState !== mongoose.ConnectionStates.connected) return false;
+  if (!support) {
+    support = mongoose.connection.db.admin().command({ hello: 1 })
+      .then((hello) => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+      .catch(() => {
+        support = null; // Ask again next time
+        return false;
+      });
+  }
+  return support;
+};
+
+/**
+ * Run writes in a transaction when the deployment supports them
+ * `work` may run more than once when MongoDB retries the transaction after a
+ * transient error; Mongoose resets the documents it saved between attempts.
+ * @async
+ * @param {Function} work - async (session) => result; pass the session
+ *   (null without transactions) to every write
+ * @returns {Promise<*>} What `work` returns
+ */
+const withTransaction = async (work) => {
+  if (!(await supportsTransactions())) return work(null);
+  return mongoose.connection.transaction((session) => work(session));
+};
+
+module.exports = { withTransaction, supportsTransactions };
@@ -0,0 +1,33 @@
+/**
+ * Trash Utilities
+ * Permanent deletion of tasks and everything that hangs off them
+ *
+ * @description Deleting a task through the API only moves it to the trash
+ * (deletedAt). Tasks are removed for good when a trashed task is deleted
+ * permanently and when the purge job finds expired ones.
+ */
+const Task = require('../models/Task');
+const TaskPosition = require('../models/TaskPosition');
+const Comment = require('../models/Comment');
+const { buildActivity, recordActivities } = require('./activity');
+
+/**
+ * Permanently delete tasks with their board positions and comments
+ * @async
+ * @param {Array<Object>} tasks - Trashed task documents
+ * @param {string|ObjectId|null} actorId - User deleting them, null for the purge job
+ * @returns {Promise<number>} Number of tasks deleted
+ */
+const destroyTasks = async (tasks, actorId) => {
+  if (tasks.length === 0) return 0;
+
+  const taskIds = tasks.map((task) => task._id);
+  await Task.deleteMany({ _id: { $in: taskIds } });
+  await TaskPosition.deleteMany({ taskId: { $in: taskIds } });
+  await Comment.deleteMany({ taskId: { $in: taskIds } });
+  await recordActivities(tasks.map((task) => buildActivity(task, actorId, 'purged')));
+
+  return taskIds.length;
+};
+
+module.exports = { destroyTasks };
@@ -0,0 +1,133 @@
+/**
+ * Two-Factor Authentication Utilities
+ * Login challenges, TOTP checks and recovery codes
+ *
+ * @description With two-factor authentication on, a correct password only
+ * earns a challenge token: a short-lived JWT that can be exchanged for a
+ * session together with a code from the authenticator app or a recovery code.
+ * Challenge tokens carry no session, so the auth middleware refuses them as
+ * access tokens. Recovery codes are stored hashed and each works once.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { hashToken } = require('./sessions');
+const { verifyCode, otpauthUri } = require('./totp');
+
+const ISSUER = 'Primetrade';
+const CHALLENGE_PURPOSE = 'two-factor';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Challenge token returned by login when a second factor is needed
+ * @param {Object} user - User document
+ * @returns {Object} { challengeToken, expiresIn } (expiresIn in seconds)
+ */
+const createChallenge = (user) => ({
+  challengeToken: jwt.sign(
+    { userId: user._id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL_SECONDS }
+  ),
+  expiresIn: CHALLENGE_TTL_SECONDS
+});
+
+/**
+ * Read a challenge token
+ * @param {*} token - Token from the request
+ * @returns {string|null} Id of the user it was issued to, or null when invalid or expired
+ */
+const readChallenge = (token) => {
+  if (typeof token !== 'string') return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * otpauth:// URI to add the account to an authenticator app
+ * @param {Object} user - User document
+ * @param {string} secret - Base32 secret being enrolled
+ * @returns {string}
+ */
+const enrollmentUri = (user, secret) => otpauthUri({ secret, account: user.email, issuer: ISSUER });
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * New set of recovery codes
+ * @returns {Object} { codes: shown to the user once, as "xxxxx-xxxxx"; hashes: stored }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Check a TOTP code against the user's secret, refusing codes already used
+ * The last accepted step is moved forward atomically, so a code cannot be
+ * replayed, even by two requests at once.
+ * @async
+ * @param {Object} user - User document loaded with +twoFactorSecret
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<boolean>}
+ */
+const useTotpCode = async (user, code) => {
+  const step = verifyCode(user.twoFactorSecret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorLastStep: { $lt: step } },
+    { twoFactorLastStep: step }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Use up a recovery code
+ * @async
+ * @param {Object} user - User document
+ * @param {*} code - Recovery code from the request
+ * @returns {Promise<boolean>}
+ */
+const useRecoveryCode = async (user, code) => {
+  if (typeof code !== 'string' || !code.trim()) return false;
+
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const result = await User.updateOne(
+    { _id: user._id, recoveryCodes: hash },
+    { $pull: { recoveryCodes: hash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Check the second factor of a login: an authenticator code (6 digits) or a recovery code
+ * @async
+ * @param {Object} user - User document loaded with +twoFactorSecret
+ * @param {*} code - Code from the request
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null when the code is wrong
+ */
+const verifySecondFactor = async (user, code) => {
+  if (/^\d{6}$/.test(String(code).replace(/\s/g, ''))) {
+    return await useTotpCode(user, String(code)) ? 'totp' : null;
+  }
+  return await useRecoveryCode(user, code) ? 'recovery' : null;
+};
+
+module.exports = {
+  enrollmentUri,
+  createChallenge,
+  readChallenge,
+  generateRecoveryCodes,
+  useTotpCode,
+  verifySecondFactor
+};
@@ -0,0 +1,161 @@
+/**
+ * Request Validation
+ * Declarative schemas for request bodies, query strings and route parameters
+ *
+ * @description A schema maps field names to rules, in the style of Mongoose
+ * schema paths:
+ *
+ *   {
+ *     title: { type: 'string', required: true, trim: true, maxlength: 100 },
+ *     priority: { type: 'string', enum: PRIORITIES },
+ *     labels: { type: 'array', items: { type: 'id' } }
+ *   }
+ *
+ * Types: string, number, integer, boolean, id (ObjectId), date, array, object.
+ * Rules:
+ * - required: the field must be present (and, for strings, not blank)
+ * - nullable: null and '' are accepted, e.g. to clear a value
+ * - enum, min, max, match (strings), trim (check the trimmed string)
+ * - minlength, maxlength: characters for strings, items for arrays
+ * - items: rule for each array item; fields: schema of an object
+ * - label: name used in messages (defaults to the field name in words)
+ * - message: replaces the message for a wrong type, value or format
+ *
+ * Fields a schema does not declare are rejected. Query and route values are
+ * text, so for them numbers and booleans are read from their text form.
+ */
+const mongoose = require('mongoose');
+
+const TYPES = {
+  string: { check: (value) => typeof value === 'string', message: 'must be text' },
+  number: { check: (value) => typeof value === 'number' && Number.isFinite(value), message: 'must be a number' },
+  integer: { check: Number.isInteger, message: 'must be a whole number' },
+  boolean: { check: (value) => typeof value === 'boolean', message: 'must be true or false' },
+  id: {
+    check: (value) => typeof value === 'string' && mongoose.Types.ObjectId.isValid(value),
+    message: 'must be a valid id'
+  },
+  date: {
+    check: (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime()),
+    message: 'must be a valid date'
+  },
+  array: { check: Array.isArray, message: 'must be a list' },
+  object: { check: (value) => isObject(value), message: 'must be an object' }
+};
+
+const NUMBER_TEXT = /^-?\d+(\.\d+)?$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Field name in words, for messages
+ * @param {string} name - Field name, e.g. "dueDate"
+ * @returns {string} e.g. "Due date"
+ */
+const humanize = (name) => {
+  const words = name.replace(/([a-z\d])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Read numbers and booleans sent as text (query strings, route parameters)
+const fromText = (type, value) => {
+  if (typeof value !== 'string') return value;
+  if ((type === 'number' || type === 'integer') && NUMBER_TEXT.test(value)) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+};
+
+// Message for a value outside [min, max]
+const rangeMessage = (min, max, unit = '') => {
+  if (min !== undefined && max !== undefined) return `must be from ${min} to ${max}${unit}`;
+  return min !== undefined ? `must be at least ${min}${unit}` : `must be at most ${max}${unit}`;
+};
+
+/**
+ * Check one value against its rule
+ * @param {Object} rule - Field rule (see the module description)
+ * @param {*} raw - Value from the request
+ * @param {string} path - Dotted path of the value, e.g. "checklist.0.text"
+ * @param {Object} errors - Field errors found so far, keyed by path (added to)
+ * @param {Object} options - { text: values arrive as text }
+ */
+const checkValue = (rule, raw, path, errors, options) => {
+  const label = rule.label || humanize(String(path.split('.').pop()));
+  const fail = (message, custom = true) => {
+    errors[path] = custom && rule.message ? rule.message : `${label} ${message}`;
+  };
+
+  if (raw === undefined || (raw === null && !rule.nullable)) {
+    if (rule.required) fail('is required', false);
+    return;
+  }
+  if (rule.nullable && (raw === null || raw === '')) return;
+
+  const value = options.text ? fromText(rule.type, raw) : raw;
+  if (!TYPES[rule.type].check(value)) return fail(TYPES[rule.type].message);
+
+  if (rule.type === 'string') {
+    const text = rule.trim ? value.trim() : value;
+    if (rule.required && !value.trim()) return fail('is required', false);
+    if (rule.minlength !== undefined && text.length < rule.minlength) {
+      return fail(`must be at least ${rule.minlength} characters`);
+    }
+    if (rule.maxlength !== undefined && text.length > rule.maxlength) {
+      return fail(`must be at most ${rule.maxlength} characters`);
+    }
+    if (rule.match && !rule.match.test(text)) return fail('is not valid');
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    return fail(rangeMessage(rule.min, rule.max));
+  }
+
+  if (rule.type === 'array') {
+    if ((rule.minlength !== undefined && value.length < rule.minlength)
+      || (rule.maxlength !== undefined && value.length > rule.maxlength)) {
+      return fail(rangeMessage(rule.minlength, rule.maxlength, ' items'));
+    }
+    if (rule.items) {
+      value.forEach((item, index) => checkValue(rule.items, item, `${path}.${index}`, errors, options));
+    }
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    checkFields(rule.fields, value, `${path}.`, errors, options);
+  }
+};
+
+// Check the fields of an object, rejecting the ones the schema does not declare
+const checkFields = (schema, input, prefix, errors, options) => {
+  Object.keys(input)
+    .filter((name) => !Object.prototype.hasOwnProperty.call(schema, name))
+    .forEach((name) => {
+      errors[`${prefix}${name}`] = `Unknown field: ${prefix}${name}`;
+    });
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    checkValue(rule, input[name], `${prefix}${name}`, errors, options);
+  });
+};
+
+/**
+ * Check request input against a schema
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {*} input - req.body, req.query or req.params
+ * @param {Object} options
+ * @param {boolean} options.text - Values arrive as text (query strings and route parameters)
+ * @returns {Object} Error messages keyed by field path; empty when the input is valid
+ */
+const checkSchema = (schema, input, { text = false } = {}) => {
+  if (!isObject(input)) {
+    return { '': 'Request must be a JSON object' };
+  }
+
+  const errors = {};
+  checkFields(schema, input, '', errors, { text });
+  return errors;
+};
+
+module.exports = { checkSchema, humanize };
@@ -5,10 +5,22 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
+import { WorkspaceProvider } from './context/WorkspaceContext';
+import { WorkflowProvider } from './context/WorkflowContext';
+import { LabelProvider } from './context/LabelContext';
+import { ProjectProvider } from './context/ProjectContext';
+import { FilterProvider } from './context/FilterContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Login from './components/Login';
 import Signup from './components/Signup';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
 import Dashboard from './pages/Dashboard';
+import WorkspaceSettings from './pages/WorkspaceSettings';
+import TaskDetail from './pages/TaskDetail';
+import Trash from './pages/Trash';
+import SecuritySettings from './pages/SecuritySettings';
 import './App.css';
 
 /**
@@ -17,25 +29,80 @@ import './App.css';
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="min-vh-100 bg-light">
-          <Routes>
-            {/* Redirect root to dashboard */}
-            <Route path="/" element={<Navigate to="/dashboard" replace />} />
-            
-            {/* Public authentication routes */}
-            <Route path="/login" element={<Login />} />
-            <Route path="/signup" element={<Signup />} />
-            
-            {/* Protected dashboard route */}
-            <Route path="/dashboard" element={
-              <ProtectedRoute>
-                <Dashboard />
-              </ProtectedRoute>
-            } />
-          </Routes>
-        </div>
-      </Router>
+      <WorkspaceProvider>
+        <WorkflowProvider>
+          <LabelProvider>
+            <ProjectProvider>
+              <FilterProvider>
+                <Router>
+                  <div className="min-vh-100 bg-light">
+                    <Routes>
+                      {/* Redirect root to dashboard */}
+                      <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                    
+                      {/* Public authentication routes */}
+                      <Route path="/login" element={<Login />} />
+                      <Route path="/signup" element={<Signup />} />
+                      <Route path="/forgot-password" element={<ForgotPassword />} />
+                      <Route path="/reset-password" element={<ResetPassword />} />
+                      <Route path="/verify-email" element={<VerifyEmail />} />
+                    
+                      {/* Protected dashboard route */}
+                      <Route path="/dashboard" element={
+                        <ProtectedRoute>
+                          <Dashboard />
+                        </ProtectedRoute>
+                      } />
+
+                      {/* Dashboard scoped to a single project */}
+                      <Route path="/projects/:projectId" element={
+                        <ProtectedRoute>
+                          <Dashboard />
+                        </ProtectedRoute>
+                      } />
+
+                      {/* Dashboard showing the tasks of a saved filter */}
+                      <Route path="/filters/:filterId" element={
+                        <ProtectedRoute>
+                          <Dashboard />
+                        </ProtectedRoute>
+                      } />
+
+                      {/* Single task with its comment thread */}
+                      <Route path="/tasks/:taskId" element={
+                        <ProtectedRoute>
+                          <TaskDetail />
+                        </ProtectedRoute>
+                      } />
+
+                      {/* Deleted tasks of the active workspace */}
+                      <Route path="/trash" element={
+                        <ProtectedRoute>
+                          <Trash />
+                        </ProtectedRoute>
+                      } />
+
+                      {/* Members, roles and invitations of the active workspace */}
+                      <Route path="/workspace" element={
+                        <ProtectedRoute>
+                          <WorkspaceSettings />
+                        </ProtectedRoute>
+                      } />
+
+                      {/* Profile, password and signed-in devices of the account */}
+                      <Route path="/security" element={
+                        <ProtectedRoute>
+                          <SecuritySettings />
+                        </ProtectedRoute>
+                      } />
+                    </Routes>
+                  </div>
+                </Router>
+              </FilterProvider>
+            </ProjectProvider>
+          </LabelProvider>
+        </WorkflowProvider>
+      </WorkspaceProvider>
     </AuthProvider>
   );
 }
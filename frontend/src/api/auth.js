@@ -1,8 +1,11 @@
 import api from './config';
+import { authFetch } from './session';
+import { responseError } from './errors';
+import { apiFetch } from './request';
 
 export const authService = {
   async signup(userData) {
-    const response = await fetch(api.auth.signup, {
+    const response = await apiFetch(api.auth.signup, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -11,15 +14,14 @@ export const authService = {
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Signup failed');
+      throw await responseError(response, 'Signup failed');
     }
 
     return response.json();
   },
 
   async login(credentials) {
-    const response = await fetch(api.auth.login, {
+    const response = await apiFetch(api.auth.login, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -28,15 +30,35 @@ export const authService = {
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Login failed');
+      throw await responseError(response, 'Login failed');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Second login step, when login answered with twoFactorRequired
+   * @param {Object} data - { challengeToken, code } (authenticator or recovery code)
+   * @returns {Promise<Object>} Same as login, plus recoveryCodesLeft when a recovery code was used
+   */
+  async verifyLoginCode(data) {
+    const response = await apiFetch(api.auth.loginTwoFactor, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Login failed');
     }
 
     return response.json();
   },
 
   async getProfile(token) {
-    const response = await fetch(api.auth.profile, {
+    const response = await authFetch(api.auth.profile, {
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${token}`,
@@ -45,8 +67,313 @@ export const authService = {
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to fetch profile');
+      throw await responseError(response, 'Failed to fetch profile');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Update the name and email of the signed-in user
+   * A new email is only applied once confirmed from the link sent to it.
+   * @param {string} token - JWT token
+   * @param {Object} profile - { name, email }
+   * @returns {Promise<Object>} { message, user }
+   */
+  async updateProfile(token, profile) {
+    const response = await authFetch(api.auth.profile, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(profile),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update profile');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Confirm an email address with the token from a verification link
+   * @param {string} verificationToken - Token from the link
+   * @returns {Promise<Object>} { message, user }
+   */
+  async verifyEmail(verificationToken) {
+    const response = await apiFetch(api.auth.verifyEmail, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token: verificationToken }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to verify email');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Send a new verification link (for the pending or unverified email)
+   * @param {string} token - JWT token
+   * @returns {Promise<Object>} { message }
+   */
+  async resendVerification(token) {
+    const response = await authFetch(api.auth.resendVerification, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to send verification link');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Change the password of the signed-in user (other devices are signed out)
+   * @param {string} token - JWT token
+   * @param {Object} passwords - { currentPassword, newPassword }
+   * @returns {Promise<Object>} { message, signedOut }
+   */
+  async changePassword(token, passwords) {
+    const response = await authFetch(api.auth.password, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(passwords),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to change password');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Ask for a password reset link by email
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} { message } (the same whether or not the account exists)
+   */
+  async forgotPassword(email) {
+    const response = await apiFetch(api.auth.forgotPassword, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to send reset link');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Choose a new password with the token from a reset link
+   * @param {Object} data - { token, password }
+   * @returns {Promise<Object>} { message }
+   */
+  async resetPassword(data) {
+    const response = await apiFetch(api.auth.resetPassword, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to reset password');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Two-factor authentication status of the signed-in user
+   * @param {string} token - JWT token
+   * @returns {Promise<Object>} { enabled, recoveryCodesLeft }
+   */
+  async getTwoFactor(token) {
+    const response = await authFetch(api.auth.twoFactor, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to load two-factor status');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Start enrolling an authenticator app
+   * @param {string} token - JWT token
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async setupTwoFactor(token) {
+    const response = await authFetch(api.auth.twoFactorSetup, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to start two-factor setup');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Finish enrolling with a first code from the app
+   * @param {string} token - JWT token
+   * @param {string} code - 6-digit code
+   * @returns {Promise<Object>} { message, recoveryCodes } (shown once)
+   */
+  async enableTwoFactor(token, code) {
+    const response = await authFetch(api.auth.twoFactorEnable, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ code }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to turn on two-factor authentication');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} token - JWT token
+   * @param {string} password - Current password
+   * @returns {Promise<Object>} { message }
+   */
+  async disableTwoFactor(token, password) {
+    const response = await authFetch(api.auth.twoFactorDisable, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ password }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to turn off two-factor authentication');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Replace the recovery codes
+   * @param {string} token - JWT token
+   * @param {string} password - Current password
+   * @returns {Promise<Object>} { message, recoveryCodes } (shown once)
+   */
+  async regenerateRecoveryCodes(token, password) {
+    const response = await authFetch(api.auth.recoveryCodes, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ password }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to generate recovery codes');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * End the session of a refresh token on the server
+   * @param {string} refreshToken - Refresh token of the session
+   * @returns {Promise<Object>} { message }
+   */
+  async logout(refreshToken) {
+    const response = await apiFetch(api.auth.logout, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Logout failed');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * List the signed-in devices of the current user
+   * @param {string} token - JWT token
+   * @returns {Promise<Object>} { sessions }
+   */
+  async getSessions(token) {
+    const response = await authFetch(api.auth.sessions, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch sessions');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Sign a device out
+   * @param {string} token - JWT token
+   * @param {string} sessionId - Session to revoke
+   * @returns {Promise<Object>} { message }
+   */
+  async revokeSession(token, sessionId) {
+    const response = await authFetch(api.auth.session(sessionId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to revoke session');
     }
 
     return response.json();
@@ -15,13 +15,93 @@ export const api = {
   auth: {
     signup: `${API_BASE_URL}/auth/signup`,
     login: `${API_BASE_URL}/auth/login`,
+    loginTwoFactor: `${API_BASE_URL}/auth/login/2fa`,
     profile: `${API_BASE_URL}/auth/profile`,
+    password: `${API_BASE_URL}/auth/password`,
+    forgotPassword: `${API_BASE_URL}/auth/forgot-password`,
+    resetPassword: `${API_BASE_URL}/auth/reset-password`,
+    twoFactor: `${API_BASE_URL}/auth/2fa`,
+    twoFactorSetup: `${API_BASE_URL}/auth/2fa/setup`,
+    twoFactorEnable: `${API_BASE_URL}/auth/2fa/enable`,
+    twoFactorDisable: `${API_BASE_URL}/auth/2fa/disable`,
+    recoveryCodes: `${API_BASE_URL}/auth/2fa/recovery-codes`,
+    verifyEmail: `${API_BASE_URL}/auth/verify-email`,
+    resendVerification: `${API_BASE_URL}/auth/verify-email/resend`,
+    refresh: `${API_BASE_URL}/auth/refresh`,
+    logout: `${API_BASE_URL}/auth/logout`,
+    sessions: `${API_BASE_URL}/auth/sessions`,
+    session: (id) => `${API_BASE_URL}/auth/sessions/${id}`,
+  },
+  // Workspace endpoints
+  workspaces: {
+    base: `${API_BASE_URL}/workspaces`,
+    byId: (id) => `${API_BASE_URL}/workspaces/${id}`,
+    member: (id, userId) => `${API_BASE_URL}/workspaces/${id}/members/${userId}`,
+    leave: (id) => `${API_BASE_URL}/workspaces/${id}/leave`,
+    invitations: (id) => `${API_BASE_URL}/workspaces/${id}/invitations`,
+    invitation: (id, invitationId) => `${API_BASE_URL}/workspaces/${id}/invitations/${invitationId}`,
+  },
+  // Invitations addressed to the signed-in user
+  invitations: {
+    base: `${API_BASE_URL}/invitations`,
+    accept: (id) => `${API_BASE_URL}/invitations/${id}/accept`,
+    decline: (id) => `${API_BASE_URL}/invitations/${id}/decline`,
   },
   // Task management endpoints
   tasks: {
     base: `${API_BASE_URL}/tasks`,
     byId: (id) => `${API_BASE_URL}/tasks/${id}`, // Dynamic endpoint for specific task
+    workflow: `${API_BASE_URL}/tasks/workflow`,
+    board: `${API_BASE_URL}/tasks/board`,
+    boardOrder: `${API_BASE_URL}/tasks/board/order`,
+    bulk: `${API_BASE_URL}/tasks/bulk`,
+    trash: `${API_BASE_URL}/tasks/trash`,
+    restore: (id) => `${API_BASE_URL}/tasks/${id}/restore`,
+    permanent: (id) => `${API_BASE_URL}/tasks/${id}/permanent`,
+    checklist: (id) => `${API_BASE_URL}/tasks/${id}/checklist`,
+    checklistOrder: (id) => `${API_BASE_URL}/tasks/${id}/checklist/order`,
+    checklistItem: (id, itemId) => `${API_BASE_URL}/tasks/${id}/checklist/${itemId}`,
+    assignees: (id) => `${API_BASE_URL}/tasks/${id}/assignees`,
+    assignee: (id, userId) => `${API_BASE_URL}/tasks/${id}/assignees/${userId}`,
+    comments: (id) => `${API_BASE_URL}/tasks/${id}/comments`,
+    comment: (id, commentId) => `${API_BASE_URL}/tasks/${id}/comments/${commentId}`,
+    history: (id) => `${API_BASE_URL}/tasks/${id}/history`,
+  },
+  // Label management endpoints
+  labels: {
+    base: `${API_BASE_URL}/labels`,
+    byId: (id) => `${API_BASE_URL}/labels/${id}`,
+  },
+  // Project management endpoints
+  projects: {
+    base: `${API_BASE_URL}/projects`,
+    byId: (id) => `${API_BASE_URL}/projects/${id}`,
   },
+  // Saved task filters of the signed-in user
+  filters: {
+    base: `${API_BASE_URL}/filters`,
+    byId: (id) => `${API_BASE_URL}/filters/${id}`,
+  },
+  // Errors reported by the frontend logger (utils/logger.js)
+  clientLogs: `${API_BASE_URL}/client-logs`,
 };
 
+// Workspace that task, project and label requests act on (sent as X-Workspace-Id).
+// Without one the API uses the user's personal workspace.
+let activeWorkspaceId = null;
+
+/**
+ * Set the workspace used by subsequent task, project and label requests
+ * @param {string|null} workspaceId - Workspace id, or null for the personal workspace
+ */
+export const setActiveWorkspaceId = (workspaceId) => {
+  activeWorkspaceId = workspaceId;
+};
+
+/**
+ * Headers selecting the active workspace
+ * @returns {Object} Header object to spread into fetch headers
+ */
+export const workspaceHeaders = () => (activeWorkspaceId ? { 'X-Workspace-Id': activeWorkspaceId } : {});
+
 export default api;
@@ -0,0 +1,68 @@
+/**
+ * API Errors
+ * Errors thrown by the API services for rejected requests
+ *
+ * @description Failed requests come back as { message, code }, where code
+ * is a stable error code (NOT_FOUND, CONFLICT, EMAIL_NOT_VERIFIED...) to
+ * branch on instead of the message. Validation failures add `errors`, keyed
+ * by field path ("checklist.2.text"). ApiError keeps them in `fields`, keyed
+ * by the top-level field so forms can show each message next to its input:
+ * setErrors(err.fields).
+ */
+import { REQUEST_ID_HEADER } from './request';
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Message to show
+   * @param {Object} details
+   * @param {number} details.status - HTTP status of the response
+   * @param {string} details.code - Error code from the server (null when none)
+   * @param {Object} details.fields - Field errors keyed by form field (empty when none)
+   * @param {Object} details.extra - Other fields of the response body, e.g. `results` of a bulk action
+   * @param {string} details.requestId - X-Request-Id of the request, to find it in the server logs
+   */
+  constructor(message, { status, code = null, fields = {}, extra = {}, requestId = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.extra = extra;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Group field errors by top-level field, keeping the first message of each
+ * @param {Object} errors - Field errors from the API, keyed by field path
+ * @returns {Object} Messages keyed by field name
+ */
+export const toFieldErrors = (errors = {}) => Object.entries(errors).reduce((fields, [path, message]) => {
+  const [field] = path.split('.');
+  if (field && !fields[field]) fields[field] = message;
+  return fields;
+}, {});
+
+/**
+ * Whether an error carries field errors to show in a form
+ * @param {Error} error - Error thrown by an API service
+ * @returns {boolean}
+ */
+export const hasFieldErrors = (error) => Object.keys(error?.fields || {}).length > 0;
+
+/**
+ * Build the error for a failed response
+ * @param {Response} response - fetch response that is not ok
+ * @param {string} fallback - Message used when the response has none
+ * @returns {Promise<ApiError>}
+ */
+export const responseError = async (response, fallback) => {
+  const { message, code, errors, ...extra } = await response.json().catch(() => ({}));
+  return new ApiError(message || fallback, {
+    status: response.status,
+    code: code || null,
+    fields: toFieldErrors(errors),
+    extra,
+    requestId: response.headers.get(REQUEST_ID_HEADER),
+  });
+};
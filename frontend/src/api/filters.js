@@ -0,0 +1,75 @@
+import api, { workspaceHeaders } from './config';
+import { authFetch } from './session';
+import { responseError } from './errors';
+
+export const filterService = {
+  async getFilters(token) {
+    const response = await authFetch(api.filters.base, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch saved filters');
+    }
+
+    return response.json();
+  },
+
+  async createFilter(token, filterData) {
+    const response = await authFetch(api.filters.base, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify(filterData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to save filter');
+    }
+
+    return response.json();
+  },
+
+  async updateFilter(token, filterId, filterData) {
+    const response = await authFetch(api.filters.byId(filterId), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify(filterData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update filter');
+    }
+
+    return response.json();
+  },
+
+  async deleteFilter(token, filterId) {
+    const response = await authFetch(api.filters.byId(filterId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to delete filter');
+    }
+
+    return response.json();
+  }
+};
@@ -0,0 +1,54 @@
+import api from './config';
+import { authFetch } from './session';
+import { responseError } from './errors';
+
+// Invitations addressed to the signed-in user
+export const invitationService = {
+  async getMyInvitations(token) {
+    const response = await authFetch(api.invitations.base, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch invitations');
+    }
+
+    return response.json();
+  },
+
+  async acceptInvitation(token, invitationId) {
+    const response = await authFetch(api.invitations.accept(invitationId), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to accept invitation');
+    }
+
+    return response.json();
+  },
+
+  async declineInvitation(token, invitationId) {
+    const response = await authFetch(api.invitations.decline(invitationId), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to decline invitation');
+    }
+
+    return response.json();
+  }
+};
@@ -0,0 +1,75 @@
+import api, { workspaceHeaders } from './config';
+import { authFetch } from './session';
+import { responseError } from './errors';
+
+export const labelService = {
+  async getLabels(token) {
+    const response = await authFetch(api.labels.base, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch labels');
+    }
+
+    return response.json();
+  },
+
+  async createLabel(token, labelData) {
+    const response = await authFetch(api.labels.base, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify(labelData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to create label');
+    }
+
+    return response.json();
+  },
+
+  async updateLabel(token, labelId, labelData) {
+    const response = await authFetch(api.labels.byId(labelId), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify(labelData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update label');
+    }
+
+    return response.json();
+  },
+
+  async deleteLabel(token, labelId) {
+    const response = await authFetch(api.labels.byId(labelId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to delete label');
+    }
+
+    return response.json();
+  }
+};
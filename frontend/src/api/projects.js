@@ -0,0 +1,80 @@
+import api, { workspaceHeaders } from './config';
+import { authFetch } from './session';
+import { responseError } from './errors';
+
+export const projectService = {
+  async getProjects(token, { archived = false } = {}) {
+    const url = archived ? `${api.projects.base}?archived=true` : api.projects.base;
+    const response = await authFetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch projects');
+    }
+
+    return response.json();
+  },
+
+  async createProject(token, projectData) {
+    const response = await authFetch(api.projects.base, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify(projectData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to create project');
+    }
+
+    return response.json();
+  },
+
+  async updateProject(token, projectId, projectData) {
+    const response = await authFetch(api.projects.byId(projectId), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify(projectData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update project');
+    }
+
+    return response.json();
+  },
+
+  // taskAction is 'move' (to targetProjectId, or no project when empty) or 'delete'
+  async deleteProject(token, projectId, { taskAction, targetProjectId = '' }) {
+    const params = new URLSearchParams({ tasks: taskAction });
+    if (taskAction === 'move' && targetProjectId) params.set('targetProjectId', targetProjectId);
+
+    const response = await authFetch(`${api.projects.byId(projectId)}?${params}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to delete project');
+    }
+
+    return response.json();
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * API Requests
+ * fetch with a request id, for matching frontend and server logs
+ *
+ * @description Every API call sends an X-Request-Id header. The server logs
+ * the request under that id and echoes it back, and ApiError keeps it
+ * (`requestId`), so an error logged in the browser (utils/logger.js) points
+ * to the server's log entries for the same request.
+ */
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * New random request id
+ * @returns {string} UUID
+ */
+export const createRequestId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  // Older browsers and insecure origins: a random id in the same format
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === 'x' ? random : (random % 4) + 8).toString(16);
+  });
+};
+
+/**
+ * fetch with an X-Request-Id header (a new id unless the caller sets one)
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export const apiFetch = (url, options = {}) => fetch(url, {
+  ...options,
+  headers: { [REQUEST_ID_HEADER]: createRequestId(), ...options.headers },
+});
@@ -0,0 +1,153 @@
+/**
+ * Session Token Store
+ * Keeps the access and refresh tokens and renews the access token when the API rejects it
+ *
+ * @description Access tokens expire after a few minutes. Requests made with
+ * authFetch that come back 401 trigger one refresh (shared by all requests
+ * failing at the same time) and are retried once with the new token. When
+ * the session cannot be refreshed the tokens are cleared and listeners (the
+ * AuthContext) are told the user is signed out.
+ *
+ * Open tabs share the tokens (localStorage) and refresh tokens are single use:
+ * the server ends the whole session when one is presented twice. So tabs take
+ * turns refreshing (Web Locks), and a tab whose refresh token was already
+ * rotated by another tab uses the stored tokens instead of refreshing again.
+ * Tokens stored or cleared by another tab are passed on to the listeners.
+ */
+import api from './config';
+import { apiFetch } from './request';
+
+const TOKEN_STORAGE_KEY = 'token';
+const REFRESH_TOKEN_STORAGE_KEY = 'refreshToken';
+
+const REFRESH_LOCK_NAME = 'session-refresh';
+
+const listeners = new Set();
+let refreshing = null; // Pending refresh, shared by concurrent 401 responses in this tab
+
+/**
+ * Tokens of the current session
+ * @returns {Object} { token, refreshToken } (null when signed out)
+ */
+export const getStoredTokens = () => ({
+  token: localStorage.getItem(TOKEN_STORAGE_KEY),
+  refreshToken: localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY)
+});
+
+const notify = (token) => listeners.forEach((listener) => listener(token));
+
+/**
+ * Store the tokens returned by login, signup or refresh
+ * @param {Object} tokens - { token, refreshToken }
+ */
+export const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, refreshToken);
+};
+
+/**
+ * Forget the session's tokens
+ */
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
+};
+
+/**
+ * Listen for access token changes made by silent refreshes
+ * @param {Function} listener - Called with the new access token, or null when the session ended
+ * @returns {Function} Unsubscribe function
+ */
+export const onTokenChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Follow tokens refreshed, stored or cleared in other tabs
+window.addEventListener('storage', (event) => {
+  if (event.key === TOKEN_STORAGE_KEY || event.key === null) {
+    notify(getStoredTokens().token);
+  }
+});
+
+/**
+ * Run a function while holding the refresh lock shared by the app's tabs
+ * Browsers without Web Locks run it right away; refreshSession still checks
+ * for tokens rotated meanwhile.
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} Result of task
+ */
+const withRefreshLock = (task) => (navigator.locks
+  ? navigator.locks.request(REFRESH_LOCK_NAME, task)
+  : task());
+
+/**
+ * Exchange the refresh token for new tokens
+ * @param {string} staleToken - Access token the API rejected
+ * @returns {Promise<string|null>} New access token, or null when the session ended
+ */
+const refreshSession = (staleToken) => withRefreshLock(async () => {
+  // Another tab refreshed while this one waited for the lock
+  const stored = getStoredTokens();
+  if (stored.token && stored.token !== staleToken) return stored.token;
+
+  const { refreshToken } = stored;
+  if (!refreshToken) return null;
+
+  try {
+    const response = await apiFetch(api.auth.refresh, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    if (!response.ok) {
+      // Without Web Locks another tab may have used the token first: keep its new tokens
+      const latest = getStoredTokens();
+      if (latest.refreshToken && latest.refreshToken !== refreshToken) return latest.token;
+
+      // Rejected tokens never become valid again; a network error may pass
+      if (response.status === 401 || response.status === 400) {
+        clearTokens();
+        notify(null);
+      }
+      return null;
+    }
+
+    const tokens = await response.json();
+    storeTokens(tokens);
+    notify(tokens.token);
+    return tokens.token;
+  } catch (error) {
+    return null;
+  }
+});
+
+/**
+ * fetch for authenticated requests: on a 401, refresh the session and retry once
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options, with the Authorization header
+ * @returns {Promise<Response>}
+ */
+export const authFetch = async (url, options = {}) => {
+  const response = await apiFetch(url, options);
+  if (response.status !== 401 || !options.headers?.Authorization) return response;
+
+  // Another request may already have refreshed the token this one was sent with
+  const { token: current } = getStoredTokens();
+  if (current && options.headers.Authorization !== `Bearer ${current}`) {
+    return apiFetch(url, { ...options, headers: { ...options.headers, Authorization: `Bearer ${current}` } });
+  }
+
+  if (!refreshing) {
+    refreshing = refreshSession(options.headers.Authorization.replace('Bearer ', '')).finally(() => {
+      refreshing = null;
+    });
+  }
+  const token = await refreshing;
+  if (!token) return response;
+
+  return apiFetch(url, { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } });
+};
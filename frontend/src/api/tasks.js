@@ -1,77 +1,507 @@
-import api from './config';
+import api, { workspaceHeaders } from './config';
+import { authFetch } from './session';
+import { responseError } from './errors';
+
+/**
+ * Build query parameters shared by the task list and board endpoints
+ * @param {Object} filters - Filter options
+ * @param {string} filters.search - Search term
+ * @param {string} filters.status - Status filter (comma-separated for several)
+ * @param {string} filters.priority - Priority filter (comma-separated for several)
+ * @param {string[]} filters.labels - Label ids to filter by
+ * @param {string} filters.labelMatch - 'any' or 'all' of the labels
+ * @param {string} filters.projectId - Project id, or 'none' for tasks outside any project
+ * @param {string} filters.assignee - 'me', 'unassigned' or a user id
+ * @param {string} filters.dueBefore - Only tasks due on or before this ISO date
+ * @param {string} filters.dueAfter - Only tasks due on or after this ISO date
+ * @param {boolean} filters.overdue - Only open tasks past their due date
+ * @param {Object} filters.filter - Structured filter ({ match, rules }) from the filter builder
+ * @returns {URLSearchParams}
+ */
+const buildTaskParams = ({
+  search = '', status = '', priority = '', labels = [], labelMatch = '', projectId = '', assignee = '', dueBefore = '', dueAfter = '', overdue = false,
+  filter = null
+} = {}) => {
+  const params = new URLSearchParams();
+  if (search) params.append('search', search);
+  if (status) params.append('status', status);
+  if (priority) params.append('priority', priority);
+  if (labels.length > 0) params.append('labels', labels.join(','));
+  if (labels.length > 0 && labelMatch) params.append('labelMatch', labelMatch);
+  if (projectId) params.append('projectId', projectId);
+  if (assignee) params.append('assignee', assignee);
+  if (dueBefore) params.append('dueBefore', dueBefore);
+  if (dueAfter) params.append('dueAfter', dueAfter);
+  if (overdue) params.append('overdue', 'true');
+  if (filter?.rules.length > 0) params.append('filter', JSON.stringify(filter));
+  return params;
+};
 
 export const taskService = {
-  async getTasks(token, search = '', status = '') {
-    const params = new URLSearchParams();
-    if (search) params.append('search', search);
-    if (status) params.append('status', status);
-    
+  /**
+   * Fetch one page of tasks
+   * @param {string} token - JWT token
+   * @param {Object} options - Filter options (see buildTaskParams) plus paging
+   * @param {string} options.sort - Sort field (createdAt, updatedAt, title, dueDate, priority)
+   * @param {string} options.order - Sort order (asc or desc)
+   * @param {string} options.cursor - Cursor returned by the previous page
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} { tasks, nextCursor, hasMore }
+   */
+  async getTasks(token, { sort = '', order = '', cursor = '', limit, ...filters } = {}) {
+    const params = buildTaskParams(filters);
+    if (sort) params.append('sort', sort);
+    if (order) params.append('order', order);
+    if (cursor) params.append('cursor', cursor);
+    if (limit) params.append('limit', limit);
+
     const url = `${api.tasks.base}${params.toString() ? `?${params.toString()}` : ''}`;
     
-    const response = await fetch(url, {
+    const response = await authFetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch tasks');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Fetch a single task
+   * @param {string} token - JWT token
+   * @param {string} taskId - Task id
+   * @returns {Promise<Object>} { task }
+   */
+  async getTask(token, taskId) {
+    const response = await authFetch(api.tasks.byId(taskId), {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch task');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Fetch tasks grouped into board columns, in the user's saved order
+   * @param {string} token - JWT token
+   * @param {Object} filters - Filter options (see buildTaskParams)
+   * @returns {Promise<Object>} { columns: [{ status, tasks, total }] }
+   */
+  async getBoard(token, filters = {}) {
+    const params = buildTaskParams(filters);
+    const url = `${api.tasks.board}${params.toString() ? `?${params.toString()}` : ''}`;
+
+    const response = await authFetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch board');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Save the manual order of a board column
+   * @param {string} token - JWT token
+   * @param {string} status - Column status
+   * @param {string[]} taskIds - Task ids in display order
+   */
+  async reorderBoard(token, status, taskIds) {
+    const response = await authFetch(api.tasks.boardOrder, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify({ status, taskIds }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to save board order');
+    }
+
+    return response.json();
+  },
+
+  async getWorkflow(token) {
+    const response = await authFetch(api.tasks.workflow, {
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
+        ...workspaceHeaders(),
       },
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to fetch tasks');
+      throw await responseError(response, 'Failed to fetch workflow');
     }
 
     return response.json();
   },
 
   async createTask(token, taskData) {
-    const response = await fetch(api.tasks.base, {
+    const response = await authFetch(api.tasks.base, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
+        ...workspaceHeaders(),
       },
       body: JSON.stringify(taskData),
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to create task');
+      throw await responseError(response, 'Failed to create task');
     }
 
     return response.json();
   },
 
   async updateTask(token, taskId, taskData) {
-    const response = await fetch(api.tasks.byId(taskId), {
+    const response = await authFetch(api.tasks.byId(taskId), {
       method: 'PUT',
       headers: {
         'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
+        ...workspaceHeaders(),
       },
       body: JSON.stringify(taskData),
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to update task');
+      throw await responseError(response, 'Failed to update task');
     }
 
     return response.json();
   },
 
   async deleteTask(token, taskId) {
-    const response = await fetch(api.tasks.byId(taskId), {
+    const response = await authFetch(api.tasks.byId(taskId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to delete task');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Apply one action to several tasks at once; nothing changes unless every task can take it
+   * @param {string} token - JWT token
+   * @param {string[]} taskIds - Tasks to change
+   * @param {string} action - 'complete', 'reopen', 'delete', 'setPriority', 'addLabel' or 'moveToProject'
+   * @param {Object} params - { priority }, { labelId } or { projectId } for the actions that need one
+   * @returns {Promise<Object>} { results, tasks }; a rejected batch throws an ApiError with the per-task results in `extra.results`
+   */
+  async bulkUpdate(token, taskIds, action, params = {}) {
+    const response = await authFetch(api.tasks.bulk, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify({ ...params, ids: taskIds, action }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update tasks');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Fetch one page of the workspace's trash, most recently deleted first
+   * @param {string} token - JWT token
+   * @param {string} cursor - Cursor returned by the previous page
+   * @returns {Promise<Object>} { tasks (with deletedAt and purgeAt), nextCursor, hasMore, retentionDays }
+   */
+  async getTrash(token, cursor = '') {
+    const url = `${api.tasks.trash}${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`;
+
+    const response = await authFetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch trash');
+    }
+
+    return response.json();
+  },
+
+  async restoreTask(token, taskId) {
+    const response = await authFetch(api.tasks.restore(taskId), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to restore task');
+    }
+
+    return response.json();
+  },
+
+  async deleteTaskPermanently(token, taskId) {
+    const response = await authFetch(api.tasks.permanent(taskId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to delete task');
+    }
+
+    return response.json();
+  },
+
+  async addChecklistItem(token, taskId, text) {
+    const response = await authFetch(api.tasks.checklist(taskId), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify({ text }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to add checklist item');
+    }
+
+    return response.json();
+  },
+
+  async updateChecklistItem(token, taskId, itemId, changes) {
+    const response = await authFetch(api.tasks.checklistItem(taskId, itemId), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify(changes),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update checklist item');
+    }
+
+    return response.json();
+  },
+
+  async reorderChecklist(token, taskId, itemIds) {
+    const response = await authFetch(api.tasks.checklistOrder(taskId), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify({ itemIds }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to reorder checklist');
+    }
+
+    return response.json();
+  },
+
+  async removeChecklistItem(token, taskId, itemId) {
+    const response = await authFetch(api.tasks.checklistItem(taskId, itemId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to remove checklist item');
+    }
+
+    return response.json();
+  },
+
+  async assignTask(token, taskId, userId) {
+    const response = await authFetch(api.tasks.assignees(taskId), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify({ userId }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to assign task');
+    }
+
+    return response.json();
+  },
+
+  async unassignTask(token, taskId, userId) {
+    const response = await authFetch(api.tasks.assignee(taskId, userId), {
       method: 'DELETE',
       headers: {
         'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to unassign task');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Fetch the comment thread of a task, oldest first
+   * @returns {Promise<Object>} { comments: [{ _id, body, edited, authorId: { _id, name }, createdAt, updatedAt }] }
+   */
+  async getComments(token, taskId) {
+    const response = await authFetch(api.tasks.comments(taskId), {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch comments');
+    }
+
+    return response.json();
+  },
+
+  async addComment(token, taskId, body) {
+    const response = await authFetch(api.tasks.comments(taskId), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify({ body }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to add comment');
+    }
+
+    return response.json();
+  },
+
+  async updateComment(token, taskId, commentId, body) {
+    const response = await authFetch(api.tasks.comment(taskId, commentId), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+      body: JSON.stringify({ body }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update comment');
+    }
+
+    return response.json();
+  },
+
+  async deleteComment(token, taskId, commentId) {
+    const response = await authFetch(api.tasks.comment(taskId, commentId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to delete comment');
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Fetch one page of a task's change history, newest first
+   * @param {string} token - JWT token
+   * @param {string} taskId - Task id
+   * @param {string} cursor - Cursor returned by the previous page
+   * @returns {Promise<Object>} { activity: [{ action, changes, actorId: { _id, name }, createdAt }], nextCursor, hasMore }
+   */
+  async getHistory(token, taskId, cursor = '') {
+    const url = `${api.tasks.history(taskId)}${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`;
+
+    const response = await authFetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...workspaceHeaders(),
       },
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to delete task');
+      throw await responseError(response, 'Failed to fetch task history');
     }
 
     return response.json();
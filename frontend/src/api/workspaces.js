@@ -0,0 +1,185 @@
+import api from './config';
+import { authFetch } from './session';
+import { responseError } from './errors';
+
+export const workspaceService = {
+  async getWorkspaces(token) {
+    const response = await authFetch(api.workspaces.base, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch workspaces');
+    }
+
+    return response.json();
+  },
+
+  async getWorkspace(token, workspaceId) {
+    const response = await authFetch(api.workspaces.byId(workspaceId), {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch workspace');
+    }
+
+    return response.json();
+  },
+
+  async createWorkspace(token, workspaceData) {
+    const response = await authFetch(api.workspaces.base, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(workspaceData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to create workspace');
+    }
+
+    return response.json();
+  },
+
+  async updateWorkspace(token, workspaceId, workspaceData) {
+    const response = await authFetch(api.workspaces.byId(workspaceId), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(workspaceData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update workspace');
+    }
+
+    return response.json();
+  },
+
+  async deleteWorkspace(token, workspaceId) {
+    const response = await authFetch(api.workspaces.byId(workspaceId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to delete workspace');
+    }
+
+    return response.json();
+  },
+
+  async updateMember(token, workspaceId, userId, role) {
+    const response = await authFetch(api.workspaces.member(workspaceId, userId), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ role }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to update member');
+    }
+
+    return response.json();
+  },
+
+  async removeMember(token, workspaceId, userId) {
+    const response = await authFetch(api.workspaces.member(workspaceId, userId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to remove member');
+    }
+
+    return response.json();
+  },
+
+  async leaveWorkspace(token, workspaceId) {
+    const response = await authFetch(api.workspaces.leave(workspaceId), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to leave workspace');
+    }
+
+    return response.json();
+  },
+
+  async getInvitations(token, workspaceId) {
+    const response = await authFetch(api.workspaces.invitations(workspaceId), {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch invitations');
+    }
+
+    return response.json();
+  },
+
+  async createInvitation(token, workspaceId, invitationData) {
+    const response = await authFetch(api.workspaces.invitations(workspaceId), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(invitationData),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to send invitation');
+    }
+
+    return response.json();
+  },
+
+  async revokeInvitation(token, workspaceId, invitationId) {
+    const response = await authFetch(api.workspaces.invitation(workspaceId, invitationId), {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to revoke invitation');
+    }
+
+    return response.json();
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Assignee Avatar Components
+ * Initials avatars for the members assigned to a task
+ */
+import React from 'react';
+import { useWorkspace } from '../context/WorkspaceContext';
+
+// Background colors picked per user so the same person always looks the same
+const AVATAR_COLORS = ['#0d6efd', '#6610f2', '#d63384', '#fd7e14', '#198754', '#20c997', '#0dcaf0', '#6f42c1'];
+
+/**
+ * Initials of a name ("Jane Doe" -> "JD", "jane" -> "J")
+ * @param {string} name - Display name
+ * @returns {string}
+ */
+export const initials = (name = '') => {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  const letters = words.length === 1 ? words[0][0] : words[0][0] + words[words.length - 1][0];
+  return letters.toUpperCase();
+};
+
+const colorFor = (id = '') => {
+  const hash = [...String(id)].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+};
+
+/**
+ * Single initials avatar
+ * @param {string} userId - User the avatar stands for (picks the color)
+ * @param {string} name - Display name
+ * @param {string} title - Tooltip text (defaults to the name)
+ * @param {boolean} dimmed - Render faded (e.g. unselected in a picker)
+ * @param {Function} onClick - Optional click handler; renders a button when set
+ */
+export const Avatar = ({ userId, name, title = null, dimmed = false, onClick = null }) => {
+  const style = {
+    width: '1.75rem',
+    height: '1.75rem',
+    fontSize: '0.7rem',
+    backgroundColor: colorFor(userId),
+    opacity: dimmed ? 0.35 : 1
+  };
+  const className = 'rounded-circle d-inline-flex align-items-center justify-content-center text-white fw-semibold border border-2 border-white';
+
+  if (onClick) {
+    return (
+      <button type="button" className={`${className} p-0 me-1`} style={style} title={title || name} onClick={onClick} aria-pressed={!dimmed}>
+        {initials(name)}
+      </button>
+    );
+  }
+
+  return (
+    <span className={className} style={{ ...style, marginLeft: '-0.4rem' }} title={title || name}>
+      {initials(name)}
+    </span>
+  );
+};
+
+/**
+ * Overlapping avatars for a task's assignees
+ * @param {Array} assignees - Assignee entries ({ userId, assignedBy, assignedAt })
+ * @param {number} max - Avatars shown before collapsing the rest into "+N"
+ */
+const AssigneeAvatars = ({ assignees = [], max = 4 }) => {
+  const { getMember } = useWorkspace();
+
+  if (assignees.length === 0) return null;
+
+  const describe = (assignee) => {
+    const member = getMember(assignee.userId);
+    const assigner = getMember(assignee.assignedBy);
+    const when = new Date(assignee.assignedAt).toLocaleDateString();
+    return `${member?.name || 'Former member'} · assigned by ${assigner?.name || 'a former member'} on ${when}`;
+  };
+
+  return (
+    <span className="d-inline-flex align-items-center ps-2">
+      {assignees.slice(0, max).map((assignee) => (
+        <Avatar
+          key={assignee.userId}
+          userId={assignee.userId}
+          name={getMember(assignee.userId)?.name || '?'}
+          title={describe(assignee)}
+        />
+      ))}
+      {assignees.length > max && (
+        <small className="text-muted ms-1">+{assignees.length - max}</small>
+      )}
+    </span>
+  );
+};
+
+export default AssigneeAvatars;
@@ -0,0 +1,47 @@
+/**
+ * Assignee Picker Component
+ * Multi-select of workspace members, used in TaskForm
+ */
+import React from 'react';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { Avatar } from './AssigneeAvatars';
+
+/**
+ * AssigneePicker component
+ * @param {string[]} value - Selected user ids
+ * @param {Function} onChange - Called with the new list of selected ids
+ */
+const AssigneePicker = ({ value = [], onChange }) => {
+  const { members } = useWorkspace();
+
+  const toggle = (userId) => {
+    onChange(value.includes(userId)
+      ? value.filter((id) => id !== userId)
+      : [...value, userId]);
+  };
+
+  return (
+    <div className="mb-3">
+      <span className="form-label d-block">Assignees</span>
+      <div role="group" aria-label="Assignees" className="d-flex flex-wrap align-items-center">
+        {members.map((member) => (
+          <Avatar
+            key={member.userId}
+            userId={member.userId}
+            name={member.name}
+            title={`${member.name}${member.isCurrentUser ? ' (you)' : ''}`}
+            dimmed={!value.includes(member.userId)}
+            onClick={() => toggle(member.userId)}
+          />
+        ))}
+        {value.length > 0 && (
+          <small className="text-muted ms-2">
+            {members.filter((member) => value.includes(member.userId)).map((member) => member.name).join(', ')}
+          </small>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssigneePicker;
@@ -0,0 +1,91 @@
+/**
+ * Bulk Action Bar Component
+ * Toolbar shown above the task list while tasks are selected
+ */
+import React from 'react';
+import { useLabels } from '../context/LabelContext';
+import { useProjects } from '../context/ProjectContext';
+import { PRIORITIES } from '../utils/priorities';
+
+/**
+ * BulkActionBar component
+ * @param {number} count - Number of selected tasks
+ * @param {number} total - Number of tasks loaded in the list
+ * @param {Function} onAction - Called with (action, params) for the chosen action
+ * @param {Function} onSelectAll - Selects every loaded task
+ * @param {Function} onClear - Clears the selection
+ * @param {boolean} busy - Disables the actions while one is running
+ */
+const BulkActionBar = ({ count, total, onAction, onSelectAll, onClear, busy = false }) => {
+  const { labels } = useLabels();
+  const { projects } = useProjects();
+
+  const projectOptions = projects.filter((project) => !project.archived);
+
+  return (
+    <div className="card border-primary mb-3 sticky-top">
+      <div className="card-body py-2 d-flex flex-wrap align-items-center gap-2">
+        <span className="fw-semibold me-1">{count} selected</span>
+        {count < total && (
+          <button className="btn btn-sm btn-link px-1" onClick={onSelectAll} disabled={busy}>
+            Select all {total}
+          </button>
+        )}
+        <button className="btn btn-sm btn-link px-1 me-auto" onClick={onClear} disabled={busy}>
+          Clear
+        </button>
+
+        <button className="btn btn-sm btn-outline-success" onClick={() => onAction('complete')} disabled={busy}>
+          ✅ Complete
+        </button>
+        <button className="btn btn-sm btn-outline-secondary" onClick={() => onAction('reopen')} disabled={busy}>
+          ↩️ Reopen
+        </button>
+        <select
+          className="form-select form-select-sm w-auto"
+          value=""
+          onChange={(e) => onAction('setPriority', { priority: e.target.value })}
+          disabled={busy}
+          aria-label="Set priority"
+        >
+          <option value="" disabled>Set priority…</option>
+          {PRIORITIES.map((priority) => (
+            <option key={priority.value} value={priority.value}>{priority.label}</option>
+          ))}
+        </select>
+        {labels.length > 0 && (
+          <select
+            className="form-select form-select-sm w-auto"
+            value=""
+            onChange={(e) => onAction('addLabel', { labelId: e.target.value })}
+            disabled={busy}
+            aria-label="Add label"
+          >
+            <option value="" disabled>Add label…</option>
+            {labels.map((label) => (
+              <option key={label._id} value={label._id}>{label.name}</option>
+            ))}
+          </select>
+        )}
+        <select
+          className="form-select form-select-sm w-auto"
+          value=""
+          onChange={(e) => onAction('moveToProject', { projectId: e.target.value === 'none' ? null : e.target.value })}
+          disabled={busy}
+          aria-label="Move to project"
+        >
+          <option value="" disabled>Move to project…</option>
+          <option value="none">No project</option>
+          {projectOptions.map((project) => (
+            <option key={project._id} value={project._id}>{project.name}</option>
+          ))}
+        </select>
+        <button className="btn btn-sm btn-outline-danger" onClick={() => onAction('delete')} disabled={busy}>
+          🗑️ Delete
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,115 @@
+/**
+ * Checklist Editor Component
+ * Inline editing of a task's checklist inside TaskForm
+ */
+import React, { useState } from 'react';
+
+let nextKey = 0;
+
+/**
+ * Give a checklist item a stable React key (new items have no _id yet)
+ * @param {Object} item - Checklist item
+ * @returns {Object} Item with a key property
+ */
+export const withKey = (item) => ({ ...item, key: item._id || `new-${nextKey++}` });
+
+/**
+ * ChecklistEditor component
+ * @param {Array} items - Checklist items ({ key, _id?, text, done })
+ * @param {Function} onChange - Called with the updated items array
+ * @param {string} error - Validation error to display
+ */
+const ChecklistEditor = ({ items, onChange, error = '' }) => {
+  const [newItem, setNewItem] = useState('');
+
+  const updateItem = (key, changes) => {
+    onChange(items.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  const removeItem = (key) => {
+    onChange(items.filter((item) => item.key !== key));
+  };
+
+  const moveItem = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+
+    const reordered = [...items];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const addItem = () => {
+    if (!newItem.trim()) return;
+    onChange([...items, withKey({ text: newItem.trim(), done: false })]);
+    setNewItem('');
+  };
+
+  const doneCount = items.filter((item) => item.done).length;
+
+  return (
+    <div className="mb-3">
+      <label htmlFor="newChecklistItem" className="form-label">
+        Checklist {items.length > 0 && <span className="text-muted">({doneCount}/{items.length} done)</span>}
+      </label>
+
+      {items.map((item, index) => (
+        <div key={item.key} className="input-group input-group-sm mb-1">
+          <div className="input-group-text">
+            <input
+              className="form-check-input mt-0"
+              type="checkbox"
+              checked={item.done}
+              onChange={(e) => updateItem(item.key, { done: e.target.checked })}
+              aria-label={`Mark "${item.text}" done`}
+            />
+          </div>
+          <input
+            type="text"
+            className={`form-control ${item.done ? 'text-decoration-line-through text-muted' : ''}`}
+            value={item.text}
+            onChange={(e) => updateItem(item.key, { text: e.target.value })}
+            maxLength={200}
+          />
+          <button type="button" className="btn btn-outline-secondary" onClick={() => moveItem(index, -1)} disabled={index === 0} aria-label="Move up">
+            ↑
+          </button>
+          <button type="button" className="btn btn-outline-secondary" onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} aria-label="Move down">
+            ↓
+          </button>
+          <button type="button" className="btn btn-outline-danger" onClick={() => removeItem(item.key)} aria-label="Remove item">
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div className="input-group input-group-sm">
+        <input
+          type="text"
+          className={`form-control ${error ? 'is-invalid' : ''}`}
+          id="newChecklistItem"
+          placeholder="Add a checklist item..."
+          value={newItem}
+          maxLength={200}
+          onChange={(e) => setNewItem(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              addItem();
+            }
+          }}
+        />
+        <button type="button" className="btn btn-outline-primary" onClick={addItem}>
+          Add
+        </button>
+        {error && (
+          <div className="invalid-feedback">
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChecklistEditor;
@@ -0,0 +1,79 @@
+/**
+ * Checklist Progress Component
+ * Shows "x/y done" for a task's checklist, optionally with toggleable items
+ */
+import React, { useState } from 'react';
+
+/**
+ * ChecklistProgress component
+ * @param {Array} checklist - Checklist items ({ _id, text, done })
+ * @param {Function} onToggle - Called with the item to toggle; omit for a read-only summary
+ * @param {boolean} compact - Render only the "x/y" label
+ */
+const ChecklistProgress = ({ checklist = [], onToggle = null, compact = false }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (checklist.length === 0) return null;
+
+  const done = checklist.filter((item) => item.done).length;
+  const percent = Math.round((done / checklist.length) * 100);
+  const complete = done === checklist.length;
+
+  if (compact) {
+    return (
+      <small className={complete ? 'text-success' : 'text-muted'} title="Checklist progress">
+        ☑ {done}/{checklist.length}
+      </small>
+    );
+  }
+
+  return (
+    <div className="mb-2">
+      <button
+        type="button"
+        className="btn btn-link btn-sm p-0 text-decoration-none d-flex justify-content-between w-100"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+      >
+        <small className={complete ? 'text-success' : 'text-muted'}>
+          ☑ {done}/{checklist.length} done
+        </small>
+        <small className="text-muted">{expanded ? '▲' : '▼'}</small>
+      </button>
+      <div className="progress" style={{ height: '4px' }}>
+        <div
+          className={`progress-bar ${complete ? 'bg-success' : ''}`}
+          role="progressbar"
+          style={{ width: `${percent}%` }}
+          aria-valuenow={percent}
+          aria-valuemin="0"
+          aria-valuemax="100"
+        />
+      </div>
+      {expanded && (
+        <ul className="list-unstyled small mt-2 mb-0">
+          {checklist.map((item) => (
+            <li key={item._id} className="form-check">
+              <input
+                className="form-check-input"
+                type="checkbox"
+                id={`checklist-${item._id}`}
+                checked={item.done}
+                disabled={!onToggle}
+                onChange={() => onToggle(item)}
+              />
+              <label
+                className={`form-check-label ${item.done ? 'text-decoration-line-through text-muted' : ''}`}
+                htmlFor={`checklist-${item._id}`}
+              >
+                {item.text}
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ChecklistProgress;
@@ -0,0 +1,211 @@
+/**
+ * Comment Thread Component
+ * Discussion on a task: the comments, oldest first, followed by a composer
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { taskService } from '../api/tasks';
+import { Avatar } from './AssigneeAvatars';
+import { logger } from '../utils/logger';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * CommentThread component
+ * @param {string} taskId - Task whose comments are shown
+ * @param {Function} onCountChange - Called with the new number of comments after adding or deleting one
+ */
+const CommentThread = ({ taskId, onCountChange }) => {
+  const { token } = useAuth();
+  const { can, currentMember } = useWorkspace();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [editing, setEditing] = useState(null); // { id, body } of the comment being edited
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const canComment = can('tasks:edit');
+
+  const fetchComments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await taskService.getComments(token, taskId);
+      setComments(response.comments);
+    } catch (err) {
+      setError(err.message || 'Failed to load comments');
+      logger.error('Failed to load comments', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, taskId]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const isAuthor = (comment) => !!currentMember && comment.authorId?._id === currentMember.userId;
+
+  const updateComments = (next) => {
+    setComments(next);
+    if (onCountChange) onCountChange(next.length);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await taskService.addComment(token, taskId, draft.trim());
+      updateComments([...comments, response.comment]);
+      setDraft('');
+      logger.info('Comment added', { taskId });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to add comment', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await taskService.updateComment(token, taskId, editing.id, editing.body.trim());
+      setComments(comments.map((comment) => (comment._id === editing.id ? response.comment : comment)));
+      setEditing(null);
+      logger.info('Comment updated', { taskId, commentId: editing.id });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to update comment', err);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    setError('');
+
+    try {
+      await taskService.deleteComment(token, taskId, comment._id);
+      updateComments(comments.filter((item) => item._id !== comment._id));
+      logger.info('Comment deleted', { taskId, commentId: comment._id });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to delete comment', err);
+    }
+  };
+
+  return (
+    <div>
+      {error && (
+        <div className="alert alert-danger alert-dismissible py-2" role="alert">
+          {error}
+          <button type="button" className="btn-close" onClick={() => setError('')} aria-label="Close"></button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-3">
+          <div className="spinner-border spinner-border-sm text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : (
+        <ul className="list-unstyled mb-3">
+          {comments.map((comment) => {
+            const author = comment.authorId?.name || 'Deleted user';
+
+            return (
+              <li key={comment._id} className="d-flex mb-3">
+                <span className="me-2 ps-2">
+                  <Avatar userId={comment.authorId?._id} name={author} />
+                </span>
+                <div className="flex-grow-1 bg-white border rounded p-2">
+                  <div className="d-flex align-items-center small mb-1">
+                    <strong>{author}</strong>
+                    <span className="text-muted ms-2" title={new Date(comment.createdAt).toLocaleString()}>
+                      {new Date(comment.createdAt).toLocaleDateString()}
+                    </span>
+                    {comment.edited && (
+                      <span className="text-muted ms-1" title={`Edited ${new Date(comment.updatedAt).toLocaleString()}`}>
+                        (edited)
+                      </span>
+                    )}
+                    {canComment && editing?.id !== comment._id && (
+                      <span className="ms-auto">
+                        {isAuthor(comment) && (
+                          <button
+                            className="btn btn-sm btn-link p-0 me-2 text-decoration-none"
+                            onClick={() => setEditing({ id: comment._id, body: comment.body })}
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {(isAuthor(comment) || can('comments:moderate')) && (
+                          <button
+                            className="btn btn-sm btn-link p-0 text-danger text-decoration-none"
+                            onClick={() => handleDelete(comment)}
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </span>
+                    )}
+                  </div>
+                  {editing?.id === comment._id ? (
+                    <form onSubmit={handleSaveEdit}>
+                      <textarea
+                        className="form-control form-control-sm mb-2"
+                        rows="3"
+                        value={editing.body}
+                        maxLength={MAX_COMMENT_LENGTH}
+                        onChange={(e) => setEditing({ ...editing, body: e.target.value })}
+                        aria-label="Edit comment"
+                        autoFocus
+                      />
+                      <button type="submit" className="btn btn-sm btn-primary me-2" disabled={!editing.body.trim()}>
+                        Save
+                      </button>
+                      <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setEditing(null)}>
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <p className="mb-0" style={{ whiteSpace: 'pre-wrap' }}>{comment.body}</p>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+          {comments.length === 0 && <li className="text-muted small">No comments yet.</li>}
+        </ul>
+      )}
+
+      {canComment && (
+        <form onSubmit={handleAdd}>
+          <textarea
+            className="form-control mb-2"
+            rows="3"
+            placeholder="Write a comment..."
+            value={draft}
+            maxLength={MAX_COMMENT_LENGTH}
+            onChange={(e) => setDraft(e.target.value)}
+            aria-label="New comment"
+          />
+          <div className="d-flex align-items-center">
+            <small className="text-muted">{draft.length}/{MAX_COMMENT_LENGTH}</small>
+            <button type="submit" className="btn btn-primary btn-sm ms-auto" disabled={submitting || !draft.trim()}>
+              {submitting ? 'Posting...' : '💬 Comment'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
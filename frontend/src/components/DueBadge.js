@@ -0,0 +1,29 @@
+import React from 'react';
+import { describeDueDate } from '../utils/dates';
+import { describeRecurrence } from '../utils/recurrence';
+
+/**
+ * Badge showing when a task is due, red once it is overdue
+ * Repeating tasks get a 🔁 mark describing their schedule.
+ * @param {Object} task - Task with optional dueDate/dueTime
+ * @param {boolean} closed - Whether the task's status is closed
+ */
+const DueBadge = ({ task, closed = false }) => {
+  const due = describeDueDate(task, { closed });
+  if (!due) return null;
+
+  const className = due.overdue
+    ? 'bg-danger'
+    : due.soon ? 'bg-warning text-dark' : 'bg-light text-dark border';
+
+  const recurrence = describeRecurrence(task.recurrence);
+
+  return (
+    <span className={`badge ${className}`} title={new Date(task.dueDate).toLocaleString()}>
+      ⏰ {due.label}
+      {recurrence && <span className="ms-1" title={recurrence} aria-label={recurrence}>🔁</span>}
+    </span>
+  );
+};
+
+export default DueBadge;
@@ -0,0 +1,51 @@
+/**
+ * Email Verification Banner Component
+ * Reminds users with an unverified email to open the link sent to them
+ */
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../api/auth';
+import { logger } from '../utils/logger';
+
+/**
+ * EmailVerificationBanner component
+ * Renders nothing once the email is verified.
+ */
+const EmailVerificationBanner = () => {
+  const { user, token } = useAuth();
+  const [notice, setNotice] = useState('');
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await authService.resendVerification(token);
+      setNotice(response.message);
+    } catch (err) {
+      setNotice(err.message || 'Failed to send verification link');
+      logger.error('Failed to resend verification link', err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="alert alert-warning d-flex flex-wrap align-items-center gap-2" role="alert">
+      <span className="me-auto">
+        📧 Verify <strong>{user.pendingEmail || user.email}</strong> with the link we emailed you.
+        Invitations and new workspaces are available once it is verified.
+      </span>
+      {notice ? (
+        <small>{notice}</small>
+      ) : (
+        <button className="btn btn-sm btn-outline-dark" onClick={handleResend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend link'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
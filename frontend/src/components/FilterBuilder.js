@@ -0,0 +1,310 @@
+/**
+ * Filter Builder Component
+ * Structured task filter editor (rules on status, priority, labels, project,
+ * assignee and dates) with saving as a named smart list
+ */
+import React, { useState, useEffect } from 'react';
+import { useWorkflow } from '../context/WorkflowContext';
+import { useLabels } from '../context/LabelContext';
+import { useProjects } from '../context/ProjectContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { PRIORITIES } from '../utils/priorities';
+import { FILTER_FIELDS, MAX_FILTER_RULES, getOperator, newFilterRule, changeFilterOperator } from '../utils/filters';
+import { validateFilterRules } from '../utils/validation';
+
+/**
+ * FilterBuilder component
+ * @param {Object} value - Applied filter form ({ match, rules }) from toFilterForm
+ * @param {Function} onApply - Called with the edited form to filter the tasks
+ * @param {Object} savedFilter - Saved filter being viewed, if any
+ * @param {Function} onSave - Called with ({ name, pinned }, form) to save the form as a new filter
+ * @param {Function} onUpdate - Called with { form } or { pinned } to update the saved filter being viewed
+ * @param {Function} onDelete - Called to delete the saved filter being viewed
+ */
+const FilterBuilder = ({ value, onApply, savedFilter = null, onSave, onUpdate, onDelete }) => {
+  const { states } = useWorkflow();
+  const { labels } = useLabels();
+  const { projects } = useProjects();
+  const { members } = useWorkspace();
+  const [form, setForm] = useState(value);
+  const [name, setName] = useState('');
+  const [pinned, setPinned] = useState(true);
+  const [error, setError] = useState('');
+
+  // Start over from the applied filter when it changes (e.g. another saved filter opened)
+  useEffect(() => {
+    setForm(value);
+    setError('');
+  }, [value]);
+
+  // Options of the choice fields, as { value, label }
+  const choicesFor = (field) => {
+    switch (field) {
+      case 'status': return states.map((state) => ({ value: state.key, label: `${state.icon} ${state.label}` }));
+      case 'priority': return PRIORITIES.map((priority) => ({ value: priority.value, label: priority.label }));
+      case 'labels': return labels.map((label) => ({ value: label._id, label: label.name }));
+      case 'project': return [
+        { value: 'none', label: 'No project' },
+        ...projects.map((project) => ({ value: project._id, label: project.name }))
+      ];
+      case 'assignee': return [
+        { value: 'me', label: '🙋 Me' },
+        { value: 'unassigned', label: 'Unassigned' },
+        ...members.filter((member) => !member.isCurrentUser).map((member) => ({ value: member.userId, label: member.name }))
+      ];
+      default: return [];
+    }
+  };
+
+  const updateRule = (index, rule) => {
+    setForm({ ...form, rules: form.rules.map((item, position) => (position === index ? rule : item)) });
+  };
+
+  const removeRule = (index) => {
+    setForm({ ...form, rules: form.rules.filter((item, position) => position !== index) });
+  };
+
+  const toggleChoice = (index, rule, choice) => {
+    updateRule(index, {
+      ...rule,
+      value: rule.value.includes(choice) ? rule.value.filter((item) => item !== choice) : [...rule.value, choice]
+    });
+  };
+
+  // Check the rules before they are applied or saved
+  const check = () => {
+    const message = validateFilterRules(form.rules);
+    setError(message);
+    return !message;
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    if (check()) onApply(form);
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      setError('Name the filter to save it');
+      return;
+    }
+    if (!check()) return;
+
+    try {
+      await onSave({ name: name.trim(), pinned }, form);
+      setName('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleUpdate = async (changes) => {
+    if (changes.form && !check()) return;
+
+    try {
+      await onUpdate(changes);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderValue = (rule, index) => {
+    const { input } = getOperator(rule.field, rule.op);
+
+    if (input === 'choices') {
+      const choices = choicesFor(rule.field);
+      return (
+        <div className="d-flex flex-wrap gap-1">
+          {choices.map((choice) => (
+            <button
+              key={choice.value}
+              type="button"
+              className={`btn btn-sm ${rule.value.includes(choice.value) ? 'btn-primary' : 'btn-outline-secondary'}`}
+              onClick={() => toggleChoice(index, rule, choice.value)}
+              aria-pressed={rule.value.includes(choice.value)}
+            >
+              {choice.label}
+            </button>
+          ))}
+          {choices.length === 0 && <small className="text-muted">Nothing to pick yet</small>}
+        </div>
+      );
+    }
+
+    if (input === 'date') {
+      return (
+        <input
+          type="date"
+          className="form-control form-control-sm w-auto"
+          value={rule.value}
+          onChange={(e) => updateRule(index, { ...rule, value: e.target.value })}
+          aria-label="Date"
+        />
+      );
+    }
+
+    if (input === 'dateRange') {
+      const [from, to] = rule.value;
+      return (
+        <div className="d-flex align-items-center gap-1">
+          <input
+            type="date"
+            className="form-control form-control-sm w-auto"
+            value={from}
+            onChange={(e) => updateRule(index, { ...rule, value: [e.target.value, to] })}
+            aria-label="From"
+          />
+          <span className="text-muted small">and</span>
+          <input
+            type="date"
+            className="form-control form-control-sm w-auto"
+            min={from}
+            value={to}
+            onChange={(e) => updateRule(index, { ...rule, value: [from, e.target.value] })}
+            aria-label="To"
+          />
+        </div>
+      );
+    }
+
+    if (input === 'days') {
+      return (
+        <div className="input-group input-group-sm w-auto">
+          <input
+            type="number"
+            className="form-control"
+            style={{ maxWidth: '5rem' }}
+            min="1"
+            max="366"
+            value={rule.value}
+            onChange={(e) => updateRule(index, { ...rule, value: e.target.value })}
+            aria-label="Number of days"
+          />
+          <span className="input-group-text">days</span>
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <form className="border rounded p-3 mb-3 bg-light" onSubmit={handleApply}>
+      <div className="d-flex align-items-center gap-2 mb-3">
+        <span>Show tasks matching</span>
+        <select
+          className="form-select form-select-sm w-auto"
+          value={form.match}
+          onChange={(e) => setForm({ ...form, match: e.target.value })}
+          aria-label="Rule match mode"
+        >
+          <option value="all">all</option>
+          <option value="any">any</option>
+        </select>
+        <span>of these rules</span>
+      </div>
+
+      {form.rules.map((rule, index) => (
+        rule.group ? (
+          // Nested groups can only be created through the API; they are kept as they are
+          <div key={index} className="d-flex align-items-center gap-2 mb-2">
+            <span className="text-muted small">
+              Group of {rule.group.rules.length} rule{rule.group.rules.length !== 1 ? 's' : ''} (match {rule.group.match})
+            </span>
+            <button type="button" className="btn btn-sm btn-outline-danger ms-auto" onClick={() => removeRule(index)} aria-label="Remove group">
+              ✕
+            </button>
+          </div>
+        ) : (
+          <div key={index} className="d-flex flex-wrap align-items-start gap-2 mb-2">
+            <select
+              className="form-select form-select-sm w-auto"
+              value={rule.field}
+              onChange={(e) => updateRule(index, newFilterRule(e.target.value))}
+              aria-label="Field"
+            >
+              {FILTER_FIELDS.map((field) => (
+                <option key={field.value} value={field.value}>{field.label}</option>
+              ))}
+            </select>
+            <select
+              className="form-select form-select-sm w-auto"
+              value={rule.op}
+              onChange={(e) => updateRule(index, changeFilterOperator(rule, e.target.value))}
+              aria-label="Condition"
+            >
+              {FILTER_FIELDS.find((field) => field.value === rule.field).operators.map((operator) => (
+                <option key={operator.value} value={operator.value}>{operator.label}</option>
+              ))}
+            </select>
+            <div className="flex-grow-1">{renderValue(rule, index)}</div>
+            <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => removeRule(index)} aria-label="Remove rule">
+              ✕
+            </button>
+          </div>
+        )
+      ))}
+
+      {form.rules.length === 0 && <p className="text-muted small">No rules yet: every task matches.</p>}
+
+      {error && <div className="alert alert-danger py-2 small">{error}</div>}
+
+      <div className="d-flex flex-wrap align-items-center gap-2 mt-3">
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-primary"
+          onClick={() => setForm({ ...form, rules: [...form.rules, newFilterRule()] })}
+          disabled={form.rules.length >= MAX_FILTER_RULES}
+        >
+          + Add rule
+        </button>
+        <button type="submit" className="btn btn-sm btn-primary">Apply</button>
+
+        {savedFilter ? (
+          <div className="d-flex gap-2 ms-auto">
+            <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => handleUpdate({ form })}>
+              💾 Update "{savedFilter.name}"
+            </button>
+            <button
+              type="button"
+              className="btn btn-sm btn-outline-secondary"
+              onClick={() => handleUpdate({ pinned: !savedFilter.pinned })}
+            >
+              {savedFilter.pinned ? '📌 Unpin' : '📌 Pin'}
+            </button>
+            <button type="button" className="btn btn-sm btn-outline-danger" onClick={onDelete}>
+              🗑️ Delete
+            </button>
+          </div>
+        ) : (
+          <div className="input-group input-group-sm w-auto ms-auto">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Name this filter"
+              value={name}
+              maxLength={50}
+              onChange={(e) => setName(e.target.value)}
+              aria-label="Filter name"
+            />
+            <div className="input-group-text">
+              <input
+                className="form-check-input mt-0 me-1"
+                type="checkbox"
+                id="pinFilter"
+                checked={pinned}
+                onChange={(e) => setPinned(e.target.checked)}
+              />
+              <label htmlFor="pinFilter" className="small">Pin</label>
+            </div>
+            <button type="button" className="btn btn-outline-primary" onClick={handleSave}>
+              Save
+            </button>
+          </div>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default FilterBuilder;
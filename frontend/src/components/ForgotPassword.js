@@ -0,0 +1,102 @@
+/**
+ * Forgot Password Component
+ * Asks for the account email and sends a password reset link to it
+ */
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../api/auth';
+import { validateEmail, validateRequired } from '../utils/validation';
+import { logger } from '../utils/logger';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!validateRequired(email)) {
+      setError('Email is required');
+      return;
+    }
+    if (!validateEmail(email)) {
+      setError('Please enter a valid email');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await authService.forgotPassword(email);
+      setSent(response.message);
+    } catch (err) {
+      logger.error('Password reset request failed', err.message);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-vh-100 d-flex align-items-center justify-content-center bg-light">
+      <div className="container">
+        <div className="row justify-content-center">
+          <div className="col-12 col-sm-8 col-md-6 col-lg-4">
+            <div className="card shadow">
+              <div className="card-body p-4">
+                <h2 className="card-title text-center mb-3">Forgot password</h2>
+
+                {sent ? (
+                  <div className="alert alert-success" role="alert">
+                    {sent}. Check your inbox and follow the link to choose a new password.
+                  </div>
+                ) : (
+                  <>
+                    <p className="text-muted small text-center">
+                      Enter the email of your account and we will send you a link to reset your password.
+                    </p>
+
+                    {error && (
+                      <div className="alert alert-danger" role="alert">
+                        {error}
+                      </div>
+                    )}
+
+                    <form onSubmit={handleSubmit}>
+                      <div className="mb-3">
+                        <label htmlFor="email" className="form-label">Email</label>
+                        <input
+                          type="email"
+                          className="form-control"
+                          id="email"
+                          name="email"
+                          value={email}
+                          onChange={(e) => setEmail(e.target.value)}
+                          required
+                        />
+                      </div>
+
+                      <button type="submit" className="btn btn-primary w-100" disabled={submitting}>
+                        {submitting ? 'Sending...' : 'Send reset link'}
+                      </button>
+                    </form>
+                  </>
+                )}
+
+                <p className="text-center mt-3 mb-0">
+                  <Link to="/login" className="text-decoration-none">
+                    Back to login
+                  </Link>
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
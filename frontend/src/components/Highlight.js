@@ -0,0 +1,26 @@
+/**
+ * Highlight Component
+ * Text with its search matches marked, from the offsets returned by the task search
+ */
+import React from 'react';
+
+/**
+ * Highlight component
+ * @param {string} text - Text to show
+ * @param {Array<number[]>} ranges - Sorted [start, end) offsets of the matches
+ */
+const Highlight = ({ text, ranges = [] }) => {
+  const parts = [];
+  let last = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={start} className="px-0">{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+
+  return <>{parts}</>;
+};
+
+export default Highlight;
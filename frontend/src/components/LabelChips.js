@@ -0,0 +1,66 @@
+/**
+ * Label Chip Components
+ * Colored chips for task labels
+ */
+import React from 'react';
+import { useLabels } from '../context/LabelContext';
+
+/**
+ * Pick black or white text for a background color
+ * @param {string} hex - Background color (#rrggbb)
+ * @returns {string} Text color
+ */
+const textColorFor = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  const r = (value >> 16) & 255;
+  const g = (value >> 8) & 255;
+  const b = value & 255;
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#212529' : '#fff';
+};
+
+/**
+ * Single label chip
+ * @param {Object} label - Label ({ name, color })
+ * @param {boolean} outline - Render an unselected (outlined) chip
+ * @param {Function} onClick - Optional click handler; renders a button when set
+ */
+export const LabelChip = ({ label, outline = false, onClick = null }) => {
+  const style = outline
+    ? { border: `1px solid ${label.color}`, color: label.color, backgroundColor: 'transparent' }
+    : { border: `1px solid ${label.color}`, color: textColorFor(label.color), backgroundColor: label.color };
+
+  if (onClick) {
+    return (
+      <button type="button" className="badge rounded-pill me-1 mb-1" style={style} onClick={onClick} aria-pressed={!outline}>
+        {label.name}
+      </button>
+    );
+  }
+
+  return (
+    <span className="badge rounded-pill me-1 mb-1" style={style}>
+      {label.name}
+    </span>
+  );
+};
+
+/**
+ * Chips for a task's label ids; unknown ids are skipped
+ * @param {string[]} labelIds - Label ids on the task
+ */
+const LabelChips = ({ labelIds = [] }) => {
+  const { getLabel } = useLabels();
+  const labels = labelIds.map(getLabel).filter(Boolean);
+
+  if (labels.length === 0) return null;
+
+  return (
+    <div className="mb-2">
+      {labels.map((label) => (
+        <LabelChip key={label._id} label={label} />
+      ))}
+    </div>
+  );
+};
+
+export default LabelChips;
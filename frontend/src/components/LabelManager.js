@@ -0,0 +1,148 @@
+/**
+ * Label Manager Component
+ * Create, rename, recolor and delete the user's labels
+ */
+import React, { useState } from 'react';
+import { useLabels } from '../context/LabelContext';
+import { LabelChip } from './LabelChips';
+import { logger } from '../utils/logger';
+
+const DEFAULT_COLOR = '#0d6efd';
+
+/**
+ * LabelManager component
+ */
+const LabelManager = () => {
+  const { labels, createLabel, updateLabel, deleteLabel } = useLabels();
+  const [newLabel, setNewLabel] = useState({ name: '', color: DEFAULT_COLOR });
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newLabel.name.trim()) {
+      setError('Label name is required');
+      return;
+    }
+
+    setError('');
+    try {
+      await createLabel({ name: newLabel.name.trim(), color: newLabel.color });
+      logger.info('Label created', { name: newLabel.name });
+      setNewLabel({ name: '', color: newLabel.color });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to create label', err);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      setError('Label name is required');
+      return;
+    }
+
+    setError('');
+    try {
+      await updateLabel(editing._id, { name: editing.name.trim(), color: editing.color });
+      logger.info('Label updated', { id: editing._id });
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to update label', err);
+    }
+  };
+
+  const handleDelete = async (label) => {
+    if (!window.confirm(`Delete the label "${label.name}"? It will be removed from all tasks.`)) return;
+
+    setError('');
+    try {
+      await deleteLabel(label._id);
+      logger.info('Label deleted', { id: label._id });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to delete label', err);
+    }
+  };
+
+  return (
+    <div className="border rounded p-3 bg-light mb-3">
+      <h6 className="mb-3">🏷️ Labels</h6>
+
+      {error && (
+        <div className="alert alert-danger py-2" role="alert">
+          {error}
+        </div>
+      )}
+
+      <ul className="list-unstyled mb-3">
+        {labels.map((label) => (
+          <li key={label._id} className="d-flex align-items-center mb-2">
+            {editing?._id === label._id ? (
+              <>
+                <input
+                  type="color"
+                  className="form-control form-control-color form-control-sm me-2"
+                  value={editing.color}
+                  onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+                  aria-label="Label color"
+                />
+                <input
+                  type="text"
+                  className="form-control form-control-sm me-2"
+                  value={editing.name}
+                  maxLength={30}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  aria-label="Label name"
+                />
+                <button className="btn btn-sm btn-primary me-1" onClick={handleSave}>Save</button>
+                <button className="btn btn-sm btn-outline-secondary" onClick={() => setEditing(null)}>Cancel</button>
+              </>
+            ) : (
+              <>
+                <LabelChip label={label} />
+                <button
+                  className="btn btn-sm btn-link ms-auto text-decoration-none"
+                  onClick={() => setEditing({ _id: label._id, name: label.name, color: label.color })}
+                >
+                  ✏️ Edit
+                </button>
+                <button
+                  className="btn btn-sm btn-link text-danger text-decoration-none"
+                  onClick={() => handleDelete(label)}
+                >
+                  🗑️ Delete
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+        {labels.length === 0 && (
+          <li className="text-muted small">No labels yet.</li>
+        )}
+      </ul>
+
+      <form className="d-flex" onSubmit={handleCreate}>
+        <input
+          type="color"
+          className="form-control form-control-color me-2"
+          value={newLabel.color}
+          onChange={(e) => setNewLabel({ ...newLabel, color: e.target.value })}
+          aria-label="New label color"
+        />
+        <input
+          type="text"
+          className="form-control me-2"
+          placeholder="New label name"
+          value={newLabel.name}
+          maxLength={30}
+          onChange={(e) => setNewLabel({ ...newLabel, name: e.target.value })}
+        />
+        <button type="submit" className="btn btn-outline-primary">Add</button>
+      </form>
+    </div>
+  );
+};
+
+export default LabelManager;
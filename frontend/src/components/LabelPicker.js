@@ -0,0 +1,44 @@
+/**
+ * Label Picker Component
+ * Multi-select of the user's labels, used in TaskForm
+ */
+import React from 'react';
+import { useLabels } from '../context/LabelContext';
+import { LabelChip } from './LabelChips';
+
+/**
+ * LabelPicker component
+ * @param {string[]} value - Selected label ids
+ * @param {Function} onChange - Called with the new list of selected ids
+ */
+const LabelPicker = ({ value = [], onChange }) => {
+  const { labels } = useLabels();
+
+  const toggle = (labelId) => {
+    onChange(value.includes(labelId)
+      ? value.filter((id) => id !== labelId)
+      : [...value, labelId]);
+  };
+
+  return (
+    <div className="mb-3">
+      <span className="form-label d-block">Labels</span>
+      {labels.length === 0 ? (
+        <small className="text-muted">No labels yet. Create them from the Labels panel on the dashboard.</small>
+      ) : (
+        <div role="group" aria-label="Labels">
+          {labels.map((label) => (
+            <LabelChip
+              key={label._id}
+              label={label}
+              outline={!value.includes(label._id)}
+              onClick={() => toggle(label._id)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelPicker;
@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { authService } from '../api/auth';
+import { hasFieldErrors } from '../api/errors';
+import TwoFactorLoginForm from './TwoFactorLoginForm';
 import { validateEmail, validateRequired } from '../utils/validation';
 import { logger } from '../utils/logger';
 
@@ -12,6 +14,8 @@ const Login = () => {
   });
   const [errors, setErrors] = useState({});
   const [error, setError] = useState('');
+  // Challenge token of the second step, when the account uses two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
   const { login, loading, setLoading, isAuthenticated } = useAuth();
   const navigate = useNavigate();
 
@@ -72,17 +76,53 @@ const Login = () => {
 
     try {
       const response = await authService.login(formData);
+      if (response.twoFactorRequired) {
+        logger.info('Two-factor code required', { email: formData.email });
+        setChallengeToken(response.challengeToken);
+        return;
+      }
+
       logger.info('Login successful', { email: formData.email });
-      login(response.user, response.token);
+      login(response.user, { token: response.token, refreshToken: response.refreshToken });
       navigate('/dashboard');
     } catch (err) {
       logger.error('Login failed', err.message);
+      // Fields rejected by the server show under their inputs
+      if (hasFieldErrors(err)) setErrors(err.fields);
+      else setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Second step: exchange the challenge and a code for a session
+   */
+  const handleVerifyCode = async (code) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authService.verifyLoginCode({ challengeToken, code });
+      logger.info('Login successful', { email: formData.email, recoveryCodesLeft: response.recoveryCodesLeft });
+      login(response.user, { token: response.token, refreshToken: response.refreshToken });
+      // Running out of recovery codes: send the user where new ones are made
+      navigate(response.recoveryCodesLeft !== undefined && response.recoveryCodesLeft <= 3 ? '/security' : '/dashboard');
+    } catch (err) {
+      logger.error('Two-factor verification failed', err.message);
       setError(err.message);
+      // An expired challenge means starting over with the password
+      if (err.message.startsWith('Login expired')) setChallengeToken(null);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleCancelTwoFactor = () => {
+    setChallengeToken(null);
+    setError('');
+  };
+
   return (
     <div className="min-vh-100 d-flex align-items-center justify-content-center bg-light">
       <div className="container">
@@ -98,51 +138,64 @@ const Login = () => {
                   </div>
                 )}
 
-                <form onSubmit={handleSubmit}>
-                  <div className="mb-3">
-                    <label htmlFor="email" className="form-label">Email</label>
-                    <input
-                      type="email"
-                      className={`form-control ${errors.email ? 'is-invalid' : ''}`}
-                      id="email"
-                      name="email"
-                      value={formData.email}
-                      onChange={handleChange}
-                      required
-                    />
-                    {errors.email && (
-                      <div className="invalid-feedback">
-                        {errors.email}
-                      </div>
-                    )}
-                  </div>
-
-                  <div className="mb-3">
-                    <label htmlFor="password" className="form-label">Password</label>
-                    <input
-                      type="password"
-                      className={`form-control ${errors.password ? 'is-invalid' : ''}`}
-                      id="password"
-                      name="password"
-                      value={formData.password}
-                      onChange={handleChange}
-                      required
-                    />
-                    {errors.password && (
-                      <div className="invalid-feedback">
-                        {errors.password}
+                {challengeToken ? (
+                  <TwoFactorLoginForm
+                    onSubmit={handleVerifyCode}
+                    onCancel={handleCancelTwoFactor}
+                    submitting={loading}
+                  />
+                ) : (
+                  <form onSubmit={handleSubmit}>
+                    <div className="mb-3">
+                      <label htmlFor="email" className="form-label">Email</label>
+                      <input
+                        type="email"
+                        className={`form-control ${errors.email ? 'is-invalid' : ''}`}
+                        id="email"
+                        name="email"
+                        value={formData.email}
+                        onChange={handleChange}
+                        required
+                      />
+                      {errors.email && (
+                        <div className="invalid-feedback">
+                          {errors.email}
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="mb-3">
+                      <label htmlFor="password" className="form-label">Password</label>
+                      <input
+                        type="password"
+                        className={`form-control ${errors.password ? 'is-invalid' : ''}`}
+                        id="password"
+                        name="password"
+                        value={formData.password}
+                        onChange={handleChange}
+                        required
+                      />
+                      {errors.password && (
+                        <div className="invalid-feedback">
+                          {errors.password}
+                        </div>
+                      )}
+                      <div className="text-end mt-1">
+                        <Link to="/forgot-password" className="small text-decoration-none">
+                          Forgot password?
+                        </Link>
                       </div>
-                    )}
-                  </div>
-
-                  <button
-                    type="submit"
-                    className="btn btn-primary w-100"
-                    disabled={loading}
-                  >
-                    {loading ? 'Logging in...' : 'Login'}
-                  </button>
-                </form>
+                    </div>
+
+                    <button
+                      type="submit"
+                      className="btn btn-primary w-100"
+                      disabled={loading}
+                    >
+                      {loading ? 'Logging in...' : 'Login'}
+                    </button>
+                  </form>
+                )}
 
                 <p className="text-center mt-3 mb-0">
                   Don't have an account?{' '}
@@ -0,0 +1,115 @@
+/**
+ * Project Delete Dialog Component
+ * Asks what happens to a project's tasks before deleting it
+ */
+import React, { useState } from 'react';
+import { useProjects } from '../context/ProjectContext';
+import { logger } from '../utils/logger';
+
+/**
+ * ProjectDeleteDialog component
+ * @param {Object} project - Project being deleted
+ * @param {Function} onClose - Called when the dialog is dismissed
+ * @param {Function} onDeleted - Called with the API result once the project is deleted
+ */
+const ProjectDeleteDialog = ({ project, onClose, onDeleted }) => {
+  const { projects, deleteProject } = useProjects();
+  const [taskAction, setTaskAction] = useState('move');
+  const [targetProjectId, setTargetProjectId] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  const targets = projects.filter((item) => item._id !== project._id && !item.archived);
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    setError('');
+    logger.info('Deleting project', { id: project._id, taskAction, targetProjectId });
+
+    try {
+      const result = await deleteProject(project._id, { taskAction, targetProjectId });
+      logger.info('Project deleted', { id: project._id, tasks: result.tasks });
+      onDeleted(result);
+    } catch (err) {
+      setError(err.message || 'Failed to delete project');
+      logger.error('Failed to delete project', err);
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="modal d-block" tabIndex="-1" role="dialog" aria-modal="true">
+        <div className="modal-dialog modal-dialog-centered">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title">Delete "{project.name}"?</h5>
+              <button type="button" className="btn-close" onClick={onClose} aria-label="Close"></button>
+            </div>
+            <div className="modal-body">
+              {error && (
+                <div className="alert alert-danger py-2" role="alert">
+                  {error}
+                </div>
+              )}
+
+              <p className="mb-2">
+                This project has {project.taskCount} open task{project.taskCount !== 1 ? 's' : ''}.
+                What should happen to its tasks?
+              </p>
+
+              <div className="form-check mb-2">
+                <input
+                  className="form-check-input"
+                  type="radio"
+                  id="projectTasksMove"
+                  checked={taskAction === 'move'}
+                  onChange={() => setTaskAction('move')}
+                />
+                <label className="form-check-label" htmlFor="projectTasksMove">
+                  Move them to
+                </label>
+                <select
+                  className="form-select form-select-sm mt-1"
+                  value={targetProjectId}
+                  onChange={(e) => setTargetProjectId(e.target.value)}
+                  disabled={taskAction !== 'move'}
+                  aria-label="Move tasks to project"
+                >
+                  <option value="">No project</option>
+                  {targets.map((item) => (
+                    <option key={item._id} value={item._id}>{item.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-check">
+                <input
+                  className="form-check-input"
+                  type="radio"
+                  id="projectTasksDelete"
+                  checked={taskAction === 'delete'}
+                  onChange={() => setTaskAction('delete')}
+                />
+                <label className="form-check-label text-danger" htmlFor="projectTasksDelete">
+                  Move them to the trash
+                </label>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline-secondary" onClick={onClose} disabled={deleting}>
+                Cancel
+              </button>
+              <button className="btn btn-danger" onClick={handleDelete} disabled={deleting}>
+                {deleting ? 'Deleting...' : 'Delete project'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+};
+
+export default ProjectDeleteDialog;
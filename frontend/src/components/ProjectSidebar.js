@@ -0,0 +1,215 @@
+/**
+ * Project Sidebar Component
+ * Lists projects for navigation and lets the user create, edit and archive them
+ */
+import React, { useState } from 'react';
+import { NavLink } from 'react-router-dom';
+import { useProjects } from '../context/ProjectContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import ProjectDeleteDialog from './ProjectDeleteDialog';
+import { logger } from '../utils/logger';
+
+const DEFAULT_COLOR = '#198754';
+
+const linkClass = ({ isActive }) => `list-group-item list-group-item-action d-flex align-items-center ${isActive ? 'active' : ''}`;
+
+const ColorDot = ({ color }) => (
+  <span
+    className="rounded-circle d-inline-block me-2 flex-shrink-0"
+    style={{ width: '0.6rem', height: '0.6rem', backgroundColor: color }}
+  />
+);
+
+/**
+ * ProjectSidebar component
+ * @param {string} currentProjectId - Project shown on the dashboard, if any
+ * @param {Function} onDeleted - Called with the delete result after a project is removed
+ */
+const ProjectSidebar = ({ currentProjectId = null, onDeleted }) => {
+  const { projects, activeProjects, createProject, updateProject } = useProjects();
+  const { can } = useWorkspace();
+  const canManage = can('projects:manage');
+  const [newProject, setNewProject] = useState({ name: '', color: DEFAULT_COLOR });
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [error, setError] = useState('');
+
+  const archivedProjects = projects.filter((project) => project.archived);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newProject.name.trim()) {
+      setError('Project name is required');
+      return;
+    }
+
+    setError('');
+    try {
+      await createProject({ name: newProject.name.trim(), color: newProject.color });
+      logger.info('Project created', { name: newProject.name });
+      setNewProject({ name: '', color: newProject.color });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to create project', err);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      setError('Project name is required');
+      return;
+    }
+
+    setError('');
+    try {
+      await updateProject(editing._id, { name: editing.name.trim(), color: editing.color });
+      logger.info('Project updated', { id: editing._id });
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to update project', err);
+    }
+  };
+
+  const handleArchive = async (project, archived) => {
+    setError('');
+    try {
+      await updateProject(project._id, { archived });
+      logger.info(archived ? 'Project archived' : 'Project restored', { id: project._id });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to archive project', err);
+    }
+  };
+
+  const renderProject = (project) => {
+    if (editing?._id === project._id) {
+      return (
+        <div key={project._id} className="list-group-item d-flex align-items-center">
+          <input
+            type="color"
+            className="form-control form-control-color form-control-sm me-2"
+            value={editing.color}
+            onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+            aria-label="Project color"
+          />
+          <input
+            type="text"
+            className="form-control form-control-sm me-2"
+            value={editing.name}
+            maxLength={50}
+            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+            aria-label="Project name"
+          />
+          <button className="btn btn-sm btn-primary me-1" onClick={handleSave}>Save</button>
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => setEditing(null)}>✕</button>
+        </div>
+      );
+    }
+
+    return (
+      <NavLink key={project._id} to={`/projects/${project._id}`} className={linkClass}>
+        <ColorDot color={project.color} />
+        <span className="text-truncate">{project.name}</span>
+        <span className="badge bg-light text-dark border ms-auto">{project.taskCount}</span>
+      </NavLink>
+    );
+  };
+
+  const current = projects.find((project) => project._id === currentProjectId);
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header fw-semibold">📁 Projects</div>
+
+      <div className="list-group list-group-flush">
+        <NavLink to="/dashboard" end className={linkClass}>
+          All tasks
+        </NavLink>
+        {activeProjects.map(renderProject)}
+        {activeProjects.length === 0 && (
+          <div className="list-group-item text-muted small">No projects yet.</div>
+        )}
+      </div>
+
+      <div className="card-body">
+        {error && (
+          <div className="alert alert-danger py-2" role="alert">
+            {error}
+          </div>
+        )}
+
+        {/* Actions for the project being viewed */}
+        {canManage && current && editing?._id !== current._id && (
+          <div className="d-flex flex-wrap gap-1 mb-3">
+            <button
+              className="btn btn-sm btn-outline-secondary"
+              onClick={() => setEditing({ _id: current._id, name: current.name, color: current.color })}
+            >
+              ✏️ Edit
+            </button>
+            <button
+              className="btn btn-sm btn-outline-secondary"
+              onClick={() => handleArchive(current, !current.archived)}
+            >
+              {current.archived ? '↩️ Restore' : '🗄️ Archive'}
+            </button>
+            <button className="btn btn-sm btn-outline-danger" onClick={() => setDeleting(current)}>
+              🗑️ Delete
+            </button>
+          </div>
+        )}
+
+        {canManage && (
+          <form className="d-flex" onSubmit={handleCreate}>
+            <input
+              type="color"
+              className="form-control form-control-color form-control-sm me-2"
+              value={newProject.color}
+              onChange={(e) => setNewProject({ ...newProject, color: e.target.value })}
+              aria-label="New project color"
+            />
+            <input
+              type="text"
+              className="form-control form-control-sm me-2"
+              placeholder="New project"
+              value={newProject.name}
+              maxLength={50}
+              onChange={(e) => setNewProject({ ...newProject, name: e.target.value })}
+            />
+            <button type="submit" className="btn btn-sm btn-outline-primary">Add</button>
+          </form>
+        )}
+
+        {archivedProjects.length > 0 && (
+          <button
+            className="btn btn-link btn-sm px-0 mt-2 text-decoration-none"
+            onClick={() => setShowArchived(!showArchived)}
+          >
+            {showArchived ? '▾' : '▸'} Archived ({archivedProjects.length})
+          </button>
+        )}
+      </div>
+
+      {showArchived && archivedProjects.length > 0 && (
+        <div className="list-group list-group-flush border-top">
+          {archivedProjects.map(renderProject)}
+        </div>
+      )}
+
+      {deleting && (
+        <ProjectDeleteDialog
+          project={deleting}
+          onClose={() => setDeleting(null)}
+          onDeleted={(result) => {
+            setDeleting(null);
+            if (onDeleted) onDeleted(deleting, result);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProjectSidebar;
@@ -0,0 +1,155 @@
+/**
+ * Recurrence Editor Component
+ * Repeat settings of a task (frequency, interval, weekdays or day of month, end), used in TaskForm
+ */
+import React from 'react';
+import { FREQUENCIES, WEEKDAYS } from '../utils/recurrence';
+
+/**
+ * RecurrenceEditor component
+ * @param {Object} value - Form state from toRecurrenceForm
+ * @param {Function} onChange - Called with the new form state
+ * @param {string} dueDate - Due date input value (YYYY-MM-DD); repeating needs one
+ * @param {string} error - Validation message to show
+ */
+const RecurrenceEditor = ({ value, onChange, dueDate = '', error = '' }) => {
+  const frequency = FREQUENCIES.find((item) => item.value === value.frequency);
+  const due = dueDate ? new Date(`${dueDate}T00:00`) : null;
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  // New weekly and monthly rules start from the due date's weekday or day
+  const changeFrequency = (next) => {
+    update({
+      frequency: next,
+      weekdays: next === 'weekly' && value.weekdays.length === 0 && due ? [due.getDay()] : value.weekdays,
+      monthDay: next === 'monthly' && !value.monthDay && due ? due.getDate() : value.monthDay
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    update({
+      weekdays: value.weekdays.includes(day)
+        ? value.weekdays.filter((item) => item !== day)
+        : [...value.weekdays, day].sort((a, b) => a - b)
+    });
+  };
+
+  return (
+    <div className="mb-3">
+      <label htmlFor="recurrenceFrequency" className="form-label">Repeat</label>
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <select
+          className={`form-select w-auto ${error ? 'is-invalid' : ''}`}
+          id="recurrenceFrequency"
+          value={value.frequency}
+          onChange={(e) => changeFrequency(e.target.value)}
+          disabled={!dueDate && !value.frequency}
+          title={!dueDate && !value.frequency ? 'Pick a due date to repeat the task' : undefined}
+        >
+          <option value="">Does not repeat</option>
+          {FREQUENCIES.map((item) => (
+            <option key={item.value} value={item.value}>{item.label}</option>
+          ))}
+        </select>
+
+        {frequency && (
+          <div className="input-group w-auto">
+            <span className="input-group-text">Every</span>
+            <input
+              type="number"
+              className="form-control"
+              style={{ maxWidth: '5rem' }}
+              min="1"
+              max="365"
+              value={value.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              aria-label="Repeat interval"
+            />
+            <span className="input-group-text">{frequency.unit}{Number(value.interval) === 1 ? '' : 's'}</span>
+          </div>
+        )}
+
+        {value.frequency === 'monthly' && (
+          <div className="input-group w-auto">
+            <span className="input-group-text">On day</span>
+            <input
+              type="number"
+              className="form-control"
+              style={{ maxWidth: '5rem' }}
+              min="1"
+              max="31"
+              value={value.monthDay}
+              onChange={(e) => update({ monthDay: e.target.value })}
+              aria-label="Day of the month"
+            />
+          </div>
+        )}
+      </div>
+
+      {value.frequency === 'weekly' && (
+        <div className="btn-group btn-group-sm mt-2" role="group" aria-label="Weekdays">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              className={`btn ${value.weekdays.includes(day) ? 'btn-primary' : 'btn-outline-primary'}`}
+              onClick={() => toggleWeekday(day)}
+              aria-pressed={value.weekdays.includes(day)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value.frequency === 'monthly' && Number(value.monthDay) > 28 && (
+        <div className="form-text">Shorter months repeat on their last day.</div>
+      )}
+
+      {frequency && (
+        <div className="d-flex flex-wrap align-items-center gap-2 mt-2">
+          <select
+            className="form-select form-select-sm w-auto"
+            value={value.ends}
+            onChange={(e) => update({ ends: e.target.value })}
+            aria-label="Repeat ends"
+          >
+            <option value="never">Never ends</option>
+            <option value="until">Ends on</option>
+            <option value="count">Ends after</option>
+          </select>
+          {value.ends === 'until' && (
+            <input
+              type="date"
+              className="form-control form-control-sm w-auto"
+              min={dueDate}
+              value={value.until}
+              onChange={(e) => update({ until: e.target.value })}
+              aria-label="Repeat end date"
+            />
+          )}
+          {value.ends === 'count' && (
+            <div className="input-group input-group-sm w-auto">
+              <input
+                type="number"
+                className="form-control"
+                style={{ maxWidth: '5rem' }}
+                min="1"
+                max="1000"
+                value={value.count}
+                onChange={(e) => update({ count: e.target.value })}
+                aria-label="Number of occurrences"
+              />
+              <span className="input-group-text">occurrences</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && <div className="invalid-feedback d-block">{error}</div>}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,136 @@
+/**
+ * Reset Password Component
+ * Sets a new password with the token from an emailed reset link
+ * (/reset-password?token=...)
+ */
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authService } from '../api/auth';
+import { validatePassword } from '../utils/validation';
+import { logger } from '../utils/logger';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [done, setDone] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validatePassword(formData.password)) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await authService.resetPassword({ token, password: formData.password });
+      logger.info('Password reset');
+      setDone(response.message);
+    } catch (err) {
+      logger.error('Password reset failed', err.message);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (done) {
+      return (
+        <>
+          <div className="alert alert-success" role="alert">{done}</div>
+          <Link to="/login" className="btn btn-primary w-100">Go to login</Link>
+        </>
+      );
+    }
+
+    if (!token) {
+      return (
+        <div className="alert alert-warning" role="alert">
+          This reset link is incomplete. Open the link from the email again, or{' '}
+          <Link to="/forgot-password">ask for a new one</Link>.
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {error && (
+          <div className="alert alert-danger" role="alert">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-3">
+            <label htmlFor="password" className="form-label">New password</label>
+            <input
+              type="password"
+              className="form-control"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          <div className="mb-3">
+            <label htmlFor="confirmPassword" className="form-label">Confirm new password</label>
+            <input
+              type="password"
+              className="form-control"
+              id="confirmPassword"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          <button type="submit" className="btn btn-primary w-100" disabled={submitting}>
+            {submitting ? 'Saving...' : 'Set new password'}
+          </button>
+        </form>
+
+        <p className="text-center mt-3 mb-0 small">
+          Link expired? <Link to="/forgot-password" className="text-decoration-none">Ask for a new one</Link>
+        </p>
+      </>
+    );
+  };
+
+  return (
+    <div className="min-vh-100 d-flex align-items-center justify-content-center bg-light">
+      <div className="container">
+        <div className="row justify-content-center">
+          <div className="col-12 col-sm-8 col-md-6 col-lg-4">
+            <div className="card shadow">
+              <div className="card-body p-4">
+                <h2 className="card-title text-center mb-4">Choose a new password</h2>
+                {renderBody()}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,61 @@
+/**
+ * Saved Filter List Component
+ * Sidebar navigation to the user's saved filters, pinned ones first
+ */
+import React, { useState } from 'react';
+import { NavLink } from 'react-router-dom';
+import { useSavedFilters } from '../context/FilterContext';
+
+const linkClass = ({ isActive }) => `list-group-item list-group-item-action d-flex align-items-center ${isActive ? 'active' : ''}`;
+
+/**
+ * SavedFilterList component
+ * Unpinned filters stay folded away under "More".
+ */
+const SavedFilterList = () => {
+  const { savedFilters, pinnedFilters } = useSavedFilters();
+  const [showUnpinned, setShowUnpinned] = useState(false);
+
+  const unpinnedFilters = savedFilters.filter((item) => !item.pinned);
+
+  const renderFilter = (item) => (
+    <NavLink key={item._id} to={`/filters/${item._id}`} className={linkClass}>
+      <span className="text-truncate">{item.name}</span>
+    </NavLink>
+  );
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header fw-semibold">⭐ Smart lists</div>
+
+      <div className="list-group list-group-flush">
+        {pinnedFilters.map(renderFilter)}
+        {pinnedFilters.length === 0 && (
+          <div className="list-group-item text-muted small">
+            Build a filter with 🧰 Filters and save it to pin it here.
+          </div>
+        )}
+      </div>
+
+      {unpinnedFilters.length > 0 && (
+        <>
+          <div className="card-body py-2">
+            <button
+              className="btn btn-link btn-sm px-0 text-decoration-none"
+              onClick={() => setShowUnpinned(!showUnpinned)}
+            >
+              {showUnpinned ? '▾' : '▸'} More ({unpinnedFilters.length})
+            </button>
+          </div>
+          {showUnpinned && (
+            <div className="list-group list-group-flush border-top">
+              {unpinnedFilters.map(renderFilter)}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SavedFilterList;
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { authService } from '../api/auth';
+import { hasFieldErrors } from '../api/errors';
 
 const Signup = () => {
   const [formData, setFormData] = useState({
@@ -9,6 +10,7 @@ const Signup = () => {
     email: '',
     password: ''
   });
+  const [errors, setErrors] = useState({});
   const [error, setError] = useState('');
   const { login, loading, setLoading } = useAuth();
   const navigate = useNavigate();
@@ -18,11 +20,15 @@ const Signup = () => {
       ...formData,
       [e.target.name]: e.target.value
     });
+    if (errors[e.target.name]) {
+      setErrors({ ...errors, [e.target.name]: '' });
+    }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setErrors({});
     setLoading(true);
 
     // Client-side validation
@@ -40,10 +46,12 @@ const Signup = () => {
 
     try {
       const response = await authService.signup(formData);
-      login(response.user, response.token);
+      login(response.user, { token: response.token, refreshToken: response.refreshToken });
       navigate('/dashboard');
     } catch (err) {
-      setError(err.message);
+      // Fields rejected by the server show under their inputs
+      if (hasFieldErrors(err)) setErrors(err.fields);
+      else setError(err.message);
     } finally {
       setLoading(false);
     }
@@ -69,39 +77,54 @@ const Signup = () => {
                     <label htmlFor="name" className="form-label">Name</label>
                     <input
                       type="text"
-                      className="form-control"
+                      className={`form-control ${errors.name ? 'is-invalid' : ''}`}
                       id="name"
                       name="name"
                       value={formData.name}
                       onChange={handleChange}
                       required
                     />
+                    {errors.name && (
+                      <div className="invalid-feedback">
+                        {errors.name}
+                      </div>
+                    )}
                   </div>
 
                   <div className="mb-3">
                     <label htmlFor="email" className="form-label">Email</label>
                     <input
                       type="email"
-                      className="form-control"
+                      className={`form-control ${errors.email ? 'is-invalid' : ''}`}
                       id="email"
                       name="email"
                       value={formData.email}
                       onChange={handleChange}
                       required
                     />
+                    {errors.email && (
+                      <div className="invalid-feedback">
+                        {errors.email}
+                      </div>
+                    )}
                   </div>
 
                   <div className="mb-3">
                     <label htmlFor="password" className="form-label">Password</label>
                     <input
                       type="password"
-                      className="form-control"
+                      className={`form-control ${errors.password ? 'is-invalid' : ''}`}
                       id="password"
                       name="password"
                       value={formData.password}
                       onChange={handleChange}
                       required
                     />
+                    {errors.password && (
+                      <div className="invalid-feedback">
+                        {errors.password}
+                      </div>
+                    )}
                   </div>
 
                   <button
@@ -0,0 +1,177 @@
+/**
+ * Task Board Component
+ * Kanban view with one column per workflow state and drag-and-drop between them
+ */
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import DueBadge from './DueBadge';
+import ChecklistProgress from './ChecklistProgress';
+import LabelChips from './LabelChips';
+import AssigneeAvatars from './AssigneeAvatars';
+import { getPriority } from '../utils/priorities';
+import { useWorkflow } from '../context/WorkflowContext';
+
+/**
+ * TaskBoard component
+ * @param {Array} columns - Board columns ({ status, tasks, total })
+ * @param {Function} onMove - Called with (taskId, toStatus, toIndex) when a card is dropped
+ * @param {Function} onEdit - Edit callback for a card
+ * @param {Function} onDelete - Delete callback for a card
+ * @param {boolean} loading - Loading state indicator
+ * @param {boolean} readOnly - Hide edit actions and only allow reordering within a column
+ */
+const TaskBoard = ({ columns, onMove, onEdit, onDelete, loading = false, readOnly = false }) => {
+  const { getState, nextStates } = useWorkflow();
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  if (loading) {
+    return (
+      <div className="text-center py-5">
+        <div className="spinner-border text-primary" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+        <p className="mt-2 text-muted">Loading board...</p>
+      </div>
+    );
+  }
+
+  // Cards can be reordered within their column or moved along an allowed transition
+  const canDropIn = (status) => dragging && (readOnly
+    ? status === dragging.status
+    : nextStates(dragging.status).some((state) => state.key === status));
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task._id);
+    setDragging({ taskId: task._id, status: task.status });
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const handleCardDragOver = (e, status, index) => {
+    if (!canDropIn(status)) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Drop above the card when the pointer is in its top half, below otherwise
+    const rect = e.currentTarget.getBoundingClientRect();
+    const dropIndex = e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+    if (dropTarget?.status !== status || dropTarget?.index !== dropIndex) {
+      setDropTarget({ status, index: dropIndex });
+    }
+  };
+
+  const handleColumnDragOver = (e, column) => {
+    if (!canDropIn(column.status)) return;
+    e.preventDefault();
+    if (dropTarget?.status !== column.status) {
+      setDropTarget({ status: column.status, index: column.tasks.length });
+    }
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    if (dragging && dropTarget?.status === status) {
+      onMove(dragging.taskId, status, dropTarget.index);
+    }
+    handleDragEnd();
+  };
+
+  const dropIndicator = <div className="border-top border-2 border-primary my-1" />;
+
+  return (
+    <div className="d-flex gap-3 overflow-auto pb-3 mb-4">
+      {columns.map((column) => {
+        const state = getState(column.status);
+        const isTarget = dropTarget?.status === column.status;
+        const blocked = dragging && !canDropIn(column.status);
+
+        return (
+          <div
+            key={column.status}
+            className={`card flex-shrink-0 ${isTarget ? 'border-primary' : ''}`}
+            style={{ width: '18rem', opacity: blocked ? 0.5 : 1 }}
+            onDragOver={(e) => handleColumnDragOver(e, column)}
+            onDrop={(e) => handleDrop(e, column.status)}
+          >
+            <div className={`card-header d-flex justify-content-between align-items-center border-bottom border-3 border-${state.color}`}>
+              <span className="fw-semibold">{state.icon} {state.label}</span>
+              <span className="badge bg-light text-dark border">{column.total}</span>
+            </div>
+            <div className="card-body p-2" style={{ minHeight: '8rem' }}>
+              {column.tasks.map((task, index) => (
+                <React.Fragment key={task._id}>
+                  {isTarget && dropTarget.index === index && dropIndicator}
+                  <div
+                    className="card mb-2 shadow-sm"
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, task)}
+                    onDragEnd={handleDragEnd}
+                    onDragOver={(e) => handleCardDragOver(e, column.status, index)}
+                    style={{
+                      cursor: 'grab',
+                      opacity: dragging?.taskId === task._id ? 0.4 : 1
+                    }}
+                  >
+                    <div className="card-body p-2">
+                      <div className="d-flex justify-content-between align-items-start mb-1">
+                        <Link to={`/tasks/${task._id}`} className="fw-semibold small text-truncate text-reset text-decoration-none" title={task.title}>
+                          {task.title}
+                        </Link>
+                        <span className={`badge rounded-pill ms-2 ${getPriority(task.priority).badge}`}>
+                          {getPriority(task.priority).label}
+                        </span>
+                      </div>
+                      <LabelChips labelIds={task.labels} />
+                      <div className="d-flex justify-content-between align-items-center">
+                        <DueBadge task={task} closed={state.closed} />
+                        <span className="ms-2">
+                          <ChecklistProgress checklist={task.checklist} compact />
+                          {task.commentCount > 0 && <small className="text-muted ms-1" title="Comments">💬 {task.commentCount}</small>}
+                        </span>
+                        <AssigneeAvatars assignees={task.assignees} max={3} />
+                        {!readOnly && (
+                          <div className="btn-group btn-group-sm ms-auto">
+                            <button
+                              className="btn btn-link btn-sm p-0 me-2 text-decoration-none"
+                              onClick={() => onEdit(task)}
+                              aria-label={`Edit ${task.title}`}
+                            >
+                              ✏️
+                            </button>
+                            <button
+                              className="btn btn-link btn-sm p-0 text-decoration-none"
+                              onClick={() => onDelete(task._id)}
+                              aria-label={`Delete ${task.title}`}
+                            >
+                              🗑️
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                </React.Fragment>
+              ))}
+              {isTarget && dropTarget.index >= column.tasks.length && dropIndicator}
+              {column.tasks.length === 0 && !isTarget && (
+                <p className="text-muted small text-center my-3">No tasks</p>
+              )}
+              {column.total > column.tasks.length && (
+                <p className="text-muted small text-center mb-0">
+                  +{column.total - column.tasks.length} more
+                </p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TaskBoard;
@@ -2,25 +2,54 @@
  * Task Form Component
  * Handles task creation and editing with validation
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { validateTaskForm } from '../utils/validation';
+import { toDateInputValue, toDueDateISO } from '../utils/dates';
+import { PRIORITIES, DEFAULT_PRIORITY } from '../utils/priorities';
+import { useWorkflow } from '../context/WorkflowContext';
+import { useProjects } from '../context/ProjectContext';
+import ChecklistEditor, { withKey } from './ChecklistEditor';
+import LabelPicker from './LabelPicker';
+import AssigneePicker from './AssigneePicker';
+import RecurrenceEditor from './RecurrenceEditor';
+import { toRecurrenceForm, toRecurrencePayload } from '../utils/recurrence';
 import { logger } from '../utils/logger';
 
+const NO_ERRORS = {};
+
 /**
  * TaskForm component for creating and editing tasks
  * @param {Function} onSubmit - Callback function when form is submitted
  * @param {Object} initialData - Initial form data for editing
  * @param {boolean} loading - Loading state indicator
+ * @param {string} defaultProjectId - Project preselected for new tasks
+ * @param {Object} serverErrors - Field errors the API returned for the last submit
  */
-const TaskForm = ({ onSubmit, initialData = null, loading = false }) => {
+const TaskForm = ({ onSubmit, initialData = null, loading = false, defaultProjectId = '', serverErrors = NO_ERRORS }) => {
+  const { states, initial, nextStates } = useWorkflow();
+  const { projects } = useProjects();
+
   // Form state management
   const [formData, setFormData] = useState({
     title: initialData?.title || '',
     description: initialData?.description || '',
-    status: initialData?.status || 'pending'
+    status: initialData?.status || '',
+    priority: initialData?.priority || DEFAULT_PRIORITY,
+    dueDate: toDateInputValue(initialData?.dueDate),
+    dueTime: initialData?.dueTime || '',
+    checklist: (initialData?.checklist || []).map(withKey),
+    labels: initialData?.labels || [],
+    projectId: initialData ? initialData.projectId || '' : defaultProjectId,
+    assignees: (initialData?.assignees || []).map((assignee) => assignee.userId),
+    recurrence: toRecurrenceForm(initialData?.recurrence)
   });
   const [errors, setErrors] = useState({});
 
+  // Show the API's field errors next to their inputs, like client-side ones
+  useEffect(() => {
+    setErrors(serverErrors);
+  }, [serverErrors]);
+
   /**
    * Handle form input changes and clear validation errors
    */
@@ -40,11 +69,20 @@ const TaskForm = ({ onSubmit, initialData = null, loading = false }) => {
     }
   };
 
+  // Archived projects are only offered when the task is already in one
+  const projectOptions = projects.filter((project) => !project.archived || project._id === formData.projectId);
+
+  // An existing task can only move along the workflow's transitions
+  const statusOptions = initialData ? nextStates(initialData.status) : states;
+
   const handleSubmit = (e) => {
     e.preventDefault();
     
+    // Fall back to the workflow's initial state if none was picked yet
+    const data = { ...formData, status: formData.status || initial };
+
     // Client-side validation
-    const validation = validateTaskForm(formData);
+    const validation = validateTaskForm(data, { statuses: statusOptions.map((state) => state.key) });
     
     if (!validation.isValid) {
       setErrors(validation.errors);
@@ -52,8 +90,15 @@ const TaskForm = ({ onSubmit, initialData = null, loading = false }) => {
       return;
     }
 
-    logger.info('Task form submitted', { title: formData.title, status: formData.status });
-    onSubmit(formData);
+    logger.info('Task form submitted', { title: data.title, status: data.status });
+    onSubmit({
+      ...data,
+      dueDate: toDueDateISO(data.dueDate, data.dueTime),
+      dueTime: data.dueDate && data.dueTime ? data.dueTime : null,
+      projectId: data.projectId || null,
+      recurrence: toRecurrencePayload(data.recurrence),
+      checklist: data.checklist.map(({ key, ...item }) => ({ ...item, text: item.text.trim() }))
+    });
   };
 
   return (
@@ -94,25 +139,135 @@ const TaskForm = ({ onSubmit, initialData = null, loading = false }) => {
         )}
       </div>
 
+      <div className="row">
+        <div className="col-sm-6 mb-3">
+          <label htmlFor="status" className="form-label">Status</label>
+          <select
+            className={`form-select ${errors.status ? 'is-invalid' : ''}`}
+            id="status"
+            name="status"
+            value={formData.status || initial}
+            onChange={handleChange}
+          >
+            {statusOptions.map((state) => (
+              <option key={state.key} value={state.key}>
+                {state.label}
+              </option>
+            ))}
+          </select>
+          {errors.status && (
+            <div className="invalid-feedback">
+              {errors.status}
+            </div>
+          )}
+        </div>
+
+        <div className="col-sm-6 mb-3">
+          <label htmlFor="priority" className="form-label">Priority</label>
+          <select
+            className={`form-select ${errors.priority ? 'is-invalid' : ''}`}
+            id="priority"
+            name="priority"
+            value={formData.priority}
+            onChange={handleChange}
+          >
+            {PRIORITIES.map((priority) => (
+              <option key={priority.value} value={priority.value}>
+                {priority.label}
+              </option>
+            ))}
+          </select>
+          {errors.priority && (
+            <div className="invalid-feedback">
+              {errors.priority}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="row">
+        <div className="col-sm-6 mb-3">
+          <label htmlFor="dueDate" className="form-label">Due date</label>
+          <input
+            type="date"
+            className={`form-control ${errors.dueDate ? 'is-invalid' : ''}`}
+            id="dueDate"
+            name="dueDate"
+            value={formData.dueDate}
+            onChange={handleChange}
+          />
+          {errors.dueDate && (
+            <div className="invalid-feedback">
+              {errors.dueDate}
+            </div>
+          )}
+        </div>
+        <div className="col-sm-6 mb-3">
+          <label htmlFor="dueTime" className="form-label">Due time <span className="text-muted">(optional)</span></label>
+          <input
+            type="time"
+            className={`form-control ${errors.dueTime ? 'is-invalid' : ''}`}
+            id="dueTime"
+            name="dueTime"
+            value={formData.dueTime}
+            onChange={handleChange}
+            disabled={!formData.dueDate}
+          />
+          {errors.dueTime && (
+            <div className="invalid-feedback">
+              {errors.dueTime}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <RecurrenceEditor
+        value={formData.recurrence}
+        onChange={(recurrence) => {
+          setFormData({ ...formData, recurrence });
+          if (errors.recurrence) setErrors({ ...errors, recurrence: '' });
+        }}
+        dueDate={formData.dueDate}
+        error={errors.recurrence}
+      />
+
       <div className="mb-3">
-        <label htmlFor="status" className="form-label">Status</label>
+        <label htmlFor="projectId" className="form-label">Project</label>
         <select
-          className={`form-select ${errors.status ? 'is-invalid' : ''}`}
-          id="status"
-          name="status"
-          value={formData.status}
+          className="form-select"
+          id="projectId"
+          name="projectId"
+          value={formData.projectId}
           onChange={handleChange}
         >
-          <option value="pending">Pending</option>
-          <option value="completed">Completed</option>
+          <option value="">No project</option>
+          {projectOptions.map((project) => (
+            <option key={project._id} value={project._id}>
+              {project.name}{project.archived ? ' (archived)' : ''}
+            </option>
+          ))}
         </select>
-        {errors.status && (
-          <div className="invalid-feedback">
-            {errors.status}
-          </div>
-        )}
       </div>
 
+      <AssigneePicker
+        value={formData.assignees}
+        onChange={(assignees) => setFormData({ ...formData, assignees })}
+      />
+
+      <LabelPicker
+        value={formData.labels}
+        onChange={(labels) => setFormData({ ...formData, labels })}
+      />
+
+      <ChecklistEditor
+        items={formData.checklist}
+        onChange={(checklist) => {
+          setFormData({ ...formData, checklist });
+          if (errors.checklist) setErrors({ ...errors, checklist: '' });
+        }}
+        error={errors.checklist}
+      />
+
       <button
         type="submit"
         className="btn btn-primary"
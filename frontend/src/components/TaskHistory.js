@@ -0,0 +1,169 @@
+/**
+ * Task History Component
+ * Activity log of a task: who changed which fields and when, newest first
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useWorkflow } from '../context/WorkflowContext';
+import { useLabels } from '../context/LabelContext';
+import { useProjects } from '../context/ProjectContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { taskService } from '../api/tasks';
+import { Avatar } from './AssigneeAvatars';
+import { getPriority } from '../utils/priorities';
+import { describeRecurrence } from '../utils/recurrence';
+import { logger } from '../utils/logger';
+
+// Display names of the tracked task fields (see backend/utils/activity.js)
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  dueTime: 'Due time',
+  projectId: 'Project',
+  labels: 'Labels',
+  assignees: 'Assignees',
+  checklist: 'Checklist',
+  recurrence: 'Repeat'
+};
+
+const ACTION_LABELS = {
+  created: 'created the task',
+  updated: 'updated',
+  deleted: 'moved the task to the trash',
+  restored: 'restored the task from the trash',
+  purged: 'deleted the task permanently'
+};
+
+const truncate = (text, length = 60) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+/**
+ * TaskHistory component
+ * @param {string} taskId - Task whose history is shown
+ */
+const TaskHistory = ({ taskId }) => {
+  const { token } = useAuth();
+  const { getState } = useWorkflow();
+  const { getLabel } = useLabels();
+  const { getProject } = useProjects();
+  const { getMember } = useWorkspace();
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchHistory = useCallback(async (cursor = '') => {
+    try {
+      setLoading(true);
+      const response = await taskService.getHistory(token, taskId, cursor);
+      setEntries((current) => (cursor ? [...current, ...response.activity] : response.activity));
+      setNextCursor(response.nextCursor);
+    } catch (err) {
+      setError(err.message || 'Failed to load history');
+      logger.error('Failed to load task history', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, taskId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  /**
+   * Readable form of a field value as stored in the activity log
+   */
+  const formatValue = (field, value) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return <span className="text-muted">none</span>;
+    }
+
+    switch (field) {
+      case 'status':
+        return getState(value).label;
+      case 'priority':
+        return getPriority(value).label;
+      case 'dueDate':
+        return new Date(value).toLocaleDateString();
+      case 'projectId':
+        return getProject(value)?.name || 'Deleted project';
+      case 'labels':
+        return value.map((id) => getLabel(id)?.name || 'Deleted label').join(', ');
+      case 'assignees':
+        return value.map((id) => getMember(id)?.name || 'Former member').join(', ');
+      case 'checklist':
+        return `${value.filter((item) => item.done).length}/${value.length} done`;
+      case 'description':
+        return truncate(value);
+      case 'recurrence':
+        return describeRecurrence(value);
+      default:
+        return String(value);
+    }
+  };
+
+  return (
+    <div>
+      {error && (
+        <div className="alert alert-danger alert-dismissible py-2" role="alert">
+          {error}
+          <button type="button" className="btn-close" onClick={() => setError('')} aria-label="Close"></button>
+        </div>
+      )}
+
+      <ul className="list-unstyled mb-0">
+        {entries.map((entry) => {
+          // The trash purge job acts without a user
+          const actor = entry.actorId?.name || (entry.action === 'purged' ? 'Trash cleanup' : 'Deleted user');
+
+          return (
+            <li key={entry._id} className="d-flex mb-3">
+              <span className="me-2 ps-2">
+                <Avatar userId={entry.actorId?._id} name={actor} />
+              </span>
+              <div className="flex-grow-1 small">
+                <div>
+                  <strong>{actor}</strong> {ACTION_LABELS[entry.action]}
+                  <span className="text-muted ms-2">{new Date(entry.createdAt).toLocaleString()}</span>
+                </div>
+                {entry.action === 'updated' && (
+                  <ul className="list-unstyled mb-0 mt-1">
+                    {entry.changes.map((change) => (
+                      <li key={change.field}>
+                        <span className="text-muted">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                        <del className="text-muted">{formatValue(change.field, change.before)}</del>
+                        {' → '}
+                        {formatValue(change.field, change.after)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </li>
+          );
+        })}
+        {!loading && entries.length === 0 && <li className="text-muted small">No history recorded yet.</li>}
+      </ul>
+
+      {loading && (
+        <div className="text-center py-3">
+          <div className="spinner-border spinner-border-sm text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      )}
+
+      {!loading && nextCursor && (
+        <div className="text-center">
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => fetchHistory(nextCursor)}>
+            Load older changes
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaskHistory;
@@ -1,6 +1,23 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
+import DueBadge from './DueBadge';
+import ChecklistProgress from './ChecklistProgress';
+import LabelChips from './LabelChips';
+import AssigneeAvatars from './AssigneeAvatars';
+import Highlight from './Highlight';
+import { getPriority } from '../utils/priorities';
+import { useWorkflow } from '../context/WorkflowContext';
+import { useProjects } from '../context/ProjectContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+
+const TaskList = ({
+  tasks, onEdit, onDelete, onToggleChecklistItem, onToggleAssignMe, selectedIds = [], onToggleSelect,
+  loading = false, readOnly = false
+}) => {
+  const { getState } = useWorkflow();
+  const { getProject } = useProjects();
+  const { currentMember } = useWorkspace();
 
-const TaskList = ({ tasks, onEdit, onDelete, loading = false }) => {
   if (loading) {
     return (
       <div className="text-center py-5">
@@ -27,53 +44,104 @@ const TaskList = ({ tasks, onEdit, onDelete, loading = false }) => {
 
   return (
     <div className="row">
-      {tasks.map((task) => (
-        <div key={task._id} className="col-12 col-md-6 col-lg-4 mb-3">
-          <div className={`card h-100 border-start border-4 ${
-            task.status === 'completed' ? 'border-success' : 'border-warning'
-          }`}>
-            <div className="card-body">
-              <div className="d-flex justify-content-between align-items-start mb-2">
-                <h5 className="card-title text-truncate" title={task.title}>
-                  {task.title}
-                </h5>
-                <span className={`badge ${
-                  task.status === 'completed' ? 'bg-success' : 'bg-warning text-dark'
-                }`}>
-                  {task.status === 'completed' ? '✅ Done' : '⏳ Pending'}
+      {tasks.map((task) => {
+        const state = getState(task.status);
+        const project = task.projectId ? getProject(task.projectId) : null;
+        const selected = selectedIds.includes(task._id);
+
+        return (
+          <div key={task._id} className="col-12 col-md-6 col-lg-4 mb-3">
+            <div className={`card h-100 border-start border-4 border-${state.color}${selected ? ' bg-primary-subtle' : ''}`}>
+              <div className="card-body">
+                <div className="d-flex justify-content-between align-items-start mb-2">
+                  {onToggleSelect && !readOnly && (
+                    // Checkbox changes fire on click, so the native event tells whether Shift was held
+                    <input
+                      type="checkbox"
+                      className="form-check-input flex-shrink-0 mt-1 me-2"
+                      checked={selected}
+                      onChange={(e) => onToggleSelect(task._id, e.nativeEvent.shiftKey)}
+                      aria-label={`Select "${task.title}"`}
+                    />
+                  )}
+                  <h5 className="card-title text-truncate me-auto" title={task.title}>
+                    <Link to={`/tasks/${task._id}`} className="text-reset text-decoration-none">
+                      <Highlight text={task.title} ranges={task.searchMatch?.title} />
+                    </Link>
+                  </h5>
+                  <span className={`badge bg-${state.color}`}>
+                    {state.icon} {state.label}
+                  </span>
+                </div>
+                <span className={`badge rounded-pill mb-2 ${getPriority(task.priority).badge}`}>
+                  {getPriority(task.priority).label}
                 </span>
+                {project && (
+                  <small className="text-muted ms-2">
+                    <span className="me-1" style={{ color: project.color }}>●</span>
+                    {project.name}
+                  </small>
+                )}
+                <LabelChips labelIds={task.labels} />
+                <p className="card-text text-muted small" style={{
+                  display: '-webkit-box',
+                  WebkitLineClamp: 3,
+                  WebkitBoxOrient: 'vertical',
+                  overflow: 'hidden'
+                }}>
+                  {task.searchMatch?.description ? (
+                    <Highlight text={task.searchMatch.description.text} ranges={task.searchMatch.description.ranges} />
+                  ) : task.description}
+                </p>
+                <ChecklistProgress
+                  checklist={task.checklist}
+                  onToggle={onToggleChecklistItem && ((item) => onToggleChecklistItem(task, item))}
+                />
+                <div className="d-flex justify-content-between align-items-center">
+                  <small className="text-muted">
+                    📅 {new Date(task.createdAt).toLocaleDateString()}
+                    {task.commentCount > 0 && (
+                      <Link to={`/tasks/${task._id}`} className="text-muted text-decoration-none ms-2" title="Comments">
+                        💬 {task.commentCount}
+                      </Link>
+                    )}
+                  </small>
+                  <span className="d-inline-flex align-items-center">
+                    <DueBadge task={task} closed={state.closed} />
+                    <AssigneeAvatars assignees={task.assignees} />
+                  </span>
+                </div>
               </div>
-              <p className="card-text text-muted small" style={{
-                display: '-webkit-box',
-                WebkitLineClamp: 3,
-                WebkitBoxOrient: 'vertical',
-                overflow: 'hidden'
-              }}>
-                {task.description}
-              </p>
-              <small className="text-muted">
-                📅 {new Date(task.createdAt).toLocaleDateString()}
-              </small>
-            </div>
-            <div className="card-footer bg-transparent border-0">
-              <div className="btn-group w-100" role="group">
-                <button
-                  className="btn btn-outline-primary btn-sm"
-                  onClick={() => onEdit(task)}
-                >
-                  ✏️ Edit
-                </button>
-                <button
-                  className="btn btn-outline-danger btn-sm"
-                  onClick={() => onDelete(task._id)}
-                >
-                  🗑️ Delete
-                </button>
-              </div>
+              {!readOnly && (
+                <div className="card-footer bg-transparent border-0">
+                  <div className="btn-group w-100" role="group">
+                    <button
+                      className="btn btn-outline-primary btn-sm"
+                      onClick={() => onEdit(task)}
+                    >
+                      ✏️ Edit
+                    </button>
+                    {currentMember && onToggleAssignMe && (
+                      <button
+                        className="btn btn-outline-secondary btn-sm"
+                        onClick={() => onToggleAssignMe(task)}
+                      >
+                        {task.assignees?.some((assignee) => assignee.userId === currentMember.userId) ? '🙅 Unassign me' : '🙋 Assign me'}
+                      </button>
+                    )}
+                    <button
+                      className="btn btn-outline-danger btn-sm"
+                      onClick={() => onDelete(task._id)}
+                    >
+                      🗑️ Delete
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
-        </div>
-      ))}
+        );
+      })}
     </div>
   );
 };
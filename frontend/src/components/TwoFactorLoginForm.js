@@ -0,0 +1,69 @@
+/**
+ * Two-Factor Login Form Component
+ * Second login step: a code from the authenticator app, or a recovery code
+ */
+import React, { useState } from 'react';
+
+/**
+ * TwoFactorLoginForm component
+ * @param {Function} onSubmit - Called with the code
+ * @param {Function} onCancel - Back to the email and password step
+ * @param {boolean} submitting - Whether the code is being checked
+ */
+const TwoFactorLoginForm = ({ onSubmit, onCancel, submitting }) => {
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) onSubmit(code.trim());
+  };
+
+  const toggleRecovery = () => {
+    setUseRecovery(!useRecovery);
+    setCode('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="mb-3">
+        <label htmlFor="twoFactorCode" className="form-label">
+          {useRecovery ? 'Recovery code' : 'Authentication code'}
+        </label>
+        <input
+          type="text"
+          className="form-control text-center fs-5"
+          id="twoFactorCode"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+          inputMode={useRecovery ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          maxLength={useRecovery ? 20 : 7}
+          autoFocus
+          required
+        />
+        <div className="form-text">
+          {useRecovery
+            ? 'Each recovery code works once.'
+            : 'Open your authenticator app and enter the 6-digit code for Primetrade.'}
+        </div>
+      </div>
+
+      <button type="submit" className="btn btn-primary w-100" disabled={submitting}>
+        {submitting ? 'Checking...' : 'Verify'}
+      </button>
+
+      <div className="d-flex justify-content-between mt-3">
+        <button type="button" className="btn btn-link btn-sm px-0 text-decoration-none" onClick={onCancel}>
+          ← Back
+        </button>
+        <button type="button" className="btn btn-link btn-sm px-0 text-decoration-none" onClick={toggleRecovery}>
+          {useRecovery ? 'Use the authenticator app' : 'Use a recovery code'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorLoginForm;
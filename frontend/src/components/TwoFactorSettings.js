@@ -0,0 +1,214 @@
+/**
+ * Two-Factor Settings Component
+ * Turns TOTP two-factor authentication on (enrolling an authenticator app)
+ * and off, and manages the recovery codes
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../api/auth';
+import { logger } from '../utils/logger';
+
+// Secret shown in groups of four, easier to type into an app
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+const TwoFactorSettings = () => {
+  const { user, token, updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // Action waiting for the password: 'disable' or 'regenerate'
+  const [confirming, setConfirming] = useState(null);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setStatus(await authService.getTwoFactor(token));
+    } catch (err) {
+      setError(err.message || 'Failed to load two-factor status');
+      logger.error('Failed to load two-factor status', err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  // Run a request, showing its error in the card
+  const run = async (action, failure) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || failure);
+      logger.error(failure, err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setEnabled = (enabled) => {
+    if (user) updateUser({ ...user, twoFactorEnabled: enabled });
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await authService.setupTwoFactor(token));
+  }, 'Failed to start two-factor setup');
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authService.enableTwoFactor(token, code);
+      logger.info('Two-factor authentication enabled');
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(response.recoveryCodes);
+      setEnabled(true);
+      await fetchStatus();
+    }, 'Failed to turn on two-factor authentication');
+  };
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (confirming === 'disable') {
+        await authService.disableTwoFactor(token, password);
+        logger.info('Two-factor authentication disabled');
+        setRecoveryCodes(null);
+        setEnabled(false);
+      } else {
+        const response = await authService.regenerateRecoveryCodes(token, password);
+        setRecoveryCodes(response.recoveryCodes);
+      }
+      setConfirming(null);
+      setPassword('');
+      await fetchStatus();
+    }, confirming === 'disable' ? 'Failed to turn off two-factor authentication' : 'Failed to generate recovery codes');
+  };
+
+  const renderRecoveryCodes = () => (
+    <div className="alert alert-warning">
+      <p className="fw-semibold mb-2">Save these recovery codes somewhere safe</p>
+      <p className="small mb-2">
+        Each one signs you in once if you lose your authenticator app. They will not be shown again.
+      </p>
+      <div className="row row-cols-2 g-1 font-monospace mb-2" style={{ maxWidth: '18rem' }}>
+        {recoveryCodes.map((recoveryCode) => <div key={recoveryCode} className="col">{recoveryCode}</div>)}
+      </div>
+      <button type="button" className="btn btn-sm btn-outline-dark" onClick={() => setRecoveryCodes(null)}>
+        I saved them
+      </button>
+    </div>
+  );
+
+  const renderSetup = () => (
+    <form onSubmit={handleEnable} style={{ maxWidth: '28rem' }}>
+      <ol className="small ps-3">
+        <li className="mb-2">
+          Add Primetrade to your authenticator app: on your phone{' '}
+          <a href={setup.otpauthUri}>open this link</a>, or enter this key manually:
+          <div className="font-monospace fs-6 bg-light border rounded px-2 py-1 mt-1 user-select-all">
+            {formatSecret(setup.secret)}
+          </div>
+        </li>
+        <li>Enter the 6-digit code the app shows:</li>
+      </ol>
+      <div className="d-flex gap-2">
+        <input
+          type="text"
+          className="form-control w-auto"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="123456"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={7}
+          aria-label="Authentication code"
+          required
+        />
+        <button type="submit" className="btn btn-primary" disabled={busy}>Turn on</button>
+        <button type="button" className="btn btn-outline-secondary" onClick={() => setSetup(null)}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  const renderPasswordConfirm = () => (
+    <form onSubmit={handleConfirm} className="d-flex flex-wrap gap-2 mt-3" style={{ maxWidth: '28rem' }}>
+      <input
+        type="password"
+        className="form-control w-auto flex-grow-1"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Current password"
+        autoComplete="current-password"
+        aria-label="Current password"
+        required
+      />
+      <button type="submit" className={`btn ${confirming === 'disable' ? 'btn-danger' : 'btn-primary'}`} disabled={busy}>
+        {confirming === 'disable' ? 'Turn off' : 'Generate'}
+      </button>
+      <button type="button" className="btn btn-outline-secondary" onClick={() => setConfirming(null)}>Cancel</button>
+    </form>
+  );
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header fw-semibold d-flex align-items-center">
+        🛡️ Two-factor authentication
+        {status && (
+          <span className={`badge ms-2 ${status.enabled ? 'bg-success' : 'bg-secondary'}`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        )}
+      </div>
+      <div className="card-body">
+        {error && <div className="alert alert-danger py-2 small">{error}</div>}
+        {recoveryCodes && renderRecoveryCodes()}
+
+        {status && !status.enabled && (
+          setup ? renderSetup() : (
+            <>
+              <p className="text-muted small">
+                Ask for a code from an authenticator app (Google Authenticator, 1Password, Authy, ...)
+                when signing in, on top of your password.
+              </p>
+              <button type="button" className="btn btn-primary" onClick={handleStartSetup} disabled={busy}>
+                Set up two-factor authentication
+              </button>
+            </>
+          )
+        )}
+
+        {status?.enabled && (
+          <>
+            <p className="text-muted small mb-2">
+              Signing in asks for a code from your authenticator app.{' '}
+              {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft !== 1 ? 's' : ''} left.
+            </p>
+            {status.recoveryCodesLeft <= 3 && !recoveryCodes && (
+              <div className="alert alert-warning py-2 small">
+                You are running out of recovery codes. Generate new ones to keep a way in if you lose your app.
+              </div>
+            )}
+            {confirming ? renderPasswordConfirm() : (
+              <div className="d-flex gap-2">
+                <button type="button" className="btn btn-outline-primary btn-sm" onClick={() => setConfirming('regenerate')}>
+                  New recovery codes
+                </button>
+                <button type="button" className="btn btn-outline-danger btn-sm" onClick={() => setConfirming('disable')}>
+                  Turn off
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,39 @@
+/**
+ * Undo Toast Component
+ * Short-lived notice in the corner of the screen with an Undo button
+ */
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * UndoToast component
+ * @param {string} message - Text of the notice
+ * @param {Function} onUndo - Called when Undo is clicked
+ * @param {Function} onClose - Called when the toast is dismissed or times out
+ * @param {number} duration - Milliseconds before the toast hides itself
+ */
+const UndoToast = ({ message, onUndo, onClose, duration = 8000 }) => {
+  // Keep the latest callback without restarting the timer on every render
+  const closeRef = useRef(onClose);
+  closeRef.current = onClose;
+
+  useEffect(() => {
+    const timer = setTimeout(() => closeRef.current(), duration);
+    return () => clearTimeout(timer);
+  }, [message, duration]);
+
+  return (
+    <div className="toast-container position-fixed bottom-0 end-0 p-3">
+      <div className="toast show align-items-center text-bg-dark border-0" role="status" aria-live="polite">
+        <div className="d-flex align-items-center">
+          <div className="toast-body">{message}</div>
+          <button type="button" className="btn btn-sm btn-link text-warning fw-semibold text-decoration-none ms-auto" onClick={onUndo}>
+            Undo
+          </button>
+          <button type="button" className="btn-close btn-close-white me-2" onClick={onClose} aria-label="Close"></button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,71 @@
+/**
+ * Verify Email Component
+ * Confirms an email address with the token from a verification link
+ * (/verify-email?token=...), signed in or not
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../api/auth';
+import { logger } from '../utils/logger';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const { isAuthenticated, updateUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete. Open the link from the email again.');
+  // Tokens work once: never send the same one twice (effects run twice in development)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        logger.info('Email verified', { email: response.user.email });
+        if (isAuthenticated) updateUser(response.user);
+        setMessage(`${response.user.email} is verified.`);
+        setStatus('done');
+      })
+      .catch((err) => {
+        logger.error('Email verification failed', err.message);
+        setMessage(err.message);
+        setStatus('error');
+      });
+  }, [token, isAuthenticated, updateUser]);
+
+  return (
+    <div className="min-vh-100 d-flex align-items-center justify-content-center bg-light">
+      <div className="container">
+        <div className="row justify-content-center">
+          <div className="col-12 col-sm-8 col-md-6 col-lg-4">
+            <div className="card shadow">
+              <div className="card-body p-4 text-center">
+                <h2 className="card-title mb-4">Email verification</h2>
+
+                {status === 'verifying' && <p className="text-muted">Verifying...</p>}
+                {status === 'done' && <div className="alert alert-success" role="alert">{message}</div>}
+                {status === 'error' && (
+                  <div className="alert alert-danger" role="alert">
+                    {message}
+                    {isAuthenticated && ' You can ask for a new link from the banner on your dashboard.'}
+                  </div>
+                )}
+
+                {status !== 'verifying' && (
+                  <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn btn-primary w-100">
+                    {isAuthenticated ? 'Go to your tasks' : 'Go to login'}
+                  </Link>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
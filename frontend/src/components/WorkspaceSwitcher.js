@@ -0,0 +1,52 @@
+/**
+ * Workspace Switcher Component
+ * Navbar control for choosing the active workspace
+ */
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { logger } from '../utils/logger';
+
+/**
+ * WorkspaceSwitcher component
+ */
+const WorkspaceSwitcher = () => {
+  const { workspaces, workspaceId, selectWorkspace, invitations } = useWorkspace();
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    logger.info('Switching workspace', { id: e.target.value });
+    selectWorkspace(e.target.value);
+    // Projects belong to a workspace, so leave any project page
+    navigate('/dashboard');
+  };
+
+  if (workspaces.length === 0) return null;
+
+  return (
+    <div className="d-flex align-items-center me-3">
+      <select
+        className="form-select form-select-sm me-2"
+        value={workspaceId || ''}
+        onChange={handleChange}
+        aria-label="Active workspace"
+      >
+        {workspaces.map((workspace) => (
+          <option key={workspace._id} value={workspace._id}>
+            {workspace.personal ? '👤' : '👥'} {workspace.name}
+          </option>
+        ))}
+      </select>
+      <Link to="/workspace" className="btn btn-outline-light btn-sm text-nowrap position-relative">
+        ⚙️ Workspace
+        {invitations.length > 0 && (
+          <span className="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">
+            {invitations.length}
+          </span>
+        )}
+      </Link>
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -3,6 +3,9 @@
  * Manages global authentication state and user session
  */
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { authService } from '../api/auth';
+import { getStoredTokens, storeTokens, clearTokens, onTokenChange } from '../api/session';
+import { logger } from '../utils/logger';
 
 // Create authentication context
 const AuthContext = createContext();
@@ -25,26 +28,56 @@ export const useAuth = () => {
  */
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [token, setToken] = useState(getStoredTokens().token);
   const [loading, setLoading] = useState(false);
 
-  // Sync token with localStorage
+  // Follow silent refreshes; a session that could not be refreshed signs the user out
+  useEffect(() => onTokenChange((nextToken) => {
+    setToken(nextToken);
+    if (!nextToken) setUser(null);
+  }), []);
+
+  // A stored session (e.g. after a page reload) starts without the user: load it
+  const hasUser = !!user;
   useEffect(() => {
-    if (token) {
-      localStorage.setItem('token', token);
-    } else {
-      localStorage.removeItem('token');
-    }
-  }, [token]);
+    if (!token || hasUser) return;
+
+    let cancelled = false;
+    authService.getProfile(token)
+      .then((response) => {
+        if (!cancelled) setUser(response.user);
+      })
+      .catch((err) => logger.error('Failed to load profile', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [token, hasUser]);
 
-  const login = (userData, authToken) => {
+  /**
+   * Start the session returned by login or signup
+   * @param {Object} userData - Signed-in user
+   * @param {Object} tokens - { token, refreshToken }
+   */
+  const login = (userData, tokens) => {
+    storeTokens(tokens);
     setUser(userData);
-    setToken(authToken);
+    setToken(tokens.token);
   };
 
-  const logout = () => {
+  /**
+   * End the session on the server and forget its tokens
+   */
+  const logout = async () => {
+    const { refreshToken } = getStoredTokens();
+    clearTokens();
     setUser(null);
     setToken(null);
+
+    try {
+      if (refreshToken) await authService.logout(refreshToken);
+    } catch (err) {
+      logger.warn('Failed to end the session on the server', err);
+    }
   };
 
   const value = {
@@ -54,6 +87,8 @@ export const AuthProvider = ({ children }) => {
     setLoading,
     login,
     logout,
+    // Replace the signed-in user after a profile change or email verification
+    updateUser: setUser,
     isAuthenticated: !!token
   };
 
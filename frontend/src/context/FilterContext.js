@@ -0,0 +1,77 @@
+/**
+ * Saved Filter Context Provider
+ * Holds the user's saved filters ("smart lists") in the active workspace
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { useWorkspace } from './WorkspaceContext';
+import { filterService } from '../api/filters';
+import { logger } from '../utils/logger';
+
+// Create saved filter context
+const FilterContext = createContext();
+
+/**
+ * Custom hook to access the user's saved filters
+ * @returns {Object} Saved filter context value
+ */
+export const useSavedFilters = () => {
+  const context = useContext(FilterContext);
+  if (!context) {
+    throw new Error('useSavedFilters must be used within a FilterProvider');
+  }
+  return context;
+};
+
+/**
+ * Filter Provider Component
+ * Loads saved filters for the active workspace and exposes CRUD helpers
+ */
+export const FilterProvider = ({ children }) => {
+  const { token } = useAuth();
+  const { workspaceId } = useWorkspace();
+  const [savedFilters, setSavedFilters] = useState([]);
+
+  const sortByName = (list) => [...list].sort((a, b) => a.name.localeCompare(b.name));
+
+  useEffect(() => {
+    setSavedFilters([]);
+    if (!token || !workspaceId) return;
+
+    filterService.getFilters(token)
+      .then((response) => setSavedFilters(response.filters))
+      .catch((err) => logger.error('Failed to load saved filters', err));
+  }, [token, workspaceId]);
+
+  const createFilter = useCallback(async (filterData) => {
+    const response = await filterService.createFilter(token, filterData);
+    setSavedFilters((current) => sortByName([...current, response.filter]));
+    return response.filter;
+  }, [token]);
+
+  const updateFilter = useCallback(async (filterId, filterData) => {
+    const response = await filterService.updateFilter(token, filterId, filterData);
+    setSavedFilters((current) => sortByName(current.map((item) => (item._id === filterId ? response.filter : item))));
+    return response.filter;
+  }, [token]);
+
+  const deleteFilter = useCallback(async (filterId) => {
+    await filterService.deleteFilter(token, filterId);
+    setSavedFilters((current) => current.filter((item) => item._id !== filterId));
+  }, [token]);
+
+  const value = useMemo(() => ({
+    savedFilters,
+    pinnedFilters: savedFilters.filter((item) => item.pinned),
+    getSavedFilter: (id) => savedFilters.find((item) => item._id === id),
+    createFilter,
+    updateFilter,
+    deleteFilter
+  }), [savedFilters, createFilter, updateFilter, deleteFilter]);
+
+  return (
+    <FilterContext.Provider value={value}>
+      {children}
+    </FilterContext.Provider>
+  );
+};
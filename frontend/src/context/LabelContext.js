@@ -0,0 +1,76 @@
+/**
+ * Label Context Provider
+ * Holds the active workspace's labels and keeps them in sync after edits
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { useWorkspace } from './WorkspaceContext';
+import { labelService } from '../api/labels';
+import { logger } from '../utils/logger';
+
+// Create label context
+const LabelContext = createContext();
+
+/**
+ * Custom hook to access the workspace's labels
+ * @returns {Object} Label context value
+ */
+export const useLabels = () => {
+  const context = useContext(LabelContext);
+  if (!context) {
+    throw new Error('useLabels must be used within a LabelProvider');
+  }
+  return context;
+};
+
+/**
+ * Label Provider Component
+ * Loads labels for the active workspace and exposes CRUD helpers
+ */
+export const LabelProvider = ({ children }) => {
+  const { token } = useAuth();
+  const { workspaceId } = useWorkspace();
+  const [labels, setLabels] = useState([]);
+
+  const sortByName = (list) => [...list].sort((a, b) => a.name.localeCompare(b.name));
+
+  useEffect(() => {
+    setLabels([]);
+    if (!token || !workspaceId) return;
+
+    labelService.getLabels(token)
+      .then((response) => setLabels(response.labels))
+      .catch((err) => logger.error('Failed to load labels', err));
+  }, [token, workspaceId]);
+
+  const createLabel = useCallback(async (labelData) => {
+    const response = await labelService.createLabel(token, labelData);
+    setLabels((current) => sortByName([...current, response.label]));
+    return response.label;
+  }, [token]);
+
+  const updateLabel = useCallback(async (labelId, labelData) => {
+    const response = await labelService.updateLabel(token, labelId, labelData);
+    setLabels((current) => sortByName(current.map((label) => (label._id === labelId ? response.label : label))));
+    return response.label;
+  }, [token]);
+
+  const deleteLabel = useCallback(async (labelId) => {
+    await labelService.deleteLabel(token, labelId);
+    setLabels((current) => current.filter((label) => label._id !== labelId));
+  }, [token]);
+
+  const value = useMemo(() => ({
+    labels,
+    getLabel: (id) => labels.find((label) => label._id === id),
+    createLabel,
+    updateLabel,
+    deleteLabel
+  }), [labels, createLabel, updateLabel, deleteLabel]);
+
+  return (
+    <LabelContext.Provider value={value}>
+      {children}
+    </LabelContext.Provider>
+  );
+};
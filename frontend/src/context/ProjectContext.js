@@ -0,0 +1,93 @@
+/**
+ * Project Context Provider
+ * Holds the active workspace's projects (archived included) and their open task counts
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { useWorkspace } from './WorkspaceContext';
+import { projectService } from '../api/projects';
+import { logger } from '../utils/logger';
+
+// Create project context
+const ProjectContext = createContext();
+
+/**
+ * Custom hook to access the workspace's projects
+ * @returns {Object} Project context value
+ */
+export const useProjects = () => {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error('useProjects must be used within a ProjectProvider');
+  }
+  return context;
+};
+
+/**
+ * Project Provider Component
+ * Loads projects for the active workspace and exposes CRUD helpers
+ */
+export const ProjectProvider = ({ children }) => {
+  const { token } = useAuth();
+  const { workspaceId } = useWorkspace();
+  const [projects, setProjects] = useState([]);
+
+  /**
+   * Reload projects, e.g. after tasks were added or moved so counts stay current
+   */
+  const refreshProjects = useCallback(async () => {
+    if (!token || !workspaceId) {
+      setProjects([]);
+      return;
+    }
+
+    try {
+      const response = await projectService.getProjects(token, { archived: true });
+      setProjects(response.projects);
+    } catch (err) {
+      logger.error('Failed to load projects', err);
+    }
+  }, [token, workspaceId]);
+
+  useEffect(() => {
+    setProjects([]);
+    refreshProjects();
+  }, [refreshProjects]);
+
+  const createProject = useCallback(async (projectData) => {
+    const response = await projectService.createProject(token, projectData);
+    const project = { ...response.project, taskCount: 0 };
+    setProjects((current) => [...current, project].sort((a, b) => a.name.localeCompare(b.name)));
+    return project;
+  }, [token]);
+
+  const updateProject = useCallback(async (projectId, projectData) => {
+    const response = await projectService.updateProject(token, projectId, projectData);
+    setProjects((current) => current
+      .map((project) => (project._id === projectId ? { ...project, ...response.project } : project))
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    return response.project;
+  }, [token]);
+
+  const deleteProject = useCallback(async (projectId, options) => {
+    const response = await projectService.deleteProject(token, projectId, options);
+    await refreshProjects();
+    return response;
+  }, [token, refreshProjects]);
+
+  const value = useMemo(() => ({
+    projects,
+    activeProjects: projects.filter((project) => !project.archived),
+    getProject: (id) => projects.find((project) => project._id === id),
+    refreshProjects,
+    createProject,
+    updateProject,
+    deleteProject
+  }), [projects, refreshProjects, createProject, updateProject, deleteProject]);
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  );
+};
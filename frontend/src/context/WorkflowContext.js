@@ -0,0 +1,67 @@
+/**
+ * Workflow Context Provider
+ * Loads the task workflow (states and transitions) from the API once per session
+ */
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { taskService } from '../api/tasks';
+import { logger } from '../utils/logger';
+
+// Create workflow context
+const WorkflowContext = createContext();
+
+/**
+ * Custom hook to access the task workflow
+ * @returns {Object} Workflow context value
+ */
+export const useWorkflow = () => {
+  const context = useContext(WorkflowContext);
+  if (!context) {
+    throw new Error('useWorkflow must be used within a WorkflowProvider');
+  }
+  return context;
+};
+
+/**
+ * Workflow Provider Component
+ * Fetches the workflow definition for the signed-in user and exposes lookup helpers
+ */
+export const WorkflowProvider = ({ children }) => {
+  const { token } = useAuth();
+  const [workflow, setWorkflow] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+
+    taskService.getWorkflow(token)
+      .then((response) => setWorkflow(response.workflow))
+      .catch((err) => logger.error('Failed to load task workflow', err));
+  }, [token]);
+
+  const value = useMemo(() => {
+    const states = workflow?.states || [];
+    const transitions = workflow?.transitions || {};
+
+    const getState = (key) => states.find((state) => state.key === key)
+      || { key, label: key, color: 'secondary', icon: '', done: false, closed: false };
+
+    return {
+      loaded: !!workflow,
+      states,
+      initial: workflow?.initial || '',
+      getState,
+      isDone: (key) => getState(key).done,
+      isClosed: (key) => getState(key).closed,
+      // States a task in `key` may move to, including its current state
+      nextStates: (key) => states.filter(
+        (state) => state.key === key || (transitions[key] || []).includes(state.key)
+      )
+    };
+  }, [workflow]);
+
+  return (
+    <WorkflowContext.Provider value={value}>
+      {children}
+    </WorkflowContext.Provider>
+  );
+};
@@ -0,0 +1,172 @@
+/**
+ * Workspace Context Provider
+ * Tracks the workspaces the user belongs to, the active one, its members and the user's role in it
+ */
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { workspaceService } from '../api/workspaces';
+import { invitationService } from '../api/invitations';
+import { setActiveWorkspaceId } from '../api/config';
+import { logger } from '../utils/logger';
+
+// Create workspace context
+const WorkspaceContext = createContext();
+
+// localStorage key remembering the last active workspace
+const WORKSPACE_STORAGE_KEY = 'workspaceId';
+
+/**
+ * Custom hook to access workspaces and permissions
+ * @returns {Object} Workspace context value
+ */
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
+
+/**
+ * Workspace Provider Component
+ * Loads the user's workspaces and pending invitations, and selects the workspace
+ * that task, project and label requests act on. Children that load workspace data
+ * should wait for workspaceId to be set.
+ */
+export const WorkspaceProvider = ({ children }) => {
+  const { token, user } = useAuth();
+  const emailVerified = !!user?.emailVerified;
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [members, setMembers] = useState([]);
+
+  /**
+   * Make a workspace active for subsequent API requests
+   */
+  const selectWorkspace = useCallback((id) => {
+    setActiveWorkspaceId(id);
+    setWorkspaceId(id);
+    if (id) {
+      localStorage.setItem(WORKSPACE_STORAGE_KEY, id);
+    }
+  }, []);
+
+  /**
+   * Reload the workspace list, keeping the active workspace when it still exists
+   */
+  const refreshWorkspaces = useCallback(async () => {
+    if (!token) return;
+
+    try {
+      const response = await workspaceService.getWorkspaces(token);
+      setWorkspaces(response.workspaces);
+
+      const stored = localStorage.getItem(WORKSPACE_STORAGE_KEY);
+      const current = response.workspaces.find((item) => item._id === stored) || response.workspaces[0];
+      selectWorkspace(current ? current._id : null);
+    } catch (err) {
+      logger.error('Failed to load workspaces', err);
+    }
+  }, [token, selectWorkspace]);
+
+  /**
+   * Reload the members of the active workspace (used for assignees and avatars)
+   */
+  const refreshMembers = useCallback(async () => {
+    if (!token || !workspaceId) {
+      setMembers([]);
+      return;
+    }
+
+    try {
+      const response = await workspaceService.getWorkspace(token, workspaceId);
+      setMembers(response.workspace.members);
+    } catch (err) {
+      logger.error('Failed to load workspace members', err);
+    }
+  }, [token, workspaceId]);
+
+  // Invitations are matched by email, so the API only lists them once it is verified
+  const refreshInvitations = useCallback(async () => {
+    if (!token || !emailVerified) {
+      setInvitations([]);
+      return;
+    }
+
+    try {
+      const response = await invitationService.getMyInvitations(token);
+      setInvitations(response.invitations);
+    } catch (err) {
+      logger.error('Failed to load invitations', err);
+    }
+  }, [token, emailVerified]);
+
+  useEffect(() => {
+    if (!token) {
+      setWorkspaces([]);
+      setInvitations([]);
+      setActiveWorkspaceId(null);
+      setWorkspaceId(null);
+      return;
+    }
+
+    refreshWorkspaces();
+    refreshInvitations();
+  }, [token, refreshWorkspaces, refreshInvitations]);
+
+  useEffect(() => {
+    setMembers([]);
+    refreshMembers();
+  }, [refreshMembers]);
+
+  const createWorkspace = useCallback(async (workspaceData) => {
+    const response = await workspaceService.createWorkspace(token, workspaceData);
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, response.workspace._id);
+    await refreshWorkspaces();
+    return response.workspace;
+  }, [token, refreshWorkspaces]);
+
+  const acceptInvitation = useCallback(async (invitationId) => {
+    const response = await invitationService.acceptInvitation(token, invitationId);
+    setInvitations((current) => current.filter((invitation) => invitation._id !== invitationId));
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, response.workspaceId);
+    await refreshWorkspaces();
+  }, [token, refreshWorkspaces]);
+
+  const declineInvitation = useCallback(async (invitationId) => {
+    await invitationService.declineInvitation(token, invitationId);
+    setInvitations((current) => current.filter((invitation) => invitation._id !== invitationId));
+  }, [token]);
+
+  const value = useMemo(() => {
+    const workspace = workspaces.find((item) => item._id === workspaceId) || null;
+
+    return {
+      workspaces,
+      workspace,
+      workspaceId,
+      selectWorkspace,
+      refreshWorkspaces,
+      createWorkspace,
+      // Whether the user's role in the active workspace grants a permission
+      can: (permission) => !!workspace && workspace.permissions.includes(permission),
+      members,
+      getMember: (userId) => members.find((member) => member.userId === userId),
+      currentMember: members.find((member) => member.isCurrentUser) || null,
+      refreshMembers,
+      invitations,
+      acceptInvitation,
+      declineInvitation
+    };
+  }, [
+    workspaces, workspaceId, selectWorkspace, refreshWorkspaces, createWorkspace,
+    members, refreshMembers, invitations, acceptInvitation, declineInvitation
+  ]);
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
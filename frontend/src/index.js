@@ -3,6 +3,10 @@ import ReactDOM from 'react-dom/client';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './index.css';
 import App from './App';
+import { captureGlobalErrors } from './utils/logger';
+
+// Report uncaught errors to the API (see utils/logger.js)
+captureGlobalErrors();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -1,44 +1,330 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useWorkflow } from '../context/WorkflowContext';
+import { useLabels } from '../context/LabelContext';
+import { useProjects } from '../context/ProjectContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { useSavedFilters } from '../context/FilterContext';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import { taskService } from '../api/tasks';
 import TaskForm from '../components/TaskForm';
 import TaskList from '../components/TaskList';
+import TaskBoard from '../components/TaskBoard';
+import LabelManager from '../components/LabelManager';
+import ProjectSidebar from '../components/ProjectSidebar';
+import SavedFilterList from '../components/SavedFilterList';
+import FilterBuilder from '../components/FilterBuilder';
+import WorkspaceSwitcher from '../components/WorkspaceSwitcher';
+import UndoToast from '../components/UndoToast';
+import BulkActionBar from '../components/BulkActionBar';
+import { LabelChip } from '../components/LabelChips';
+import EmailVerificationBanner from '../components/EmailVerificationBanner';
 import { logger } from '../utils/logger';
+import { PRIORITIES } from '../utils/priorities';
+import { findColumn, moveCard, replaceCard } from '../utils/board';
+import { EMPTY_FILTER_FORM, toFilterForm, toFilterPayload } from '../utils/filters';
+
+// Sort choices offered in the filter bar, as "field:order"
+const DEFAULT_SORT = 'createdAt:desc';
+const RELEVANCE_SORT = 'relevance:desc'; // Only offered while searching
+
+const SORT_OPTIONS = [
+  { value: RELEVANCE_SORT, label: 'Best match' },
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'updatedAt:desc', label: 'Recently updated' },
+  { value: 'dueDate:asc', label: 'Due date (soonest)' },
+  { value: 'priority:desc', label: 'Priority (highest)' },
+  { value: 'title:asc', label: 'Title A-Z' },
+  { value: 'title:desc', label: 'Title Z-A' }
+];
+
+const PAGE_SIZE = 20;
+
+// localStorage key remembering whether the grid or the board is shown
+const VIEW_STORAGE_KEY = 'taskView';
+
+/**
+ * Translate the due date filter into API query options
+ * @param {string} dueFilter - '', 'overdue', 'today' or 'week'
+ * @returns {Object} dueBefore/overdue query options
+ */
+const dueQuery = (dueFilter) => {
+  if (dueFilter === 'overdue') return { overdue: true };
+  if (!dueFilter) return {};
+
+  const end = new Date();
+  end.setHours(23, 59, 59, 999);
+  if (dueFilter === 'week') end.setDate(end.getDate() + 7);
+  return { dueBefore: end.toISOString() };
+};
 
 const Dashboard = () => {
   const { user, token, logout } = useAuth();
+  const { states, getState } = useWorkflow();
+  const { labels } = useLabels();
+  const { getProject, refreshProjects } = useProjects();
+  const { workspace, workspaceId, can, currentMember } = useWorkspace();
+  const { getSavedFilter, createFilter, updateFilter, deleteFilter } = useSavedFilters();
+  const { projectId, filterId } = useParams();
   const navigate = useNavigate();
+  const project = projectId ? getProject(projectId) : null;
+  const savedFilter = filterId ? getSavedFilter(filterId) : null;
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [taskFormErrors, setTaskFormErrors] = useState({});
   const [search, setSearch] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
+  const [priorityFilter, setPriorityFilter] = useState('');
+  const [dueFilter, setDueFilter] = useState('');
+  const [labelFilter, setLabelFilter] = useState([]);
+  const [labelMatch, setLabelMatch] = useState('any');
+  const [assigneeTab, setAssigneeTab] = useState('');
+  const [showLabelManager, setShowLabelManager] = useState(false);
+  const [showFilterBuilder, setShowFilterBuilder] = useState(false);
+  const [advancedFilter, setAdvancedFilter] = useState(EMPTY_FILTER_FORM); // Applied filter builder rules
+  const [sortOption, setSortOption] = useState(DEFAULT_SORT);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [view, setView] = useState(localStorage.getItem(VIEW_STORAGE_KEY) || 'grid');
+  const [boardColumns, setBoardColumns] = useState([]);
+  const [undo, setUndo] = useState(null); // { message, taskIds } of the tasks just moved to the trash
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null); // Last clicked task, start of Shift+click ranges
+  const [bulkBusy, setBulkBusy] = useState(false);
+  // Latest token for fetchTasks: a silent refresh should not reload the list
+  const tokenRef = useRef(token);
+  tokenRef.current = token;
+  const latestFetch = useRef(0); // Id of the newest fetchTasks call; older responses are dropped
+
+  // Opening a saved filter applies its rules; leaving it clears them
+  useEffect(() => {
+    setAdvancedFilter(toFilterForm(savedFilter?.filter || null));
+  }, [savedFilter]);
 
+  // Drop deleted labels from the label filter
   useEffect(() => {
-    fetchTasks();
-  }, [search, statusFilter]);
+    setLabelFilter((current) => {
+      const valid = current.filter((id) => labels.some((label) => label._id === id));
+      return valid.length === current.length ? current : valid;
+    });
+  }, [labels]);
 
-  const fetchTasks = async () => {
+  // Drop tasks that left the list (deleted, or no longer matching) from the selection
+  useEffect(() => {
+    setSelectedIds((current) => {
+      const valid = current.filter((id) => tasks.some((task) => task._id === id));
+      return valid.length === current.length ? current : valid;
+    });
+  }, [tasks]);
+
+  // Remember the chosen view between visits
+  useEffect(() => {
+    localStorage.setItem(VIEW_STORAGE_KEY, view);
+  }, [view]);
+
+  /**
+   * Build filter options for the task API from the current filter bar
+   */
+  const buildFilters = useCallback(() => ({
+    search,
+    status: statusFilter,
+    priority: priorityFilter,
+    labels: labelFilter,
+    labelMatch,
+    projectId,
+    assignee: assigneeTab,
+    filter: toFilterPayload(advancedFilter),
+    ...dueQuery(dueFilter)
+  }), [search, statusFilter, priorityFilter, labelFilter, labelMatch, projectId, assigneeTab, advancedFilter, dueFilter]);
+
+  /**
+   * Build list query options: filters plus sort and paging
+   */
+  const buildQuery = useCallback((cursor = '') => {
+    const [sort, order] = sortOption.split(':');
+    return { ...buildFilters(), sort, order, cursor, limit: PAGE_SIZE };
+  }, [buildFilters, sortOption]);
+
+  /**
+   * Load the first page of tasks (or the board), replacing the current data
+   * Only the newest call applies its response, so a slow answer to an older
+   * query cannot overwrite the current one.
+   */
+  const fetchTasks = useCallback(async () => {
+    const request = ++latestFetch.current;
     setLoading(true);
     setError('');
-    logger.info('Fetching tasks', { search, statusFilter });
+    logger.info('Fetching tasks', { view, projectId, search, statusFilter, priorityFilter, dueFilter, labelFilter, sortOption });
     
     try {
-      const response = await taskService.getTasks(token, search, statusFilter);
+      if (view === 'board') {
+        const response = await taskService.getBoard(tokenRef.current, buildFilters());
+        if (request !== latestFetch.current) return;
+        setBoardColumns(response.columns);
+        logger.info('Board fetched successfully', { columns: response.columns.length });
+        return;
+      }
+
+      const response = await taskService.getTasks(tokenRef.current, buildQuery());
+      if (request !== latestFetch.current) return;
       setTasks(response.tasks);
+      setNextCursor(response.nextCursor);
+      setHasMore(response.hasMore);
       logger.info('Tasks fetched successfully', { count: response.tasks.length });
     } catch (err) {
+      if (request !== latestFetch.current) return;
       const errorMessage = err.message || 'Failed to fetch tasks';
       setError(errorMessage);
       logger.error('Failed to fetch tasks', err);
     } finally {
-      setLoading(false);
+      if (request === latestFetch.current) setLoading(false);
+    }
+  }, [view, projectId, search, statusFilter, priorityFilter, dueFilter, labelFilter, sortOption, buildFilters, buildQuery]);
+
+  // Reload whenever the query changes
+  useEffect(() => {
+    // A new query starts with nothing selected
+    setSelectedIds([]);
+    setSelectionAnchor(null);
+    // Wait until the active workspace (and the saved filter being opened) is known
+    if (workspaceId && (!filterId || savedFilter)) fetchTasks();
+  }, [fetchTasks, workspaceId, filterId, savedFilter]);
+
+  /**
+   * Load the next page of tasks and append it to the list
+   */
+  const loadMoreTasks = async () => {
+    if (!hasMore || loadingMore) return;
+
+    setLoadingMore(true);
+    setError('');
+    logger.info('Loading more tasks', { cursor: nextCursor });
+
+    try {
+      const response = await taskService.getTasks(token, buildQuery(nextCursor));
+      setTasks((current) => [...current, ...response.tasks]);
+      setNextCursor(response.nextCursor);
+      setHasMore(response.hasMore);
+    } catch (err) {
+      const errorMessage = err.message || 'Failed to load more tasks';
+      setError(errorMessage);
+      logger.error('Failed to load more tasks', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Move a board card, updating the board optimistically
+   * The status change is rolled back if the server rejects it; the column
+   * order is then saved for the current user.
+   */
+  const handleMoveTask = async (taskId, toStatus, toIndex) => {
+    const previousColumns = boardColumns;
+    const fromStatus = findColumn(boardColumns, taskId)?.status;
+    const nextColumns = moveCard(boardColumns, taskId, toStatus, toIndex);
+    const column = nextColumns.find((item) => item.status === toStatus);
+
+    let nextTask = null; // Created when a repeating task is completed
+
+    setBoardColumns(nextColumns);
+    setError('');
+    logger.info('Moving task', { id: taskId, from: fromStatus, to: toStatus, index: toIndex });
+
+    if (fromStatus !== toStatus) {
+      try {
+        const response = await taskService.updateTask(token, taskId, { status: toStatus });
+        setBoardColumns((current) => replaceCard(current, response.task));
+        refreshProjects();
+        nextTask = response.nextTask;
+      } catch (err) {
+        setBoardColumns(previousColumns);
+        setError(err.message || 'Failed to move task');
+        logger.error('Failed to move task', err);
+        return;
+      }
+    }
+
+    try {
+      await taskService.reorderBoard(token, toStatus, column.tasks.map((task) => task._id));
+      if (nextTask) {
+        logger.info('Next occurrence created', { id: nextTask._id });
+        fetchTasks();
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to save board order');
+      logger.error('Failed to save board order', err);
+      fetchTasks();
+    }
+  };
+
+  /**
+   * Toggle a checklist item from a task card
+   */
+  const handleToggleChecklistItem = async (task, item) => {
+    setError('');
+    logger.info('Toggling checklist item', { id: task._id, itemId: item._id, done: !item.done });
+
+    try {
+      const response = await taskService.updateChecklistItem(token, task._id, item._id, { done: !item.done });
+      setTasks((current) => current.map((entry) => (entry._id === task._id ? response.task : entry)));
+      setBoardColumns((current) => replaceCard(current, response.task));
+    } catch (err) {
+      const errorMessage = err.message || 'Failed to update checklist item';
+      setError(errorMessage);
+      logger.error('Failed to update checklist item', err);
+    }
+  };
+
+  /**
+   * Assign the current user to a task, or remove them if already assigned
+   */
+  const handleToggleAssignMe = async (task) => {
+    const assigned = task.assignees.some((assignee) => assignee.userId === currentMember.userId);
+    setError('');
+    logger.info(assigned ? 'Unassigning self' : 'Assigning self', { id: task._id });
+
+    try {
+      const response = assigned
+        ? await taskService.unassignTask(token, task._id, currentMember.userId)
+        : await taskService.assignTask(token, task._id, currentMember.userId);
+
+      // Leaving the "Assigned to me" tab's scope removes the card from it
+      if (assigneeTab === 'me' && assigned) {
+        setTasks((current) => current.filter((entry) => entry._id !== task._id));
+      } else {
+        setTasks((current) => current.map((entry) => (entry._id === task._id ? response.task : entry)));
+      }
+    } catch (err) {
+      const errorMessage = err.message || 'Failed to update assignees';
+      setError(errorMessage);
+      logger.error('Failed to update assignees', err);
     }
   };
 
+  /**
+   * Update the search, ranking by relevance while searching unless another order was picked
+   */
+  const handleSearchChange = (value) => {
+    setSearch(value);
+    if (value && !search && sortOption === DEFAULT_SORT) setSortOption(RELEVANCE_SORT);
+    if (!value && sortOption === RELEVANCE_SORT) setSortOption(DEFAULT_SORT);
+  };
+
+  /**
+   * Add or remove a label from the label filter
+   */
+  const toggleLabelFilter = (labelId) => {
+    setLabelFilter((current) => (current.includes(labelId)
+      ? current.filter((id) => id !== labelId)
+      : [...current, labelId]));
+  };
+
   const handleCreateTask = async (taskData) => {
     setLoading(true);
     setError('');
@@ -49,9 +335,11 @@ const Dashboard = () => {
       setShowForm(false);
       logger.info('Task created successfully', { title: taskData.title });
       fetchTasks();
+      refreshProjects();
     } catch (err) {
       const errorMessage = err.message || 'Failed to create task';
       setError(errorMessage);
+      setTaskFormErrors(err.fields || {});
       logger.error('Failed to create task', err);
     } finally {
       setLoading(false);
@@ -69,26 +357,31 @@ const Dashboard = () => {
       setShowForm(false);
       logger.info('Task updated successfully', { id: editingTask._id });
       fetchTasks();
+      refreshProjects();
     } catch (err) {
       const errorMessage = err.message || 'Failed to update task';
       setError(errorMessage);
+      setTaskFormErrors(err.fields || {});
       logger.error('Failed to update task', err);
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Move a task to the trash and offer to undo it
+   */
   const handleDeleteTask = async (taskId) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) return;
-    
     setLoading(true);
     setError('');
     logger.info('Deleting task', { id: taskId });
     
     try {
-      await taskService.deleteTask(token, taskId);
-      logger.info('Task deleted successfully', { id: taskId });
+      const response = await taskService.deleteTask(token, taskId);
+      logger.info('Task moved to trash', { id: taskId });
+      setUndo({ message: `"${response.task.title}" moved to the trash`, taskIds: [taskId] });
       fetchTasks();
+      refreshProjects();
     } catch (err) {
       const errorMessage = err.message || 'Failed to delete task';
       setError(errorMessage);
@@ -98,25 +391,159 @@ const Dashboard = () => {
     }
   };
 
+  /**
+   * Restore the tasks deleted last (Undo in the toast)
+   */
+  const handleUndoDelete = async () => {
+    const { taskIds } = undo;
+    setUndo(null);
+    setError('');
+    logger.info('Restoring tasks', { ids: taskIds });
+
+    try {
+      await Promise.all(taskIds.map((taskId) => taskService.restoreTask(token, taskId)));
+      logger.info('Tasks restored', { count: taskIds.length });
+      fetchTasks();
+      refreshProjects();
+    } catch (err) {
+      const errorMessage = err.message || 'Failed to restore task';
+      setError(errorMessage);
+      logger.error('Failed to restore task', err);
+    }
+  };
+
+  /**
+   * Select or unselect a task in the list
+   * With Shift held, every task between the last clicked one and this one
+   * takes the same state.
+   */
+  const handleToggleSelect = (taskId, range) => {
+    const select = !selectedIds.includes(taskId);
+    let ids = [taskId];
+
+    const anchorIndex = range && selectionAnchor ? tasks.findIndex((task) => task._id === selectionAnchor) : -1;
+    if (anchorIndex !== -1) {
+      const index = tasks.findIndex((task) => task._id === taskId);
+      ids = tasks
+        .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        .map((task) => task._id);
+    }
+
+    setSelectedIds((current) => (select
+      ? [...new Set([...current, ...ids])]
+      : current.filter((id) => !ids.includes(id))));
+    setSelectionAnchor(taskId);
+  };
+
+  /**
+   * Apply a toolbar action to the selected tasks
+   * The server applies it to all of them or to none; when it refuses, the
+   * tasks that blocked it are listed and the selection is kept.
+   */
+  const handleBulkAction = async (action, params = {}) => {
+    const taskIds = selectedIds;
+    setBulkBusy(true);
+    setError('');
+    logger.info('Applying bulk action', { action, count: taskIds.length });
+
+    try {
+      const response = await taskService.bulkUpdate(token, taskIds, action, params);
+      logger.info('Bulk action applied', { action, updated: response.tasks.length });
+      setSelectedIds([]);
+      setSelectionAnchor(null);
+      if (action === 'delete') {
+        setUndo({
+          message: `${taskIds.length} task${taskIds.length !== 1 ? 's' : ''} moved to the trash`,
+          taskIds
+        });
+      }
+      fetchTasks();
+      refreshProjects();
+    } catch (err) {
+      const failures = (err.extra?.results || [])
+        .filter((result) => result.status === 'failed')
+        .map((result) => {
+          const task = tasks.find((item) => item._id === result.id);
+          return `${task ? `"${task.title}"` : result.id}: ${result.message}`;
+        });
+      setError([err.message || 'Failed to update tasks', ...failures].join('\n'));
+      logger.error('Failed to apply bulk action', err);
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  /**
+   * Save the filter builder's rules as a new smart list and open it
+   */
+  const handleSaveFilter = async ({ name, pinned }, form) => {
+    const created = await createFilter({ name, pinned, filter: toFilterPayload(form) });
+    logger.info('Filter saved', { id: created._id, name });
+    navigate(`/filters/${created._id}`);
+  };
+
+  /**
+   * Save new rules for the open saved filter, or pin/unpin it
+   */
+  const handleUpdateFilter = async ({ form, pinned }) => {
+    await updateFilter(savedFilter._id, form ? { filter: toFilterPayload(form) } : { pinned });
+    logger.info('Filter updated', { id: savedFilter._id });
+  };
+
+  const handleDeleteFilter = async () => {
+    if (!window.confirm(`Delete the saved filter "${savedFilter.name}"?`)) return;
+
+    setError('');
+    try {
+      await deleteFilter(savedFilter._id);
+      logger.info('Filter deleted', { id: savedFilter._id });
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err.message || 'Failed to delete filter');
+      logger.error('Failed to delete filter', err);
+    }
+  };
+
   const handleEditTask = (task) => {
     logger.info('Editing task', { id: task._id, title: task.title });
     setEditingTask(task);
+    setTaskFormErrors({});
     setShowForm(true);
   };
 
+  /**
+   * Leave a deleted project's page, following its tasks if they were moved
+   */
+  const handleProjectDeleted = (deletedProject, result) => {
+    if (deletedProject._id !== projectId) {
+      fetchTasks();
+      return;
+    }
+
+    const target = result.tasks.targetProjectId;
+    navigate(target ? `/projects/${target}` : '/dashboard');
+  };
+
   const handleLogout = () => {
     logger.info('User logging out', { user: user?.email });
     logout();
     navigate('/login');
   };
 
+  const boardTotal = boardColumns.reduce((sum, column) => sum + column.total, 0);
+  const readOnly = !can('tasks:edit');
+
   return (
     <div className="min-vh-100 bg-light">
       <nav className="navbar navbar-expand-lg navbar-dark bg-primary">
         <div className="container">
           <span className="navbar-brand">Primetrade Task Manager</span>
-          <div className="navbar-nav ms-auto">
+          <div className="navbar-nav ms-auto align-items-center">
+            <WorkspaceSwitcher />
             <span className="navbar-text me-3">Welcome, {user?.name}</span>
+            <Link to="/security" className="btn btn-outline-light btn-sm me-2" title="Profile, password, two-factor authentication and signed-in devices">
+              🔐 Security
+            </Link>
             <button className="btn btn-outline-light btn-sm" onClick={handleLogout}>
               Logout
             </button>
@@ -125,8 +552,9 @@ const Dashboard = () => {
       </nav>
 
       <div className="container py-4">
+        <EmailVerificationBanner />
         {error && (
-          <div className="alert alert-danger alert-dismissible" role="alert">
+          <div className="alert alert-danger alert-dismissible" role="alert" style={{ whiteSpace: 'pre-line' }}>
             {error}
             <button 
               type="button" 
@@ -137,116 +565,364 @@ const Dashboard = () => {
           </div>
         )}
 
-        {/* Task Management Section */}
-        <div className="row mb-4">
-          <div className="col-12">
-            <div className="card">
-              <div className="card-body">
-                <div className="d-flex justify-content-between align-items-center mb-4">
-                  <div>
-                    <h2 className="card-title mb-1">My Tasks</h2>
-                    <p className="text-muted mb-0">Manage your daily tasks efficiently</p>
-                  </div>
-                  <button
-                    className={`btn ${showForm ? 'btn-outline-secondary' : 'btn-primary'}`}
-                    onClick={() => {
-                      setEditingTask(null);
-                      setShowForm(!showForm);
-                    }}
-                  >
-                    {showForm ? 'Cancel' : 'Add Task'}
-                  </button>
-                </div>
+        <div className="row">
+          <div className="col-lg-3">
+            <ProjectSidebar currentProjectId={projectId} onDeleted={handleProjectDeleted} />
+            <SavedFilterList />
+          </div>
+          <div className="col-lg-9">
+            {/* Task Management Section */}
+            <div className="row mb-4">
+              <div className="col-12">
+                <div className="card">
+                  <div className="card-body">
+                    <div className="d-flex justify-content-between align-items-center mb-4">
+                      <div>
+                        <h2 className="card-title mb-1">
+                          {project && (
+                            <>
+                              <span className="me-2" style={{ color: project.color }}>●</span>
+                              {project.name}
+                              {project.archived && <span className="badge bg-secondary fs-6 ms-2 align-middle">Archived</span>}
+                            </>
+                          )}
+                          {savedFilter && `⭐ ${savedFilter.name}`}
+                          {!project && !savedFilter && (workspace && !workspace.personal ? workspace.name : 'My Tasks')}
+                        </h2>
+                        <p className="text-muted mb-0">
+                          {project && 'Tasks in this project'}
+                          {savedFilter && 'Tasks matching this saved filter'}
+                          {!project && !savedFilter && 'Manage your daily tasks efficiently'}
+                          {readOnly && <span className="badge bg-secondary ms-2">View only</span>}
+                        </p>
+                      </div>
+                      <div className="d-flex gap-2">
+                        {can('labels:manage') && (
+                          <button
+                            className={`btn ${showLabelManager ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                            onClick={() => setShowLabelManager(!showLabelManager)}
+                          >
+                            🏷️ Labels
+                          </button>
+                        )}
+                        <button
+                          className={`btn ${showFilterBuilder ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                          onClick={() => setShowFilterBuilder(!showFilterBuilder)}
+                        >
+                          🧰 Filters
+                          {advancedFilter.rules.length > 0 && (
+                            <span className="badge bg-primary ms-1">{advancedFilter.rules.length}</span>
+                          )}
+                        </button>
+                        <div className="btn-group" role="group" aria-label="Task view">
+                          <button
+                            className={`btn ${view === 'grid' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                            onClick={() => setView('grid')}
+                          >
+                            ▦ Grid
+                          </button>
+                          <button
+                            className={`btn ${view === 'board' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                            onClick={() => setView('board')}
+                          >
+                            ▥ Board
+                          </button>
+                        </div>
+                        <Link to="/trash" className="btn btn-outline-secondary" title="Deleted tasks">
+                          🗑️ Trash
+                        </Link>
+                        {!readOnly && (
+                          <button
+                            className={`btn ${showForm ? 'btn-outline-secondary' : 'btn-primary'}`}
+                            onClick={() => {
+                              setEditingTask(null);
+                              setTaskFormErrors({});
+                              setShowForm(!showForm);
+                            }}
+                          >
+                            {showForm ? 'Cancel' : 'Add Task'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Assignment Tabs */}
+                <ul className="nav nav-tabs mb-3">
+                  <li className="nav-item">
+                    <button
+                      className={`nav-link ${assigneeTab === '' ? 'active' : ''}`}
+                      onClick={() => setAssigneeTab('')}
+                    >
+                      All tasks
+                    </button>
+                  </li>
+                  <li className="nav-item">
+                    <button
+                      className={`nav-link ${assigneeTab === 'me' ? 'active' : ''}`}
+                      onClick={() => setAssigneeTab('me')}
+                    >
+                      🙋 Assigned to me
+                    </button>
+                  </li>
+                  <li className="nav-item">
+                    <button
+                      className={`nav-link ${assigneeTab === 'unassigned' ? 'active' : ''}`}
+                      onClick={() => setAssigneeTab('unassigned')}
+                    >
+                      Unassigned
+                    </button>
+                  </li>
+                </ul>
 
                 {/* Search and Filter */}
-                <div className="row mb-4">
-                  <div className="col-md-6 mb-2">
-                    <div className="input-group">
-                      <span className="input-group-text">
-                        🔍
-                      </span>
-                      <input
-                        type="text"
-                        className="form-control"
-                        placeholder="Search tasks by title or description..."
-                        value={search}
-                        onChange={(e) => setSearch(e.target.value)}
+                    <div className="row mb-4">
+                      <div className="col-md-3 mb-2">
+                        <div className="input-group">
+                          <span className="input-group-text">
+                            🔍
+                          </span>
+                          <input
+                            type="text"
+                            className="form-control"
+                            placeholder="Search tasks..."
+                            title={'Words match as prefixes. Use "quotes" for phrases, title: or description: for one field, '
+                              + 'and status:, priority:, label:, project: or assignee:me to filter'}
+                            value={search}
+                            onChange={(e) => handleSearchChange(e.target.value)}
+                          />
+                          {search && (
+                            <button 
+                              className="btn btn-outline-secondary" 
+                              type="button"
+                              onClick={() => handleSearchChange('')}
+                            >
+                              ✕
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      <div className="col-md-2 mb-2">
+                        <div className="input-group">
+                          <span className="input-group-text">
+                            📊
+                          </span>
+                          <select
+                            className="form-select"
+                            value={statusFilter}
+                            onChange={(e) => setStatusFilter(e.target.value)}
+                          >
+                            <option value="">All Tasks</option>
+                            {states.map((state) => (
+                              <option key={state.key} value={state.key}>
+                                {state.icon} {state.label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                      <div className="col-md-2 mb-2">
+                        <select
+                          className="form-select"
+                          value={priorityFilter}
+                          onChange={(e) => setPriorityFilter(e.target.value)}
+                          aria-label="Filter by priority"
+                        >
+                          <option value="">Any priority</option>
+                          {PRIORITIES.map((priority) => (
+                            <option key={priority.value} value={priority.value}>
+                              {priority.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="col-md-2 mb-2">
+                        <select
+                          className="form-select"
+                          value={dueFilter}
+                          onChange={(e) => setDueFilter(e.target.value)}
+                          aria-label="Filter by due date"
+                        >
+                          <option value="">Any due date</option>
+                          <option value="overdue">🔴 Overdue</option>
+                          <option value="today">Due today</option>
+                          <option value="week">Due this week</option>
+                        </select>
+                      </div>
+                      <div className="col-md-3 mb-2">
+                        <div className="input-group">
+                          <span className="input-group-text">
+                            ↕️
+                          </span>
+                          <select
+                            className="form-select"
+                            value={sortOption}
+                            onChange={(e) => setSortOption(e.target.value)}
+                            disabled={view === 'board'}
+                            title={view === 'board' ? 'Drag cards to order the board' : undefined}
+                            aria-label="Sort tasks"
+                          >
+                            {SORT_OPTIONS.filter((option) => search || option.value !== RELEVANCE_SORT).map((option) => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Label Filter */}
+                    {labels.length > 0 && (
+                      <div className="d-flex flex-wrap align-items-center mb-3">
+                        <small className="text-muted me-2">Labels:</small>
+                        {labels.map((label) => (
+                          <LabelChip
+                            key={label._id}
+                            label={label}
+                            outline={!labelFilter.includes(label._id)}
+                            onClick={() => toggleLabelFilter(label._id)}
+                          />
+                        ))}
+                        {labelFilter.length > 1 && (
+                          <select
+                            className="form-select form-select-sm w-auto ms-2"
+                            value={labelMatch}
+                            onChange={(e) => setLabelMatch(e.target.value)}
+                            aria-label="Label match mode"
+                          >
+                            <option value="any">Match any</option>
+                            <option value="all">Match all</option>
+                          </select>
+                        )}
+                      </div>
+                    )}
+
+                    {showLabelManager && can('labels:manage') && <LabelManager />}
+
+                    {showFilterBuilder && (
+                      <FilterBuilder
+                        value={advancedFilter}
+                        onApply={setAdvancedFilter}
+                        savedFilter={savedFilter}
+                        onSave={handleSaveFilter}
+                        onUpdate={handleUpdateFilter}
+                        onDelete={handleDeleteFilter}
                       />
-                      {search && (
+                    )}
+
+                    {/* Results Summary */}
+                    <div className="d-flex justify-content-between align-items-center mb-3">
+                      <small className="text-muted">
+                        {loading ? 'Loading...' : view === 'board'
+                          ? `Showing ${boardTotal} task${boardTotal !== 1 ? 's' : ''} on the board`
+                          : `Showing ${tasks.length}${hasMore ? '+' : ''} task${tasks.length !== 1 ? 's' : ''}`}
+                        {search && ` matching "${search}"`}
+                        {statusFilter && ` with status "${getState(statusFilter).label}"`}
+                        {priorityFilter && ` with ${priorityFilter} priority`}
+                        {dueFilter === 'overdue' && ' that are overdue'}
+                    {assigneeTab === 'me' && ' assigned to you'}
+                    {assigneeTab === 'unassigned' && ' without assignees'}
+                        {labelFilter.length > 0 && ` with ${labelMatch === 'all' && labelFilter.length > 1 ? 'all' : 'any'} of ${labelFilter.length} label${labelFilter.length !== 1 ? 's' : ''}`}
+                        {advancedFilter.rules.length > 0 && ` matching ${advancedFilter.match} of ${advancedFilter.rules.length} filter rule${advancedFilter.rules.length !== 1 ? 's' : ''}`}
+                      </small>
+                      {(search || statusFilter || priorityFilter || dueFilter || labelFilter.length > 0 || advancedFilter.rules.length > 0) && (
                         <button 
-                          className="btn btn-outline-secondary" 
-                          type="button"
-                          onClick={() => setSearch('')}
+                          className="btn btn-sm btn-outline-secondary"
+                          onClick={() => {
+                            handleSearchChange('');
+                            setStatusFilter('');
+                            setPriorityFilter('');
+                            setDueFilter('');
+                            setLabelFilter([]);
+                            setAdvancedFilter(EMPTY_FILTER_FORM);
+                            if (filterId) navigate('/dashboard');
+                          }}
                         >
-                          ✕
+                          Clear Filters
                         </button>
                       )}
                     </div>
-                  </div>
-                  <div className="col-md-6 mb-2">
-                    <div className="input-group">
-                      <span className="input-group-text">
-                        📊
-                      </span>
-                      <select
-                        className="form-select"
-                        value={statusFilter}
-                        onChange={(e) => setStatusFilter(e.target.value)}
-                      >
-                        <option value="">All Tasks</option>
-                        <option value="pending">⏳ Pending</option>
-                        <option value="completed">✅ Completed</option>
-                      </select>
-                    </div>
-                  </div>
-                </div>
 
-                {/* Results Summary */}
-                <div className="d-flex justify-content-between align-items-center mb-3">
-                  <small className="text-muted">
-                    {loading ? 'Loading...' : `Showing ${tasks.length} task${tasks.length !== 1 ? 's' : ''}`}
-                    {search && ` matching "${search}"`}
-                    {statusFilter && ` with status "${statusFilter}"`}
-                  </small>
-                  {(search || statusFilter) && (
-                    <button 
-                      className="btn btn-sm btn-outline-secondary"
-                      onClick={() => {
-                        setSearch('');
-                        setStatusFilter('');
-                      }}
-                    >
-                      Clear Filters
-                    </button>
-                  )}
+                    {/* Task Form */}
+                    {showForm && !readOnly && (
+                      <div className="border rounded p-4 bg-light">
+                        <h5 className="mb-3">
+                          {editingTask ? 'Edit Task' : 'Create New Task'}
+                        </h5>
+                        <TaskForm
+                          onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
+                          initialData={editingTask}
+                          loading={loading}
+                          defaultProjectId={projectId || ''}
+                          serverErrors={taskFormErrors}
+                        />
+                      </div>
+                    )}
+                  </div>
                 </div>
+              </div>
+            </div>
 
-                {/* Task Form */}
-                {showForm && (
-                  <div className="border rounded p-4 bg-light">
-                    <h5 className="mb-3">
-                      {editingTask ? 'Edit Task' : 'Create New Task'}
-                    </h5>
-                    <TaskForm
-                      onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
-                      initialData={editingTask}
-                      loading={loading}
-                    />
-                  </div>
+            {/* Task Board or List */}
+            {view === 'board' ? (
+              <TaskBoard
+                columns={boardColumns}
+                onMove={handleMoveTask}
+                onEdit={handleEditTask}
+                onDelete={handleDeleteTask}
+                loading={loading}
+                readOnly={readOnly}
+              />
+            ) : (
+              <>
+                {selectedIds.length > 0 && !readOnly && (
+                  <BulkActionBar
+                    count={selectedIds.length}
+                    total={tasks.length}
+                    onAction={handleBulkAction}
+                    onSelectAll={() => setSelectedIds(tasks.map((task) => task._id))}
+                    onClear={() => setSelectedIds([])}
+                    busy={bulkBusy}
+                  />
                 )}
+                <TaskList
+                  tasks={tasks}
+                  onEdit={handleEditTask}
+                  onDelete={handleDeleteTask}
+                  onToggleChecklistItem={readOnly ? null : handleToggleChecklistItem}
+                  onToggleAssignMe={handleToggleAssignMe}
+                  selectedIds={selectedIds}
+                  onToggleSelect={handleToggleSelect}
+                  loading={loading}
+                  readOnly={readOnly}
+                />
+              </>
+            )}
+
+            {/* Pagination */}
+            {view === 'grid' && !loading && hasMore && (
+              <div className="text-center mb-4">
+                <button
+                  className="btn btn-outline-primary"
+                  onClick={loadMoreTasks}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
               </div>
-            </div>
+            )}
           </div>
         </div>
+      </div>
 
-        {/* Task List */}
-        <TaskList
-          tasks={tasks}
-          onEdit={handleEditTask}
-          onDelete={handleDeleteTask}
-          loading={loading}
+      {undo && (
+        <UndoToast
+          key={undo.taskIds.join(',')}
+          message={undo.message}
+          onUndo={handleUndoDelete}
+          onClose={() => setUndo(null)}
         />
-      </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,327 @@
+/**
+ * Security Settings Page
+ * Profile (name and email, changed in two steps), password change, two-factor
+ * authentication, and the devices signed in to the account, each of which can
+ * be signed out
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../api/auth';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import { describeDevice } from '../utils/devices';
+import { validateEmail, validatePassword, validateRequired } from '../utils/validation';
+import { logger } from '../utils/logger';
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const SecuritySettings = () => {
+  const { user, token, logout, updateUser } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [profile, setProfile] = useState({ name: '', email: '' });
+  const [profileError, setProfileError] = useState('');
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [passwordError, setPasswordError] = useState('');
+  const [changingPassword, setChangingPassword] = useState(false);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authService.getSessions(token);
+      setSessions(response.sessions);
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions');
+      logger.error('Failed to load sessions', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  // Fill the profile form once the user is loaded, and after each change
+  useEffect(() => {
+    if (user) setProfile({ name: user.name, email: user.email });
+  }, [user]);
+
+  /**
+   * Save the profile; a new email is only applied once confirmed from its link
+   */
+  const saveProfile = async (changes) => {
+    setNotice('');
+    setProfileError('');
+    setSavingProfile(true);
+    try {
+      const response = await authService.updateProfile(token, changes);
+      logger.info('Profile updated', { pendingEmail: response.user.pendingEmail });
+      updateUser(response.user);
+      setNotice(response.message);
+    } catch (err) {
+      setProfileError(err.message || 'Failed to update profile');
+      logger.error('Failed to update profile', err);
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handleSaveProfile = (e) => {
+    e.preventDefault();
+
+    if (!validateRequired(profile.name)) {
+      setProfileError('Name is required');
+      return;
+    }
+    if (!validateEmail(profile.email)) {
+      setProfileError('Please enter a valid email');
+      return;
+    }
+
+    saveProfile({ name: profile.name.trim(), email: profile.email.trim() });
+  };
+
+  // Keeping the current email cancels the pending change
+  const handleCancelEmailChange = () => saveProfile({ name: user.name, email: user.email });
+
+  const handleResendVerification = async () => {
+    setNotice('');
+    setProfileError('');
+    try {
+      const response = await authService.resendVerification(token);
+      setNotice(response.message);
+    } catch (err) {
+      setProfileError(err.message || 'Failed to send verification link');
+      logger.error('Failed to resend verification link', err);
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswords({ ...passwords, [e.target.name]: e.target.value });
+    if (passwordError) setPasswordError('');
+  };
+
+  /**
+   * Change the password; the server signs every other device out
+   */
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setNotice('');
+
+    if (!passwords.currentPassword) {
+      setPasswordError('Enter your current password');
+      return;
+    }
+    if (!validatePassword(passwords.newPassword)) {
+      setPasswordError('The new password must be at least 6 characters');
+      return;
+    }
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordError('Passwords do not match');
+      return;
+    }
+
+    setChangingPassword(true);
+    try {
+      const response = await authService.changePassword(token, {
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword
+      });
+      logger.info('Password changed', { signedOut: response.signedOut });
+      setPasswords(EMPTY_PASSWORDS);
+      setNotice(response.signedOut > 0
+        ? `Password changed. ${response.signedOut} other device${response.signedOut !== 1 ? 's were' : ' was'} signed out`
+        : 'Password changed');
+      fetchSessions();
+    } catch (err) {
+      setPasswordError(err.message || 'Failed to change password');
+      logger.error('Failed to change password', err);
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  /**
+   * Sign a device out; signing out this device ends the current session
+   */
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      if (!window.confirm('Sign out of this device?')) return;
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    setError('');
+    setNotice('');
+    try {
+      await authService.revokeSession(token, session._id);
+      logger.info('Session revoked', { id: session._id });
+      setSessions((current) => current.filter((item) => item._id !== session._id));
+      setNotice(`${describeDevice(session.userAgent)} was signed out`);
+    } catch (err) {
+      setError(err.message || 'Failed to revoke session');
+      logger.error('Failed to revoke session', err);
+    }
+  };
+
+  return (
+    <div className="container py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h2 className="mb-1">🔐 Security</h2>
+          <p className="text-muted mb-0">Your profile, password, two-factor authentication and signed-in devices</p>
+        </div>
+        <Link to="/dashboard" className="btn btn-outline-secondary">← Back to tasks</Link>
+      </div>
+
+      {error && (
+        <div className="alert alert-danger alert-dismissible" role="alert">
+          {error}
+          <button type="button" className="btn-close" onClick={() => setError('')} aria-label="Close"></button>
+        </div>
+      )}
+      {notice && (
+        <div className="alert alert-success alert-dismissible" role="alert">
+          {notice}
+          <button type="button" className="btn-close" onClick={() => setNotice('')} aria-label="Close"></button>
+        </div>
+      )}
+
+      <div className="card mb-4">
+        <div className="card-header fw-semibold">👤 Profile</div>
+        <div className="card-body">
+          {user?.pendingEmail && (
+            <div className="alert alert-info d-flex flex-wrap align-items-center gap-2 py-2 small">
+              <span className="me-auto">
+                Waiting for you to confirm <strong>{user.pendingEmail}</strong>. Your email stays {user.email} until then.
+              </span>
+              <button type="button" className="btn btn-sm btn-outline-primary" onClick={handleResendVerification}>
+                Resend link
+              </button>
+              <button type="button" className="btn btn-sm btn-outline-secondary" onClick={handleCancelEmailChange} disabled={savingProfile}>
+                Cancel change
+              </button>
+            </div>
+          )}
+          <form onSubmit={handleSaveProfile} style={{ maxWidth: '24rem' }}>
+            {profileError && <div className="alert alert-danger py-2 small">{profileError}</div>}
+            <div className="mb-2">
+              <label htmlFor="profileName" className="form-label">Name</label>
+              <input
+                type="text"
+                className="form-control"
+                id="profileName"
+                value={profile.name}
+                onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+              />
+            </div>
+            <div className="mb-3">
+              <label htmlFor="profileEmail" className="form-label">
+                Email
+                {user && !user.emailVerified && <span className="badge bg-warning text-dark ms-2">Not verified</span>}
+              </label>
+              <input
+                type="email"
+                className="form-control"
+                id="profileEmail"
+                value={profile.email}
+                onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+              />
+              <div className="form-text">A new email is used once you confirm it from the link we send to it.</div>
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={savingProfile || !user}>
+              {savingProfile ? 'Saving...' : 'Save profile'}
+            </button>
+          </form>
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header fw-semibold">🔑 Password</div>
+        <div className="card-body">
+          <form onSubmit={handleChangePassword} style={{ maxWidth: '24rem' }}>
+            {passwordError && <div className="alert alert-danger py-2 small">{passwordError}</div>}
+            <div className="mb-2">
+              <label htmlFor="currentPassword" className="form-label">Current password</label>
+              <input
+                type="password"
+                className="form-control"
+                id="currentPassword"
+                name="currentPassword"
+                value={passwords.currentPassword}
+                onChange={handlePasswordChange}
+                autoComplete="current-password"
+              />
+            </div>
+            <div className="mb-2">
+              <label htmlFor="newPassword" className="form-label">New password</label>
+              <input
+                type="password"
+                className="form-control"
+                id="newPassword"
+                name="newPassword"
+                value={passwords.newPassword}
+                onChange={handlePasswordChange}
+                autoComplete="new-password"
+              />
+            </div>
+            <div className="mb-3">
+              <label htmlFor="confirmPassword" className="form-label">Confirm new password</label>
+              <input
+                type="password"
+                className="form-control"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={passwords.confirmPassword}
+                onChange={handlePasswordChange}
+                autoComplete="new-password"
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={changingPassword}>
+              {changingPassword ? 'Saving...' : 'Change password'}
+            </button>
+            <div className="form-text">Other devices are signed out when the password changes.</div>
+          </form>
+        </div>
+      </div>
+
+      <TwoFactorSettings />
+
+      <div className="card">
+        <div className="card-header fw-semibold">💻 Sessions</div>
+        <ul className="list-group list-group-flush">
+          {sessions.map((session) => (
+            <li key={session._id} className="list-group-item d-flex align-items-center flex-wrap gap-2">
+              <div className="me-auto">
+                <div className="fw-semibold">
+                  {describeDevice(session.userAgent)}
+                  {session.current && <span className="badge bg-success ms-2">This device</span>}
+                </div>
+                <small className="text-muted">
+                  {session.ip && `${session.ip} · `}
+                  Signed in {new Date(session.createdAt).toLocaleString()}
+                  {' · '}Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </small>
+              </div>
+              <button className="btn btn-sm btn-outline-danger" onClick={() => handleRevoke(session)}>
+                Sign out
+              </button>
+            </li>
+          ))}
+          {!loading && sessions.length === 0 && (
+            <li className="list-group-item text-muted">No active sessions.</li>
+          )}
+          {loading && <li className="list-group-item text-muted">Loading...</li>}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default SecuritySettings;
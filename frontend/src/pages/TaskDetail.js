@@ -0,0 +1,206 @@
+/**
+ * Task Detail Page
+ * Everything about one task with its comment thread and change history
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useWorkflow } from '../context/WorkflowContext';
+import { useProjects } from '../context/ProjectContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { taskService } from '../api/tasks';
+import DueBadge from '../components/DueBadge';
+import LabelChips from '../components/LabelChips';
+import ChecklistProgress from '../components/ChecklistProgress';
+import AssigneeAvatars from '../components/AssigneeAvatars';
+import CommentThread from '../components/CommentThread';
+import TaskHistory from '../components/TaskHistory';
+import { getPriority } from '../utils/priorities';
+import { describeRecurrence } from '../utils/recurrence';
+import { logger } from '../utils/logger';
+
+const TaskDetail = () => {
+  const { taskId } = useParams();
+  const { token } = useAuth();
+  const { getState } = useWorkflow();
+  const { getProject } = useProjects();
+  const { workspaces, workspaceId, selectWorkspace, can, getMember } = useWorkspace();
+  const [task, setTask] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [tab, setTab] = useState('comments');
+
+  const fetchTask = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await taskService.getTask(token, taskId);
+      setTask(response.task);
+    } catch (err) {
+      setError(err.message || 'Failed to load task');
+      logger.error('Failed to load task', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, taskId]);
+
+  useEffect(() => {
+    fetchTask();
+  }, [fetchTask]);
+
+  // Links may point at a task of another workspace; switch to it so labels,
+  // projects, members and permissions match the task
+  useEffect(() => {
+    if (task && task.workspaceId !== workspaceId && workspaces.some((item) => item._id === task.workspaceId)) {
+      selectWorkspace(task.workspaceId);
+    }
+  }, [task, workspaceId, workspaces, selectWorkspace]);
+
+  const handleToggleChecklistItem = async (item) => {
+    setError('');
+
+    try {
+      const response = await taskService.updateChecklistItem(token, task._id, item._id, { done: !item.done });
+      setTask(response.task);
+    } catch (err) {
+      setError(err.message || 'Failed to update checklist item');
+      logger.error('Failed to update checklist item', err);
+    }
+  };
+
+  const backTo = task?.projectId ? `/projects/${task.projectId}` : '/dashboard';
+  const ready = task && task.workspaceId === workspaceId;
+  const state = task ? getState(task.status) : null;
+  const project = task?.projectId ? getProject(task.projectId) : null;
+
+  return (
+    <div className="container py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2 className="mb-0">📝 Task</h2>
+        <Link to={backTo} className="btn btn-outline-secondary">← Back to tasks</Link>
+      </div>
+
+      {error && (
+        <div className="alert alert-danger alert-dismissible" role="alert">
+          {error}
+          <button type="button" className="btn-close" onClick={() => setError('')} aria-label="Close"></button>
+        </div>
+      )}
+
+      {loading && (
+        <div className="text-center py-5">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      )}
+
+      {!loading && ready && (
+        <div className="row">
+          <div className="col-lg-5 mb-4">
+            <div className={`card border-start border-4 border-${state.color}`}>
+              <div className="card-body">
+                <div className="d-flex justify-content-between align-items-start mb-2">
+                  <h4 className="card-title">{task.title}</h4>
+                  <span className={`badge bg-${state.color}`}>
+                    {state.icon} {state.label}
+                  </span>
+                </div>
+                <span className={`badge rounded-pill mb-2 ${getPriority(task.priority).badge}`}>
+                  {getPriority(task.priority).label}
+                </span>
+                {project && (
+                  <small className="text-muted ms-2">
+                    <span className="me-1" style={{ color: project.color }}>●</span>
+                    {project.name}
+                  </small>
+                )}
+                <LabelChips labelIds={task.labels} />
+                <p className="card-text" style={{ whiteSpace: 'pre-wrap' }}>{task.description}</p>
+                <ChecklistProgress
+                  checklist={task.checklist}
+                  onToggle={can('tasks:edit') ? handleToggleChecklistItem : null}
+                />
+                <dl className="row small mb-0">
+                  <dt className="col-4 text-muted fw-normal">Due</dt>
+                  <dd className="col-8">
+                    {task.dueDate ? <DueBadge task={task} closed={state.closed} /> : <span className="text-muted">No due date</span>}
+                  </dd>
+                  {task.recurrence && (
+                    <>
+                      <dt className="col-4 text-muted fw-normal">Repeats</dt>
+                      <dd className="col-8">
+                        {describeRecurrence(task.recurrence)}
+                        {task.recurrence.occurrence > 1 && (
+                          <span className="text-muted"> · occurrence {task.recurrence.occurrence}</span>
+                        )}
+                        {task.nextOccurrenceId && (
+                          <Link to={`/tasks/${task.nextOccurrenceId}`} className="ms-2">Next occurrence →</Link>
+                        )}
+                      </dd>
+                    </>
+                  )}
+                  <dt className="col-4 text-muted fw-normal">Assignees</dt>
+                  <dd className="col-8">
+                    {task.assignees.length > 0 ? (
+                      <span className="d-inline-flex align-items-center ps-2">
+                        <AssigneeAvatars assignees={task.assignees} />
+                        <span className="ms-2">
+                          {task.assignees.map((assignee) => getMember(assignee.userId)?.name || 'Former member').join(', ')}
+                        </span>
+                      </span>
+                    ) : <span className="text-muted">Unassigned</span>}
+                  </dd>
+                  <dt className="col-4 text-muted fw-normal">Created</dt>
+                  <dd className="col-8">
+                    {new Date(task.createdAt).toLocaleString()}
+                    {getMember(task.userId) && <span className="text-muted"> by {getMember(task.userId).name}</span>}
+                  </dd>
+                  <dt className="col-4 text-muted fw-normal">Updated</dt>
+                  <dd className="col-8">{new Date(task.updatedAt).toLocaleString()}</dd>
+                </dl>
+              </div>
+            </div>
+          </div>
+
+          <div className="col-lg-7">
+            <div className="card">
+              <div className="card-header">
+                <ul className="nav nav-tabs card-header-tabs">
+                  <li className="nav-item">
+                    <button
+                      className={`nav-link ${tab === 'comments' ? 'active' : ''}`}
+                      onClick={() => setTab('comments')}
+                    >
+                      💬 Comments ({task.commentCount || 0})
+                    </button>
+                  </li>
+                  <li className="nav-item">
+                    <button
+                      className={`nav-link ${tab === 'history' ? 'active' : ''}`}
+                      onClick={() => setTab('history')}
+                    >
+                      🕒 History
+                    </button>
+                  </li>
+                </ul>
+              </div>
+              <div className="card-body">
+                {tab === 'comments' ? (
+                  <CommentThread
+                    taskId={task._id}
+                    onCountChange={(commentCount) => setTask((current) => ({ ...current, commentCount }))}
+                  />
+                ) : (
+                  // Remount on every task change so the newest entry shows up
+                  <TaskHistory key={task.updatedAt} taskId={task._id} />
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaskDetail;
@@ -0,0 +1,180 @@
+/**
+ * Trash Page
+ * Deleted tasks of the active workspace, which can be restored until they are purged
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useWorkflow } from '../context/WorkflowContext';
+import { useProjects } from '../context/ProjectContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { taskService } from '../api/tasks';
+import { getPriority } from '../utils/priorities';
+import { logger } from '../utils/logger';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Describe when a trashed task will be purged
+ * @param {string} purgeAt - ISO date of the purge
+ * @returns {string}
+ */
+const describePurge = (purgeAt) => {
+  const days = Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS);
+  if (days <= 0) return 'Deleted permanently soon';
+  return `Deleted permanently in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+const Trash = () => {
+  const { token } = useAuth();
+  const { getState } = useWorkflow();
+  const { refreshProjects } = useProjects();
+  const { workspace, workspaceId, can, getMember } = useWorkspace();
+  const [tasks, setTasks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const canEdit = can('tasks:edit');
+
+  const fetchTrash = useCallback(async (cursor = '') => {
+    if (!workspaceId) return;
+
+    try {
+      setLoading(true);
+      const response = await taskService.getTrash(token, cursor);
+      setTasks((current) => (cursor ? [...current, ...response.tasks] : response.tasks));
+      setNextCursor(response.nextCursor);
+      setRetentionDays(response.retentionDays);
+    } catch (err) {
+      setError(err.message || 'Failed to load trash');
+      logger.error('Failed to load trash', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, workspaceId]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (task) => {
+    setError('');
+    setNotice('');
+
+    try {
+      await taskService.restoreTask(token, task._id);
+      setTasks((current) => current.filter((item) => item._id !== task._id));
+      setNotice(`"${task.title}" was restored`);
+      refreshProjects();
+      logger.info('Task restored', { id: task._id });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to restore task', err);
+    }
+  };
+
+  const handleDestroy = async (task) => {
+    if (!window.confirm(`Delete "${task.title}" permanently? This cannot be undone.`)) return;
+    setError('');
+    setNotice('');
+
+    try {
+      await taskService.deleteTaskPermanently(token, task._id);
+      setTasks((current) => current.filter((item) => item._id !== task._id));
+      setNotice(`"${task.title}" was deleted permanently`);
+      logger.info('Task deleted permanently', { id: task._id });
+    } catch (err) {
+      setError(err.message);
+      logger.error('Failed to delete task permanently', err);
+    }
+  };
+
+  return (
+    <div className="container py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h2 className="mb-1">🗑️ Trash</h2>
+          <p className="text-muted mb-0">
+            Deleted tasks{workspace && !workspace.personal && ` of ${workspace.name}`}
+            {retentionDays ? ` are kept for ${retentionDays} days before they are deleted permanently` : ''}
+          </p>
+        </div>
+        <Link to="/dashboard" className="btn btn-outline-secondary">← Back to tasks</Link>
+      </div>
+
+      {error && (
+        <div className="alert alert-danger alert-dismissible" role="alert">
+          {error}
+          <button type="button" className="btn-close" onClick={() => setError('')} aria-label="Close"></button>
+        </div>
+      )}
+      {notice && (
+        <div className="alert alert-success alert-dismissible" role="alert">
+          {notice}
+          <button type="button" className="btn-close" onClick={() => setNotice('')} aria-label="Close"></button>
+        </div>
+      )}
+
+      <div className="card">
+        <ul className="list-group list-group-flush">
+          {tasks.map((task) => {
+            const state = getState(task.status);
+            const deletedBy = task.deletedBy ? getMember(task.deletedBy) : null;
+
+            return (
+              <li key={task._id} className="list-group-item d-flex align-items-center flex-wrap gap-2">
+                <div className="me-auto">
+                  <div className="fw-semibold">
+                    {task.title}
+                    <span className={`badge bg-${state.color} ms-2`}>{state.icon} {state.label}</span>
+                    <span className={`badge rounded-pill ms-1 ${getPriority(task.priority).badge}`}>
+                      {getPriority(task.priority).label}
+                    </span>
+                  </div>
+                  <small className="text-muted">
+                    Deleted {new Date(task.deletedAt).toLocaleString()}
+                    {deletedBy && ` by ${deletedBy.name}`} · {describePurge(task.purgeAt)}
+                  </small>
+                </div>
+                {canEdit && (
+                  <>
+                    <button className="btn btn-sm btn-outline-primary" onClick={() => handleRestore(task)}>
+                      ↩️ Restore
+                    </button>
+                    <button className="btn btn-sm btn-outline-danger" onClick={() => handleDestroy(task)}>
+                      Delete forever
+                    </button>
+                  </>
+                )}
+              </li>
+            );
+          })}
+          {!loading && tasks.length === 0 && (
+            <li className="list-group-item text-center text-muted py-5">The trash is empty.</li>
+          )}
+        </ul>
+      </div>
+
+      {loading && (
+        <div className="text-center py-4">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      )}
+
+      {!loading && nextCursor && (
+        <div className="text-center mt-3">
+          <button className="btn btn-outline-primary" onClick={() => fetchTrash(nextCursor)}>
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
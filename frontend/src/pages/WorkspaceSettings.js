@@ -0,0 +1,355 @@
+/**
+ * Workspace Settings Page
+ * Members, roles and invitations of the active workspace, plus invitations to other workspaces
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { workspaceService } from '../api/workspaces';
+import { ROLES, ASSIGNABLE_ROLES, getRole, outranks } from '../utils/roles';
+import { logger } from '../utils/logger';
+
+const WorkspaceSettings = () => {
+  const { token } = useAuth();
+  const {
+    workspace,
+    workspaceId,
+    can,
+    refreshWorkspaces,
+    refreshMembers,
+    createWorkspace,
+    invitations: myInvitations,
+    acceptInvitation,
+    declineInvitation
+  } = useWorkspace();
+  const navigate = useNavigate();
+  const [details, setDetails] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [name, setName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'member' });
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const canManageMembers = can('members:manage');
+
+  /**
+   * Load members (and pending invitations for managers) of the active workspace
+   */
+  const fetchDetails = useCallback(async () => {
+    if (!workspaceId) return;
+
+    try {
+      const response = await workspaceService.getWorkspace(token, workspaceId);
+      setDetails(response.workspace);
+      setName(response.workspace.name);
+
+      if (response.workspace.permissions.includes('members:manage')) {
+        const invitationResponse = await workspaceService.getInvitations(token, workspaceId);
+        setInvitations(invitationResponse.invitations);
+      } else {
+        setInvitations([]);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load workspace');
+      logger.error('Failed to load workspace', err);
+    }
+  }, [token, workspaceId]);
+
+  useEffect(() => {
+    fetchDetails();
+  }, [fetchDetails]);
+
+  /**
+   * Run a workspace action, showing its message or error
+   */
+  const run = async (action, successMessage, logMessage) => {
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      if (successMessage) setNotice(successMessage);
+      logger.info(logMessage, { workspaceId });
+    } catch (err) {
+      setError(err.message);
+      logger.error(`${logMessage} failed`, err);
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await workspaceService.updateWorkspace(token, workspaceId, { name: name.trim() });
+      await refreshWorkspaces();
+      await fetchDetails();
+    }, 'Workspace renamed', 'Workspace renamed');
+  };
+
+  const handleRoleChange = (member, role) => run(async () => {
+    await workspaceService.updateMember(token, workspaceId, member.userId, role);
+    await fetchDetails();
+    await refreshMembers();
+  }, `${member.name} is now ${getRole(role).label.toLowerCase()}`, 'Member role changed');
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.name} from this workspace?`)) return;
+    run(async () => {
+      await workspaceService.removeMember(token, workspaceId, member.userId);
+      await fetchDetails();
+      await refreshMembers();
+    }, `${member.name} was removed`, 'Member removed');
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await workspaceService.createInvitation(token, workspaceId, { email: invite.email.trim(), role: invite.role });
+      setInvite({ email: '', role: invite.role });
+      await fetchDetails();
+    }, `Invitation sent to ${invite.email.trim()}`, 'Invitation created');
+  };
+
+  const handleRevoke = (invitation) => run(async () => {
+    await workspaceService.revokeInvitation(token, workspaceId, invitation._id);
+    await fetchDetails();
+  }, 'Invitation revoked', 'Invitation revoked');
+
+  const handleLeave = () => {
+    if (!window.confirm(`Leave "${workspace.name}"? You will lose access to its tasks.`)) return;
+    run(async () => {
+      await workspaceService.leaveWorkspace(token, workspaceId);
+      await refreshWorkspaces();
+      navigate('/dashboard');
+    }, null, 'Left workspace');
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${workspace.name}" with all of its tasks, projects and labels? This cannot be undone.`)) return;
+    run(async () => {
+      await workspaceService.deleteWorkspace(token, workspaceId);
+      await refreshWorkspaces();
+      navigate('/dashboard');
+    }, null, 'Workspace deleted');
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await createWorkspace({ name: newWorkspaceName.trim() });
+      setNewWorkspaceName('');
+    }, 'Workspace created and selected', 'Workspace created');
+  };
+
+  const handleInvitation = (invitation, accept) => run(
+    () => (accept ? acceptInvitation(invitation._id) : declineInvitation(invitation._id)),
+    accept ? `You joined ${invitation.workspaceId?.name}` : 'Invitation declined',
+    accept ? 'Invitation accepted' : 'Invitation declined'
+  );
+
+  const myRole = details?.role;
+
+  return (
+    <div className="container py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2 className="mb-0">⚙️ Workspace settings</h2>
+        <Link to="/dashboard" className="btn btn-outline-secondary">← Back to tasks</Link>
+      </div>
+
+      {error && (
+        <div className="alert alert-danger alert-dismissible" role="alert">
+          {error}
+          <button type="button" className="btn-close" onClick={() => setError('')} aria-label="Close"></button>
+        </div>
+      )}
+      {notice && (
+        <div className="alert alert-success alert-dismissible" role="alert">
+          {notice}
+          <button type="button" className="btn-close" onClick={() => setNotice('')} aria-label="Close"></button>
+        </div>
+      )}
+
+      {/* Invitations addressed to the user */}
+      {myInvitations.length > 0 && (
+        <div className="card mb-4 border-primary">
+          <div className="card-header fw-semibold">📨 Invitations for you</div>
+          <ul className="list-group list-group-flush">
+            {myInvitations.map((invitation) => (
+              <li key={invitation._id} className="list-group-item d-flex align-items-center">
+                <span>
+                  <strong>{invitation.invitedBy?.name || 'Someone'}</strong> invited you to{' '}
+                  <strong>{invitation.workspaceId?.name}</strong> as {getRole(invitation.role).label.toLowerCase()}
+                </span>
+                <button className="btn btn-sm btn-primary ms-auto me-2" onClick={() => handleInvitation(invitation, true)}>
+                  Accept
+                </button>
+                <button className="btn btn-sm btn-outline-secondary" onClick={() => handleInvitation(invitation, false)}>
+                  Decline
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {details && (
+        <div className="card mb-4">
+          <div className="card-body">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <h4 className="card-title mb-0">
+                {details.personal ? '👤' : '👥'} {details.name}
+              </h4>
+              <span className={`badge ${getRole(myRole).badge}`}>You are {getRole(myRole).label.toLowerCase()}</span>
+            </div>
+
+            {can('workspace:update') && (
+              <form className="d-flex mb-4" onSubmit={handleRename}>
+                <input
+                  type="text"
+                  className="form-control me-2"
+                  value={name}
+                  maxLength={50}
+                  onChange={(e) => setName(e.target.value)}
+                  aria-label="Workspace name"
+                />
+                <button type="submit" className="btn btn-outline-primary" disabled={!name.trim() || name === details.name}>
+                  Rename
+                </button>
+              </form>
+            )}
+
+            <h5>Members</h5>
+            <div className="table-responsive mb-4">
+              <table className="table align-middle">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {details.members.map((member) => {
+                    const manageable = canManageMembers && !member.isCurrentUser && outranks(myRole, member.role);
+
+                    return (
+                      <tr key={member.userId}>
+                        <td>{member.name}{member.isCurrentUser && <span className="text-muted"> (you)</span>}</td>
+                        <td className="text-muted">{member.email}</td>
+                        <td>
+                          {manageable ? (
+                            <select
+                              className="form-select form-select-sm w-auto"
+                              value={member.role}
+                              onChange={(e) => handleRoleChange(member, e.target.value)}
+                              aria-label={`Role of ${member.name}`}
+                            >
+                              {ASSIGNABLE_ROLES.filter((role) => !outranks(role.value, myRole)).map((role) => (
+                                <option key={role.value} value={role.value}>{role.label}</option>
+                              ))}
+                            </select>
+                          ) : (
+                            <span className={`badge ${getRole(member.role).badge}`}>{getRole(member.role).label}</span>
+                          )}
+                        </td>
+                        <td className="text-end">
+                          {manageable && (
+                            <button className="btn btn-sm btn-link text-danger text-decoration-none" onClick={() => handleRemove(member)}>
+                              Remove
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {canManageMembers && (
+              <>
+                <h5>Invitations</h5>
+                <form className="row g-2 mb-3" onSubmit={handleInvite}>
+                  <div className="col-sm-6">
+                    <input
+                      type="email"
+                      className="form-control"
+                      placeholder="Email address"
+                      value={invite.email}
+                      onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="col-sm-3">
+                    <select
+                      className="form-select"
+                      value={invite.role}
+                      onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                      aria-label="Role for the invitee"
+                    >
+                      {ASSIGNABLE_ROLES.filter((role) => !outranks(role.value, myRole)).map((role) => (
+                        <option key={role.value} value={role.value}>{role.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-sm-3 d-grid">
+                    <button type="submit" className="btn btn-primary">Invite</button>
+                  </div>
+                </form>
+                <ul className="list-unstyled mb-4">
+                  {invitations.map((invitation) => (
+                    <li key={invitation._id} className="d-flex align-items-center mb-2">
+                      <span>✉️ {invitation.email}</span>
+                      <span className={`badge ms-2 ${getRole(invitation.role).badge}`}>{getRole(invitation.role).label}</span>
+                      <small className="text-muted ms-2">pending since {new Date(invitation.createdAt).toLocaleDateString()}</small>
+                      <button className="btn btn-sm btn-link text-danger ms-auto text-decoration-none" onClick={() => handleRevoke(invitation)}>
+                        Revoke
+                      </button>
+                    </li>
+                  ))}
+                  {invitations.length === 0 && <li className="text-muted small">No pending invitations.</li>}
+                </ul>
+              </>
+            )}
+
+            <div className="d-flex gap-2">
+              {myRole !== 'owner' && (
+                <button className="btn btn-outline-danger" onClick={handleLeave}>Leave workspace</button>
+              )}
+              {can('workspace:delete') && !details.personal && (
+                <button className="btn btn-danger" onClick={handleDelete}>Delete workspace</button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Create a new shared workspace */}
+      <div className="card">
+        <div className="card-body">
+          <h5 className="card-title">New workspace</h5>
+          <p className="text-muted small">
+            Workspaces share tasks, projects and labels with their members. Roles:{' '}
+            {ROLES.map((role) => role.label).join(', ')}.
+          </p>
+          <form className="d-flex" onSubmit={handleCreate}>
+            <input
+              type="text"
+              className="form-control me-2"
+              placeholder="Workspace name"
+              value={newWorkspaceName}
+              maxLength={50}
+              onChange={(e) => setNewWorkspaceName(e.target.value)}
+            />
+            <button type="submit" className="btn btn-outline-primary" disabled={!newWorkspaceName.trim()}>
+              Create
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceSettings;
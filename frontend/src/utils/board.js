@@ -0,0 +1,60 @@
+/**
+ * Board Utilities
+ * Pure helpers for manipulating board columns on the client
+ */
+
+/**
+ * Find the column that currently holds a task
+ * @param {Array} columns - Board columns ({ status, tasks, total })
+ * @param {string} taskId - Task id
+ * @returns {Object|undefined} Column containing the task
+ */
+export const findColumn = (columns, taskId) =>
+  columns.find((column) => column.tasks.some((task) => task._id === taskId));
+
+/**
+ * Move a task card to a position in a (possibly different) column
+ * @param {Array} columns - Board columns ({ status, tasks, total })
+ * @param {string} taskId - Task being moved
+ * @param {string} toStatus - Destination column status
+ * @param {number} toIndex - Drop index, counted with the dragged card still in place
+ * @returns {Array} New columns array; the input is not modified
+ */
+export const moveCard = (columns, taskId, toStatus, toIndex) => {
+  const source = findColumn(columns, taskId);
+  if (!source) return columns;
+
+  const fromIndex = source.tasks.findIndex((task) => task._id === taskId);
+  const task = { ...source.tasks[fromIndex], status: toStatus };
+  const sameColumn = source.status === toStatus;
+
+  // Removing the card first shifts later positions in the same column up by one
+  const insertAt = sameColumn && fromIndex < toIndex ? toIndex - 1 : toIndex;
+
+  return columns.map((column) => {
+    if (column.status !== source.status && column.status !== toStatus) return column;
+
+    const tasks = column.tasks.filter((item) => item._id !== taskId);
+    let total = column.total;
+
+    if (column.status === toStatus) {
+      tasks.splice(Math.min(insertAt, tasks.length), 0, task);
+      if (!sameColumn) total += 1;
+    } else {
+      total -= 1;
+    }
+
+    return { ...column, tasks, total };
+  });
+};
+
+/**
+ * Replace a task inside whichever column holds it
+ * @param {Array} columns - Board columns
+ * @param {Object} updated - Updated task from the API
+ * @returns {Array} New columns array
+ */
+export const replaceCard = (columns, updated) => columns.map((column) => ({
+  ...column,
+  tasks: column.tasks.map((task) => (task._id === updated._id ? { ...task, ...updated } : task))
+}));
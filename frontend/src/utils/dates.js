@@ -0,0 +1,78 @@
+/**
+ * Date Utilities
+ * Helpers for task due dates: form conversion and relative labels
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Convert a stored due date into the value of a date input (local time)
+ * @param {string|Date} value - ISO date string or Date
+ * @returns {string} Date in YYYY-MM-DD format, or empty string
+ */
+export const toDateInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Combine date and time inputs into an ISO timestamp (local time)
+ * A date without a time is due at the end of that day.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Optional time in HH:mm format
+ * @returns {string|null} ISO timestamp, or null when no date is set
+ */
+export const toDueDateISO = (date, time = '') => {
+  if (!date) return null;
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time ? time.split(':').map(Number) : [23, 59];
+  const due = new Date(year, month - 1, day, hours, minutes, time ? 0 : 59);
+  return Number.isNaN(due.getTime()) ? null : due.toISOString();
+};
+
+/**
+ * Calendar-day difference between two dates in local time
+ */
+const daysBetween = (from, to) => {
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((end - start) / DAY_MS);
+};
+
+/**
+ * Describe a task's due date relative to now
+ * @param {Object} task - Task with optional dueDate and dueTime
+ * @param {Object} options - Description options
+ * @param {boolean} options.closed - Whether the task's status is closed (never overdue)
+ * @param {Date} options.now - Reference time (defaults to current time)
+ * @returns {Object|null} { label, overdue, soon } or null when the task has no due date
+ */
+export const describeDueDate = (task, { closed = false, now = new Date() } = {}) => {
+  if (!task.dueDate) return null;
+
+  const due = new Date(task.dueDate);
+  if (Number.isNaN(due.getTime())) return null;
+
+  const overdue = !closed && due < now;
+  const days = daysBetween(now, due);
+  const time = task.dueTime ? ` at ${task.dueTime}` : '';
+
+  let label;
+  if (overdue) {
+    label = days === 0 ? `Overdue${time}` : `Overdue by ${-days} day${days === -1 ? '' : 's'}`;
+  } else if (days === 0) {
+    label = `Due today${time}`;
+  } else if (days === 1) {
+    label = `Due tomorrow${time}`;
+  } else if (days > 1) {
+    label = `Due in ${days} days`;
+  } else {
+    label = `Was due ${due.toLocaleDateString()}`;
+  }
+
+  return { label, overdue, soon: !closed && !overdue && days <= 2 };
+};
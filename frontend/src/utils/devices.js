@@ -0,0 +1,36 @@
+/**
+ * Device Utilities
+ * Readable names for the devices of signed-in sessions
+ */
+
+// First match wins, so more specific browsers come before the engines they build on
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\//, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+const SYSTEMS = [
+  [/Windows/, 'Windows'],
+  [/iPhone|iPad/, 'iOS'],
+  [/Mac OS X/, 'macOS'],
+  [/Android/, 'Android'],
+  [/Linux/, 'Linux']
+];
+
+const find = (list, userAgent) => list.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+/**
+ * Describe a device from its user agent, e.g. "Firefox on Windows"
+ * @param {string} userAgent - User-Agent header recorded for the session
+ * @returns {string}
+ */
+export const describeDevice = (userAgent = '') => {
+  const browser = find(BROWSERS, userAgent);
+  const system = find(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
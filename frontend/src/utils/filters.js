@@ -0,0 +1,173 @@
+/**
+ * Filter Builder Utilities
+ * Fields and operators of structured task filters, and conversion between
+ * the filter builder's rows and the filters sent to the API
+ */
+import { toDateInputValue, toDueDateISO } from './dates';
+
+// Operators shared by the date fields; `input` is the kind of value the rule takes
+const DATE_OPERATORS = [
+  { value: 'before', label: 'before', input: 'date' },
+  { value: 'after', label: 'after', input: 'date' },
+  { value: 'between', label: 'between', input: 'dateRange' },
+  { value: 'last', label: 'in the last', input: 'days' }
+];
+
+/**
+ * Fields a rule can test, matching the API's filter language
+ * Choice fields list their options in the builder (states, priorities,
+ * labels, projects or members).
+ */
+export const FILTER_FIELDS = [
+  {
+    value: 'status',
+    label: 'Status',
+    operators: [
+      { value: 'in', label: 'is', input: 'choices' },
+      { value: 'notIn', label: 'is not', input: 'choices' }
+    ]
+  },
+  {
+    value: 'priority',
+    label: 'Priority',
+    operators: [
+      { value: 'in', label: 'is', input: 'choices' },
+      { value: 'notIn', label: 'is not', input: 'choices' }
+    ]
+  },
+  {
+    value: 'labels',
+    label: 'Labels',
+    operators: [
+      { value: 'any', label: 'include any of', input: 'choices' },
+      { value: 'all', label: 'include all of', input: 'choices' },
+      { value: 'none', label: 'include none of', input: 'choices' },
+      { value: 'empty', label: 'are empty', input: null }
+    ]
+  },
+  {
+    value: 'project',
+    label: 'Project',
+    operators: [
+      { value: 'in', label: 'is', input: 'choices' },
+      { value: 'notIn', label: 'is not', input: 'choices' }
+    ]
+  },
+  {
+    value: 'assignee',
+    label: 'Assignee',
+    operators: [
+      { value: 'any', label: 'is any of', input: 'choices' },
+      { value: 'none', label: 'is none of', input: 'choices' }
+    ]
+  },
+  {
+    value: 'dueDate',
+    label: 'Due date',
+    operators: [
+      ...DATE_OPERATORS,
+      { value: 'next', label: 'in the next', input: 'days' },
+      { value: 'overdue', label: 'is overdue', input: null },
+      { value: 'set', label: 'is set', input: null },
+      { value: 'empty', label: 'is not set', input: null }
+    ]
+  },
+  { value: 'createdAt', label: 'Created', operators: DATE_OPERATORS },
+  { value: 'updatedAt', label: 'Updated', operators: DATE_OPERATORS }
+];
+
+export const MAX_FILTER_RULES = 20;
+
+export const EMPTY_FILTER_FORM = { match: 'all', rules: [] };
+
+/**
+ * Find the operator of a rule
+ * @param {string} field - Field name
+ * @param {string} op - Operator name
+ * @returns {Object|undefined} Operator with its label and input kind
+ */
+export const getOperator = (field, op) => FILTER_FIELDS
+  .find((item) => item.value === field)?.operators
+  .find((operator) => operator.value === op);
+
+// Empty value of a rule row for each input kind
+const emptyValue = (input) => {
+  if (input === 'choices') return [];
+  if (input === 'dateRange') return ['', ''];
+  if (input === 'days') return 7;
+  return '';
+};
+
+/**
+ * New rule row, with the field's first operator
+ * @param {string} field - Field name
+ * @returns {Object} { field, op, value }
+ */
+export const newFilterRule = (field = 'status') => {
+  const [operator] = FILTER_FIELDS.find((item) => item.value === field).operators;
+  return { field, op: operator.value, value: emptyValue(operator.input) };
+};
+
+/**
+ * Change a rule's operator, keeping its value when the input stays the same
+ * @param {Object} rule - Rule row
+ * @param {string} op - New operator
+ * @returns {Object} Rule row
+ */
+export const changeFilterOperator = (rule, op) => {
+  const { input } = getOperator(rule.field, rule.op);
+  const next = getOperator(rule.field, op);
+  return { ...rule, op, value: next.input === input ? rule.value : emptyValue(next.input) };
+};
+
+// Local midnight of a date input value, as ISO
+const startOfDayISO = (date) => toDueDateISO(date, '00:00');
+
+/**
+ * Convert a rule row into the rule sent to the API
+ * Dates are whole local days: "before" starts at midnight of the day,
+ * "after" ends at its last minute.
+ */
+const toRulePayload = (rule) => {
+  if (rule.group) return rule.group;
+
+  const { input } = getOperator(rule.field, rule.op);
+  const base = { field: rule.field, op: rule.op };
+
+  switch (input) {
+    case 'choices': return { ...base, value: rule.value };
+    case 'date': return { ...base, value: rule.op === 'before' ? startOfDayISO(rule.value) : toDueDateISO(rule.value) };
+    case 'dateRange': return { ...base, value: [startOfDayISO(rule.value[0]), toDueDateISO(rule.value[1])] };
+    case 'days': return { ...base, value: Number(rule.value) };
+    default: return base;
+  }
+};
+
+/**
+ * Convert the builder's form state into the filter sent to the API
+ * @param {Object} form - { match, rules } with rule rows
+ * @returns {Object} Filter ({ match, rules })
+ */
+export const toFilterPayload = (form) => ({ match: form.match, rules: form.rules.map(toRulePayload) });
+
+/**
+ * Convert a filter from the API into the builder's form state
+ * Nested groups, which only the API can create, are kept as they are.
+ * @param {Object|null} filter - Saved filter definition
+ * @returns {Object} { match, rules } with rule rows
+ */
+export const toFilterForm = (filter) => {
+  if (!filter) return EMPTY_FILTER_FORM;
+
+  return {
+    match: filter.match,
+    rules: filter.rules.map((rule) => {
+      if (rule.rules) return { group: rule };
+
+      const { input } = getOperator(rule.field, rule.op) || {};
+      if (input === 'date') return { ...rule, value: toDateInputValue(rule.value) };
+      if (input === 'dateRange') return { ...rule, value: rule.value.map(toDateInputValue) };
+      return { ...rule, value: input ? rule.value : emptyValue(input) };
+    })
+  };
+};
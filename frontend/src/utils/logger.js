@@ -1,3 +1,98 @@
+/**
+ * Logger
+ * Console logging that also reports errors to the API
+ *
+ * @description Entries are written to the browser console as before. Errors
+ * are also queued and sent in batches to POST /api/client-logs, where the
+ * server writes them to its own log: when the queue holds BATCH_SIZE entries,
+ * FLUSH_DELAY_MS after the first one, and when the page is hidden.
+ *
+ * When the logged error is an ApiError, the entry carries the request id of
+ * the failed call (see api/request.js), which is also on the server's log
+ * entries for that request. ApiErrors with a 4xx status are not reported:
+ * they are answers to the user's input, and the server already logged them.
+ *
+ * Set REACT_APP_CLIENT_LOGS=off to keep errors in the console only.
+ */
+import api from '../api/config';
+import { createRequestId, REQUEST_ID_HEADER } from '../api/request';
+
+const BATCH_SIZE = 10;
+const FLUSH_DELAY_MS = 5000;
+const MAX_QUEUE = 50; // Oldest entries are dropped when reports cannot be sent
+const SECRET_FIELD = /password|token|secret|authorization/i;
+
+const reportingEnabled = process.env.REACT_APP_CLIENT_LOGS !== 'off' && process.env.NODE_ENV !== 'test';
+
+let queue = [];
+let flushTimer = null;
+
+// Error fields worth reporting, cut to the lengths the API accepts
+const describeError = (error) => ({
+  name: String(error.name).slice(0, 200),
+  message: String(error.message || '').slice(0, 2000),
+  ...(error.code && { code: String(error.code).slice(0, 100) }),
+  ...(Number.isInteger(error.status) && { status: error.status }),
+  ...(error.stack && { stack: String(error.stack).slice(0, 10000) })
+});
+
+// Copy of extra data without secrets, safe to send (undefined when it cannot be serialized)
+const redact = (value) => {
+  try {
+    return JSON.parse(JSON.stringify(value, (key, field) => (key && SECRET_FIELD.test(key) ? '[REDACTED]' : field)));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Send the queued entries now
+ * Uses keepalive so a report started while the page unloads still goes out.
+ */
+export const flushLogs = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (queue.length === 0) return;
+
+  const entries = queue;
+  queue = [];
+  fetch(api.clientLogs, {
+    method: 'POST',
+    keepalive: true,
+    headers: {
+      'Content-Type': 'application/json',
+      [REQUEST_ID_HEADER]: createRequestId()
+    },
+    body: JSON.stringify({ entries })
+  }).catch((error) => {
+    // Not through the logger: a failed report must not queue another one
+    console.warn('[WARN] Failed to send client logs', error);
+  });
+};
+
+const report = (message, detail) => {
+  if (!reportingEnabled) return;
+  if (detail?.name === 'ApiError' && detail.status < 500) return;
+
+  const isError = detail instanceof Error;
+  queue.push({
+    level: 'error',
+    message: String(message).slice(0, 1000),
+    time: new Date().toISOString(),
+    url: window.location.pathname, // Not the query string: it can hold reset or verification tokens
+    ...(detail?.requestId && { requestId: detail.requestId }),
+    ...(isError && { error: describeError(detail) }),
+    ...(!isError && detail && typeof detail === 'object' && !Array.isArray(detail) && { data: redact(detail) })
+  });
+  queue = queue.slice(-MAX_QUEUE);
+
+  if (queue.length >= BATCH_SIZE) {
+    flushLogs();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushLogs, FLUSH_DELAY_MS);
+  }
+};
+
 export const logger = {
   info: (message, data = null) => {
     console.log(`[INFO] ${new Date().toISOString()} - ${message}`, data || '');
@@ -5,6 +100,7 @@ export const logger = {
 
   error: (message, error = null) => {
     console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, error || '');
+    report(message, error);
   },
 
   warn: (message, data = null) => {
@@ -17,3 +113,21 @@ export const logger = {
     }
   }
 };
+
+/**
+ * Log uncaught errors and unhandled promise rejections, and send pending
+ * reports when the page is hidden or closed. Call once at startup.
+ */
+export const captureGlobalErrors = () => {
+  window.addEventListener('error', (event) => {
+    logger.error(`Uncaught error: ${event.message}`, event.error || null);
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    const { reason } = event;
+    logger.error(`Unhandled promise rejection: ${reason?.message || reason}`, reason instanceof Error ? reason : null);
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushLogs();
+  });
+  window.addEventListener('pagehide', flushLogs);
+};
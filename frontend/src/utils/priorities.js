@@ -0,0 +1,26 @@
+/**
+ * Task Priority Definitions
+ * Priority levels with display labels and Bootstrap badge colors
+ */
+
+/**
+ * Priority levels from least to most important
+ * @type {Array<{value: string, label: string, badge: string}>}
+ */
+export const PRIORITIES = [
+  { value: 'low', label: 'Low', badge: 'bg-secondary' },
+  { value: 'medium', label: 'Medium', badge: 'bg-info text-dark' },
+  { value: 'high', label: 'High', badge: 'bg-warning text-dark' },
+  { value: 'urgent', label: 'Urgent', badge: 'bg-danger' }
+];
+
+export const DEFAULT_PRIORITY = 'medium';
+
+/**
+ * Look up the display definition of a priority value
+ * @param {string} value - Priority value
+ * @returns {Object} Priority definition (falls back to the default priority)
+ */
+export const getPriority = (value) =>
+  PRIORITIES.find((priority) => priority.value === value)
+  || PRIORITIES.find((priority) => priority.value === DEFAULT_PRIORITY);
@@ -0,0 +1,98 @@
+/**
+ * Recurrence Utilities
+ * Conversion between task recurrence rules and the recurrence editor, and readable summaries
+ */
+import { toDateInputValue, toDueDateISO } from './dates';
+
+export const FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' }
+];
+
+// Index matches Date#getDay and the API's weekday numbers (0 = Sunday)
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const EMPTY_RECURRENCE_FORM = {
+  frequency: '',
+  interval: 1,
+  weekdays: [],
+  monthDay: '',
+  ends: 'never',
+  until: '',
+  count: ''
+};
+
+/**
+ * Time zone of the browser, sent with rules so due dates keep their local time
+ * @returns {string} IANA time zone, e.g. "Europe/Paris"
+ */
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Convert a stored rule into the editor's form state
+ * @param {Object|null} rule - Task recurrence from the API
+ * @returns {Object} Form state (frequency '' when the task does not repeat)
+ */
+export const toRecurrenceForm = (rule) => {
+  if (!rule) return EMPTY_RECURRENCE_FORM;
+
+  let ends = 'never';
+  if (rule.until) ends = 'until';
+  else if (rule.count) ends = 'count';
+
+  return {
+    frequency: rule.frequency,
+    interval: rule.interval,
+    weekdays: rule.weekdays || [],
+    monthDay: rule.monthDay || '',
+    ends,
+    until: toDateInputValue(rule.until),
+    count: rule.count || ''
+  };
+};
+
+/**
+ * Convert the editor's form state into the rule sent to the API
+ * @param {Object} form - Form state
+ * @returns {Object|null} Rule, or null when the task does not repeat
+ */
+export const toRecurrencePayload = (form) => {
+  if (!form.frequency) return null;
+
+  return {
+    frequency: form.frequency,
+    interval: Number(form.interval),
+    ...(form.frequency === 'weekly' && { weekdays: form.weekdays }),
+    ...(form.frequency === 'monthly' && form.monthDay && { monthDay: Number(form.monthDay) }),
+    until: form.ends === 'until' ? toDueDateISO(form.until) : null,
+    count: form.ends === 'count' ? Number(form.count) : null,
+    timezone: browserTimeZone()
+  };
+};
+
+/**
+ * Describe a rule in words, e.g. "Every 2 weeks on Mon, Thu, 5 times"
+ * @param {Object|null} rule - Task recurrence from the API
+ * @returns {string} Summary, or an empty string when the task does not repeat
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule) return '';
+
+  const { unit, label } = FREQUENCIES.find((frequency) => frequency.value === rule.frequency) || {};
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : label;
+
+  if (rule.frequency === 'weekly' && rule.weekdays?.length > 0) {
+    text += ` on ${rule.weekdays.map((day) => WEEKDAYS[day]).join(', ')}`;
+  }
+  if (rule.frequency === 'monthly' && rule.monthDay) {
+    text += ` on day ${rule.monthDay}`;
+  }
+  if (rule.until) {
+    text += ` until ${new Date(rule.until).toLocaleDateString()}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  }
+
+  return text;
+};
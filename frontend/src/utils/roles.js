@@ -0,0 +1,37 @@
+/**
+ * Workspace Role Definitions
+ * Member roles with display labels and Bootstrap badge colors
+ */
+
+/**
+ * Roles from most to least privileged, mirroring config/roles.js on the backend
+ * @type {Array<{value: string, label: string, badge: string, rank: number}>}
+ */
+export const ROLES = [
+  { value: 'owner', label: 'Owner', badge: 'bg-dark', rank: 4 },
+  { value: 'admin', label: 'Admin', badge: 'bg-primary', rank: 3 },
+  { value: 'member', label: 'Member', badge: 'bg-success', rank: 2 },
+  { value: 'viewer', label: 'Viewer', badge: 'bg-secondary', rank: 1 }
+];
+
+/**
+ * Roles that can be given to someone else (a workspace has a single owner)
+ * @type {Array<Object>}
+ */
+export const ASSIGNABLE_ROLES = ROLES.filter((role) => role.value !== 'owner');
+
+/**
+ * Look up the display definition of a role
+ * @param {string} value - Role value
+ * @returns {Object} Role definition (falls back to viewer)
+ */
+export const getRole = (value) =>
+  ROLES.find((role) => role.value === value) || ROLES[ROLES.length - 1];
+
+/**
+ * Check whether one role ranks strictly above another
+ * @param {string} role - Role of the acting member
+ * @param {string} other - Role being compared against
+ * @returns {boolean}
+ */
+export const outranks = (role, other) => getRole(role).rank > getRole(other).rank;
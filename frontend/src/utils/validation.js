@@ -1,7 +1,13 @@
 /**
  * Form Validation Utilities
  * Client-side validation functions for forms and inputs
+ *
+ * @description These give instant feedback while typing. The API validates
+ * every request again and its field errors come back on ApiError.fields
+ * (api/errors.js), in the same { field: message } shape as these checks.
  */
+import { PRIORITIES } from './priorities';
+import { FILTER_FIELDS, MAX_FILTER_RULES, getOperator } from './filters';
 
 /**
  * Validate email format using regex
@@ -31,12 +37,69 @@ export const validateRequired = (value) => {
   return value && value.trim().length > 0;
 };
 
+const isWholeNumberBetween = (value, min, max) => {
+  const number = Number(value);
+  return value !== '' && Number.isInteger(number) && number >= min && number <= max;
+};
+
+/**
+ * Validate the recurrence editor's form state
+ * @param {Object} recurrence - Form state from toRecurrenceForm
+ * @param {string} dueDate - Due date input value (YYYY-MM-DD)
+ * @returns {string} Error message, or an empty string when valid
+ */
+export const validateRecurrence = (recurrence, dueDate) => {
+  if (!recurrence.frequency) return '';
+  if (!dueDate) return 'Pick a due date to repeat the task';
+  if (!isWholeNumberBetween(recurrence.interval, 1, 365)) return 'Repeat every 1 to 365';
+  if (recurrence.frequency === 'weekly' && recurrence.weekdays.length === 0) return 'Pick at least one weekday';
+  if (recurrence.frequency === 'monthly' && !isWholeNumberBetween(recurrence.monthDay, 1, 31)) {
+    return 'Pick a day of the month from 1 to 31';
+  }
+  if (recurrence.ends === 'until' && (!recurrence.until || recurrence.until < dueDate)) {
+    return 'The end date must be on or after the due date';
+  }
+  if (recurrence.ends === 'count' && !isWholeNumberBetween(recurrence.count, 1, 1000)) {
+    return 'Repeat 1 to 1000 times';
+  }
+  return '';
+};
+
+/**
+ * Validate the filter builder's rules
+ * @param {Array<Object>} rules - Rule rows from toFilterForm
+ * @returns {string} Error message for the first incomplete rule, or an empty string when valid
+ */
+export const validateFilterRules = (rules) => {
+  if (rules.length > MAX_FILTER_RULES) return `Use at most ${MAX_FILTER_RULES} rules`;
+
+  for (const [index, rule] of rules.entries()) {
+    if (rule.group) continue;
+
+    const field = FILTER_FIELDS.find((item) => item.value === rule.field);
+    const { input } = getOperator(rule.field, rule.op);
+    const name = `Rule ${index + 1} (${field.label})`;
+
+    if (input === 'choices' && rule.value.length === 0) return `${name}: pick at least one value`;
+    if (input === 'date' && !rule.value) return `${name}: pick a date`;
+    if (input === 'dateRange') {
+      const [from, to] = rule.value;
+      if (!from || !to) return `${name}: pick both dates`;
+      if (from > to) return `${name}: the range ends before it starts`;
+    }
+    if (input === 'days' && !isWholeNumberBetween(rule.value, 1, 366)) return `${name}: use 1 to 366 days`;
+  }
+  return '';
+};
+
 /**
  * Validate task form data
  * @param {Object} formData - Task form data to validate
+ * @param {Object} options - Validation options
+ * @param {string[]} options.statuses - Allowed status keys from the task workflow
  * @returns {Object} Validation result with errors and isValid flag
  */
-export const validateTaskForm = (formData) => {
+export const validateTaskForm = (formData, { statuses = [] } = {}) => {
   const errors = {};
 
   if (!validateRequired(formData.title)) {
@@ -47,10 +110,33 @@ export const validateTaskForm = (formData) => {
     errors.description = 'Description is required';
   }
 
-  if (!['pending', 'completed'].includes(formData.status)) {
+  if (statuses.length > 0 && !statuses.includes(formData.status)) {
     errors.status = 'Invalid status';
   }
 
+  if (formData.priority && !PRIORITIES.some((priority) => priority.value === formData.priority)) {
+    errors.priority = 'Invalid priority';
+  }
+
+  if (formData.checklist?.some((item) => !validateRequired(item.text))) {
+    errors.checklist = 'Checklist items cannot be empty';
+  } else if (formData.checklist?.some((item) => item.text.trim().length > 200)) {
+    errors.checklist = 'Checklist items must be at most 200 characters';
+  }
+
+  if (formData.dueDate && Number.isNaN(new Date(formData.dueDate).getTime())) {
+    errors.dueDate = 'Invalid due date';
+  }
+
+  if (formData.dueTime && !formData.dueDate) {
+    errors.dueTime = 'Pick a due date to set a time';
+  }
+
+  const recurrenceError = formData.recurrence && validateRecurrence(formData.recurrence, formData.dueDate);
+  if (recurrenceError) {
+    errors.recurrence = recurrenceError;
+  }
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors